@@ -0,0 +1,178 @@
+// ===== ACCOUNT MODULE =====
+// The signed-in user's profile, password, data export and account deletion, all through
+// SmashApi (api.js). Runs after auth.js, whose authErrorMessage, authErrorText and updateAuthUI it
+// reuses.
+
+let accountUser = null;   // {username, displayName, handedness, level, club} as last loaded
+
+document.addEventListener('DOMContentLoaded', () => {
+  initAccount();
+
+  document.getElementById('profileForm').addEventListener('submit', e => {
+    e.preventDefault();
+    saveProfile();
+  });
+  document.getElementById('passwordForm').addEventListener('submit', e => {
+    e.preventDefault();
+    changePassword();
+  });
+  document.getElementById('btnExportRecords').addEventListener('click', exportRecords);
+  document.getElementById('deleteForm').addEventListener('submit', e => {
+    e.preventDefault();
+    deleteAccount();
+  });
+
+  // Status messages are already-translated text; drop them rather than leave the old language
+  document.addEventListener('localechange', () => {
+    document.querySelectorAll('.account-status').forEach(node => node.classList.add('hidden'));
+  });
+});
+
+function showAccountLogin() {
+  accountUser = null;
+  document.getElementById('accountLogin').classList.remove('hidden');
+  document.getElementById('accountContent').classList.add('hidden');
+}
+
+SmashApi.onSessionExpired(showAccountLogin);
+
+// Logging in or out in another tab swaps this page to the new account, or to the prompt
+SmashApi.onSessionChange(user => {
+  if (user) initAccount();
+  else showAccountLogin();
+});
+
+/**
+ * Load the account and fill the profile form, or show the login prompt.
+ */
+async function initAccount() {
+  if (!SmashApi.session.id()) {
+    showAccountLogin();
+    return;
+  }
+
+  document.getElementById('accountLogin').classList.add('hidden');
+  document.getElementById('accountContent').classList.remove('hidden');
+  document.querySelectorAll('.account-status').forEach(node => node.classList.add('hidden'));
+  try {
+    fillProfile(await SmashApi.get('/api/account'));
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) return; // the expiry handler shows the login prompt
+    showStatus('profileStatus', authErrorMessage(err, 'account.loadFailed'), false);
+  }
+}
+
+function fillProfile(data) {
+  accountUser = data;
+  document.getElementById('accountUsername').textContent = data.username;
+  document.getElementById('profileDisplayName').value = data.displayName || '';
+  document.getElementById('profileHandedness').value = data.handedness || '';
+  document.getElementById('profileLevel').value = data.level || '';
+  document.getElementById('profileClub').value = data.club || '';
+}
+
+function showStatus(id, message, ok) {
+  const node = document.getElementById(id);
+  node.textContent = message;
+  node.classList.remove('hidden', 'account-status-ok', 'account-status-error');
+  node.classList.add(ok ? 'account-status-ok' : 'account-status-error');
+}
+
+async function saveProfile() {
+  const body = {
+    displayName: document.getElementById('profileDisplayName').value.trim(),
+    handedness: document.getElementById('profileHandedness').value,
+    level: document.getElementById('profileLevel').value,
+    club: document.getElementById('profileClub').value.trim()
+  };
+
+  try {
+    const data = await SmashApi.put('/api/account', body);
+    fillProfile(data);
+    updateAuthUI({ username: data.username, displayName: data.displayName });
+    if (data.level) usePlayerLevel(data.level);
+    showStatus('profileStatus', SmashI18n.t('account.saved'), true);
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) return;
+    showStatus('profileStatus', authErrorMessage(err, 'account.saveFailed'), false);
+  }
+}
+
+// The calculator's plausibility checks and suggestions read the level from the workspace
+function usePlayerLevel(level) {
+  const inputs = SmashWorkspace.get('inputs') || {};
+  SmashWorkspace.set('inputs', { ...inputs, playerLevel: level });
+}
+
+async function changePassword() {
+  const currentPassword = document.getElementById('currentPassword').value;
+  const newPassword = document.getElementById('newPassword').value;
+  if (newPassword !== document.getElementById('confirmPassword').value) {
+    showStatus('passwordStatus', SmashI18n.t('account.passwordMismatch'), false);
+    return;
+  }
+  const broken = SmashAuthPolicy.passwordRules(newPassword, accountUser ? accountUser.username : '')
+    .find(rule => !rule.ok);
+  if (broken) {
+    showStatus('passwordStatus', authErrorText(broken.code), false);
+    return;
+  }
+
+  try {
+    await SmashApi.post('/api/account/password', { currentPassword, newPassword });
+    document.getElementById('passwordForm').reset();
+    showStatus('passwordStatus', SmashI18n.t('account.passwordChanged'), true);
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) return;
+    showStatus('passwordStatus', authErrorMessage(err, 'account.passwordFailed'), false);
+  }
+}
+
+/**
+ * Download every saved record as smash-records-<username>-<date>.json.
+ */
+async function exportRecords() {
+  const btn = document.getElementById('btnExportRecords');
+  btn.disabled = true;
+  try {
+    const data = await SmashApi.get('/api/account/export', { timeout: 30000 });
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `smash-records-${data.account.username}-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    showStatus('exportStatus', SmashI18n.t('account.exported', { count: data.records.length }), true);
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) return;
+    showStatus('exportStatus', authErrorMessage(err, 'account.exportFailed'), false);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Delete the account after a password check and a last confirmation, then leave the page.
+ * Saves still queued on this device for the account are discarded too.
+ */
+async function deleteAccount() {
+  const password = document.getElementById('deletePassword').value;
+  if (!confirm(SmashI18n.t('account.deleteConfirm'))) return;
+
+  const username = SmashApi.session.username();
+  try {
+    await SmashApi.del('/api/account', { body: { password }, retries: 0 });
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) return;
+    showStatus('deleteStatus', authErrorMessage(err, 'account.deleteFailed'), false);
+    return;
+  }
+
+  const queued = await SmashSaveQueue.list(username);
+  await Promise.all(queued.map(entry => SmashSaveQueue.remove(entry.id)));
+  SmashApi.session.clear();
+  alert(SmashI18n.t('account.deleted'));
+  window.location.href = 'index.html';
+}
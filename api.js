@@ -0,0 +1,249 @@
+// ===== API CLIENT =====
+// The one place the frontend talks to the Spring Boot backend. Handles the base URL, the
+// session header, JSON parsing, timeouts, retries for idempotent calls and expired sessions.
+//
+// Base URL, first match wins:
+//   window.SMASH_API_BASE                        set by an inline script before this file
+//   <meta name="smash-api-base" content="…">     per deployment, no code change
+//   http://localhost:8080                        pages opened from file:// or localhost
+//   the page's own origin                        backend served behind the same host
+//
+// Failures are thrown as typed errors (all extend SmashApi.ApiError):
+//   NetworkError  backend unreachable         TimeoutError  no answer within the timeout
+//   HttpError     non-2xx, .status + server's `error` message as .message
+//   AuthError     401 on an authenticated call — the session is cleared first
+//
+// A "remember me" session lives in localStorage, shared by every tab of the site; any other
+// session lives in sessionStorage and only its own tab sees it. onSessionChange hears about
+// remembered logins and logouts made in the other tabs.
+
+const SmashApi = (() => {
+  const LOCAL_BASE = 'http://localhost:8080';
+  const DEFAULT_TIMEOUT_MS = 10000;
+  const DEFAULT_RETRIES = 2;
+  const BACKOFF_MS = 400;
+  const IDEMPOTENT = ['GET', 'HEAD', 'PUT', 'DELETE'];
+  const RETRY_STATUSES = [429, 502, 503, 504];
+  const SESSION_KEY = 'sessionId';
+  const USERNAME_KEY = 'username';
+  const EXPIRES_KEY = 'sessionExpiresAt';
+
+  class ApiError extends Error {
+    constructor(message, { code = 'api', status = 0, data = null } = {}) {
+      super(message);
+      this.name = this.constructor.name;
+      this.code = code;
+      this.status = status;
+      this.data = data;
+    }
+  }
+  class NetworkError extends ApiError {
+    constructor(message = 'Cannot reach the server') {
+      super(message, { code: 'network' });
+    }
+  }
+  class TimeoutError extends ApiError {
+    constructor(timeout) {
+      super(`No response within ${timeout} ms`, { code: 'timeout' });
+    }
+  }
+  class HttpError extends ApiError {
+    constructor(status, data, code = 'http') {
+      super((data && data.error) || `Request failed with status ${status}`, { code, status, data });
+    }
+  }
+  class AuthError extends HttpError {
+    constructor(data) {
+      super(401, data, 'unauthorized');
+    }
+  }
+
+  function resolveBase() {
+    if (typeof window === 'undefined') return LOCAL_BASE;
+    if (window.SMASH_API_BASE) return window.SMASH_API_BASE;
+    const meta = document.querySelector('meta[name="smash-api-base"]');
+    if (meta && meta.content) return meta.content;
+    const { protocol, hostname, origin } = window.location;
+    if (protocol === 'file:' || hostname === 'localhost' || hostname === '127.0.0.1') return LOCAL_BASE;
+    return origin;
+  }
+
+  const baseUrl = resolveBase().replace(/\/+$/, '');
+
+  // ===== SESSION =====
+  // A "remember me" session goes to localStorage, shared by every tab and kept across browser
+  // restarts; any other session goes to sessionStorage, so it stays in its tab and is gone when
+  // the browser closes. The session ID is written last and removed first, so a tab reacting to
+  // its change always reads a matching username
+  const storageFor = remember => (remember ? localStorage : sessionStorage);
+  // The tab's own session wins over a remembered one
+  const sessionStore = () => (sessionStorage.getItem(SESSION_KEY) ? sessionStorage : localStorage);
+
+  function removeFrom(storage) {
+    storage.removeItem(SESSION_KEY);
+    storage.removeItem(USERNAME_KEY);
+    storage.removeItem(EXPIRES_KEY);
+  }
+
+  const session = {
+    id: () => sessionStore().getItem(SESSION_KEY),
+    username: () => sessionStore().getItem(USERNAME_KEY),
+    // Last expiry time the server reported (epoch ms). Other calls extend the session without
+    // saying so, so the real expiry may be later — confirm with /api/auth/me before acting on it
+    expiresAt: () => Number(sessionStore().getItem(EXPIRES_KEY)) || null,
+    /**
+     * @param {boolean} [remember] - keep the session across browser restarts and share it with
+     *        the other tabs; otherwise it lives only in this tab
+     */
+    set(sessionId, username, expiresAt, remember) {
+      const storage = storageFor(remember);
+      // A remembered session must not be shadowed by an older one of this tab. A tab-only
+      // session leaves localStorage alone: clearing it would log the other tabs out
+      if (remember) removeFrom(sessionStorage);
+      storage.setItem(USERNAME_KEY, username);
+      if (expiresAt) storage.setItem(EXPIRES_KEY, String(expiresAt));
+      else storage.removeItem(EXPIRES_KEY);
+      storage.setItem(SESSION_KEY, sessionId);
+    },
+    setExpiry(expiresAt) {
+      const storage = sessionStore();
+      if (expiresAt) storage.setItem(EXPIRES_KEY, String(expiresAt));
+      else storage.removeItem(EXPIRES_KEY);
+    },
+    // Only the store holding this tab's session: a tab-only logout leaves the other tabs'
+    // remembered session alone
+    clear() {
+      removeFrom(sessionStore());
+    }
+  };
+
+  const expiredHandlers = [];
+
+  /**
+   * Run handler whenever an authenticated call comes back 401; the session is already cleared.
+   */
+  function onSessionExpired(handler) {
+    expiredHandlers.push(handler);
+  }
+
+  function sessionExpired() {
+    session.clear();
+    expiredHandlers.forEach(handler => {
+      try {
+        handler();
+      } catch (err) {
+        console.error('Session-expired handler failed:', err);
+      }
+    });
+  }
+
+  const changeHandlers = [];
+
+  /**
+   * Run handler when another tab logs in, logs out or loses its session. It gets
+   * {username} for the new session, or null when there is none.
+   */
+  function onSessionChange(handler) {
+    changeHandlers.push(handler);
+  }
+
+  if (typeof window !== 'undefined') {
+    // `storage` only fires in the tabs that didn't make the change; a null key means cleared
+    window.addEventListener('storage', event => {
+      if (event.key !== SESSION_KEY && event.key !== null) return;
+      if (sessionStorage.getItem(SESSION_KEY)) return; // this tab has its own session
+      const user = session.id() ? { username: session.username() } : null;
+      changeHandlers.forEach(handler => {
+        try {
+          handler(user);
+        } catch (err) {
+          console.error('Session-change handler failed:', err);
+        }
+      });
+    });
+  }
+
+  // ===== REQUESTS =====
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function readBody(res) {
+    const text = await res.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return { error: text };
+    }
+  }
+
+  async function attempt(method, url, headers, body, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let res;
+    try {
+      res = await fetch(url, { method, headers, body, signal: controller.signal });
+    } catch (err) {
+      throw err.name === 'AbortError' ? new TimeoutError(timeout) : new NetworkError();
+    } finally {
+      clearTimeout(timer);
+    }
+    const data = await readBody(res);
+    if (res.ok) return data;
+    throw new HttpError(res.status, data);
+  }
+
+  /**
+   * Send a request to the backend and return the parsed JSON body.
+   * @param {string} method - HTTP method
+   * @param {string} path - path under the base URL, e.g. '/api/records'
+   * @param {{body?: object, auth?: boolean, timeout?: number, retries?: number}} [options] -
+   *        auth (default true) sends the session header when there is a session; retries
+   *        apply to idempotent methods only, with exponential backoff
+   * @returns {Promise<any>}
+   * @throws {ApiError}
+   */
+  async function request(method, path, { body, auth = true, timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const sessionId = auth ? session.id() : null;
+    if (sessionId) headers['X-Session-Id'] = sessionId;
+
+    const maxAttempts = IDEMPOTENT.includes(method) ? retries + 1 : 1;
+    for (let n = 1; ; n++) {
+      try {
+        return await attempt(method, baseUrl + path, headers, body === undefined ? undefined : JSON.stringify(body), timeout);
+      } catch (err) {
+        if (err.status === 401 && sessionId) {
+          sessionExpired();
+          throw new AuthError(err.data);
+        }
+        const retryable = err instanceof NetworkError || err instanceof TimeoutError ||
+          RETRY_STATUSES.includes(err.status);
+        if (!retryable || n >= maxAttempts) throw err;
+        // 400 ms, 800 ms, … with jitter so open tabs don't retry in lockstep
+        await wait(BACKOFF_MS * 2 ** (n - 1) * (0.75 + Math.random() / 2));
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+    session,
+    onSessionExpired,
+    onSessionChange,
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    put: (path, body, options) => request('PUT', path, { ...options, body }),
+    del: (path, options) => request('DELETE', path, options),
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    HttpError,
+    AuthError
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmashApi;
+}
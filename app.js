@@ -1,14 +1,88 @@
-const defaultKx = 0.20324632; // Default drag constant
+// Physics lives in physics.js (loaded first)
+const { calculateV0 } = SmashPhysics;
+const defaultKx = SmashPhysics.DEFAULT_KX; // Default drag constant
+// Translations and unit conversion live in i18n.js (loaded first)
+const translate = SmashI18n.t;
 
+// Numbers shown to the user follow the chosen language's decimal separator
 function fmt(n, dp = 3) {
-  if (!isFinite(n)) return '—';
-  return Number(n).toFixed(dp);
+  return SmashI18n.formatNumber(n, dp);
 }
 
 // Video analysis variables
 let startTime = null;
 let endTime = null;
 
+// Named smash segments marked in the current video: { name, start, end, t, theta, x, result }
+const segments = [];
+
+// Angle tool API ({ snapshot, overlay }) once initAngleTool has run; null if its elements are missing
+let angleTool = null;
+
+// Frame timing shared by the time and angle tools
+const COMMON_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60, 90, 100, 119.88, 120, 240, 480, 960];
+const videoTiming = {
+  fileFps: 30,      // frame rate of the file as it plays back
+  captureFps: null, // frame rate the camera captured at (slow motion); null = same as file
+  detected: false
+};
+
+// Duration of one frame, in video (playback) seconds
+function frameDuration() {
+  return 1 / videoTiming.fileFps;
+}
+
+// Real seconds per video second — below 1 for slow-motion files
+function realTimeScale() {
+  return videoTiming.captureFps ? videoTiming.fileFps / videoTiming.captureFps : 1;
+}
+
+/**
+ * Estimate a video's frame rate from presented-frame timestamps.
+ * Plays muted at a reduced rate so high-fps files aren't capped by the display refresh,
+ * then restores the original position. Resolves null where requestVideoFrameCallback
+ * is unsupported or no frames were presented.
+ */
+function detectFrameRate(video) {
+  if (!video || typeof video.requestVideoFrameCallback !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return new Promise(resolve => {
+    const mediaTimes = [];
+    const restore = { time: video.currentTime, muted: video.muted, rate: video.playbackRate };
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      video.pause();
+      video.muted = restore.muted;
+      video.playbackRate = restore.rate;
+      video.currentTime = restore.time;
+
+      // Dropped frames only lengthen gaps, so the shortest gap is one frame
+      const gaps = mediaTimes.slice(1).map((t, i) => t - mediaTimes[i]).filter(g => g > 1e-4);
+      if (gaps.length === 0) { resolve(null); return; }
+      const fps = 1 / Math.min(...gaps);
+      const snapped = COMMON_FRAME_RATES.find(rate => Math.abs(rate - fps) / rate < 0.02);
+      resolve(snapped || Math.round(fps * 100) / 100);
+    };
+
+    const onFrame = (now, metadata) => {
+      mediaTimes.push(metadata.mediaTime);
+      if (mediaTimes.length >= 15) finish();
+      else if (!finished) video.requestVideoFrameCallback(onFrame);
+    };
+
+    video.muted = true;
+    video.playbackRate = 0.1;
+    video.requestVideoFrameCallback(onFrame);
+    video.play().catch(finish);
+    setTimeout(finish, 2500);
+  });
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   try {
     // Grab elements
@@ -22,8 +96,53 @@ document.addEventListener('DOMContentLoaded', () => {
       outKmh: document.getElementById('outKmh'),
       outMph: document.getElementById('outMph'),
       resultCard: document.getElementById('resultCard'),
+      suggestionsCard: document.getElementById('suggestionsCard'),
+      suggestionList: document.getElementById('suggestionList'),
+      saveNote: document.getElementById('saveNote'),
+      saveTags: document.getElementById('saveTags'),
       errorBox: document.getElementById('error'),
-      warningBox: document.getElementById('warning')
+      warningBox: document.getElementById('warning'),
+      tolTime: document.getElementById('tolTime'),
+      tolDistance: document.getElementById('tolDistance'),
+      tolAngle: document.getElementById('tolAngle'),
+      uncertaintyCard: document.getElementById('uncertaintyCard'),
+      outConfidence: document.getElementById('outConfidence'),
+      uncertaintyBreakdown: document.getElementById('uncertaintyBreakdown'),
+      uncertaintyHint: document.getElementById('uncertaintyHint'),
+      kxPreset: document.getElementById('kxPreset'),
+      kxValue: document.getElementById('kxValue'),
+      kxConditions: document.getElementById('kxConditions'),
+      kxGrade: document.getElementById('kxGrade'),
+      kxAltitude: document.getElementById('kxAltitude'),
+      kxTemperature: document.getElementById('kxTemperature'),
+      kxCustomRow: document.getElementById('kxCustomRow'),
+      kxCustom: document.getElementById('kxCustom'),
+      outKxInfo: document.getElementById('outKxInfo'),
+      modelSelect: document.getElementById('modelSelect'),
+      contactHeight: document.getElementById('inputContactHeight'),
+      playerLevel: document.getElementById('playerLevel'),
+      compareClosed: document.getElementById('compareClosed'),
+      compareSimulated: document.getElementById('compareSimulated'),
+      outClosedForm: document.getElementById('outClosedForm'),
+      outSimulated: document.getElementById('outSimulated'),
+      outModelNote: document.getElementById('outModelNote'),
+      flightCharts: document.getElementById('flightCharts'),
+      trajectoryChart: document.getElementById('trajectoryChart'),
+      speedChart: document.getElementById('speedChart'),
+      outFlightNote: document.getElementById('outFlightNote'),
+      segmentName: document.getElementById('segmentName'),
+      btnAddSegment: document.getElementById('btnAddSegment'),
+      segmentStatus: document.getElementById('segmentStatus'),
+      batchCard: document.getElementById('batchCard'),
+      batchRows: document.getElementById('batchRows'),
+      batchSummary: document.getElementById('batchSummary'),
+      batchNote: document.getElementById('batchNote'),
+      btnCalcAll: document.getElementById('btnCalcAll'),
+      btnShareResult: document.getElementById('btnShareResult'),
+      btnExportImage: document.getElementById('btnExportImage'),
+      clipSlowdown: document.getElementById('clipSlowdown'),
+      btnExportClip: document.getElementById('btnExportClip'),
+      clipStatus: document.getElementById('clipStatus')
     };
 
     // Check existence of required elements
@@ -63,66 +182,453 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     function hideResults() {
       el.resultCard.classList.add('hidden');
+      el.suggestionsCard.classList.add('hidden');
+    }
+
+    // Hard validation shared by the single and segment calculations; null when usable
+    function measurementError(x, t, theta) {
+      if (![x, t, theta].every(v => isFinite(v))) return translate('error.invalidNumbers');
+      if (x <= 0) return translate('error.distancePositive');
+      if (t <= 0) return translate('error.timePositive');
+      if (theta < 0 || theta >= 90) return translate('error.angleRange');
+      return null;
+    }
+
+    // Plausibility rules (plausibility.js), worded and formatted in the chosen language and units
+    const PLAUSIBILITY_FORMAT = {
+      t: translate,
+      number: fmt,
+      length: SmashI18n.formatLength,
+      speed: SmashI18n.formatSpeed
+    };
+
+    // The court preset the distance came from, until a measured distance replaces it
+    function readDistancePreset() {
+      const distance = Number(el.distance.dataset.presetDistance);
+      return isFinite(distance) && distance > 0 ? { distance, label: el.distance.dataset.presetLabel } : null;
+    }
+
+    function clearDistancePreset() {
+      delete el.distance.dataset.presetDistance;
+      delete el.distance.dataset.presetLabel;
+    }
+
+    function checkPlausibility(context) {
+      return SmashPlausibility.evaluate(context, { level: el.playerLevel.value, format: PLAUSIBILITY_FORMAT });
+    }
+
+    function findingsList(findings) {
+      return '<ul style="margin:0.5rem 0 0 1.25rem">' +
+        findings.map(f => `<li class="finding-${f.severity}">${f.message}</li>`).join('') + '</ul>';
+    }
+
+    // Training suggestions (suggestions.js) from the smash on screen and the saved history:
+    // the account's records, or for a guest those kept on this device. The history is
+    // loaded once per session (undefined: not yet, null: as a guest) and after each save.
+    let savedHistory = [];
+    let historySession;
+
+    async function loadSavedHistory() {
+      historySession = SmashApi.session.id();
+      if (!historySession) {
+        const records = await SmashGuestHistory.list();
+        savedHistory = records.map(r => ({ date: r.recordedAt, speedKmh: r.speedMps * 3.6 }));
+        return;
+      }
+      try {
+        const records = await SmashApi.get('/api/records/progression');
+        savedHistory = Array.isArray(records) ? records : [];
+      } catch {
+        // Backend unreachable — suggest from what was loaded before, if anything
+      }
+    }
+
+    async function showSuggestions(calc) {
+      if (SmashApi.session.id() !== historySession) await loadSavedHistory();
+      if (calc !== lastCalculation) return; // a newer calculation has replaced it meanwhile
+
+      const suggestions = SmashSuggestions.suggest(calc, savedHistory, {
+        level: el.playerLevel.value,
+        format: { t: translate, number: fmt, speed: SmashI18n.formatSpeed }
+      });
+      SmashSuggestions.render(el.suggestionList, suggestions, translate);
+      el.suggestionsCard.classList.toggle('hidden', suggestions.length === 0);
+    }
+
+    // Tags are typed comma-separated, e.g. "jump smash, tired"
+    function readSaveAnnotations() {
+      const note = el.saveNote.value.trim();
+      const tags = el.saveTags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+      return { note: note || undefined, tags };
+    }
+
+    /**
+     * Everything a record needs to be audited or recalculated later: the inputs, the model,
+     * the video it was measured from and, when the time came from the markers, where the
+     * segment sits in that video.
+     * @param {{v0: number, x: number, t: number, theta: number, kx: number, model: string,
+     *          contactHeight: number}} calc
+     * @param {{start?: number, end?: number, note?: string, tags?: string[]}} [extras]
+     */
+    function measurementRecord(calc, { start, end, note, tags = [] } = {}) {
+      const info = video ? video.info() : null;
+      return {
+        speedMps: calc.v0,
+        distanceM: calc.x,
+        timeS: calc.t,
+        angleDeg: calc.theta,
+        kx: calc.kx,
+        model: calc.model,
+        contactHeightM: isFinite(calc.contactHeight) ? calc.contactHeight : undefined,
+        videoName: info ? info.name : undefined,
+        videoDurationS: info ? info.duration : undefined,
+        contactTimeS: info ? start : undefined,
+        landingTimeS: info ? end : undefined,
+        note,
+        tags
+      };
+    }
+
+    // The marked segment, if the time on the calculator is the one it measured
+    function markedSegmentFor(t) {
+      if (startTime === null || endTime === null) return {};
+      const measured = Math.abs(endTime - startTime) * realTimeScale();
+      if (Math.abs(measured - t) > 0.0005) return {};
+      return { start: Math.min(startTime, endTime), end: Math.max(startTime, endTime) };
+    }
+
+    async function saveAndRefresh(record, saveBtn) {
+      if (await saveSmashResult(record, saveBtn)) {
+        await loadSavedHistory();
+        if (lastCalculation && !el.resultCard.classList.contains('hidden')) showSuggestions(lastCalculation);
+      }
+    }
+
+    // Drag constant selection
+    function readKx() {
+      const preset = el.kxPreset.value;
+
+      if (preset === 'custom') {
+        const kx = Number(el.kxCustom.value);
+        if (el.kxCustom.value.trim() === '' || !isFinite(kx) || kx <= 0) {
+          return { error: translate('error.customKx') };
+        }
+        return { kx, label: translate('kx.customValue') };
+      }
+
+      if (preset === 'feather' || preset === 'nylon') {
+        const grade = Number(el.kxGrade.value);
+        const altitudeM = Number(el.kxAltitude.value);
+        const temperatureC = Number(el.kxTemperature.value);
+        const res = SmashPhysics.kxForConditions({ shuttle: preset, grade, altitudeM, temperatureC });
+        if (res.error) return { error: res.error };
+        const label = translate('kx.conditions', {
+          shuttle: translate(`kx.${preset}`),
+          grade,
+          altitude: SmashI18n.formatLength(altitudeM, 0),
+          temperature: `${fmt(temperatureC, 0)} °C`
+        });
+        return { kx: res.kx, label };
+      }
+
+      return { kx: defaultKx, label: translate('kx.paperDefault') };
+    }
+
+    function updateKxPanel() {
+      const preset = el.kxPreset.value;
+      el.kxConditions.classList.toggle('hidden', preset !== 'feather' && preset !== 'nylon');
+      el.kxCustomRow.classList.toggle('hidden', preset !== 'custom');
+
+      const choice = readKx();
+      el.kxValue.textContent = choice.error ? '—' : `${fmt(choice.kx, 4)} m⁻¹`;
+    }
+
+    [el.kxPreset, el.kxGrade, el.kxAltitude, el.kxTemperature, el.kxCustom].forEach(node => {
+      node.addEventListener('input', updateKxPanel);
+    });
+
+    // Model selection: both solvers share the (x, t, θ, kₓ) signature
+    function simulatedSolver(contactHeight) {
+      return (x, t, theta, kx) => SmashPhysics.calculateV0Simulated(x, t, theta, kx, { contactHeight });
+    }
+
+    function showModelComparison(model, closed, simulated) {
+      const describe = res => res.error ? '—' : SmashI18n.formatSpeed(res.v0);
+      el.outClosedForm.textContent = describe(closed);
+      el.outSimulated.textContent = describe(simulated);
+      el.compareClosed.classList.toggle('active', model === 'closed');
+      el.compareSimulated.classList.toggle('active', model === 'simulation');
+
+      const notes = [];
+      if (!closed.error && !simulated.error) {
+        const diff = (simulated.v0 - closed.v0) / closed.v0 * 100;
+        notes.push(translate('model.diff', { diff: `${diff >= 0 ? '+' : ''}${fmt(diff, 1)}` }));
+        if (Math.abs(simulated.heightAtT) > 0.3) {
+          notes.push(translate('model.heightMismatch', { height: SmashI18n.formatLength(simulated.heightAtT) }));
+        }
+      } else if (simulated.error) {
+        notes.push(translate('model.simError', { error: simulated.error }));
+      }
+      el.outModelNote.textContent = notes.join(' ');
+    }
+
+    // Flight charts
+    const NET_DISTANCE_M = 5.94; // average smash position to net (court reference)
+    const NET_HEIGHT_M = 1.524;
+    const CHART_GRID = 'rgba(58, 58, 58, 0.8)';
+    let trajectoryChart = null;
+    let speedChart = null;
+
+    function hideFlightCharts() {
+      if (trajectoryChart) { trajectoryChart.destroy(); trajectoryChart = null; }
+      if (speedChart) { speedChart.destroy(); speedChart = null; }
+      el.flightCharts.classList.add('hidden');
+      el.outFlightNote.textContent = '';
     }
 
-    // Calculation core
-    function calculateV0(x, t, thetaDegrees, kx) {
-      const thetaRad = (Number(thetaDegrees) || 0) * Math.PI / 180;
-      const numerator = Math.exp(kx * x) - 1;
-      const cosTheta = Math.cos(thetaRad);
-      const denominator = kx * t * cosTheta;
+    function chartAxis(title) {
+      return {
+        type: 'linear',
+        ticks: { color: '#808080' },
+        grid: { color: CHART_GRID },
+        title: { display: true, text: title, color: '#808080' }
+      };
+    }
+
+    /**
+     * Plot the flight implied by the result. The closed-form model has no vertical motion,
+     * so height always comes from integrating the same v₀, θ and kₓ in 2D.
+     */
+    function showFlightCharts({ v0, theta, kx, contactHeight, x, t }) {
+      hideFlightCharts();
+      if (typeof Chart === 'undefined') return; // Chart.js CDN unreachable
+
+      const { samples, landing } = SmashPhysics.simulateTrajectory(v0, theta, kx, {
+        contactHeight: isFinite(contactHeight) && contactHeight >= 0 ? contactHeight : SmashPhysics.DEFAULT_CONTACT_HEIGHT_M
+      });
+      if (samples.length < 2) return;
+
+      // Where (and when) the simulated shuttle passes over the net
+      let netCrossing = null;
+      for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        if (a.x < NET_DISTANCE_M && b.x >= NET_DISTANCE_M) {
+          const f = (NET_DISTANCE_M - a.x) / (b.x - a.x);
+          netCrossing = { t: a.t + f * (b.t - a.t), y: a.y + f * (b.y - a.y), speed: a.speed + f * (b.speed - a.speed) };
+          break;
+        }
+      }
+
+      // Plotted in the chosen units; the simulation itself stays in metres and m/s
+      const len = SmashI18n.toDisplayLength;
+      const speedOf = SmashI18n.toDisplaySpeed;
+      const lengthUnit = SmashI18n.lengthUnit();
+      const speedUnit = SmashI18n.speedUnit();
+
+      const endT = Math.max(t, landing ? landing.t : 0);
+      const closedFormSpeed = [];
+      for (let i = 0; i <= 60; i++) {
+        const ti = endT * i / 60;
+        const speed = SmashPhysics.horizontalVelocityAt(ti, v0, theta, kx) / Math.cos(theta * Math.PI / 180);
+        closedFormSpeed.push({ x: ti, y: speedOf(speed) });
+      }
+
+      const markerStyle = color => ({
+        showLine: false,
+        pointRadius: 6,
+        pointBackgroundColor: color,
+        pointBorderColor: '#fff',
+        pointBorderWidth: 2
+      });
+
+      trajectoryChart = new Chart(el.trajectoryChart.getContext('2d'), {
+        type: 'scatter',
+        data: {
+          datasets: [
+            {
+              label: translate('chart.trajectory'),
+              data: samples.map(p => ({ x: len(p.x), y: len(p.y) })),
+              showLine: true,
+              borderColor: '#FF9500',
+              pointRadius: 0,
+              tension: 0
+            },
+            {
+              label: translate('chart.net'),
+              data: [{ x: len(NET_DISTANCE_M), y: 0 }, { x: len(NET_DISTANCE_M), y: len(NET_HEIGHT_M) }],
+              showLine: true,
+              borderColor: 'rgba(74, 163, 255, 0.8)',
+              borderWidth: 4,
+              pointRadius: 0
+            },
+            { label: translate('chart.measuredLanding'), data: [{ x: len(x), y: 0 }], ...markerStyle('#10b981') }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          plugins: { legend: { labels: { color: '#B0B0AE', boxWidth: 12 } } },
+          scales: {
+            x: { ...chartAxis(translate('chart.distance', { unit: lengthUnit })), min: 0 },
+            y: { ...chartAxis(translate('chart.height', { unit: lengthUnit })), min: 0 }
+          }
+        }
+      });
+
+      speedChart = new Chart(el.speedChart.getContext('2d'), {
+        type: 'scatter',
+        data: {
+          datasets: [
+            {
+              label: translate('chart.fullSimulation'),
+              data: samples.map(p => ({ x: p.t, y: speedOf(p.speed) })),
+              showLine: true,
+              borderColor: '#FF9500',
+              pointRadius: 0,
+              tension: 0
+            },
+            {
+              label: translate('chart.closedForm'),
+              data: closedFormSpeed,
+              showLine: true,
+              borderColor: '#B0B0AE',
+              borderDash: [6, 4],
+              pointRadius: 0,
+              tension: 0
+            },
+            ...(netCrossing ? [{
+              label: translate('chart.overNet'),
+              data: [{ x: netCrossing.t, y: speedOf(netCrossing.speed) }],
+              ...markerStyle('rgba(74, 163, 255, 1)')
+            }] : []),
+            ...(landing ? [{
+              label: translate('chart.landing'),
+              data: [{ x: landing.t, y: speedOf(landing.speed) }],
+              ...markerStyle('#10b981')
+            }] : [])
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          plugins: { legend: { labels: { color: '#B0B0AE', boxWidth: 12 } } },
+          scales: {
+            x: { ...chartAxis(translate('chart.time')), min: 0 },
+            y: { ...chartAxis(translate('chart.speed', { unit: speedUnit })), min: 0 }
+          }
+        }
+      });
 
-      if (!isFinite(numerator) || !isFinite(denominator)) {
-        return { error: 'Non-finite intermediate result; check inputs.' };
+      const parts = [translate('flight.leaves', { speed: SmashI18n.formatSpeed(v0, 0) })];
+      if (netCrossing) {
+        parts.push(netCrossing.y < NET_HEIGHT_M
+          ? translate('flight.belowTape', { height: SmashI18n.formatLength(netCrossing.y) })
+          : translate('flight.crossesNet', { speed: SmashI18n.formatSpeed(netCrossing.speed, 0) }));
       }
-      if (Math.abs(denominator) < 1e-12) {
-        return { error: 'Denominator too small (near zero). Check t and θ.' };
+      if (landing) {
+        parts.push(translate('flight.lands', { speed: SmashI18n.formatSpeed(landing.speed, 0), time: fmt(landing.t, 2) }));
+      }
+      el.outFlightNote.textContent = parts.join(translate('punct.comma')) + translate('punct.period');
+
+      el.flightCharts.classList.remove('hidden');
+    }
+
+    // Measurement uncertainty
+    function readTolerances() {
+      const positive = v => (isFinite(v) && v > 0 ? v : 0);
+      return {
+        t: positive(Number(el.tolTime.value)),
+        x: positive(SmashI18n.parseLength(el.tolDistance.value)),
+        theta: positive(Number(el.tolAngle.value))
+      };
+    }
+
+    // Tolerances as the user entered them, in the units they were entered in
+    function describeTolerance(input, tolerance) {
+      if (input === 'x') return SmashI18n.formatLength(tolerance);
+      if (input === 'theta') return `${fmt(tolerance, 1)}°`;
+      return `${fmt(tolerance, 3)} s`;
+    }
+
+    function hideUncertainty() {
+      el.uncertaintyCard.classList.add('hidden');
+      el.uncertaintyBreakdown.innerHTML = '';
+      el.uncertaintyHint.textContent = '';
+    }
+
+    function showUncertainty(inputs, solve) {
+      const u = SmashPhysics.estimateUncertainty(inputs, readTolerances(), solve);
+      if (u.error || u.contributions.length === 0) {
+        hideUncertainty();
+        return;
       }
 
-      return { v0: numerator / denominator, numerator, denominator, cosTheta, thetaRad };
+      el.outConfidence.textContent = `${fmt(SmashI18n.toDisplaySpeed(u.v0), 0)} ± ` +
+        `${SmashI18n.formatSpeed(u.sigma, 0)} (±${fmt(u.relative * 100, 1)}%)`;
+
+      // Widths go into CSS, so they keep a '.' decimal whatever the language
+      el.uncertaintyBreakdown.innerHTML = u.contributions.map(c => `
+        <li class="uncertainty-row">
+          <span>${translate(`tolerance.${c.input}`)} <em>±${describeTolerance(c.input, c.tolerance)}</em></span>
+          <span class="uncertainty-bar"><span class="uncertainty-bar-fill" style="width:${(c.share * 100).toFixed(1)}%"></span></span>
+          <span class="uncertainty-amount">±${SmashI18n.formatSpeed(c.sigma)}</span>
+        </li>`).join('');
+
+      const top = u.contributions[0];
+      el.uncertaintyHint.textContent = translate('uncertainty.hint', {
+        input: translate(`tolerance.${top.input}`),
+        share: fmt(top.share * 100, 0)
+      });
+
+      el.uncertaintyCard.classList.remove('hidden');
     }
 
+    // Inputs and result of the last successful calculation, for the share link
+    let lastCalculation = null;
+
     // Button handlers
     el.btnCalc.addEventListener('click', () => {
       try {
         hideError();
         hideWarning();
 
-        const x = Number(el.distance.value);
+        const x = SmashI18n.parseLength(el.distance.value);
         const t = Number(el.time.value);
         const theta = Number(el.angle.value);
-        const kx = defaultKx;
 
         // --- Hard validation (block calculation) ---
         if (el.distance.value.trim() === '' || el.time.value.trim() === '' || el.angle.value.trim() === '') {
-          showError('Please fill in all three fields.');
-          hideResults();
-          return;
-        }
-        if (![x, t, theta].every(v => isFinite(v))) {
-          showError('Please enter valid numeric values for all fields.');
-          hideResults();
-          return;
-        }
-        if (x <= 0) {
-          showError('Distance must be greater than 0.');
+          showError(translate('error.fillAll'));
           hideResults();
           return;
         }
-        if (t <= 0) {
-          showError('Time must be greater than 0.');
+        const inputError = measurementError(x, t, theta);
+        if (inputError) {
+          showError(inputError);
           hideResults();
           return;
         }
-        if (theta < 0 || theta >= 90) {
-          showError('Angle must be between 0° and 90° (exclusive).');
+
+        const kxChoice = readKx();
+        if (kxChoice.error) {
+          showError(kxChoice.error);
           hideResults();
           return;
         }
+        const kx = kxChoice.kx;
 
-        console.log('Inputs:', { x, t, theta, kx });
+        const model = el.modelSelect.value;
+        const contactHeight = SmashI18n.parseLength(el.contactHeight.value);
 
-        const res = calculateV0(x, t, theta, kx);
+        console.log('Inputs:', { x, t, theta, kx, model, contactHeight });
+
+        const solveSimulated = simulatedSolver(contactHeight);
+        const closed = calculateV0(x, t, theta, kx);
+        const simulated = solveSimulated(x, t, theta, kx);
+        const res = model === 'simulation' ? simulated : closed;
         if (res.error) {
           showError(res.error);
           hideResults();
@@ -130,50 +636,52 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
 
+        const findings = checkPlausibility({ x, t, theta, v0: res.v0, contactHeight, preset: readDistancePreset() });
+        if (findings.some(f => f.severity === 'block')) {
+          el.errorBox.innerHTML = translate('error.blocked') + findingsList(findings.filter(f => f.severity === 'block'));
+          el.errorBox.classList.remove('hidden');
+          lastCalculation = null;
+          hideResults();
+          return;
+        }
+
         const v0 = res.v0;
-        const v_kmh = v0 * 3.6;
-        const v_mph = v0 * 2.236936;
+        lastCalculation = { x, t, theta, kx, model, contactHeight, v0, kxLabel: kxChoice.label };
+        const v_kmh = SmashPhysics.toKmh(v0);
+        const v_mph = SmashPhysics.toMph(v0);
 
         el.outMps.textContent = `${fmt(v0,3)} m/s`;
         el.outKmh.textContent = `${fmt(v_kmh,2)} km/h`;
         el.outMph.textContent = `${fmt(v_mph,2)} mph`;
+        el.outKxInfo.textContent = translate('results.kxInfo', { kx: fmt(kx, 4), label: kxChoice.label });
 
         showResults();
+        showModelComparison(model, closed, simulated);
+        showFlightCharts({ v0, theta, kx, contactHeight, x, t });
+        showUncertainty({ x, t, theta, kx }, model === 'simulation' ? solveSimulated : calculateV0);
+        showSuggestions(lastCalculation);
 
         // --- Soft warnings (show result but flag unusual inputs/outputs) ---
-        const warnings = [];
-        if (t > 2) {
-          warnings.push(`Time ${fmt(t,3)}s exceeds 2s — typical badminton smashes travel for well under 1 second.`);
-        }
-        if (x >= 10) {
-          warnings.push(`Distance ${fmt(x,2)}m is unusually long — the full court is only 13.4m end-to-end.`);
-        }
-        if (theta > 45) {
-          warnings.push(`Angle ${fmt(theta,1)}° is very steep — badminton smashes are typically 10°–30° downward.`);
-        }
-        if (v_kmh > 500) {
-          warnings.push(`Calculated speed ${fmt(v_kmh,1)} km/h exceeds the world record (~565 km/h). Check your inputs.`);
-        }
-        if (v_kmh < 10) {
-          warnings.push(`Calculated speed ${fmt(v_kmh,1)} km/h is unrealistically slow for a badminton smash.`);
-        }
-
-        if (warnings.length > 0) {
-          showWarning('⚠ Unusual inputs detected:<ul style="margin:0.5rem 0 0 1.25rem">' +
-            warnings.map(w => `<li>${w}</li>`).join('') + '</ul>');
+        if (findings.length > 0) {
+          const heading = findings.some(f => f.severity === 'warn') ? 'warn.heading' : 'warn.infoHeading';
+          showWarning(translate(heading) + findingsList(findings));
         }
 
-        // Show save button if user is logged in
-        const sessionId = localStorage.getItem('sessionId');
+        // Save to the account, or for a guest to this device
         const saveBtn = document.getElementById('btnSaveResult');
-        if (sessionId && saveBtn) {
+        if (saveBtn) {
           saveBtn.classList.remove('hidden');
+          el.saveNote.parentElement.classList.remove('hidden');
           saveBtn.setAttribute('data-speed', v0);
-          saveBtn.onclick = () => saveSmashResult(v0);
+          saveBtn.setAttribute('data-kx', kx);
+          saveBtn.onclick = () => saveAndRefresh(measurementRecord({ v0, x, t, theta, kx, model, contactHeight }, {
+            ...markedSegmentFor(t),
+            ...readSaveAnnotations()
+          }));
         }
       } catch (err) {
         console.error('Unexpected error in calc handler:', err);
-        showError('Unexpected error — see console for details.');
+        showError(translate('error.unexpected'));
         hideResults();
       }
     });
@@ -181,8 +689,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // Reset
     el.btnClear.addEventListener('click', () => {
       el.distance.value = '';
+      clearDistancePreset();
       el.time.value = '';
       el.angle.value = '';
+      persistInputs();
       hideError();
       hideWarning();
       hideResults();
@@ -208,7 +718,11 @@ document.addEventListener('DOMContentLoaded', () => {
       btn.addEventListener('click', () => {
         const distance = btn.getAttribute('data-distance');
         if (distance && el.distance) {
-          el.distance.value = distance;
+          el.distance.value = SmashI18n.lengthInputValue(Number(distance));
+          // Remembered so the rules can tell when the distance is later edited away from it
+          const label = btn.parentElement.querySelector('span');
+          el.distance.dataset.presetDistance = distance;
+          el.distance.dataset.presetLabel = label ? label.textContent.replace(/:\s*$/, '') : distance;
 
           // Highlight the distance input briefly with modern animation
           el.distance.style.transition = 'all 0.3s ease';
@@ -225,7 +739,242 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     });
 
+    // ===== WORKSPACE PERSISTENCE =====
+    // Tolerance on time is left out: it follows the video's frame rate
+    const PERSISTED_INPUTS = [
+      'inputDistance', 'inputTime', 'inputAngle', 'kxPreset', 'kxGrade', 'kxAltitude',
+      'kxTemperature', 'kxCustom', 'modelSelect', 'inputContactHeight', 'tolDistance', 'tolAngle', 'playerLevel'
+    ];
+
+    // Inputs holding lengths, typed in whichever unit system was active at the time
+    const LENGTH_INPUTS = [el.distance, el.contactHeight, el.tolDistance];
+    // Units of the saved lengths; the page's own defaults are metric
+    const savedUnits = SmashWorkspace.get('inputUnits') || 'metric';
+
+    function persistInputs() {
+      const values = {};
+      PERSISTED_INPUTS.forEach(id => {
+        const node = document.getElementById(id);
+        if (node) values[id] = node.value;
+      });
+      SmashWorkspace.set('inputs', values);
+      SmashWorkspace.set('inputUnits', SmashI18n.getUnits());
+    }
+
+    function restoreInputs() {
+      const values = SmashWorkspace.get('inputs') || {};
+      PERSISTED_INPUTS.forEach(id => {
+        const node = document.getElementById(id);
+        if (node && typeof values[id] === 'string') node.value = values[id];
+      });
+      LENGTH_INPUTS.forEach(node => { node.value = SmashI18n.convertLengthInput(node.value, savedUnits); });
+    }
+
+    PERSISTED_INPUTS.forEach(id => {
+      const node = document.getElementById(id);
+      if (node) node.addEventListener('change', persistInputs);
+    });
+    // The tools fill inputs programmatically, which fires no events — catch those on the way out
+    window.addEventListener('pagehide', () => {
+      persistInputs();
+      SmashWorkspace.flush();
+    });
+
+    // Open a calculation from a share link: exact inputs and kₓ, then recalculate
+    function applySharedCalculation(shared) {
+      el.distance.value = SmashI18n.lengthInputValue(shared.x);
+      clearDistancePreset();
+      el.time.value = shared.t;
+      el.angle.value = shared.theta;
+      if (isFinite(shared.kx) && shared.kx > 0) {
+        el.kxPreset.value = 'custom';
+        el.kxCustom.value = shared.kx;
+      }
+      if (shared.model === 'closed' || shared.model === 'simulation') el.modelSelect.value = shared.model;
+      if (isFinite(shared.contactHeight)) el.contactHeight.value = SmashI18n.lengthInputValue(shared.contactHeight);
+      updateKxPanel();
+
+      el.btnCalc.click();
+      if (!lastCalculation) return;
+      el.outKxInfo.textContent += translate('share.opened');
+      if (isFinite(shared.v0) && Math.abs(lastCalculation.v0 - shared.v0) / shared.v0 > 0.005) {
+        showWarning(translate('share.mismatch', {
+          shared: SmashI18n.formatSpeed(shared.v0),
+          current: SmashI18n.formatSpeed(lastCalculation.v0)
+        }));
+      }
+    }
+
+    el.btnShareResult.addEventListener('click', async () => {
+      if (!lastCalculation) return;
+      const { x, t, theta, kx, model, contactHeight, v0 } = lastCalculation;
+      const url = SmashWorkspace.shareUrl({
+        x, t, theta, model, contactHeight,
+        kx: Number(kx.toPrecision(6)),
+        v0: Number(v0.toFixed(3))
+      });
+
+      const origText = el.btnShareResult.textContent;
+      try {
+        await navigator.clipboard.writeText(url);
+        el.btnShareResult.textContent = translate('share.copied');
+        setTimeout(() => { el.btnShareResult.textContent = origText; }, 2000);
+      } catch {
+        // Clipboard blocked (insecure context or denied permission) — let the user copy it
+        window.prompt(translate('share.prompt'), url);
+      }
+    });
+
+    // ===== RESULT IMAGE EXPORT =====
+    const CARD_WIDTH = 1200;
+    const CARD_HEIGHT = 630;
+    const FRAME_BOX = { x: 570, y: 110, width: 600, height: 400 };
+
+    /**
+     * Render the last calculation as a shareable PNG-ready canvas: speeds, inputs, date and
+     * the angle tool's frame with its A/B/C overlay.
+     * @param {{image: HTMLCanvasElement, angle: number} | null} frame - angle tool snapshot
+     */
+    function renderResultImage(calc, frame) {
+      const card = document.createElement('canvas');
+      card.width = CARD_WIDTH;
+      card.height = CARD_HEIGHT;
+      const c = card.getContext('2d');
+
+      c.fillStyle = '#1C1C1C';
+      c.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+      c.fillStyle = '#FF9500';
+      c.fillRect(0, 0, CARD_WIDTH, 6);
+
+      c.textAlign = 'left';
+      c.textBaseline = 'alphabetic';
+      c.fillStyle = '#FF9500';
+      c.font = '700 28px Inter, sans-serif';
+      c.fillText('Badminton Smash Calculator', 40, 64);
+      c.fillStyle = '#808080';
+      c.font = '500 18px Inter, sans-serif';
+      c.fillText(SmashI18n.formatDate(new Date()), 40, 96);
+
+      c.fillStyle = '#D4D4D2';
+      c.font = '800 96px Inter, sans-serif';
+      c.fillText(fmt(SmashI18n.toDisplaySpeed(calc.v0), 1), 40, 230);
+      c.fillStyle = '#FFB340';
+      c.font = '600 30px Inter, sans-serif';
+      c.fillText(SmashI18n.speedUnit(), 40, 272);
+      // The secondary line carries whichever of km/h and mph isn't the headline
+      const otherSpeed = SmashI18n.getUnits() === 'imperial'
+        ? `${fmt(SmashPhysics.toKmh(calc.v0), 1)} km/h`
+        : `${fmt(SmashPhysics.toMph(calc.v0), 1)} mph`;
+      c.fillStyle = '#B0B0AE';
+      c.font = '600 26px Inter, sans-serif';
+      c.fillText(`${fmt(calc.v0, 2)} m/s  ·  ${otherSpeed}`, 40, 322);
+
+      const rows = [
+        [translate('card.time'), `${fmt(calc.t, 3)} s`],
+        [translate('card.distance'), SmashI18n.formatLength(calc.x)],
+        [translate('card.angle'), `${fmt(calc.theta, 1)}°`],
+        [translate('card.drag'), `${fmt(calc.kx, 4)} m⁻¹`],
+        [translate('card.model'), translate(calc.model === 'simulation' ? 'results.simulation' : 'results.closedForm')]
+      ];
+      rows.forEach(([label, value], i) => {
+        const y = 390 + i * 44;
+        c.fillStyle = '#808080';
+        c.font = '500 20px Inter, sans-serif';
+        c.fillText(label, 40, y);
+        c.fillStyle = '#D4D4D2';
+        c.font = '600 20px Inter, sans-serif';
+        c.fillText(value, 220, y);
+      });
+
+      c.fillStyle = '#2A2A2A';
+      c.fillRect(FRAME_BOX.x, FRAME_BOX.y, FRAME_BOX.width, FRAME_BOX.height);
+      if (frame) {
+        c.drawImage(frame.image, FRAME_BOX.x, FRAME_BOX.y, FRAME_BOX.width, FRAME_BOX.height);
+        c.fillStyle = '#FFB340';
+        c.font = '700 24px Inter, sans-serif';
+        c.fillText(translate('card.measuredAngle', { angle: fmt(frame.angle, 1) }), FRAME_BOX.x, FRAME_BOX.y + FRAME_BOX.height + 44);
+      } else {
+        c.fillStyle = '#808080';
+        c.font = '500 20px Inter, sans-serif';
+        c.textAlign = 'center';
+        c.fillText(translate('card.noFrame'), FRAME_BOX.x + FRAME_BOX.width / 2, FRAME_BOX.y + FRAME_BOX.height / 2);
+      }
+      c.strokeStyle = '#3A3A3A';
+      c.lineWidth = 2;
+      c.strokeRect(FRAME_BOX.x, FRAME_BOX.y, FRAME_BOX.width, FRAME_BOX.height);
+
+      return card;
+    }
+
+    function downloadBlob(blob, filename) {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    el.btnExportImage.addEventListener('click', async () => {
+      if (!lastCalculation) return;
+      if (document.fonts) await document.fonts.ready;
+
+      const frame = angleTool ? angleTool.snapshot() : null;
+      const card = renderResultImage(lastCalculation, frame);
+      card.toBlob(blob => {
+        if (blob) downloadBlob(blob, `smash-${new Date().toISOString().slice(0, 10)}.png`);
+      }, 'image/png');
+    });
+
+    function showClipStatus(text) {
+      el.clipStatus.textContent = text;
+      el.clipStatus.classList.remove('hidden');
+    }
+
+    el.btnExportClip.addEventListener('click', async () => {
+      if (!lastCalculation) return;
+      const videoPlayer = document.getElementById('videoPlayer');
+      if (!videoPlayer || !videoPlayer.src || startTime === null || endTime === null) {
+        showClipStatus(translate('clip.markFirst'));
+        return;
+      }
+
+      const slowdown = Number(el.clipSlowdown.value);
+      const overlay = angleTool ? angleTool.overlay() : null;
+      if (document.fonts) await document.fonts.ready;
+
+      el.btnExportClip.disabled = true;
+      showClipStatus(translate('clip.recording'));
+      const result = await SmashClipExport.record({
+        src: videoPlayer.src,
+        from: Math.min(startTime, endTime),
+        to: Math.max(startTime, endTime),
+        slowdown,
+        realTimeScale: realTimeScale(),
+        overlay: overlay && overlay.image,
+        speedText: SmashI18n.formatSpeed(lastCalculation.v0),
+        angleText: `θ ${fmt(lastCalculation.theta, 1)}°`,
+        onProgress: fraction => showClipStatus(translate('clip.progress', { percent: Math.round(fraction * 100) }))
+      });
+      el.btnExportClip.disabled = false;
+
+      if (result.error) {
+        showClipStatus(result.error);
+        return;
+      }
+      downloadBlob(result.blob, `smash-${new Date().toISOString().slice(0, 10)}.webm`);
+      showClipStatus(translate('clip.done', { size: fmt(result.blob.size / 1e6, 1) }));
+    });
+
+    if (!SmashClipExport.isSupported()) {
+      el.btnExportClip.disabled = true;
+      el.btnExportClip.title = translate('clip.unsupported');
+    }
+
     // initial state
+    restoreInputs();
+    updateKxPanel();
     hideResults();
     hideError();
 
@@ -234,16 +983,230 @@ document.addEventListener('DOMContentLoaded', () => {
     window._debug_calc = (x,t,theta,kx) => calculateV0(x,t,theta,kx);
 
     // ===== VIDEO ANALYSIS FUNCTIONALITY =====
-    initVideoAnalysis();
+    // ===== SMASH SEGMENTS =====
+    let segmentCounter = 0;
+    const video = initVideoAnalysis();
+
+    function persistSegments() {
+      SmashWorkspace.set('segments', { counter: segmentCounter, list: segments });
+      SmashWorkspace.set('inputUnits', SmashI18n.getUnits());
+    }
+
+    function updateSegmentStatus(message) {
+      el.segmentStatus.textContent = message ||
+        translate(segments.length === 1 ? 'segments.statusOne' : 'segments.statusMany', { count: segments.length });
+    }
+
+    function batchResultText(seg) {
+      if (!seg.result) return '—';
+      if (seg.result.error) return translate('segments.error');
+      return SmashI18n.formatSpeed(seg.result.v0);
+    }
+
+    // Best row and the average across every segment with a speed
+    function updateBatchSummary() {
+      const solved = segments.filter(seg => seg.result && !seg.result.error);
+      const best = solved.reduce((a, b) => (!a || b.result.v0 > a.result.v0 ? b : a), null);
+
+      Array.from(el.batchRows.children).forEach((row, i) => {
+        row.classList.toggle('batch-best', segments[i] === best);
+      });
+
+      el.batchSummary.innerHTML = '';
+      if (solved.length > 1) {
+        const average = solved.reduce((sum, seg) => sum + seg.result.v0, 0) / solved.length;
+        const row = el.batchSummary.insertRow();
+        row.className = 'batch-average';
+        const label = row.insertCell();
+        label.colSpan = 4;
+        label.textContent = translate('segments.average', { count: solved.length });
+        const value = row.insertCell();
+        value.className = 'speed-cell';
+        value.textContent = SmashI18n.formatSpeed(average);
+        row.insertCell();
+      }
+
+      el.batchNote.textContent = best
+        ? translate('segments.best', { name: best.name, speed: SmashI18n.formatSpeed(best.result.v0) })
+        : '';
+    }
+
+    function renderBatch() {
+      el.batchCard.classList.toggle('hidden', segments.length === 0);
+      el.batchRows.innerHTML = '';
+
+      segments.forEach((seg, i) => {
+        const row = el.batchRows.insertRow();
+
+        const speedCell = document.createElement('td');
+        speedCell.className = 'speed-cell';
+        speedCell.textContent = batchResultText(seg);
+        if (seg.result && seg.result.error) speedCell.title = seg.result.error;
+
+        // Editing a value invalidates that segment's speed until the next Calculate All
+        const editable = (field, type, step) => {
+          const cell = row.insertCell();
+          const input = document.createElement('input');
+          input.type = type;
+          if (step) input.step = step;
+          input.className = 'calc-input batch-input';
+          input.value = seg[field];
+          input.addEventListener('input', () => {
+            seg[field] = input.value;
+            seg.result = null;
+            speedCell.textContent = '—';
+            speedCell.title = '';
+            updateBatchSummary();
+            persistSegments();
+          });
+          return cell;
+        };
+
+        editable('name', 'text');
+
+        const timeCell = row.insertCell();
+        const timeBtn = document.createElement('button');
+        timeBtn.className = 'batch-time-btn';
+        timeBtn.textContent = fmt(seg.t, 3);
+        timeBtn.title = translate('segments.showInVideo');
+        timeBtn.addEventListener('click', () => {
+          if (video) video.selectRange(seg.start, seg.end);
+        });
+        timeCell.appendChild(timeBtn);
+
+        editable('theta', 'number', '0.1');
+        editable('x', 'text').querySelector('input').inputMode = 'decimal';
+        row.appendChild(speedCell);
+
+        const actions = row.insertCell();
+        actions.className = 'batch-actions';
+        if (seg.result && !seg.result.error) {
+          const saveBtn = document.createElement('button');
+          saveBtn.className = 'batch-action-btn';
+          saveBtn.textContent = translate('segments.save');
+          saveBtn.addEventListener('click', () => saveAndRefresh(measurementRecord(
+            { v0: seg.result.v0, ...seg.result.calc },
+            { start: seg.start, end: seg.end, ...readSaveAnnotations() }
+          ), saveBtn));
+          actions.appendChild(saveBtn);
+        }
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'batch-action-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = translate('segments.remove');
+        removeBtn.setAttribute('aria-label', translate('segments.removeNamed', { name: seg.name }));
+        removeBtn.addEventListener('click', () => {
+          segments.splice(i, 1);
+          renderBatch();
+          updateSegmentStatus();
+        });
+        actions.appendChild(removeBtn);
+      });
+
+      updateBatchSummary();
+      persistSegments();
+    }
+
+    el.btnAddSegment.addEventListener('click', () => {
+      const t = Math.abs(endTime - startTime) * realTimeScale();
+      if (startTime === null || endTime === null || !(t > 0)) {
+        updateSegmentStatus(translate('segments.markFirst'));
+        return;
+      }
+
+      segmentCounter += 1;
+      segments.push({
+        name: el.segmentName.value.trim() || translate('segments.defaultName', { n: segmentCounter }),
+        start: Math.min(startTime, endTime),
+        end: Math.max(startTime, endTime),
+        t,
+        theta: el.angle.value,
+        x: el.distance.value,
+        result: null
+      });
+      el.segmentName.value = '';
+      el.segmentName.placeholder = translate('segments.defaultName', { n: segmentCounter + 1 });
+      renderBatch();
+      updateSegmentStatus();
+    });
+
+    // One pass over every segment with the calculator's current kₓ and model
+    el.btnCalcAll.addEventListener('click', () => {
+      hideError();
+      const kxChoice = readKx();
+      if (kxChoice.error) {
+        showError(kxChoice.error);
+        return;
+      }
+      const model = el.modelSelect.value;
+      const contactHeight = SmashI18n.parseLength(el.contactHeight.value);
+      const solve = model === 'simulation' ? simulatedSolver(contactHeight) : calculateV0;
+
+      segments.forEach(seg => {
+        const x = SmashI18n.parseLength(seg.x);
+        const theta = Number(seg.theta);
+        const inputError = String(seg.x).trim() === '' || String(seg.theta).trim() === ''
+          ? translate('segments.missingInputs')
+          : measurementError(x, seg.t, theta);
+        seg.result = inputError ? { error: inputError } : solve(x, seg.t, theta, kxChoice.kx);
+        if (seg.result.error) return;
+
+        const blocking = checkPlausibility({ x, t: seg.t, theta, v0: seg.result.v0, contactHeight })
+          .filter(f => f.severity === 'block');
+        if (blocking.length) {
+          seg.result = { error: blocking.map(f => f.message).join(' ') };
+          return;
+        }
+        // Kept for the saved record: the kₓ and model are the calculator's at this moment
+        seg.result.calc = { x, t: seg.t, theta, kx: kxChoice.kx, model, contactHeight };
+      });
+
+      renderBatch();
+      console.log('Batch results:', segments.map(seg => ({ name: seg.name, result: seg.result })));
+    });
+
+    const savedSegments = SmashWorkspace.get('segments');
+    if (savedSegments && Array.isArray(savedSegments.list) && savedSegments.list.length) {
+      segments.push(...savedSegments.list);
+      segments.forEach(seg => { seg.x = SmashI18n.convertLengthInput(String(seg.x), savedUnits); });
+      segmentCounter = savedSegments.counter || segments.length;
+      renderBatch();
+      updateSegmentStatus();
+    }
+    el.segmentName.placeholder = translate('segments.defaultName', { n: segmentCounter + 1 });
+    el.distance.placeholder = translate('calc.example', { value: SmashI18n.lengthInputValue(9.5) });
+
+    // ===== LANGUAGE & UNITS =====
+    // Typed lengths are re-expressed in the new units; everything on screen is redrawn
+    document.addEventListener('localechange', e => {
+      const { previousUnits } = e.detail;
+      if (previousUnits !== SmashI18n.getUnits()) {
+        LENGTH_INPUTS.forEach(node => { node.value = SmashI18n.convertLengthInput(node.value, previousUnits); });
+        segments.forEach(seg => { seg.x = SmashI18n.convertLengthInput(String(seg.x), previousUnits); });
+        persistInputs();
+      }
+      el.segmentName.placeholder = translate('segments.defaultName', { n: segmentCounter + 1 });
+      el.distance.placeholder = translate('calc.example', { value: SmashI18n.lengthInputValue(9.5) });
+      updateKxPanel();
+      if (segments.length) {
+        renderBatch();
+        updateSegmentStatus();
+      }
+      if (lastCalculation && !el.resultCard.classList.contains('hidden')) el.btnCalc.click();
+    });
+
+    // A share link wins over the saved inputs
+    const shared = SmashWorkspace.readShared();
+    if (shared) applySharedCalculation(shared);
 
   } catch (err) {
     console.error('Fatal init error in app.js:', err);
     const box = document.getElementById('error');
     if (box) {
       box.classList.remove('hidden');
-      box.textContent = 'Fatal initialization error — check console.';
+      box.textContent = translate('error.fatalInit');
     } else {
-      alert('Fatal initialization error — check console.');
+      alert(translate('error.fatalInit'));
     }
   }
 });
@@ -265,10 +1228,11 @@ function initVideoAnalysis() {
 
   if (!videoUpload || !videoContainer || !videoPlayer) {
     console.log('Video analysis elements not found - skipping video functionality');
-    return;
+    return null;
   }
 
   let videoDuration = 0;
+  let videoFile = null;
 
   // Format time as M:SS.mmm
   function formatTime(seconds) {
@@ -304,86 +1268,265 @@ function initVideoAnalysis() {
     startTimeDisplay.textContent = formatTime(startTime);
     endTimeDisplay.textContent = formatTime(endTime);
 
-    const diff = Math.abs(endTime - startTime);
-    timeDiffValue.textContent = diff.toFixed(3) + 's';
+    const diff = Math.abs(endTime - startTime) * realTimeScale();
+    timeDiffValue.textContent = `${fmt(diff, 3)} s`;
 
     updateSliderRange();
+    persistVideoState();
   }
 
-  // Handle video file upload
-  videoUpload.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (file && file.type.startsWith('video/')) {
-      const url = URL.createObjectURL(file);
-      videoPlayer.src = url;
-
-      videoPlayer.addEventListener('loadedmetadata', () => {
-        videoDuration = videoPlayer.duration;
-        videoContainer.classList.remove('hidden');
-        // Hide the upload box after video is uploaded
-        if (videoUploadArea) {
-          videoUploadArea.classList.add('hidden');
-        }
-
-        // Initialize sliders
-        startSlider.value = 0;
-        endSlider.value = 100;
+  // Slider range (in seconds) and frame rates, restored with the stored clip
+  function persistVideoState() {
+    if (!(videoDuration > 0)) return;
+    SmashWorkspace.set('video', {
+      start: startTime,
+      end: endTime,
+      fileFps: videoTiming.fileFps,
+      captureFps: videoTiming.captureFps,
+      detected: videoTiming.detected
+    });
+  }
 
-        updateTimeDisplays();
-        console.log('Video loaded:', file.name, 'Duration:', videoDuration);
+  // Frame rate and slow-motion controls
+  const inputFileFps = document.getElementById('inputFileFps');
+  const inputCaptureFps = document.getElementById('inputCaptureFps');
+  const btnDetectFps = document.getElementById('btnDetectFps');
+  const frameRateStatus = document.getElementById('frameRateStatus');
+
+  function renderFrameRateStatus(message) {
+    if (!frameRateStatus) return;
+    let text = message ||
+      translate(videoTiming.detected ? 'video.fpsDetected' : 'video.fpsAssumed', { fps: videoTiming.fileFps });
+    if (videoTiming.captureFps) {
+      text += ' · ' + translate('video.fpsCaptured', {
+        fps: videoTiming.captureFps,
+        scale: realTimeScale().toFixed(4)
       });
     }
-  });
-
-  // Handle close video button
-  if (closeVideoBtn) {
-    closeVideoBtn.addEventListener('click', () => {
-      // Hide video container
-      videoContainer.classList.add('hidden');
-      // Show upload area again
-      if (videoUploadArea) {
-        videoUploadArea.classList.remove('hidden');
-      }
-      // Reset video
-      videoPlayer.src = '';
-      videoUpload.value = '';
-      videoDuration = 0;
-      console.log('Video closed, ready for new upload');
-    });
+    frameRateStatus.textContent = text;
   }
 
-  // Slider event listeners
-  startSlider.addEventListener('input', () => {
-    // Ensure start doesn't go past end
-    if (parseFloat(startSlider.value) > parseFloat(endSlider.value)) {
-      endSlider.value = startSlider.value;
+  function renderTolTimeHelp() {
+    const tolTimeHelp = document.getElementById('tolTimeHelp');
+    if (tolTimeHelp) {
+      tolTimeHelp.textContent = translate('tolerance.timeHelp', { fps: videoTiming.captureFps || videoTiming.fileFps });
     }
-    updateTimeDisplays();
+  }
 
-    // Seek video to start time
-    if (videoDuration > 0) {
-      videoPlayer.currentTime = startTime;
-    }
-  });
+  function updateFrameRateStatus(message) {
+    renderFrameRateStatus(message);
 
-  endSlider.addEventListener('input', () => {
-    // Ensure end doesn't go before start
-    if (parseFloat(endSlider.value) < parseFloat(startSlider.value)) {
-      startSlider.value = endSlider.value;
-    }
-    updateTimeDisplays();
+    // One real frame is the natural tolerance on a frame-picked time
+    const tolTime = document.getElementById('tolTime');
+    if (tolTime) tolTime.value = (frameDuration() * realTimeScale()).toFixed(4);
+    renderTolTimeHelp();
+    persistVideoState();
+  }
 
-    // Seek video to end time
-    if (videoDuration > 0) {
-      videoPlayer.currentTime = endTime;
-    }
-  });
+  function applyFrameRateInputs() {
+    const fileFps = Number(inputFileFps.value);
+    if (isFinite(fileFps) && fileFps > 0) videoTiming.fileFps = fileFps;
 
-  // Use calculated time in the main calculator
-  btnUseTime.addEventListener('click', () => {
-    const diff = Math.abs(endTime - startTime);
-    const timeInput = document.getElementById('inputTime');
-    if (timeInput && diff > 0) {
+    const captureFps = Number(inputCaptureFps.value);
+    videoTiming.captureFps = inputCaptureFps.value.trim() !== '' && isFinite(captureFps) && captureFps > 0
+      ? captureFps
+      : null;
+
+    updateFrameRateStatus();
+    if (videoDuration > 0) updateTimeDisplays();
+  }
+
+  async function runFrameRateDetection() {
+    updateFrameRateStatus(translate('video.fpsDetecting'));
+    const fps = await detectFrameRate(videoPlayer);
+    if (fps) {
+      videoTiming.fileFps = fps;
+      videoTiming.detected = true;
+      if (inputFileFps) inputFileFps.value = fps;
+      updateFrameRateStatus();
+    } else {
+      updateFrameRateStatus(translate('video.fpsUndetected', { fps: videoTiming.fileFps }));
+    }
+    if (videoDuration > 0) updateTimeDisplays();
+    console.log('Frame rate:', videoTiming);
+  }
+
+  if (inputFileFps && inputCaptureFps) {
+    inputFileFps.addEventListener('input', () => {
+      videoTiming.detected = false;
+      applyFrameRateInputs();
+    });
+    inputCaptureFps.addEventListener('input', applyFrameRateInputs);
+  }
+
+  if (btnDetectFps) {
+    btnDetectFps.addEventListener('click', runFrameRateDetection);
+  }
+
+  // Auto-detect contact and landing within the selected range
+  const btnAutoDetect = document.getElementById('btnAutoDetect');
+  const autoDetectStatus = document.getElementById('autoDetectStatus');
+  let autoDetectText = null; // builds the current status line, so a language switch can redraw it
+
+  function showAutoDetectStatus(text) {
+    autoDetectText = text;
+    autoDetectStatus.textContent = text();
+  }
+
+  if (btnAutoDetect && typeof SmashAutoDetect !== 'undefined') {
+    btnAutoDetect.addEventListener('click', async () => {
+      if (!(videoDuration > 0)) return;
+
+      const from = Math.min(startTime, endTime);
+      const to = Math.max(startTime, endTime);
+      btnAutoDetect.disabled = true;
+      showAutoDetectStatus(() => translate('video.analysing'));
+
+      let result;
+      try {
+        result = await SmashAutoDetect.detect({
+          src: videoPlayer.src,
+          file: videoFile,
+          from,
+          to,
+          frameDuration: frameDuration(),
+          realTimeScale: realTimeScale(),
+          onProgress: fraction => {
+            showAutoDetectStatus(() => translate('video.analysingProgress', { percent: Math.round(fraction * 100) }));
+          }
+        });
+      } catch (err) {
+        console.error('Auto-detect failed:', err);
+        result = { error: err.message, code: 'failed' };
+      } finally {
+        btnAutoDetect.disabled = false;
+      }
+
+      if (result.error) {
+        showAutoDetectStatus(() => translate(`autodetect.${result.code}`, { message: result.error }));
+        return;
+      }
+
+      startSlider.value = (result.start / videoDuration) * 100;
+      endSlider.value = (result.end / videoDuration) * 100;
+      updateTimeDisplays();
+      videoPlayer.currentTime = startTime;
+
+      showAutoDetectStatus(() => translate('video.proposed', {
+        start: formatTime(result.start),
+        contactSource: translate(`video.source.${result.contactSource}`),
+        end: formatTime(result.end),
+        landingSource: translate(`video.source.${result.landingSource}`)
+      }));
+      console.log('Auto-detect result:', result);
+    });
+  }
+
+  // Load a clip into the player; `saved` restores the previous session's range and frame rates
+  function openVideo(file, saved = null) {
+    videoFile = file;
+    const url = URL.createObjectURL(file);
+    videoPlayer.src = url;
+
+    videoPlayer.addEventListener('loadedmetadata', () => {
+      videoDuration = videoPlayer.duration;
+      videoContainer.classList.remove('hidden');
+      // Hide the upload box after video is uploaded
+      if (videoUploadArea) {
+        videoUploadArea.classList.add('hidden');
+      }
+
+      if (saved) {
+        videoTiming.fileFps = saved.fileFps || videoTiming.fileFps;
+        videoTiming.captureFps = saved.captureFps || null;
+        videoTiming.detected = !!saved.detected;
+        if (inputFileFps) inputFileFps.value = videoTiming.fileFps;
+        if (inputCaptureFps) inputCaptureFps.value = videoTiming.captureFps || '';
+        startSlider.value = Math.min(100, (saved.start || 0) / videoDuration * 100);
+        endSlider.value = Math.min(100, (saved.end || videoDuration) / videoDuration * 100);
+        updateFrameRateStatus();
+        updateTimeDisplays();
+      } else {
+        // Initialize sliders
+        startSlider.value = 0;
+        endSlider.value = 100;
+
+        updateTimeDisplays();
+        runFrameRateDetection();
+      }
+      console.log('Video loaded:', file.name, 'Duration:', videoDuration);
+    }, { once: true });
+  }
+
+  // Handle video file upload
+  videoUpload.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file && file.type.startsWith('video/')) {
+      openVideo(file);
+      SmashWorkspace.storeVideo(file);
+    }
+  });
+
+  // Reopen the clip from the previous session, if one was kept
+  SmashWorkspace.loadVideo().then(file => {
+    if (file && !videoFile) {
+      openVideo(file, SmashWorkspace.get('video'));
+      console.log('Restored video from the previous session:', file.name);
+    }
+  });
+
+  // Handle close video button
+  if (closeVideoBtn) {
+    closeVideoBtn.addEventListener('click', () => {
+      // Hide video container
+      videoContainer.classList.add('hidden');
+      // Show upload area again
+      if (videoUploadArea) {
+        videoUploadArea.classList.remove('hidden');
+      }
+      // Reset video
+      videoPlayer.src = '';
+      videoUpload.value = '';
+      videoDuration = 0;
+      videoFile = null;
+      SmashWorkspace.set('video', null);
+      SmashWorkspace.clearVideo();
+      console.log('Video closed, ready for new upload');
+    });
+  }
+
+  // Slider event listeners
+  startSlider.addEventListener('input', () => {
+    // Ensure start doesn't go past end
+    if (parseFloat(startSlider.value) > parseFloat(endSlider.value)) {
+      endSlider.value = startSlider.value;
+    }
+    updateTimeDisplays();
+
+    // Seek video to start time
+    if (videoDuration > 0) {
+      videoPlayer.currentTime = startTime;
+    }
+  });
+
+  endSlider.addEventListener('input', () => {
+    // Ensure end doesn't go before start
+    if (parseFloat(endSlider.value) < parseFloat(startSlider.value)) {
+      startSlider.value = endSlider.value;
+    }
+    updateTimeDisplays();
+
+    // Seek video to end time
+    if (videoDuration > 0) {
+      videoPlayer.currentTime = endTime;
+    }
+  });
+
+  // Use calculated time in the main calculator
+  btnUseTime.addEventListener('click', () => {
+    const diff = Math.abs(endTime - startTime) * realTimeScale();
+    const timeInput = document.getElementById('inputTime');
+    if (timeInput && diff > 0) {
       timeInput.value = diff.toFixed(3);
 
       // Highlight the time input briefly
@@ -406,12 +1549,10 @@ function initVideoAnalysis() {
   });
 
   // Keyboard frame navigation for time tool (moves sliders frame-by-frame)
-  const frameRate = 30; // Assume 30fps, adjust based on video if needed
-
   document.addEventListener('keydown', (e) => {
     // Only work if video is loaded and not hidden
     if (!videoContainer.classList.contains('hidden') && videoDuration > 0) {
-      const frameTime = 1 / frameRate; // Time per frame in seconds
+      const frameTime = frameDuration(); // Time per frame in seconds
       const framePercent = (frameTime / videoDuration) * 100; // Convert to percentage
 
       // Check which slider is focused
@@ -440,7 +1581,31 @@ function initVideoAnalysis() {
     }
   });
 
+  // Put the sliders back on a saved range (used by the segment table)
+  function selectRange(start, end) {
+    if (!(videoDuration > 0)) return;
+    startSlider.value = Math.min(100, start / videoDuration * 100);
+    endSlider.value = Math.min(100, end / videoDuration * 100);
+    updateTimeDisplays();
+    videoPlayer.currentTime = startTime;
+    videoContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // The loaded clip, for saving alongside a record
+  function info() {
+    return videoFile ? { name: videoFile.name, duration: videoDuration } : null;
+  }
+
+  // Status lines are built from the current state; redraw them in the new language
+  renderTolTimeHelp();
+  document.addEventListener('localechange', () => {
+    renderTolTimeHelp();
+    if (videoDuration > 0) renderFrameRateStatus();
+    if (autoDetectText) autoDetectStatus.textContent = autoDetectText();
+  });
+
   console.log('Video analysis with dual slider initialized');
+  return { selectRange, info };
 }
 
 // Angle Measurement Tool
@@ -455,7 +1620,7 @@ function initAngleTool() {
 
   if (!canvas || !angleValue || !btnUseAngle) {
     console.log('Angle tool elements not found - skipping angle tool functionality');
-    return;
+    return null;
   }
 
   const ctx = canvas.getContext('2d');
@@ -469,6 +1634,47 @@ function initAngleTool() {
   let isFlipped = false;
   let frozenFrame = null;
 
+  // Handles and flip state from the previous session
+  const savedTool = SmashWorkspace.get('angleTool');
+  if (savedTool && savedTool.baseLineStart && savedTool.baseLineEnd && savedTool.angleLineEnd) {
+    ({ baseLineStart, baseLineEnd, angleLineEnd } = savedTool);
+    isFlipped = !!savedTool.isFlipped;
+  }
+
+  // Zoom/pan of the frozen frame: screen = frame · scale + offset (canvas pixels)
+  const view = { scale: 1, offsetX: 0, offsetY: 0 };
+  const MAX_ZOOM = 8;
+  const LOUPE_SIZE = 120;
+  const LOUPE_ZOOM = 4;
+
+  let selectedHandle = null;  // 'baseStart' | 'baseEnd' | 'angleEnd' — target of keyboard nudges
+  let nudging = false;        // keyboard nudge in progress (shows the loupe like a drag)
+  let loupeSource = null;     // frame the loupe magnifies while the video is still playing
+
+  // Click modes on the canvas take priority over dragging the A/B/C handles
+  let canvasMode = null; // 'scale' | 'distance' | 'track' | 'perspective' | null
+
+  // Pixel-to-metre calibration and distance measurement (canvas pixel coordinates)
+  const calibration = {
+    scalePoints: [],
+    pxPerMetre: null,
+    distancePoints: [], // contact, landing
+    distance: null
+  };
+
+  // Four clicked court corners and the correction built from them (see geometry.js)
+  const perspective = {
+    points: [],
+    correction: null,
+    warnings: { calibration: [], distance: [], angle: [] }
+  };
+
+  // Multi-point tracking state (canvas pixel coordinates)
+  const track = {
+    points: [], // { t, px, py }
+    fit: null
+  };
+
   // Sync video with main video player and use start time
   function syncVideoWithMain() {
     const mainVideoPlayer = document.getElementById('videoPlayer');
@@ -485,12 +1691,11 @@ function initAngleTool() {
     }
   }
 
-  // Listen for video uploads on main player
-  const mainVideoUpload = document.getElementById('videoUpload');
-  if (mainVideoUpload) {
-    mainVideoUpload.addEventListener('change', () => {
-      setTimeout(syncVideoWithMain, 500);
-    });
+  // Follow the main player whenever it loads a clip (uploaded or restored from the last session)
+  const mainVideoPlayer = document.getElementById('videoPlayer');
+  if (mainVideoPlayer) {
+    // Deferred so the time tool has restored its start time first
+    mainVideoPlayer.addEventListener('loadedmetadata', () => setTimeout(syncVideoWithMain, 0));
   }
 
   // Listen for "Use This Time" button to sync the start time
@@ -509,10 +1714,10 @@ function initAngleTool() {
   // Frame navigation
   const btnPrevFrame = document.getElementById('btnPrevFrame');
   const btnNextFrame = document.getElementById('btnNextFrame');
-  const frameRate = 30; // Assume 30fps, adjust based on video if needed
 
-  function captureFrame() {
-    if (!angleVideoPlayer) return;
+  // Draw the current video frame into an offscreen canvas, letterboxed to the tool canvas
+  function renderVideoFrame() {
+    if (!angleVideoPlayer || !angleVideoPlayer.videoWidth) return null;
 
     const tempCanvas = document.createElement('canvas');
     tempCanvas.width = canvas.width;
@@ -537,7 +1742,13 @@ function initAngleTool() {
     }
 
     tempCtx.drawImage(angleVideoPlayer, offsetX, offsetY, drawWidth, drawHeight);
-    frozenFrame = tempCanvas;
+    return tempCanvas;
+  }
+
+  function captureFrame() {
+    const frame = renderVideoFrame();
+    if (!frame) return;
+    frozenFrame = frame;
     draw();
   }
 
@@ -558,27 +1769,25 @@ function initAngleTool() {
     });
   }
 
+  function stepFrame(direction) {
+    if (!angleVideoPlayer) return;
+    const target = angleVideoPlayer.currentTime + direction * frameDuration();
+    angleVideoPlayer.currentTime = Math.min(angleVideoPlayer.duration, Math.max(0, target));
+    setTimeout(captureFrame, 50);
+  }
+
   if (btnPrevFrame) {
-    btnPrevFrame.addEventListener('click', () => {
-      if (angleVideoPlayer) {
-        angleVideoPlayer.currentTime = Math.max(0, angleVideoPlayer.currentTime - (1/frameRate));
-        setTimeout(captureFrame, 50);
-      }
-    });
+    btnPrevFrame.addEventListener('click', () => stepFrame(-1));
   }
 
   if (btnNextFrame) {
-    btnNextFrame.addEventListener('click', () => {
-      if (angleVideoPlayer) {
-        angleVideoPlayer.currentTime = Math.min(angleVideoPlayer.duration, angleVideoPlayer.currentTime + (1/frameRate));
-        setTimeout(captureFrame, 50);
-      }
-    });
+    btnNextFrame.addEventListener('click', () => stepFrame(1));
   }
 
   if (btnUnfreezeVideo) {
     btnUnfreezeVideo.addEventListener('click', () => {
       frozenFrame = null;
+      resetView();
       if (angleVideoPlayer) angleVideoPlayer.play();
 
       btnUnfreezeVideo.classList.add('hidden');
@@ -652,8 +1861,10 @@ function initAngleTool() {
 
   // Draw the angle measurement tool
   function draw() {
-    // Clear canvas
+    // Clear canvas, then draw everything in frame coordinates through the zoom/pan transform
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
 
     // Draw frozen frame if available
     if (frozenFrame) {
@@ -758,13 +1969,597 @@ function initAngleTool() {
     drawPoint({ x: baseLineEnd.x, y: baseLineStart.y }, '#FF9500', 'B');
     drawPoint(angleLineEnd, '#FFB340', 'C');
 
+    if (selectedHandle) {
+      const p = handlePosition(selectedHandle);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 16, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    drawPerspective();
+    drawCalibration();
+    drawTrack();
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    drawLoupe();
+
     // Update angle display
-    currentAngle = calculateAngle();
-    angleValue.textContent = currentAngle.toFixed(1) + '°';
+    currentAngle = correctAngle(calculateAngle());
+    angleValue.textContent = `${fmt(currentAngle, 1)}°`;
+
+    SmashWorkspace.set('angleTool', { baseLineStart, baseLineEnd, angleLineEnd, isFlipped });
+  }
+
+  // ===== CALIBRATION & DISTANCE =====
+  const calibPreset = document.getElementById('calibPreset');
+  const calibRefLength = document.getElementById('calibRefLength');
+  const btnCalibScale = document.getElementById('btnCalibScale');
+  const btnMeasureDistance = document.getElementById('btnMeasureDistance');
+  const calibStatus = document.getElementById('calibStatus');
+  const calibDistanceValue = document.getElementById('calibDistanceValue');
+  const btnUseCalibDistance = document.getElementById('btnUseCalibDistance');
+
+  function scaleText() {
+    if (perspective.correction) return translate('calib.onFloor');
+    if (!calibration.pxPerMetre) return translate('calib.noScale');
+    // Pixels per metre or per foot, whichever unit the lengths are shown in
+    const perUnit = calibration.pxPerMetre / SmashI18n.toDisplayLength(1);
+    return translate('calib.scale', { value: `${fmt(perUnit, 1)} px/${SmashI18n.lengthUnit()}` });
+  }
+
+  // Preset names carry their length in the chosen units
+  function renderCalibPresets() {
+    if (!calibPreset) return;
+    calibPreset.querySelectorAll('option[data-preset]').forEach(option => {
+      option.textContent = translate(option.dataset.preset, { length: SmashI18n.formatLength(Number(option.value)) });
+    });
+  }
+
+  function updateCalibrationStatus(message) {
+    if (!calibStatus) return;
+    const hint = message ||
+      (canvasMode === 'scale' ? translate('calib.clickScale', { n: calibration.scalePoints.length + 1 }) :
+       canvasMode === 'distance' ? distanceHint() : '');
+    calibStatus.textContent = `${scaleText()}${hint ? ' — ' + hint : ''}`;
+    if (btnCalibScale) btnCalibScale.classList.toggle('active', canvasMode === 'scale');
+    if (btnMeasureDistance) btnMeasureDistance.classList.toggle('active', canvasMode === 'distance');
+    if (calibDistanceValue) {
+      calibDistanceValue.textContent = calibration.distance !== null ? SmashI18n.formatLength(calibration.distance) : '—';
+    }
+  }
+
+  function distanceHint() {
+    if (calibration.distancePoints.length > 0) return translate('calib.clickLanding');
+    return translate(perspective.correction ? 'calib.clickFloorContact' : 'calib.clickContact');
+  }
+
+  function handleCalibrationClick(mouse) {
+    if (canvasMode === 'scale') {
+      calibration.scalePoints.push(mouse);
+      if (calibration.scalePoints.length === 2) {
+        const [a, b] = calibration.scalePoints;
+        const refLength = calibRefLength ? SmashI18n.parseLength(calibRefLength.value) : NaN;
+        const px = Math.hypot(b.x - a.x, b.y - a.y);
+        canvasMode = null;
+        if (!(refLength > 0) || px < 5) {
+          calibration.scalePoints = [];
+          updateCalibrationStatus(translate('calib.scaleNotSet'));
+          draw();
+          return;
+        }
+        calibration.pxPerMetre = px / refLength;
+        calibration.distance = null;
+        calibration.distancePoints = [];
+        track.fit = null;
+      }
+    } else if (canvasMode === 'distance') {
+      calibration.distancePoints.push(mouse);
+      if (calibration.distancePoints.length === 2) {
+        // Horizontal separation only: x in the model is the horizontal distance travelled
+        const [contact, landing] = calibration.distancePoints;
+        if (perspective.correction) {
+          const measured = CourtGeometry.floorDistance(perspective.correction, contact, landing);
+          calibration.distance = measured.distance;
+          perspective.warnings.distance = measured.warnings;
+          updatePerspectiveWarning();
+        } else {
+          calibration.distance = Math.abs(landing.x - contact.x) / calibration.pxPerMetre;
+        }
+        canvasMode = null;
+        console.log('Measured distance:', calibration.distance);
+      }
+    }
+    updateCalibrationStatus();
+    updateTrackStatus();
+    draw();
   }
 
-  // Get mouse position relative to canvas
-  function getMousePos(e) {
+  function drawCalibration() {
+    const drawSegment = (points, color, labels) => {
+      if (!points.length) return;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      points.forEach((p, i) => {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 5, 0, 2 * Math.PI);
+        ctx.fill();
+        if (labels) {
+          ctx.font = 'bold 11px Inter, sans-serif';
+          ctx.textAlign = 'center';
+          ctx.fillText(labels[i], p.x, p.y - 9);
+        }
+      });
+    };
+
+    drawSegment(calibration.scalePoints, 'rgba(74, 163, 255, 0.9)');
+    drawSegment(calibration.distancePoints, 'rgba(245, 158, 11, 0.95)',
+      [translate('calib.contact'), translate('calib.landing')]);
+  }
+
+  if (calibPreset && calibRefLength) {
+    calibPreset.addEventListener('change', () => {
+      if (calibPreset.value) calibRefLength.value = SmashI18n.lengthInputValue(Number(calibPreset.value));
+    });
+    // The markup's default is in metres
+    if (calibPreset.value) calibRefLength.value = SmashI18n.lengthInputValue(Number(calibPreset.value));
+  }
+  renderCalibPresets();
+
+  if (btnCalibScale) {
+    btnCalibScale.addEventListener('click', () => {
+      canvasMode = canvasMode === 'scale' ? null : 'scale';
+      calibration.scalePoints = [];
+      updatePerspectiveStatus();
+      updateCalibrationStatus();
+      updateTrackStatus();
+      draw();
+    });
+  }
+
+  if (btnMeasureDistance) {
+    btnMeasureDistance.addEventListener('click', () => {
+      if (!calibration.pxPerMetre && !perspective.correction) {
+        updateCalibrationStatus(translate('calib.needScale'));
+        return;
+      }
+      canvasMode = canvasMode === 'distance' ? null : 'distance';
+      calibration.distancePoints = [];
+      calibration.distance = null;
+      updatePerspectiveStatus();
+      updateCalibrationStatus();
+      updateTrackStatus();
+      draw();
+    });
+  }
+
+  if (btnUseCalibDistance) {
+    btnUseCalibDistance.addEventListener('click', () => {
+      const distanceInput = document.getElementById('inputDistance');
+      if (distanceInput && calibration.distance !== null) {
+        distanceInput.value = SmashI18n.lengthInputValue(calibration.distance);
+        delete distanceInput.dataset.presetDistance;
+        delete distanceInput.dataset.presetLabel;
+
+        // Highlight the distance input briefly
+        distanceInput.style.transition = 'all 0.3s ease';
+        distanceInput.style.borderColor = 'var(--accent)';
+        distanceInput.style.boxShadow = '0 0 0 3px rgba(255, 149, 0, 0.2)';
+
+        setTimeout(() => {
+          distanceInput.style.borderColor = '';
+          distanceInput.style.boxShadow = '';
+        }, 1500);
+
+        console.log('Distance value transferred to calculator:', distanceInput.value);
+      }
+    });
+  }
+
+  // ===== PERSPECTIVE CORRECTION =====
+  const perspectiveReference = document.getElementById('perspectiveReference');
+  const btnPerspective = document.getElementById('btnPerspective');
+  const btnPerspectiveClear = document.getElementById('btnPerspectiveClear');
+  const perspectiveStatus = document.getElementById('perspectiveStatus');
+  const perspectiveWarning = document.getElementById('perspectiveWarning');
+  const angleCorrectionNote = document.getElementById('angleCorrectionNote');
+
+  function referencePoints() {
+    const key = perspectiveReference ? perspectiveReference.value : 'serviceBox';
+    return CourtGeometry.COURT_REFERENCES[key].points;
+  }
+
+  function updatePerspectiveStatus(message) {
+    if (!perspectiveStatus) return;
+    let text;
+    if (canvasMode === 'perspective') {
+      const next = referencePoints()[perspective.points.length];
+      text = translate('perspective.clickPoint', {
+        n: perspective.points.length + 1,
+        point: translate(`perspective.point.${next.id}`)
+      });
+    } else {
+      text = translate(perspective.correction ? 'perspective.on' : 'perspective.off');
+    }
+    perspectiveStatus.textContent = message ? `${text} — ${message}` : text;
+    if (btnPerspective) btnPerspective.classList.toggle('active', canvasMode === 'perspective');
+  }
+
+  function updatePerspectiveWarning() {
+    if (!perspectiveWarning) return;
+    const { calibration: fromCalibration, distance, angle } = perspective.warnings;
+    const messages = [...fromCalibration, ...distance, ...angle]
+      .map(warning => translate(`perspective.warning.${warning.code}`, warning.params));
+    perspectiveWarning.textContent = messages.join(' ');
+    perspectiveWarning.classList.toggle('hidden', messages.length === 0);
+  }
+
+  function handlePerspectiveClick(mouse) {
+    perspective.points.push(mouse);
+    if (perspective.points.length < 4) {
+      updatePerspectiveStatus();
+      draw();
+      return;
+    }
+
+    canvasMode = null;
+    const result = CourtGeometry.calibrate(
+      perspectiveReference ? perspectiveReference.value : 'serviceBox',
+      perspective.points,
+      { width: canvas.width, height: canvas.height }
+    );
+    if (result.error) {
+      perspective.points = [];
+      perspective.correction = null;
+      updatePerspectiveStatus(translate(`perspective.error.${result.code}`));
+    } else {
+      perspective.correction = result;
+      perspective.warnings.calibration = result.warnings;
+      updatePerspectiveStatus();
+      console.log('Perspective correction set:', result);
+    }
+
+    // Earlier distance clicks were measured under the old geometry
+    calibration.distancePoints = [];
+    calibration.distance = null;
+    perspective.warnings.distance = [];
+    updatePerspectiveWarning();
+    updateCalibrationStatus();
+    draw();
+  }
+
+  // Corrected angle when the camera pose is known, otherwise the on-screen angle unchanged
+  function correctAngle(rawAngle) {
+    const correction = perspective.correction;
+    if (!correction || !correction.camera) {
+      if (angleCorrectionNote) angleCorrectionNote.classList.add('hidden');
+      if (perspective.warnings.angle.length) {
+        perspective.warnings.angle = [];
+        updatePerspectiveWarning();
+      }
+      return rawAngle;
+    }
+
+    const [contact, landing] = calibration.distancePoints.length === 2 ? calibration.distancePoints : [];
+    const result = CourtGeometry.planeAngle(
+      correction,
+      { x: baseLineEnd.x, y: baseLineStart.y },
+      angleLineEnd,
+      contact,
+      landing
+    );
+
+    if (angleCorrectionNote) {
+      angleCorrectionNote.classList.remove('hidden');
+      angleCorrectionNote.textContent = result.error
+        ? `${translate(`perspective.error.${result.code}`)} ${translate('angle.uncorrected')}`
+        : translate(contact ? 'angle.correctedMeasured' : 'angle.correctedCourt', { angle: `${fmt(rawAngle, 1)}°` });
+    }
+    perspective.warnings.angle = result.error ? [] : result.warnings;
+    updatePerspectiveWarning();
+    return result.error ? rawAngle : Math.max(0, Math.min(90, result.angle));
+  }
+
+  function drawPerspective() {
+    const points = perspective.points;
+    if (!points.length) return;
+    const color = 'rgba(52, 211, 153, 0.95)';
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    if (points.length === 4) ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+    points.forEach((p, i) => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 5, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.font = 'bold 11px Inter, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(String(i + 1), p.x, p.y - 9);
+    });
+  }
+
+  if (btnPerspective) {
+    btnPerspective.addEventListener('click', () => {
+      canvasMode = canvasMode === 'perspective' ? null : 'perspective';
+      perspective.points = [];
+      perspective.correction = null;
+      perspective.warnings = { calibration: [], distance: [], angle: [] };
+      updatePerspectiveWarning();
+      updatePerspectiveStatus();
+      updateCalibrationStatus();
+      updateTrackStatus();
+      draw();
+    });
+  }
+
+  if (btnPerspectiveClear) {
+    btnPerspectiveClear.addEventListener('click', () => {
+      if (canvasMode === 'perspective') canvasMode = null;
+      perspective.points = [];
+      perspective.correction = null;
+      perspective.warnings = { calibration: [], distance: [], angle: [] };
+      calibration.distancePoints = [];
+      calibration.distance = null;
+      updatePerspectiveWarning();
+      updatePerspectiveStatus();
+      updateCalibrationStatus();
+      draw();
+    });
+  }
+
+  if (perspectiveReference) {
+    perspectiveReference.addEventListener('change', () => updatePerspectiveStatus());
+  }
+
+  // ===== MULTI-POINT TRACKING =====
+  const btnTrackMode = document.getElementById('btnTrackMode');
+  const trackFitKx = document.getElementById('trackFitKx');
+  const btnTrackUndo = document.getElementById('btnTrackUndo');
+  const btnTrackClear = document.getElementById('btnTrackClear');
+  const btnTrackFit = document.getElementById('btnTrackFit');
+  const trackStatus = document.getElementById('trackStatus');
+  const trackResult = document.getElementById('trackResult');
+  const btnUseTrackAngle = document.getElementById('btnUseTrackAngle');
+  const btnUseTrackKx = document.getElementById('btnUseTrackKx');
+
+  function updateTrackStatus(message) {
+    if (!trackStatus) return;
+    const hint = message || (canvasMode === 'track' ? translate('track.clickShuttle') : '');
+    trackStatus.textContent = `${scaleText()} · ${translate('track.count', { count: track.points.length })}` +
+      (hint ? ' — ' + hint : '');
+    if (btnTrackMode) {
+      btnTrackMode.classList.toggle('active', canvasMode === 'track');
+      btnTrackMode.dataset.i18n = canvasMode === 'track' ? 'track.stop' : 'track.start';
+      btnTrackMode.textContent = translate(btnTrackMode.dataset.i18n);
+    }
+  }
+
+  // Tracked pixels → metres (y up), mirrored so the shuttle always travels towards +x
+  function trackDirection() {
+    const first = track.points[0];
+    const last = track.points[track.points.length - 1];
+    return last.px >= first.px ? 1 : -1;
+  }
+
+  function trackInMetres() {
+    const first = track.points[0];
+    const dir = trackDirection();
+    return track.points.map(p => ({
+      t: p.t * realTimeScale(),
+      x: dir * (p.px - first.px) / calibration.pxPerMetre,
+      y: (first.py - p.py) / calibration.pxPerMetre
+    }));
+  }
+
+  function handleTrackClick(mouse) {
+    if (!frozenFrame) {
+      updateTrackStatus(translate('track.freezeFirst'));
+      return;
+    }
+    track.points.push({ t: angleVideoPlayer.currentTime, px: mouse.x, py: mouse.y });
+    track.fit = null;
+    updateTrackStatus();
+    draw();
+    stepFrame(1);
+  }
+
+  function drawTrack() {
+    // Fitted path, mapped back from metres to canvas pixels
+    if (track.fit && track.points.length) {
+      const { fit, span, height } = track.fit;
+      const first = track.points[0];
+      const dir = trackDirection();
+      const path = SmashPhysics.simulateTrajectory(fit.v0, fit.thetaDegrees, fit.kx, {
+        contactHeight: height,
+        tMax: span,
+        sampleEvery: Math.max(span / 40, 0.001)
+      }).samples;
+      ctx.strokeStyle = 'rgba(16, 185, 129, 0.9)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      path.forEach((s, i) => {
+        const x = first.px + dir * (fit.x0 + s.x) * calibration.pxPerMetre;
+        const y = first.py - (fit.y0 + s.y - height) * calibration.pxPerMetre;
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+    }
+
+    track.points.forEach((p, i) => {
+      ctx.fillStyle = '#10b981';
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(p.px, p.py, 5, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = 'white';
+      ctx.font = 'bold 11px Inter, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(String(i + 1), p.px, p.py - 9);
+    });
+  }
+
+  function showTrackFit(fit) {
+    document.getElementById('trackOutSpeed').textContent =
+      `${SmashI18n.formatSpeed(fit.v0)}${isFinite(fit.sigmaV0) ? ' ± ' + SmashI18n.formatSpeed(fit.sigmaV0) : ''}`;
+    document.getElementById('trackOutAngle').textContent =
+      `${fmt(fit.thetaDegrees, 1)}°${isFinite(fit.sigmaTheta) ? ' ± ' + fmt(fit.sigmaTheta, 1) + '°' : ''}`;
+
+    const kxText = trackFitKx && trackFitKx.checked
+      ? translate('track.kxFitted', { kx: `${fmt(fit.kx, 4)}${isFinite(fit.sigmaKx) ? ' ± ' + fmt(fit.sigmaKx, 4) : ''} m⁻¹` })
+      : translate('track.kxFixed', { kx: `${fmt(fit.kx, 4)} m⁻¹` });
+    document.getElementById('trackOutFit').textContent = translate('track.summary', {
+      count: fit.residuals.length,
+      kx: kxText,
+      rms: SmashI18n.formatLength(fit.rms, 3)
+    });
+
+    const worst = Math.max(...fit.residuals.map(r => r.distance), 1e-9);
+    document.getElementById('trackResiduals').innerHTML = fit.residuals.map((r, i) => `
+      <li class="uncertainty-row">
+        <span>${translate('track.point', { n: i + 1 })}</span>
+        <span class="uncertainty-bar"><span class="uncertainty-bar-fill" style="width:${(r.distance / worst * 100).toFixed(1)}%"></span></span>
+        <span class="uncertainty-amount">${SmashI18n.formatLength(r.distance, 3)}</span>
+      </li>`).join('');
+
+    if (btnUseTrackKx) btnUseTrackKx.classList.toggle('hidden', !(trackFitKx && trackFitKx.checked));
+    if (trackResult) trackResult.classList.remove('hidden');
+  }
+
+  if (btnTrackMode) {
+    btnTrackMode.addEventListener('click', () => {
+      canvasMode = canvasMode === 'track' ? null : 'track';
+      updatePerspectiveStatus();
+      updateCalibrationStatus();
+      updateTrackStatus();
+    });
+  }
+
+  if (btnTrackUndo) {
+    btnTrackUndo.addEventListener('click', () => {
+      track.points.pop();
+      track.fit = null;
+      updateTrackStatus();
+      draw();
+    });
+  }
+
+  if (btnTrackClear) {
+    btnTrackClear.addEventListener('click', () => {
+      track.points = [];
+      track.fit = null;
+      if (trackResult) trackResult.classList.add('hidden');
+      updateTrackStatus();
+      draw();
+    });
+  }
+
+  if (btnTrackFit) {
+    btnTrackFit.addEventListener('click', () => {
+      if (!calibration.pxPerMetre) {
+        updateTrackStatus(translate('track.needScale'));
+        return;
+      }
+      if (track.points.length < 2) {
+        updateTrackStatus(translate('track.needPoints'));
+        return;
+      }
+
+      const fitKx = !!(trackFitKx && trackFitKx.checked);
+      const fit = SmashPhysics.fitTrack(trackInMetres(), { fitKx });
+      if (fit.error) {
+        updateTrackStatus(translate(`track.error.${fit.code}`, fit.params));
+        if (trackResult) trackResult.classList.add('hidden');
+        return;
+      }
+
+      const times = track.points.map(p => p.t);
+      // Launch the drawn path well above the floor so simulateTrajectory never stops early
+      track.fit = { fit, span: Math.max(...times) - Math.min(...times), height: 100 };
+      canvasMode = null;
+      updateTrackStatus();
+      showTrackFit(fit);
+      draw();
+      console.log('Track fit:', fit);
+    });
+  }
+
+  if (btnUseTrackAngle) {
+    btnUseTrackAngle.addEventListener('click', () => {
+      const angleInput = document.getElementById('inputAngle');
+      if (angleInput && track.fit) {
+        angleInput.value = Math.max(0, track.fit.fit.thetaDegrees).toFixed(1);
+
+        // Highlight the angle input briefly
+        angleInput.style.transition = 'all 0.3s ease';
+        angleInput.style.borderColor = 'var(--accent)';
+        angleInput.style.boxShadow = '0 0 0 3px rgba(255, 149, 0, 0.2)';
+
+        setTimeout(() => {
+          angleInput.style.borderColor = '';
+          angleInput.style.boxShadow = '';
+        }, 1500);
+
+        console.log('Fitted angle transferred to calculator:', angleInput.value);
+      }
+    });
+  }
+
+  if (btnUseTrackKx) {
+    btnUseTrackKx.addEventListener('click', () => {
+      const kxPreset = document.getElementById('kxPreset');
+      const kxCustom = document.getElementById('kxCustom');
+      if (kxPreset && kxCustom && track.fit) {
+        kxPreset.value = 'custom';
+        kxCustom.value = track.fit.fit.kx.toFixed(4);
+        kxPreset.dispatchEvent(new Event('input'));
+        console.log('Fitted kx transferred to calculator:', kxCustom.value);
+      }
+    });
+  }
+
+  updatePerspectiveStatus();
+  updateCalibrationStatus();
+  updateTrackStatus();
+
+  // Statuses, warnings, canvas labels and the fit summary are built in the current language
+  // and units; a typed reference length is re-expressed in the new units
+  document.addEventListener('localechange', e => {
+    const { previousUnits } = e.detail;
+    if (calibRefLength && previousUnits !== SmashI18n.getUnits()) {
+      calibRefLength.value = SmashI18n.convertLengthInput(calibRefLength.value, previousUnits);
+    }
+    renderCalibPresets();
+    updatePerspectiveStatus();
+    updatePerspectiveWarning();
+    updateCalibrationStatus();
+    updateTrackStatus();
+    if (track.fit) showTrackFit(track.fit.fit);
+    draw();
+  });
+
+  // ===== POINTER, ZOOM & KEYBOARD INTERACTION =====
+  const activePointers = new Map(); // pointerId → canvas pixel position
+  let pinch = null;   // two-finger gesture state captured when the second finger lands
+  let panFrom = null; // canvas pixel position of the previous pan step
+
+  // Pointer position in canvas pixels (before the zoom/pan transform)
+  function getCanvasPos(e) {
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
     const scaleY = canvas.height / rect.height;
@@ -774,64 +2569,272 @@ function initAngleTool() {
     };
   }
 
-  // Check if mouse is near a point
+  // Canvas pixels → frame coordinates, which is where every stored point lives
+  function toFrame(pos) {
+    return {
+      x: (pos.x - view.offsetX) / view.scale,
+      y: (pos.y - view.offsetY) / view.scale
+    };
+  }
+
+  // Check if a frame point is within threshold screen pixels of another
   function isNearPoint(mouse, point, threshold = 20) {
     const dx = mouse.x - point.x;
     const dy = mouse.y - point.y;
-    return Math.sqrt(dx * dx + dy * dy) < threshold;
+    return Math.sqrt(dx * dx + dy * dy) < threshold / view.scale;
+  }
+
+  function handlePosition(handle) {
+    if (handle === 'baseStart') return baseLineStart;
+    if (handle === 'baseEnd') return { x: baseLineEnd.x, y: baseLineStart.y };
+    return angleLineEnd;
+  }
+
+  function handleAt(mouse, threshold) {
+    return ['baseStart', 'baseEnd', 'angleEnd'].find(h => isNearPoint(mouse, handlePosition(h), threshold)) || null;
+  }
+
+  // Move a handle, keeping A–B horizontal and C on or below it
+  function moveHandle(handle, pos) {
+    if (handle === 'baseStart') {
+      // Move horizontal line
+      const deltaY = pos.y - baseLineStart.y;
+      baseLineStart = { x: pos.x, y: pos.y };
+      baseLineEnd.y = baseLineStart.y;
+      angleLineEnd.y += deltaY;
+    } else if (handle === 'baseEnd') {
+      // Move end point
+      baseLineEnd.x = pos.x;
+      baseLineEnd.y = baseLineStart.y;
+    } else if (handle === 'angleEnd') {
+      angleLineEnd.x = pos.x;
+      angleLineEnd.y = Math.max(baseLineStart.y, pos.y);
+    }
+  }
+
+  // Apply a zoom/pan, clamped so the frame always covers the canvas
+  function setView(scale, offsetX, offsetY) {
+    view.scale = Math.min(MAX_ZOOM, Math.max(1, scale));
+    view.offsetX = Math.min(0, Math.max(canvas.width * (1 - view.scale), offsetX));
+    view.offsetY = Math.min(0, Math.max(canvas.height * (1 - view.scale), offsetY));
+    draw();
   }
 
-  // Mouse event handlers
-  canvas.addEventListener('mousedown', (e) => {
-    const mouse = getMousePos(e);
+  function resetView() {
+    view.scale = 1;
+    view.offsetX = 0;
+    view.offsetY = 0;
+  }
+
+  // Zoom about a canvas pixel position; the live video underneath can't be zoomed
+  function zoomAt(pos, factor) {
+    if (!frozenFrame) return;
+    const anchor = toFrame(pos);
+    const scale = Math.min(MAX_ZOOM, Math.max(1, view.scale * factor));
+    setView(scale, pos.x - anchor.x * scale, pos.y - anchor.y * scale);
+  }
+
+  // Magnified view around the handle being placed, in the top corner away from it
+  function drawLoupe() {
+    const handle = dragging || (nudging ? selectedHandle : null);
+    const source = frozenFrame || loupeSource;
+    if (!handle || !source) return;
+
+    const target = handlePosition(handle);
+    const screenX = target.x * view.scale + view.offsetX;
+    const margin = 10;
+    const left = screenX < canvas.width / 2 ? canvas.width - LOUPE_SIZE - margin : margin;
+    const top = margin;
+    const centreX = left + LOUPE_SIZE / 2;
+    const centreY = top + LOUPE_SIZE / 2;
+    const span = LOUPE_SIZE / Math.max(LOUPE_ZOOM, view.scale * 2); // frame pixels shown
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(centreX, centreY, LOUPE_SIZE / 2, 0, 2 * Math.PI);
+    ctx.clip();
+    ctx.fillStyle = '#000';
+    ctx.fillRect(left, top, LOUPE_SIZE, LOUPE_SIZE);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, target.x - span / 2, target.y - span / 2, span, span, left, top, LOUPE_SIZE, LOUPE_SIZE);
+    ctx.restore();
+
+    // Crosshair with a gap so the pixel under the handle stays visible
+    ctx.strokeStyle = '#FF9500';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(centreX - LOUPE_SIZE / 2, centreY);
+    ctx.lineTo(centreX - 6, centreY);
+    ctx.moveTo(centreX + 6, centreY);
+    ctx.lineTo(centreX + LOUPE_SIZE / 2, centreY);
+    ctx.moveTo(centreX, centreY - LOUPE_SIZE / 2);
+    ctx.lineTo(centreX, centreY - 6);
+    ctx.moveTo(centreX, centreY + 6);
+    ctx.lineTo(centreX, centreY + LOUPE_SIZE / 2);
+    ctx.stroke();
+
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(centreX, centreY, LOUPE_SIZE / 2, 0, 2 * Math.PI);
+    ctx.stroke();
+  }
+
+  // Pointer event handlers (mouse, touch and pen)
+  canvas.addEventListener('pointerdown', (e) => {
+    const pos = getCanvasPos(e);
+    activePointers.set(e.pointerId, pos);
+    canvas.setPointerCapture(e.pointerId);
+    nudging = false;
+
+    // A second finger turns the gesture into a pinch and abandons any drag
+    if (activePointers.size === 2) {
+      const [a, b] = [...activePointers.values()];
+      dragging = null;
+      panFrom = null;
+      pinch = {
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        anchor: toFrame({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }),
+        scale: view.scale
+      };
+      draw();
+      return;
+    }
+    if (activePointers.size > 2) return;
+
+    const mouse = toFrame(pos);
+
+    if (canvasMode === 'track') {
+      handleTrackClick(mouse);
+      return;
+    }
+    if (canvasMode === 'perspective') {
+      handlePerspectiveClick(mouse);
+      return;
+    }
+    if (canvasMode) {
+      handleCalibrationClick(mouse);
+      return;
+    }
 
-    if (isNearPoint(mouse, baseLineStart)) {
-      dragging = 'baseStart';
-    } else if (isNearPoint(mouse, { x: baseLineEnd.x, y: baseLineStart.y })) {
-      dragging = 'baseEnd';
-    } else if (isNearPoint(mouse, angleLineEnd)) {
-      dragging = 'angleEnd';
+    // Fingers get a bigger target than a mouse or pen
+    dragging = handleAt(mouse, e.pointerType === 'touch' ? 32 : 20);
+    if (dragging) {
+      selectedHandle = dragging;
+      loupeSource = frozenFrame ? null : renderVideoFrame();
+      draw();
+    } else if (view.scale > 1) {
+      panFrom = pos;
+      canvas.style.cursor = 'grabbing';
     }
   });
 
-  canvas.addEventListener('mousemove', (e) => {
-    const mouse = getMousePos(e);
+  canvas.addEventListener('pointermove', (e) => {
+    const pos = getCanvasPos(e);
+    if (activePointers.has(e.pointerId)) activePointers.set(e.pointerId, pos);
+
+    if (pinch && activePointers.size === 2) {
+      // Keep the frame point that started under the fingers' midpoint under it
+      const [a, b] = [...activePointers.values()];
+      const distance = Math.hypot(b.x - a.x, b.y - a.y);
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      if (frozenFrame && pinch.distance > 0) {
+        const scale = Math.min(MAX_ZOOM, Math.max(1, pinch.scale * distance / pinch.distance));
+        setView(scale, mid.x - pinch.anchor.x * scale, mid.y - pinch.anchor.y * scale);
+      }
+      return;
+    }
+
+    const mouse = toFrame(pos);
 
-    if (isNearPoint(mouse, baseLineStart) ||
-        isNearPoint(mouse, { x: baseLineEnd.x, y: baseLineStart.y }) ||
-        isNearPoint(mouse, angleLineEnd)) {
-      canvas.style.cursor = 'pointer';
-    } else {
+    if (canvasMode) {
       canvas.style.cursor = 'crosshair';
+      return;
     }
 
     if (dragging) {
-      if (dragging === 'baseStart') {
-        // Move horizontal line
-        const deltaY = mouse.y - baseLineStart.y;
-        baseLineStart = mouse;
-        baseLineEnd.y = baseLineStart.y;
-        angleLineEnd.y += deltaY;
-      } else if (dragging === 'baseEnd') {
-        // Move end point
-        baseLineEnd.x = mouse.x;
-        baseLineEnd.y = baseLineStart.y;
-      } else if (dragging === 'angleEnd') {
-
-        angleLineEnd.x = mouse.x;
-        angleLineEnd.y = Math.max(baseLineStart.y, mouse.y);
-      }
+      moveHandle(dragging, mouse);
       draw();
+      return;
+    }
+
+    if (panFrom) {
+      setView(view.scale, view.offsetX + pos.x - panFrom.x, view.offsetY + pos.y - panFrom.y);
+      panFrom = pos;
+      return;
+    }
+
+    if (handleAt(mouse)) {
+      canvas.style.cursor = 'pointer';
+    } else {
+      canvas.style.cursor = view.scale > 1 ? 'grab' : 'crosshair';
     }
   });
 
-  canvas.addEventListener('mouseup', () => {
-    dragging = null;
+  function endPointer(e) {
+    activePointers.delete(e.pointerId);
+    if (activePointers.size < 2) pinch = null;
+    if (dragging || panFrom) {
+      dragging = null;
+      panFrom = null;
+      loupeSource = null;
+      canvas.style.cursor = 'crosshair';
+      draw();
+    }
+  }
+
+  canvas.addEventListener('pointerup', endPointer);
+  canvas.addEventListener('pointercancel', endPointer);
+
+  // Ctrl/⌘ + wheel zooms the frozen frame; trackpad pinches arrive as ctrl + wheel too
+  canvas.addEventListener('wheel', (e) => {
+    if (!frozenFrame || !(e.ctrlKey || e.metaKey)) return;
+    e.preventDefault();
+    zoomAt(getCanvasPos(e), Math.exp(-e.deltaY * 0.01));
+  }, { passive: false });
+
+  // Keyboard: A/B/C select a handle, arrows nudge it (Shift for 10 px), +/− zoom, 0 resets
+  const HANDLE_KEYS = { a: 'baseStart', b: 'baseEnd', c: 'angleEnd' };
+  const NUDGES = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+  canvas.addEventListener('keydown', (e) => {
+    const centre = { x: canvas.width / 2, y: canvas.height / 2 };
+    const key = e.key.toLowerCase();
+
+    if (HANDLE_KEYS[key]) {
+      selectedHandle = HANDLE_KEYS[key];
+      draw();
+    } else if (NUDGES[e.key]) {
+      if (!selectedHandle) selectedHandle = 'angleEnd';
+      if (!frozenFrame && !loupeSource) loupeSource = renderVideoFrame();
+      const [dx, dy] = NUDGES[e.key];
+      const step = (e.shiftKey ? 10 : 1) / view.scale;
+      const p = handlePosition(selectedHandle);
+      nudging = true;
+      moveHandle(selectedHandle, { x: p.x + dx * step, y: p.y + dy * step });
+      draw();
+    } else if (e.key === '+' || e.key === '=') {
+      zoomAt(centre, 1.25);
+    } else if (e.key === '-') {
+      zoomAt(centre, 0.8);
+    } else if (e.key === '0') {
+      resetView();
+      draw();
+    } else if (e.key === 'Escape') {
+      selectedHandle = null;
+      nudging = false;
+      draw();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation(); // the video timeline also listens for arrow keys on the document
   });
 
-  canvas.addEventListener('mouseleave', () => {
-    dragging = null;
-    canvas.style.cursor = 'crosshair';
+  canvas.addEventListener('blur', () => {
+    nudging = false;
+    loupeSource = null;
+    draw();
   });
 
   // Use angle button
@@ -854,12 +2857,50 @@ function initAngleTool() {
     }
   });
 
+  // A/B/C overlay alone at 1:1 (no frame, zoom, loupe or selection ring), plus its angle
+  function overlay() {
+    const saved = { view: { ...view }, frozenFrame, selectedHandle, nudging, dragging };
+    resetView();
+    frozenFrame = null;
+    selectedHandle = null;
+    nudging = false;
+    dragging = null;
+    draw();
+
+    const image = document.createElement('canvas');
+    image.width = canvas.width;
+    image.height = canvas.height;
+    image.getContext('2d').drawImage(canvas, 0, 0);
+    const angle = currentAngle;
+
+    Object.assign(view, saved.view);
+    ({ frozenFrame, selectedHandle, nudging, dragging } = saved);
+    draw();
+    return { image, angle };
+  }
+
+  // Frame with the overlay on top, for the result image. Null when there is no video in the tool.
+  function snapshot() {
+    const frame = frozenFrame || renderVideoFrame();
+    if (!frame) return null;
+
+    const { image: overlayImage, angle } = overlay();
+    const image = document.createElement('canvas');
+    image.width = canvas.width;
+    image.height = canvas.height;
+    const imageCtx = image.getContext('2d');
+    imageCtx.drawImage(frame, 0, 0);
+    imageCtx.drawImage(overlayImage, 0, 0);
+    return { image, angle };
+  }
+
   // Initial draw
   draw();
   console.log('Angle measurement tool initialized');
+  return { snapshot, overlay };
 }
 
 // Initialize angle tool when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-  initAngleTool();
+  angleTool = initAngleTool();
 });
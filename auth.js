@@ -1,68 +1,184 @@
 // ===== AUTHENTICATION MODULE =====
-// All API calls go to the Spring Boot backend.
-
-const API_BASE = 'http://localhost:8080';
+// Login, registration and the nav/save-button state. Requests go through SmashApi (api.js)
+// and user-facing text comes from SmashI18n (i18n.js); both load first.
+// The session is shared by every open tab: logging in or out in one updates the others.
+// Guests save to this device (guesthistory.js) and are offered an upload once they log in.
 
 let authMode = 'login'; // 'login' or 'register'
+let sessionCheckTimer = null;
+let guestChart = null;
+
+const IMPORT_DISMISSED_KEY = 'guestImportDismissed';   // sessionStorage: "Not now" until next login
+
+const SESSION_RETRY_MS = 5 * 60 * 1000;          // re-check while the backend is unreachable
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;        // setTimeout can't wait for a 30-day session
 
 document.addEventListener('DOMContentLoaded', () => {
   checkSession();
+  renderSyncQueue();
+
+  const syncBtn = document.getElementById('btnSyncNow');
+  if (syncBtn) syncBtn.addEventListener('click', () => SmashSaveQueue.flush());
+
+  const importBtn = document.getElementById('btnGuestImport');
+  if (importBtn) importBtn.addEventListener('click', importGuestHistory);
+  const dismissBtn = document.getElementById('btnGuestDismiss');
+  if (dismissBtn) {
+    dismissBtn.addEventListener('click', () => {
+      sessionStorage.setItem(IMPORT_DISMISSED_KEY, '1');
+      renderGuestImport();
+    });
+  }
+  ['authUsername', 'authPassword'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) input.addEventListener('input', renderAuthPolicy);
+  });
+
+  const clearBtn = document.getElementById('btnClearGuestHistory');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      if (confirm(SmashI18n.t('guest.clearConfirm'))) SmashGuestHistory.clear();
+    });
+  }
 });
 
+document.addEventListener('savequeuechange', renderSyncQueue);
+document.addEventListener('localechange', () => {
+  renderSyncQueue();
+  renderAuthPolicy();
+  renderGuestHistory();
+  renderGuestImport();
+});
+document.addEventListener('guesthistorychange', () => {
+  renderGuestHistory();
+  renderGuestImport();
+});
+
+// A 401 anywhere means the session is gone for every page feature, not just the caller. If it
+// was this tab's own session, checkSession picks up a remembered one left underneath
+SmashApi.onSessionExpired(() => {
+  checkSession();
+});
+
+// Another tab logged in, logged out or found its session expired
+SmashApi.onSessionChange(user => {
+  if (user) {
+    closeLoginModal();
+    checkSession(); // fetches the display name and expiry for the new session
+  } else {
+    updateAuthUI(null);
+    scheduleSessionCheck();
+  }
+});
+
+// Translated message for each error code the auth and account endpoints return
+const AUTH_ERROR_KEYS = {
+  missing_fields: 'auth.missingFields',
+  invalid_credentials: 'auth.invalidLogin',
+  username_format: 'authError.usernameFormat',
+  username_reserved: 'authError.usernameReserved',
+  username_taken: 'authError.usernameTaken',
+  password_too_short: 'authError.passwordTooShort',
+  password_too_long: 'authError.passwordTooLong',
+  password_too_simple: 'authError.passwordTooSimple',
+  password_contains_username: 'authError.passwordContainsUsername',
+  password_too_common: 'authError.passwordTooCommon',
+  password_unchanged: 'authError.passwordUnchanged',
+  current_password_incorrect: 'authError.currentPasswordIncorrect',
+  too_many_attempts: 'authError.tooManyAttempts',
+  account_locked: 'authError.accountLocked'
+};
+
+function authErrorText(code, retryAfterSeconds = 0) {
+  return SmashI18n.t(AUTH_ERROR_KEYS[code], {
+    usernameMin: SmashAuthPolicy.USERNAME_MIN_LENGTH,
+    usernameMax: SmashAuthPolicy.USERNAME_MAX_LENGTH,
+    passwordMin: SmashAuthPolicy.PASSWORD_MIN_LENGTH,
+    passwordMax: SmashAuthPolicy.PASSWORD_MAX_LENGTH,
+    minutes: Math.max(1, Math.ceil(retryAfterSeconds / 60))
+  });
+}
+
+// Message for a failed auth request: the translation for its error code, else the server's
+// reason if it gave one, else a fallback
+function authErrorMessage(err, fallbackKey) {
+  if (!(err instanceof SmashApi.HttpError)) return SmashI18n.t('auth.serverDown');
+  const data = err.data || {};
+  if (AUTH_ERROR_KEYS[data.code]) return authErrorText(data.code, data.retryAfterSeconds);
+  return data.error ? err.message : SmashI18n.t(fallbackKey);
+}
+
 async function checkSession() {
-  const sessionId = localStorage.getItem('sessionId');
-  if (!sessionId) {
+  clearTimeout(sessionCheckTimer);
+  if (!SmashApi.session.id()) {
     updateAuthUI(null);
     return;
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/auth/me`, {
-      headers: { 'X-Session-Id': sessionId }
-    });
-    const data = await res.json();
-    if (data.success) {
-      updateAuthUI({ username: data.username });
-    } else {
-      localStorage.removeItem('sessionId');
-      localStorage.removeItem('username');
-      updateAuthUI(null);
-    }
-  } catch {
+    const data = await SmashApi.get('/api/auth/me');
+    SmashApi.session.setExpiry(data.expiresAt);
+    updateAuthUI({ username: data.username, displayName: data.displayName });
+    scheduleSessionCheck();
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) return; // already logged out by the expiry handler
     // Backend not reachable — use stored username for UI only
-    const username = localStorage.getItem('username');
+    const username = SmashApi.session.username();
     updateAuthUI(username ? { username } : null);
+    sessionCheckTimer = setTimeout(checkSession, SESSION_RETRY_MS);
   }
 }
 
+/**
+ * Ask the server again once the session's known expiry time has passed, so an idle page
+ * logs itself out instead of waiting for its next failed request. Requests made since the
+ * expiry was last read may have extended the session; /api/auth/me then reports the new time.
+ */
+function scheduleSessionCheck() {
+  clearTimeout(sessionCheckTimer);
+  const expiresAt = SmashApi.session.expiresAt();
+  if (!SmashApi.session.id() || !expiresAt) return;
+  const delay = Math.min(Math.max(expiresAt - Date.now() + 1000, 0), MAX_TIMER_MS);
+  sessionCheckTimer = setTimeout(checkSession, delay);
+}
+
+// Start a session from a login or register response, remembered if the box was ticked
+function startSession(data) {
+  SmashApi.session.set(data.sessionId, data.username, data.expiresAt, rememberChoice());
+  sessionStorage.removeItem(IMPORT_DISMISSED_KEY);
+  closeLoginModal();
+  updateAuthUI({ username: data.username, displayName: data.displayName });
+  scheduleSessionCheck();
+  SmashSaveQueue.flush();
+}
+
+function rememberChoice() {
+  const box = document.getElementById('authRemember');
+  return !!(box && box.checked);
+}
+
 async function registerUser() {
   const username = document.getElementById('authUsername').value.trim();
   const password = document.getElementById('authPassword').value;
 
   if (!username || !password) {
-    showAuthError('Please enter both username and password');
+    showAuthError(SmashI18n.t('auth.missingFields'));
+    return;
+  }
+  // Same rules the server applies; the checklist under the fields shows which one fails
+  const broken = [...SmashAuthPolicy.usernameRules(username), ...SmashAuthPolicy.passwordRules(password, username)]
+    .find(rule => !rule.ok);
+  if (broken) {
+    showAuthError(authErrorText(broken.code));
     return;
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/auth/register`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password, displayName: username })
-    });
-    const data = await res.json();
-
-    if (!data.success) {
-      showAuthError(data.error || 'Registration failed');
-      return;
-    }
-
-    localStorage.setItem('sessionId', data.sessionId);
-    localStorage.setItem('username', data.username);
-    closeLoginModal();
-    updateAuthUI({ username: data.username });
-  } catch {
-    showAuthError('Cannot connect to server. Make sure the backend is running.');
+    const data = await SmashApi.post('/api/auth/register',
+      { username, password, displayName: username, remember: rememberChoice() }, { auth: false });
+    startSession(data);
+  } catch (err) {
+    showAuthError(err, 'auth.registerFailed');
   }
 }
 
@@ -71,47 +187,28 @@ async function loginUser() {
   const password = document.getElementById('authPassword').value;
 
   if (!username || !password) {
-    showAuthError('Please enter both username and password');
+    showAuthError(SmashI18n.t('auth.missingFields'));
     return;
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/auth/login`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password })
-    });
-    const data = await res.json();
-
-    if (!data.success) {
-      showAuthError(data.error || 'Invalid username or password');
-      return;
-    }
-
-    localStorage.setItem('sessionId', data.sessionId);
-    localStorage.setItem('username', data.username);
-    closeLoginModal();
-    updateAuthUI({ username: data.username });
-  } catch {
-    showAuthError('Cannot connect to server. Make sure the backend is running.');
+    const data = await SmashApi.post('/api/auth/login', { username, password, remember: rememberChoice() }, { auth: false });
+    startSession(data);
+  } catch (err) {
+    showAuthError(err, 'auth.invalidLogin');
   }
 }
 
 async function logoutUser() {
-  const sessionId = localStorage.getItem('sessionId');
-  if (sessionId) {
+  if (SmashApi.session.id()) {
     try {
-      await fetch(`${API_BASE}/api/auth/logout`, {
-        method: 'POST',
-        headers: { 'X-Session-Id': sessionId }
-      });
+      await SmashApi.post('/api/auth/logout', undefined, { timeout: 3000 });
     } catch {
       // Ignore network errors on logout
     }
   }
-  localStorage.removeItem('sessionId');
-  localStorage.removeItem('username');
-  updateAuthUI(null);
+  SmashApi.session.clear();
+  checkSession();
 }
 
 function openLoginModal() {
@@ -139,18 +236,20 @@ function setAuthMode(mode) {
   const switchLink = document.getElementById('modalSwitchLink');
   const switchMsg = document.getElementById('modalSwitchMsg');
 
-  if (mode === 'register') {
-    if (title) title.textContent = 'Create Account';
-    if (submitBtn) submitBtn.textContent = 'Create Account';
-    if (switchMsg) switchMsg.textContent = 'Already have an account?';
-    if (switchLink) switchLink.textContent = 'Login';
-  } else {
-    if (title) title.textContent = 'Login';
-    if (submitBtn) submitBtn.textContent = 'Login';
-    if (switchMsg) switchMsg.textContent = "Don't have an account?";
-    if (switchLink) switchLink.textContent = 'Register';
-  }
+  // Set the keys rather than the text so a language switch re-translates the open modal
+  const labels = mode === 'register'
+    ? { title: 'auth.createAccount', submit: 'auth.createAccount', msg: 'auth.haveAccount', link: 'auth.login' }
+    : { title: 'auth.login', submit: 'auth.login', msg: 'auth.noAccount', link: 'auth.register' };
+  [[title, labels.title], [submitBtn, labels.submit], [switchMsg, labels.msg], [switchLink, labels.link]]
+    .forEach(([node, key]) => {
+      if (!node) return;
+      node.dataset.i18n = key;
+      node.textContent = SmashI18n.t(key);
+    });
+  const password = document.getElementById('authPassword');
+  if (password) password.autocomplete = mode === 'register' ? 'new-password' : 'current-password';
   hideAuthError();
+  renderAuthPolicy();
 }
 
 function toggleAuthMode() {
@@ -165,6 +264,9 @@ function submitAuthForm() {
   }
 }
 
+/**
+ * Show the nav and save controls for a signed-in user ({username, displayName?}) or a guest (null).
+ */
 function updateAuthUI(userData) {
   const navLogin = document.getElementById('navLogin');
   const navUserInfo = document.getElementById('navUserInfo');
@@ -174,18 +276,70 @@ function updateAuthUI(userData) {
   if (userData) {
     if (navLogin) navLogin.classList.add('hidden');
     if (navUserInfo) navUserInfo.classList.remove('hidden');
-    if (navUsername) navUsername.textContent = userData.username;
-    if (saveBtn) saveBtn.classList.remove('hidden');
+    if (navUsername) navUsername.textContent = userData.displayName || userData.username;
   } else {
     if (navLogin) navLogin.classList.remove('hidden');
     if (navUserInfo) navUserInfo.classList.add('hidden');
-    if (saveBtn) saveBtn.classList.add('hidden');
   }
+  // Guests save too, to this device only
+  if (saveBtn) {
+    const key = userData ? 'results.save' : 'results.saveLocal';
+    saveBtn.dataset.i18n = key;
+    saveBtn.textContent = SmashI18n.t(key);
+  }
+  renderSyncQueue();
+  renderGuestHistory();
+  renderGuestImport();
 }
 
-function showAuthError(msg) {
+/**
+ * Show a message in the login modal: text as given, or a failed request's error turned into
+ * the message for its code (authErrorMessage), with fallbackKey when it has none.
+ */
+function showAuthError(msgOrError, fallbackKey = 'auth.registerFailed') {
   const el = document.getElementById('authError');
-  if (el) { el.textContent = msg; el.classList.remove('hidden'); }
+  if (!el) return;
+  el.textContent = typeof msgOrError === 'string' ? msgOrError : authErrorMessage(msgOrError, fallbackKey);
+  el.classList.remove('hidden');
+}
+
+/**
+ * Live checklist of the username and password rules while registering, with a strength
+ * meter for the password. Rules for a field stay neutral until something is typed in it.
+ */
+function renderAuthPolicy() {
+  const panel = document.getElementById('authPolicy');
+  if (!panel) return;
+  panel.classList.toggle('hidden', authMode !== 'register');
+  if (authMode !== 'register') return;
+
+  const username = document.getElementById('authUsername').value.trim();
+  const password = document.getElementById('authPassword').value;
+  const params = {
+    usernameMin: SmashAuthPolicy.USERNAME_MIN_LENGTH,
+    usernameMax: SmashAuthPolicy.USERNAME_MAX_LENGTH,
+    passwordMin: SmashAuthPolicy.PASSWORD_MIN_LENGTH
+  };
+  const rules = [
+    ...SmashAuthPolicy.usernameRules(username).map(rule => ({ ...rule, typed: !!username })),
+    ...SmashAuthPolicy.passwordRules(password, username).map(rule => ({ ...rule, typed: !!password }))
+  ];
+  const list = document.getElementById('authRules');
+  list.innerHTML = '';
+  rules.forEach(rule => {
+    const item = document.createElement('li');
+    item.className = !rule.typed ? 'rule-pending' : rule.ok ? 'rule-ok' : 'rule-fail';
+    item.textContent = `${rule.typed && rule.ok ? '✓' : rule.typed ? '✗' : '•'} ${SmashI18n.t(`policy.${rule.id}`, params)}`;
+    list.appendChild(item);
+  });
+
+  const score = SmashAuthPolicy.strength(password, username);
+  const bar = document.getElementById('authStrengthBar');
+  bar.style.width = password ? `${(score + 1) * 20}%` : '0';
+  bar.className = `strength-${score}`;
+  document.getElementById('authStrengthLabel').textContent = password
+    ? SmashI18n.t('policy.strength', { level: SmashI18n.t(`policy.strength${score}`) })
+    : '';
 }
 
 function hideAuthError() {
@@ -193,41 +347,175 @@ function hideAuthError() {
   if (el) { el.textContent = ''; el.classList.add('hidden'); }
 }
 
-async function saveSmashResult(speedMps) {
-  const sessionId = localStorage.getItem('sessionId');
-  if (!sessionId) { openLoginModal(); return; }
+/**
+ * Save a smash to the signed-in user's records, flashing the outcome on the button.
+ * When the backend can't be reached the record is queued (savequeue.js) with the time it
+ * was made and synced later. Guests' records are kept on this device (guesthistory.js).
+ * @param {{speedMps: number}} record - speed plus any measurement context, note and tags
+ * @returns {Promise<boolean>} whether the record reached the server now, or for a guest,
+ *          the device's history
+ */
+async function saveSmashResult(record, saveBtn = document.getElementById('btnSaveResult')) {
+  const payload = { ...record, recordedAt: new Date().toISOString() };
 
-  const saveBtn = document.getElementById('btnSaveResult');
-  const origText = saveBtn ? saveBtn.textContent : 'Save Result';
+  const origText = saveBtn ? saveBtn.textContent : SmashI18n.t('results.save');
+  const flash = (key, background = '') => {
+    if (!saveBtn) return;
+    saveBtn.textContent = SmashI18n.t(key);
+    saveBtn.style.background = background;
+    setTimeout(() => {
+      saveBtn.textContent = origText;
+      saveBtn.style.background = '';
+    }, 2000);
+  };
+
+  if (!SmashApi.session.id()) {
+    if (await SmashGuestHistory.add(payload)) {
+      flash('save.savedLocal', 'var(--success)');
+      return true;
+    }
+    flash('save.error', '#ef4444');
+    return false;
+  }
 
   try {
-    const res = await fetch(`${API_BASE}/api/records`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Session-Id': sessionId
+    await SmashApi.post('/api/records', payload);
+    flash('save.saved', 'var(--success)');
+    return true;
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) {
+      openLoginModal();
+    } else if (err instanceof SmashApi.HttpError && err.status < 500) {
+      flash('save.error', '#ef4444');
+    } else if (await SmashSaveQueue.enqueue(SmashApi.session.username(), payload)) {
+      flash('save.queued');
+    } else {
+      flash('save.offline');
+    }
+    return false;
+  }
+}
+
+/**
+ * Show the signed-in user's unsynced saves in the #syncQueue panel, if the page has one.
+ */
+async function renderSyncQueue() {
+  const panel = document.getElementById('syncQueue');
+  if (!panel) return;
+  const entries = SmashApi.session.id() ? await SmashSaveQueue.list() : [];
+  panel.classList.toggle('hidden', entries.length === 0);
+  if (!entries.length) return;
+
+  const waiting = entries.filter(entry => !entry.error).length;
+  document.getElementById('syncQueueSummary').textContent = SmashI18n.t('queue.summary', { count: waiting });
+  document.getElementById('btnSyncNow').classList.toggle('hidden', waiting === 0);
+
+  const list = document.getElementById('syncQueueList');
+  list.innerHTML = '';
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = entry.error ? 'sync-item sync-item-rejected' : 'sync-item';
+    const time = SmashI18n.formatDate(new Date(entry.payload.recordedAt), { dateStyle: 'medium', timeStyle: 'short' });
+    item.textContent = `${SmashI18n.formatSpeed(entry.payload.speedMps)} · ${time}`;
+    if (entry.error) {
+      item.textContent += ` — ${SmashI18n.t('queue.rejected', { reason: entry.error })}`;
+      const discard = document.createElement('button');
+      discard.className = 'batch-action-btn';
+      discard.textContent = SmashI18n.t('queue.discard');
+      discard.addEventListener('click', () => SmashSaveQueue.remove(entry.id));
+      item.appendChild(discard);
+    }
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Fill the #guestHistoryCard mini progression, if the page has one: shown to guests with
+ * records saved on this device.
+ */
+async function renderGuestHistory() {
+  const card = document.getElementById('guestHistoryCard');
+  if (!card) return;
+  const records = SmashApi.session.id() ? [] : await SmashGuestHistory.list();
+  if (guestChart) { guestChart.destroy(); guestChart = null; }
+  card.classList.toggle('hidden', records.length === 0);
+  if (!records.length) return;
+
+  const best = Math.max(...records.map(r => r.speedMps));
+  const latest = new Date(records[records.length - 1].recordedAt);
+  document.getElementById('guestHistorySummary').textContent = SmashI18n.t('guest.summary', {
+    count: records.length,
+    best: SmashI18n.formatSpeed(best),
+    latest: SmashI18n.formatDate(latest, { dateStyle: 'medium' })
+  });
+
+  if (typeof Chart === 'undefined') return;
+  guestChart = new Chart(document.getElementById('guestHistoryChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: records.map(r => SmashI18n.formatDate(new Date(r.recordedAt), { month: 'short', day: 'numeric' })),
+      datasets: [{
+        data: records.map(r => SmashI18n.toDisplaySpeed(r.speedMps)),
+        borderColor: '#FF9500',
+        backgroundColor: '#FF9500',
+        pointRadius: 3,
+        tension: 0.2
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: { callbacks: { label: ctx => SmashI18n.formatSpeed(records[ctx.dataIndex].speedMps) } }
       },
-      body: JSON.stringify({ speedMps })
-    });
-    const data = await res.json();
-
-    if (saveBtn) {
-      if (data.success) {
-        saveBtn.textContent = 'Saved!';
-        saveBtn.style.background = 'var(--success)';
-      } else {
-        saveBtn.textContent = 'Error saving';
-        saveBtn.style.background = '#ef4444';
+      scales: {
+        x: { ticks: { color: '#808080', maxTicksLimit: 6 }, grid: { color: 'rgba(58, 58, 58, 0.8)' } },
+        y: {
+          ticks: { color: '#808080' },
+          grid: { color: 'rgba(58, 58, 58, 0.8)' },
+          title: { display: true, text: SmashI18n.t('chart.speed', { unit: SmashI18n.speedUnit() }), color: '#808080' }
+        }
       }
-      setTimeout(() => {
-        saveBtn.textContent = origText;
-        saveBtn.style.background = '';
-      }, 2000);
     }
-  } catch {
-    if (saveBtn) {
-      saveBtn.textContent = 'Server offline';
-      setTimeout(() => { saveBtn.textContent = origText; }, 2000);
+  });
+}
+
+/**
+ * Offer to upload the device's guest history in the #guestImport panel, if the page has
+ * one: shown after logging in until the user uploads or picks "Not now".
+ */
+async function renderGuestImport() {
+  const panel = document.getElementById('guestImport');
+  if (!panel) return;
+  const offer = SmashApi.session.id() && sessionStorage.getItem(IMPORT_DISMISSED_KEY) !== '1';
+  const records = offer ? await SmashGuestHistory.list() : [];
+  panel.classList.toggle('hidden', records.length === 0);
+  if (records.length) {
+    document.getElementById('guestImportSummary').textContent = SmashI18n.t('guest.importSummary', { count: records.length });
+  }
+}
+
+/**
+ * Move the guest history into the signed-in account. Records go through the offline save
+ * queue with their original timestamps, so an upload interrupted by a lost connection
+ * carries on later; the server skips any the account already has.
+ */
+async function importGuestHistory() {
+  const username = SmashApi.session.username();
+  if (!username) return;
+  const btn = document.getElementById('btnGuestImport');
+  if (btn) btn.disabled = true;
+  try {
+    const payloads = SmashGuestHistory.uploadable(await SmashGuestHistory.list());
+    for (const payload of payloads) {
+      // Keep the device copy until everything is safely queued
+      if (!(await SmashSaveQueue.enqueue(username, payload))) return;
     }
+    await SmashGuestHistory.clear();
+    SmashSaveQueue.flush();
+  } finally {
+    if (btn) btn.disabled = false;
   }
 }
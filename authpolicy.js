@@ -0,0 +1,103 @@
+// ===== CREDENTIAL POLICY =====
+// Username format and password strength rules, mirroring the backend's CredentialPolicy so
+// the login modal can show live feedback before anything is sent. The server still has the
+// final say; keep the two in step.
+// Loaded as a plain <script> (global SmashAuthPolicy) or required from Node.
+
+const SmashAuthPolicy = (() => {
+  const USERNAME_MIN_LENGTH = 3;
+  const USERNAME_MAX_LENGTH = 20;
+  const PASSWORD_MIN_LENGTH = 8;
+  const PASSWORD_MAX_LENGTH = 128;
+
+  // Letters, digits, dot, underscore and hyphen; starts with a letter or digit
+  const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+  const RESERVED_USERNAMES = ['admin', 'administrator', 'root', 'system', 'support', 'moderator', 'smashcalc'];
+
+  const COMMON_PASSWORDS = [
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+    'qwerty123', 'qwertyuiop', '11111111', '00000000', 'abc12345', 'iloveyou',
+    'letmein1', 'welcome1', 'badminton', 'badminton1', 'smash123', 'shuttlecock',
+    'football', 'baseball', 'sunshine', 'princess', 'trustno1', 'passw0rd'
+  ];
+
+  // Lowercase, uppercase, digits and everything else, counted the way Java's Character does
+  function characterClasses(password) {
+    const found = new Set();
+    for (const c of password) {
+      if (/\p{Ll}/u.test(c)) found.add('lower');
+      else if (/\p{Lu}/u.test(c)) found.add('upper');
+      else if (/\p{Nd}/u.test(c)) found.add('digit');
+      else found.add('other');
+    }
+    return found.size;
+  }
+
+  /**
+   * Username rules in the order the server checks them.
+   * @param {string} username - already trimmed
+   * @returns {Array<{id: string, code: string, ok: boolean}>} code is the server's error code
+   *          for a broken rule
+   */
+  function usernameRules(username) {
+    return [
+      {
+        id: 'usernameLength',
+        code: 'username_format',
+        ok: username.length >= USERNAME_MIN_LENGTH && username.length <= USERNAME_MAX_LENGTH
+      },
+      { id: 'usernameCharacters', code: 'username_format', ok: USERNAME_PATTERN.test(username) },
+      { id: 'usernameReserved', code: 'username_reserved', ok: !RESERVED_USERNAMES.includes(username.toLowerCase()) }
+    ];
+  }
+
+  /**
+   * Password rules in the order the server checks them.
+   * @param {string} password
+   * @param {string} [username] - the password must not contain it
+   * @returns {Array<{id: string, code: string, ok: boolean}>}
+   */
+  function passwordRules(password, username = '') {
+    const lower = password.toLowerCase();
+    return [
+      {
+        id: 'passwordLength',
+        code: password.length > PASSWORD_MAX_LENGTH ? 'password_too_long' : 'password_too_short',
+        ok: password.length >= PASSWORD_MIN_LENGTH && password.length <= PASSWORD_MAX_LENGTH
+      },
+      { id: 'passwordVariety', code: 'password_too_simple', ok: characterClasses(password) >= 2 },
+      {
+        id: 'passwordNotUsername',
+        code: 'password_contains_username',
+        ok: !username || !lower.includes(username.toLowerCase())
+      },
+      { id: 'passwordNotCommon', code: 'password_too_common', ok: !COMMON_PASSWORDS.includes(lower) }
+    ];
+  }
+
+  /**
+   * Rough strength for the meter: 0 when any rule is broken, then 1–4 for longer passwords
+   * and more kinds of character.
+   */
+  function strength(password, username = '') {
+    if (!passwordRules(password, username).every(rule => rule.ok)) return 0;
+    const classes = characterClasses(password);
+    return 1 + (password.length >= 12 ? 1 : 0) + (classes >= 3 ? 1 : 0) +
+      (password.length >= 16 || classes === 4 ? 1 : 0);
+  }
+
+  return {
+    USERNAME_MIN_LENGTH,
+    USERNAME_MAX_LENGTH,
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_LENGTH,
+    usernameRules,
+    passwordRules,
+    strength
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmashAuthPolicy;
+}
@@ -0,0 +1,201 @@
+// ===== AUTO-DETECT MODULE =====
+// Proposes contact and landing times for a smash clip. Everything runs locally:
+// frames are drawn to an offscreen canvas and the audio track is decoded in the
+// browser — nothing is uploaded. Results are a starting point for the sliders.
+// Failures carry a `code` next to the English message for pages to translate.
+
+const SmashAutoDetect = (() => {
+  const ANALYSIS_WIDTH = 160;  // downscaled frame width for differencing
+  const MAX_FRAMES = 900;      // cap on frames sampled per analysis
+  const MIN_FLIGHT_S = 0.15;   // real-time window after contact to look for the landing
+  const MAX_FLIGHT_S = 1.5;
+  const AUDIO_WINDOW_S = 0.005;
+  // Robust deviations an audio onset must clear to beat motion; background noise peaks near 6
+  const AUDIO_MIN_PROMINENCE = 8;
+
+  function seek(video, time) {
+    return new Promise((resolve, reject) => {
+      const onSeeked = () => { cleanup(); resolve(); };
+      const onError = () => { cleanup(); reject(new Error('Video seek failed')); };
+      const cleanup = () => {
+        video.removeEventListener('seeked', onSeeked);
+        video.removeEventListener('error', onError);
+      };
+      video.addEventListener('seeked', onSeeked);
+      video.addEventListener('error', onError);
+      video.currentTime = time;
+    });
+  }
+
+  function loadVideo(src) {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.preload = 'auto';
+      video.src = src;
+      video.addEventListener('loadeddata', () => resolve(video), { once: true });
+      video.addEventListener('error', () => reject(new Error('Could not load video for analysis')), { once: true });
+    });
+  }
+
+  /**
+   * Mean absolute grey-level difference between consecutive sampled frames.
+   * @returns {Promise<Array<{t: number, energy: number}>>}
+   */
+  async function motionEnergy(src, from, to, step, onProgress) {
+    const video = await loadVideo(src);
+    const canvas = document.createElement('canvas');
+    canvas.width = ANALYSIS_WIDTH;
+    canvas.height = Math.max(1, Math.round(ANALYSIS_WIDTH * video.videoHeight / video.videoWidth));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const count = Math.min(MAX_FRAMES, Math.floor((to - from) / step) + 1);
+    const stride = (to - from) / Math.max(1, count - 1);
+    const series = [];
+    let previous = null;
+
+    for (let i = 0; i < count; i++) {
+      const t = from + i * stride;
+      await seek(video, t);
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+      const grey = new Float32Array(data.length / 4);
+      for (let p = 0; p < grey.length; p++) {
+        grey[p] = 0.299 * data[p * 4] + 0.587 * data[p * 4 + 1] + 0.114 * data[p * 4 + 2];
+      }
+
+      if (previous) {
+        let sum = 0;
+        for (let p = 0; p < grey.length; p++) sum += Math.abs(grey[p] - previous[p]);
+        series.push({ t, energy: sum / grey.length });
+      }
+      previous = grey;
+      if (onProgress) onProgress((i + 1) / count);
+    }
+
+    video.removeAttribute('src');
+    video.load();
+    return series;
+  }
+
+  /**
+   * Onset strength of the audio track: how much louder each short window is than the one before.
+   * Resolves null when the file has no decodable audio.
+   * @returns {Promise<Array<{t: number, onset: number}> | null>}
+   */
+  async function audioOnsets(file, from, to) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!file || !AudioCtx) return null;
+
+    const audioCtx = new AudioCtx();
+    try {
+      const buffer = await audioCtx.decodeAudioData(await file.arrayBuffer());
+      const samples = buffer.getChannelData(0);
+      const windowSize = Math.max(1, Math.round(buffer.sampleRate * AUDIO_WINDOW_S));
+      const first = Math.max(0, Math.floor(from * buffer.sampleRate));
+      const last = Math.min(samples.length, Math.ceil(to * buffer.sampleRate));
+
+      const series = [];
+      let previousRms = null;
+      for (let start = first; start + windowSize <= last; start += windowSize) {
+        let sum = 0;
+        for (let i = start; i < start + windowSize; i++) sum += samples[i] * samples[i];
+        const rms = Math.sqrt(sum / windowSize);
+        if (previousRms !== null) {
+          series.push({ t: start / buffer.sampleRate, onset: Math.max(0, rms - previousRms) });
+        }
+        previousRms = rms;
+      }
+      return series.length ? series : null;
+    } catch {
+      return null; // no audio track, or a codec the browser cannot decode
+    } finally {
+      audioCtx.close();
+    }
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Strongest entry of a series inside [from, to], with how far it stands out from the rest:
+   * its height above the median in robust standard deviations (1.4826 × median absolute
+   * deviation). Zeros are left out of the baseline, since audio onsets are zero whenever the
+   * level falls; a window with nothing above zero (a silent track) has prominence 0.
+   */
+  function strongestIn(series, key, from, to) {
+    const inside = series.filter(s => s.t >= from && s.t <= to);
+    if (inside.length === 0) return null;
+    const best = inside.reduce((a, b) => (b[key] > a[key] ? b : a));
+    const values = inside.map(s => s[key]).filter(v => v > 0);
+    if (values.length === 0) return { t: best.t, prominence: 0 };
+
+    const baseline = median(values);
+    const spread = 1.4826 * median(values.map(v => Math.abs(v - baseline)));
+    // A near-constant window would make any bump look huge; never divide by less than a
+    // twentieth of the baseline
+    return { t: best.t, prominence: (best[key] - baseline) / Math.max(spread, baseline * 0.05, 1e-9) };
+  }
+
+  /**
+   * Propose contact and landing times within [from, to] (video seconds).
+   * Contact: the sharpest audio transient (racket strike) if it clearly stands out,
+   * otherwise the peak of motion energy (the swing). Landing: the strongest audio or
+   * motion event within the plausible flight window after contact.
+   * @param {{src: string, file?: File, from: number, to: number, frameDuration: number,
+   *          realTimeScale?: number, onProgress?: Function}} options
+   * @returns {Promise<{start: number, end: number, contactSource: string, landingSource: string} |
+   *          {error: string, code: string}>}
+   */
+  async function detect({ src, file, from, to, frameDuration, realTimeScale = 1, onProgress }) {
+    if (!src || !(to > from)) {
+      return { error: 'Load a video and select a range to analyse.', code: 'noRange' };
+    }
+
+    let motion;
+    try {
+      motion = await motionEnergy(src, from, to, frameDuration, onProgress);
+    } catch (err) {
+      return { error: err.message, code: 'unreadable' };
+    }
+    if (motion.length < 3) {
+      return { error: 'Selected range is too short to analyse.', code: 'rangeTooShort' };
+    }
+    const audio = await audioOnsets(file, from, to);
+
+    const audioContact = audio && strongestIn(audio, 'onset', from, to);
+    const motionContact = strongestIn(motion, 'energy', from, to);
+    const useAudioContact = audioContact && audioContact.prominence > AUDIO_MIN_PROMINENCE;
+    const contact = useAudioContact ? audioContact : motionContact;
+    if (!contact) {
+      return { error: 'No clear contact found in the selected range.', code: 'noContact' };
+    }
+
+    // Flight window in video seconds (slow-motion files stretch real time)
+    const windowFrom = contact.t + MIN_FLIGHT_S / realTimeScale;
+    const windowTo = Math.min(to, contact.t + MAX_FLIGHT_S / realTimeScale);
+
+    const audioLanding = audio && strongestIn(audio, 'onset', windowFrom, windowTo);
+    const motionLanding = strongestIn(motion, 'energy', windowFrom, windowTo);
+    const useAudioLanding = audioLanding && audioLanding.prominence > AUDIO_MIN_PROMINENCE;
+    const landing = useAudioLanding ? audioLanding : motionLanding;
+    if (!landing) {
+      return { error: 'No landing found after the contact — extend the selected range.', code: 'noLanding' };
+    }
+
+    // Snap to whole frames so the sliders land on real frames
+    const snap = t => Math.round(t / frameDuration) * frameDuration;
+    return {
+      start: snap(contact.t),
+      end: snap(landing.t),
+      contactSource: useAudioContact ? 'audio' : 'motion',
+      landingSource: useAudioLanding ? 'audio' : 'motion'
+    };
+  }
+
+  return { detect };
+})();
@@ -0,0 +1,162 @@
+package com.smashcalc.controller;
+
+import com.smashcalc.model.SmashRecord;
+import com.smashcalc.model.User;
+import com.smashcalc.model.UserProfile;
+import com.smashcalc.service.AccountService;
+import com.smashcalc.service.AuthService;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.time.Instant;
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+
+/**
+ * REST API endpoints for the signed-in user's own account.
+ * Every endpoint needs the X-Session-Id header and answers 401 without a valid session.
+ */
+@RestController
+@RequestMapping("/api/account")
+public class AccountController {
+
+    private final AccountService accountService;
+    private final AuthService authService;
+
+    public AccountController(AccountService accountService, AuthService authService) {
+        this.accountService = accountService;
+        this.authService = authService;
+    }
+
+    /**
+     * GET /api/account
+     * Display name and profile fields.
+     */
+    @GetMapping
+    public ResponseEntity<Map<String, Object>> getAccount(
+            @RequestHeader(value = "X-Session-Id", required = false) String sessionId) {
+        User user = authService.getUserFromSession(sessionId);
+        if (user == null) {
+            return notLoggedIn();
+        }
+        Map<String, Object> response = toResponse(user, accountService.getProfile(user.getId()));
+        response.put("success", true);
+        return ResponseEntity.ok(response);
+    }
+
+    /**
+     * PUT /api/account
+     * Update the display name and profile: {displayName, handedness, level, club}.
+     */
+    @PutMapping
+    public ResponseEntity<Map<String, Object>> updateAccount(
+            @RequestHeader(value = "X-Session-Id", required = false) String sessionId,
+            @RequestBody Map<String, String> body) {
+        User user = authService.getUserFromSession(sessionId);
+        if (user == null) {
+            return notLoggedIn();
+        }
+        try {
+            accountService.updateProfile(user, body.get("displayName"), body.get("handedness"),
+                    body.get("level"), body.get("club"));
+            User updated = authService.getUserFromSession(sessionId);
+            Map<String, Object> response = toResponse(updated, accountService.getProfile(user.getId()));
+            response.put("success", true);
+            return ResponseEntity.ok(response);
+        } catch (IllegalArgumentException e) {
+            return badRequest(e);
+        }
+    }
+
+    /**
+     * POST /api/account/password
+     * Change the password: {currentPassword, newPassword}. Other sessions are logged out.
+     */
+    @PostMapping("/password")
+    public ResponseEntity<Map<String, Object>> changePassword(
+            @RequestHeader(value = "X-Session-Id", required = false) String sessionId,
+            @RequestBody Map<String, String> body) {
+        User user = authService.getUserFromSession(sessionId);
+        if (user == null) {
+            return notLoggedIn();
+        }
+        try {
+            authService.changePassword(user, body.get("currentPassword"), body.get("newPassword"), sessionId);
+            Map<String, Object> response = new HashMap<>();
+            response.put("success", true);
+            return ResponseEntity.ok(response);
+        } catch (IllegalArgumentException e) {
+            return badRequest(e);
+        }
+    }
+
+    /**
+     * GET /api/account/export
+     * The account and every saved record, in the same shape /api/records/progression uses.
+     */
+    @GetMapping("/export")
+    public ResponseEntity<Map<String, Object>> export(
+            @RequestHeader(value = "X-Session-Id", required = false) String sessionId) {
+        User user = authService.getUserFromSession(sessionId);
+        if (user == null) {
+            return notLoggedIn();
+        }
+        List<Map<String, Object>> records = new ArrayList<>();
+        for (SmashRecord r : accountService.exportRecords(user.getId())) {
+            records.add(SmashController.toResponse(r));
+        }
+
+        Map<String, Object> response = new HashMap<>();
+        response.put("exportedAt", Instant.now().toString());
+        response.put("account", toResponse(user, accountService.getProfile(user.getId())));
+        response.put("records", records);
+        return ResponseEntity.ok(response);
+    }
+
+    /**
+     * DELETE /api/account
+     * Delete the account, its records and leaderboard entry: {password} to confirm.
+     */
+    @DeleteMapping
+    public ResponseEntity<Map<String, Object>> deleteAccount(
+            @RequestHeader(value = "X-Session-Id", required = false) String sessionId,
+            @RequestBody(required = false) Map<String, String> body) {
+        User user = authService.getUserFromSession(sessionId);
+        if (user == null) {
+            return notLoggedIn();
+        }
+        try {
+            accountService.deleteAccount(user, body == null ? null : body.get("password"));
+            Map<String, Object> response = new HashMap<>();
+            response.put("success", true);
+            return ResponseEntity.ok(response);
+        } catch (IllegalArgumentException e) {
+            return badRequest(e);
+        }
+    }
+
+    private Map<String, Object> toResponse(User user, UserProfile profile) {
+        Map<String, Object> item = new HashMap<>();
+        item.put("username", user.getUsername());
+        item.put("displayName", user.getDisplayName());
+        item.put("createdAt", user.getCreatedAt());
+        item.put("handedness", profile.getHandedness());
+        item.put("level", profile.getLevel());
+        item.put("club", profile.getClub());
+        return item;
+    }
+
+    private ResponseEntity<Map<String, Object>> notLoggedIn() {
+        Map<String, Object> response = new HashMap<>();
+        response.put("success", false);
+        response.put("error", "Not logged in");
+        return ResponseEntity.status(401).body(response);
+    }
+
+    // Password checks fail with AuthController's codes and lockout status
+    private ResponseEntity<Map<String, Object>> badRequest(IllegalArgumentException e) {
+        return AuthController.errorResponse(e);
+    }
+}
@@ -1,7 +1,11 @@
 package com.smashcalc.controller;
 
+import com.smashcalc.model.Session;
 import com.smashcalc.model.User;
+import com.smashcalc.service.AuthException;
 import com.smashcalc.service.AuthService;
+import jakarta.servlet.http.HttpServletRequest;
+import org.springframework.http.HttpHeaders;
 import org.springframework.http.ResponseEntity;
 import org.springframework.web.bind.annotation.*;
 
@@ -10,6 +14,8 @@ import java.util.Map;
 
 /**
  * REST API endpoints for user authentication.
+ * Failures answer {success: false, error, code}; see AuthException for the codes. Throttled
+ * logins answer 429 with retryAfterSeconds and a Retry-After header.
  */
 @RestController
 @RequestMapping("/api/auth")
@@ -23,7 +29,7 @@ public class AuthController {
 
     /**
      * POST /api/auth/register
-     * Register a new user account.
+     * Register a new user account and log it in. "remember": true asks for a long-lived session.
      */
     @PostMapping("/register")
     public ResponseEntity<Map<String, Object>> register(@RequestBody Map<String, String> body) {
@@ -31,48 +37,48 @@ public class AuthController {
             String username = body.get("username");
             String password = body.get("password");
             String displayName = body.get("displayName");
+            boolean remember = Boolean.parseBoolean(body.get("remember"));
 
-            String sessionId = authService.register(username, password, displayName);
+            Session session = authService.register(username, password, displayName, remember);
 
             Map<String, Object> response = new HashMap<>();
             response.put("success", true);
-            response.put("sessionId", sessionId);
-            response.put("username", username);
+            response.put("sessionId", session.getId());
+            response.put("expiresAt", session.getExpiresAt());
+            response.put("username", username.trim());
             return ResponseEntity.ok(response);
         } catch (IllegalArgumentException e) {
-            Map<String, Object> response = new HashMap<>();
-            response.put("success", false);
-            response.put("error", e.getMessage());
-            return ResponseEntity.badRequest().body(response);
+            return errorResponse(e);
         }
     }
 
     /**
      * POST /api/auth/login
-     * Login with username and password.
+     * Login with username and password. "remember": true asks for a long-lived session.
      */
     @PostMapping("/login")
-    public ResponseEntity<Map<String, Object>> login(@RequestBody Map<String, String> body) {
+    public ResponseEntity<Map<String, Object>> login(@RequestBody Map<String, String> body,
+                                                     HttpServletRequest request) {
         try {
             String username = body.get("username");
             String password = body.get("password");
+            boolean remember = Boolean.parseBoolean(body.get("remember"));
 
-            String sessionId = authService.login(username, password);
+            // The direct peer's address; behind a reverse proxy this is the proxy's
+            Session session = authService.login(username, password, remember, request.getRemoteAddr());
 
             // Get user details for the response
-            User user = authService.getUserFromSession(sessionId);
+            User user = authService.getUser(session);
 
             Map<String, Object> response = new HashMap<>();
             response.put("success", true);
-            response.put("sessionId", sessionId);
+            response.put("sessionId", session.getId());
+            response.put("expiresAt", session.getExpiresAt());
             response.put("username", user.getUsername());
             response.put("displayName", user.getDisplayName());
             return ResponseEntity.ok(response);
         } catch (IllegalArgumentException e) {
-            Map<String, Object> response = new HashMap<>();
-            response.put("success", false);
-            response.put("error", e.getMessage());
-            return ResponseEntity.badRequest().body(response);
+            return errorResponse(e);
         }
     }
 
@@ -93,12 +99,14 @@ public class AuthController {
 
     /**
      * GET /api/auth/me
-     * Get current logged-in user info.
+     * Get current logged-in user info and when the session will expire (epoch milliseconds).
+     * Like every authenticated call, this extends the session.
      */
     @GetMapping("/me")
     public ResponseEntity<Map<String, Object>> me(
             @RequestHeader(value = "X-Session-Id", required = false) String sessionId) {
-        User user = authService.getUserFromSession(sessionId);
+        Session session = authService.getSession(sessionId);
+        User user = session == null ? null : authService.getUser(session);
 
         if (user == null) {
             Map<String, Object> response = new HashMap<>();
@@ -112,6 +120,28 @@ public class AuthController {
         response.put("userId", user.getId());
         response.put("username", user.getUsername());
         response.put("displayName", user.getDisplayName());
+        response.put("expiresAt", session.getExpiresAt());
         return ResponseEntity.ok(response);
     }
+
+    /**
+     * The error response for a rejected request: status, code and retry time from an
+     * AuthException, a plain 400 otherwise.
+     */
+    static ResponseEntity<Map<String, Object>> errorResponse(IllegalArgumentException e) {
+        Map<String, Object> response = new HashMap<>();
+        response.put("success", false);
+        response.put("error", e.getMessage());
+        if (!(e instanceof AuthException authError)) {
+            return ResponseEntity.badRequest().body(response);
+        }
+
+        response.put("code", authError.getCode());
+        ResponseEntity.BodyBuilder builder = ResponseEntity.status(authError.getStatus());
+        if (authError.getRetryAfterSeconds() > 0) {
+            response.put("retryAfterSeconds", authError.getRetryAfterSeconds());
+            builder.header(HttpHeaders.RETRY_AFTER, String.valueOf(authError.getRetryAfterSeconds()));
+        }
+        return builder.body(response);
+    }
 }
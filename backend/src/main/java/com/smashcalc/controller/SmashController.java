@@ -1,5 +1,6 @@
 package com.smashcalc.controller;
 
+import com.smashcalc.model.MeasurementContext;
 import com.smashcalc.model.SmashRecord;
 import com.smashcalc.model.User;
 import com.smashcalc.service.AuthService;
@@ -35,15 +36,30 @@ public class SmashController {
         }
 
         try {
-            double speedMps = ((Number) body.get("speedMps")).doubleValue();
-            SmashRecord record = smashService.saveSmash(user.getId(), speedMps);
+            Double speedMps = number(body, "speedMps");
+            if (speedMps == null) {
+                throw new IllegalArgumentException("speedMps is required");
+            }
+            // Set when an offline save is replayed later; absent means "now"
+            String recordedAt = text(body, "recordedAt");
 
-            Map<String, Object> response = new HashMap<>();
+            MeasurementContext context = new MeasurementContext();
+            context.setDistanceM(number(body, "distanceM"));
+            context.setTimeS(number(body, "timeS"));
+            context.setAngleDeg(number(body, "angleDeg"));
+            context.setKx(number(body, "kx"));
+            context.setModel(text(body, "model"));
+            context.setContactHeightM(number(body, "contactHeightM"));
+            context.setVideoName(text(body, "videoName"));
+            context.setVideoDurationS(number(body, "videoDurationS"));
+            context.setContactTimeS(number(body, "contactTimeS"));
+            context.setLandingTimeS(number(body, "landingTimeS"));
+
+            SmashRecord record = smashService.saveSmash(user.getId(), speedMps, recordedAt,
+                    context, text(body, "note"), textList(body, "tags"));
+
+            Map<String, Object> response = toResponse(record);
             response.put("success", true);
-            response.put("id", record.getId());
-            response.put("speedMps", record.getSpeedMps());
-            response.put("speedKmh", record.getSpeedKmh());
-            response.put("recordedAt", record.getRecordedAt());
             return ResponseEntity.ok(response);
         } catch (IllegalArgumentException e) {
             return ResponseEntity.badRequest().body(Map.of("success", false, "error", e.getMessage()));
@@ -61,15 +77,84 @@ public class SmashController {
 
         ArrayList<SmashRecord> records = smashService.getHistory(user.getId());
 
-        // Format for Chart.js: [{date, speedKmh}]
+        // Format for Chart.js: [{date, speedKmh, ...measurement context}]
         List<Map<String, Object>> result = new ArrayList<>();
         for (SmashRecord r : records) {
-            Map<String, Object> point = new HashMap<>();
-            point.put("date", r.getRecordedAt());
-            point.put("speedKmh", r.getSpeedKmh());
-            result.add(point);
+            result.add(toResponse(r));
         }
 
         return ResponseEntity.ok(result);
     }
+
+    /**
+     * A record as JSON; context fields are left out when the record has none.
+     * Also used by the account export.
+     */
+    static Map<String, Object> toResponse(SmashRecord r) {
+        Map<String, Object> item = new HashMap<>();
+        item.put("id", r.getId());
+        item.put("date", r.getRecordedAt());
+        item.put("recordedAt", r.getRecordedAt());
+        item.put("speedMps", r.getSpeedMps());
+        item.put("speedKmh", r.getSpeedKmh());
+        item.put("note", r.getNote());
+        item.put("tags", r.getTags());
+
+        MeasurementContext c = r.getContext();
+        if (c != null) {
+            item.put("distanceM", c.getDistanceM());
+            item.put("timeS", c.getTimeS());
+            item.put("angleDeg", c.getAngleDeg());
+            item.put("kx", c.getKx());
+            item.put("model", c.getModel());
+            item.put("contactHeightM", c.getContactHeightM());
+            item.put("videoName", c.getVideoName());
+            item.put("videoDurationS", c.getVideoDurationS());
+            item.put("contactTimeS", c.getContactTimeS());
+            item.put("landingTimeS", c.getLandingTimeS());
+        }
+        return item;
+    }
+
+    // Optional request fields: null when absent, a 400 when present with the wrong type
+
+    private Double number(Map<String, Object> body, String key) {
+        Object value = body.get(key);
+        if (value == null) {
+            return null;
+        }
+        if (value instanceof Number n) {
+            return n.doubleValue();
+        }
+        throw new IllegalArgumentException(key + " must be a number");
+    }
+
+    private String text(Map<String, Object> body, String key) {
+        Object value = body.get(key);
+        if (value == null) {
+            return null;
+        }
+        if (value instanceof String s) {
+            return s;
+        }
+        throw new IllegalArgumentException(key + " must be a string");
+    }
+
+    private List<String> textList(Map<String, Object> body, String key) {
+        Object value = body.get(key);
+        if (value == null) {
+            return new ArrayList<>();
+        }
+        if (!(value instanceof List<?> list)) {
+            throw new IllegalArgumentException(key + " must be a list of strings");
+        }
+        List<String> result = new ArrayList<>();
+        for (Object item : list) {
+            if (!(item instanceof String s)) {
+                throw new IllegalArgumentException(key + " must be a list of strings");
+            }
+            result.add(s);
+        }
+        return result;
+    }
 }
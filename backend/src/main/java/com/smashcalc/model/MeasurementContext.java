@@ -0,0 +1,59 @@
+package com.smashcalc.model;
+
+/**
+ * The inputs a smash speed was calculated from, so a saved record can be audited or
+ * recalculated later. Every field is optional: null means the client didn't send it.
+ * Lengths in metres, times in seconds, angles in degrees.
+ */
+public class MeasurementContext {
+    private Double distanceM;
+    private Double timeS;
+    private Double angleDeg;
+    private Double kx;
+    private String model;           // "closed" or "simulation"
+    private Double contactHeightM;
+    private String videoName;
+    private Double videoDurationS;
+    private Double contactTimeS;    // segment start in the video
+    private Double landingTimeS;    // segment end in the video
+
+    public MeasurementContext() {}
+
+    // True when no field is set, so there is nothing worth storing
+    public boolean isEmpty() {
+        return distanceM == null && timeS == null && angleDeg == null && kx == null && model == null
+                && contactHeightM == null && videoName == null && videoDurationS == null
+                && contactTimeS == null && landingTimeS == null;
+    }
+
+    // Getters and setters
+    public Double getDistanceM() { return distanceM; }
+    public void setDistanceM(Double distanceM) { this.distanceM = distanceM; }
+
+    public Double getTimeS() { return timeS; }
+    public void setTimeS(Double timeS) { this.timeS = timeS; }
+
+    public Double getAngleDeg() { return angleDeg; }
+    public void setAngleDeg(Double angleDeg) { this.angleDeg = angleDeg; }
+
+    public Double getKx() { return kx; }
+    public void setKx(Double kx) { this.kx = kx; }
+
+    public String getModel() { return model; }
+    public void setModel(String model) { this.model = model; }
+
+    public Double getContactHeightM() { return contactHeightM; }
+    public void setContactHeightM(Double contactHeightM) { this.contactHeightM = contactHeightM; }
+
+    public String getVideoName() { return videoName; }
+    public void setVideoName(String videoName) { this.videoName = videoName; }
+
+    public Double getVideoDurationS() { return videoDurationS; }
+    public void setVideoDurationS(Double videoDurationS) { this.videoDurationS = videoDurationS; }
+
+    public Double getContactTimeS() { return contactTimeS; }
+    public void setContactTimeS(Double contactTimeS) { this.contactTimeS = contactTimeS; }
+
+    public Double getLandingTimeS() { return landingTimeS; }
+    public void setLandingTimeS(Double landingTimeS) { this.landingTimeS = landingTimeS; }
+}
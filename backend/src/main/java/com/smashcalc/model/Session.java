@@ -0,0 +1,39 @@
+package com.smashcalc.model;
+
+/**
+ * A login session. Sessions expire after a stretch of inactivity; every authenticated
+ * request pushes expiresAt forward again. "Remember me" sessions get a much longer idle
+ * lifetime than ordinary ones.
+ */
+public class Session {
+    private String id;
+    private int userId;
+    private boolean remember;
+    private long expiresAt;     // epoch milliseconds
+
+    public Session() {}
+
+    public Session(String id, int userId, boolean remember, long expiresAt) {
+        this.id = id;
+        this.userId = userId;
+        this.remember = remember;
+        this.expiresAt = expiresAt;
+    }
+
+    public boolean isExpired(long now) {
+        return expiresAt <= now;
+    }
+
+    // Getters and setters
+    public String getId() { return id; }
+    public void setId(String id) { this.id = id; }
+
+    public int getUserId() { return userId; }
+    public void setUserId(int userId) { this.userId = userId; }
+
+    public boolean isRemember() { return remember; }
+    public void setRemember(boolean remember) { this.remember = remember; }
+
+    public long getExpiresAt() { return expiresAt; }
+    public void setExpiresAt(long expiresAt) { this.expiresAt = expiresAt; }
+}
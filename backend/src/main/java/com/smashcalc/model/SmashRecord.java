@@ -1,5 +1,8 @@
 package com.smashcalc.model;
 
+import java.util.ArrayList;
+import java.util.List;
+
 /**
  * Represents a single smash speed measurement.
  * Demonstrates: encapsulation (private fields with getters/setters).
@@ -9,6 +12,9 @@ public class SmashRecord {
     private int userId;
     private double speedMps;
     private String recordedAt;
+    private MeasurementContext context;   // null when saved without one
+    private String note;
+    private List<String> tags = new ArrayList<>();
 
     public SmashRecord() {}
 
@@ -34,4 +40,13 @@ public class SmashRecord {
 
     public String getRecordedAt() { return recordedAt; }
     public void setRecordedAt(String recordedAt) { this.recordedAt = recordedAt; }
+
+    public MeasurementContext getContext() { return context; }
+    public void setContext(MeasurementContext context) { this.context = context; }
+
+    public String getNote() { return note; }
+    public void setNote(String note) { this.note = note; }
+
+    public List<String> getTags() { return tags; }
+    public void setTags(List<String> tags) { this.tags = tags; }
 }
@@ -0,0 +1,33 @@
+package com.smashcalc.model;
+
+/**
+ * Optional player details edited on the account page. Any field may be null.
+ */
+public class UserProfile {
+    private int userId;
+    private String handedness;  // "left" or "right"
+    private String level;       // "junior", "club" or "elite", as in the calculator's plausibility checks
+    private String club;
+
+    public UserProfile() {}
+
+    public UserProfile(int userId, String handedness, String level, String club) {
+        this.userId = userId;
+        this.handedness = handedness;
+        this.level = level;
+        this.club = club;
+    }
+
+    // Getters and setters
+    public int getUserId() { return userId; }
+    public void setUserId(int userId) { this.userId = userId; }
+
+    public String getHandedness() { return handedness; }
+    public void setHandedness(String handedness) { this.handedness = handedness; }
+
+    public String getLevel() { return level; }
+    public void setLevel(String level) { this.level = level; }
+
+    public String getClub() { return club; }
+    public void setClub(String club) { this.club = club; }
+}
@@ -0,0 +1,78 @@
+package com.smashcalc.repository;
+
+import com.smashcalc.model.Session;
+import org.springframework.jdbc.core.JdbcTemplate;
+import org.springframework.stereotype.Repository;
+
+import java.sql.ResultSet;
+import java.sql.SQLException;
+import java.util.List;
+
+/**
+ * Handles all database operations for login sessions.
+ * Sessions live in the database so they survive a backend restart.
+ */
+@Repository
+public class SessionRepository {
+
+    private final JdbcTemplate jdbcTemplate;
+
+    public SessionRepository(JdbcTemplate jdbcTemplate) {
+        this.jdbcTemplate = jdbcTemplate;
+    }
+
+    private Session mapRowToSession(ResultSet rs, int rowNum) throws SQLException {
+        return new Session(
+                rs.getString("id"),
+                rs.getInt("user_id"),
+                rs.getInt("remember") == 1,
+                rs.getLong("expires_at"));
+    }
+
+    /**
+     * Find a session by its ID, expired or not.
+     */
+    public Session findById(String id) {
+        String sql = "SELECT * FROM sessions WHERE id = ?";
+        List<Session> sessions = jdbcTemplate.query(sql, this::mapRowToSession, id);
+        return sessions.isEmpty() ? null : sessions.get(0);
+    }
+
+    /**
+     * Save a new session.
+     */
+    public void save(Session session) {
+        String sql = "INSERT INTO sessions (id, user_id, remember, expires_at) VALUES (?, ?, ?, ?)";
+        jdbcTemplate.update(sql, session.getId(), session.getUserId(), session.isRemember() ? 1 : 0,
+                session.getExpiresAt());
+    }
+
+    /**
+     * Move a session's expiry time.
+     */
+    public void updateExpiry(String id, long expiresAt) {
+        jdbcTemplate.update("UPDATE sessions SET expires_at = ? WHERE id = ?", expiresAt, id);
+    }
+
+    public void deleteById(String id) {
+        jdbcTemplate.update("DELETE FROM sessions WHERE id = ?", id);
+    }
+
+    /**
+     * Remove all of a user's sessions except keepId (null keeps none).
+     */
+    public void deleteByUserId(int userId, String keepId) {
+        if (keepId == null) {
+            jdbcTemplate.update("DELETE FROM sessions WHERE user_id = ?", userId);
+        } else {
+            jdbcTemplate.update("DELETE FROM sessions WHERE user_id = ? AND id <> ?", userId, keepId);
+        }
+    }
+
+    /**
+     * Remove every session that expired before the given time.
+     */
+    public int deleteExpired(long now) {
+        return jdbcTemplate.update("DELETE FROM sessions WHERE expires_at <= ?", now);
+    }
+}
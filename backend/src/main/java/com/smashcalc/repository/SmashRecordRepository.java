@@ -1,6 +1,7 @@
 package com.smashcalc.repository;
 
 import com.smashcalc.model.LeaderboardEntry;
+import com.smashcalc.model.MeasurementContext;
 import com.smashcalc.model.SmashRecord;
 import org.springframework.jdbc.core.JdbcTemplate;
 import org.springframework.jdbc.support.GeneratedKeyHolder;
@@ -11,7 +12,9 @@ import java.sql.PreparedStatement;
 import java.sql.ResultSet;
 import java.sql.SQLException;
 import java.util.ArrayList;
+import java.util.HashMap;
 import java.util.List;
+import java.util.Map;
 
 /**
  * Handles all database operations for smash records.
@@ -20,6 +23,12 @@ import java.util.List;
 @Repository
 public class SmashRecordRepository {
 
+    // Records with their optional details row; tags are loaded separately
+    private static final String SELECT_WITH_DETAILS =
+            "SELECT r.*, d.record_id AS detail_id, d.distance_m, d.time_s, d.angle_deg, d.kx, d.model, "
+          + "d.contact_height_m, d.video_name, d.video_duration_s, d.contact_time_s, d.landing_time_s, d.note "
+          + "FROM smash_records r LEFT JOIN smash_record_details d ON d.record_id = r.id ";
+
     private final JdbcTemplate jdbcTemplate;
 
     public SmashRecordRepository(JdbcTemplate jdbcTemplate) {
@@ -35,42 +44,134 @@ public class SmashRecordRepository {
         record.setUserId(rs.getInt("user_id"));
         record.setSpeedMps(rs.getDouble("speed_mps"));
         record.setRecordedAt(rs.getString("recorded_at"));
+
+        if (rs.getObject("detail_id") != null) {
+            MeasurementContext context = new MeasurementContext();
+            context.setDistanceM(getNullableDouble(rs, "distance_m"));
+            context.setTimeS(getNullableDouble(rs, "time_s"));
+            context.setAngleDeg(getNullableDouble(rs, "angle_deg"));
+            context.setKx(getNullableDouble(rs, "kx"));
+            context.setModel(rs.getString("model"));
+            context.setContactHeightM(getNullableDouble(rs, "contact_height_m"));
+            context.setVideoName(rs.getString("video_name"));
+            context.setVideoDurationS(getNullableDouble(rs, "video_duration_s"));
+            context.setContactTimeS(getNullableDouble(rs, "contact_time_s"));
+            context.setLandingTimeS(getNullableDouble(rs, "landing_time_s"));
+            record.setContext(context.isEmpty() ? null : context);
+            record.setNote(rs.getString("note"));
+        }
         return record;
     }
 
+    // getDouble() turns SQL NULL into 0, which would read as a real measurement
+    private Double getNullableDouble(ResultSet rs, String column) throws SQLException {
+        double value = rs.getDouble(column);
+        return rs.wasNull() ? null : value;
+    }
+
     /**
-     * Get all records for a specific user, ordered by date ascending.
+     * Get all records for a specific user, ordered by date ascending, with details and tags.
      */
     public ArrayList<SmashRecord> findByUserId(int userId) {
-        String sql = "SELECT * FROM smash_records WHERE user_id = ? ORDER BY recorded_at ASC";
+        String sql = SELECT_WITH_DETAILS + "WHERE r.user_id = ? ORDER BY r.recorded_at ASC";
         List<SmashRecord> records = jdbcTemplate.query(sql, this::mapRowToRecord, userId);
+
+        // One query for all of the user's tags rather than one per record
+        Map<Integer, List<String>> tagsByRecord = new HashMap<>();
+        jdbcTemplate.query(
+                "SELECT t.record_id, t.tag FROM smash_record_tags t "
+              + "JOIN smash_records r ON r.id = t.record_id WHERE r.user_id = ? ORDER BY t.tag",
+                rs -> {
+                    tagsByRecord.computeIfAbsent(rs.getInt("record_id"), id -> new ArrayList<>()).add(rs.getString("tag"));
+                },
+                userId);
+        for (SmashRecord record : records) {
+            record.setTags(tagsByRecord.getOrDefault(record.getId(), new ArrayList<>()));
+        }
         return new ArrayList<>(records);
     }
 
     /**
      * Save a new smash record. Returns the generated ID.
+     * recorded_at defaults to the current time unless the record already carries one.
      */
     public int save(SmashRecord record) {
-        String sql = "INSERT INTO smash_records (user_id, speed_mps) VALUES (?, ?)";
+        String sql = record.getRecordedAt() == null
+                ? "INSERT INTO smash_records (user_id, speed_mps) VALUES (?, ?)"
+                : "INSERT INTO smash_records (user_id, speed_mps, recorded_at) VALUES (?, ?, ?)";
         KeyHolder keyHolder = new GeneratedKeyHolder();
 
         jdbcTemplate.update(connection -> {
             PreparedStatement ps = connection.prepareStatement(sql, PreparedStatement.RETURN_GENERATED_KEYS);
             ps.setInt(1, record.getUserId());
             ps.setDouble(2, record.getSpeedMps());
+            if (record.getRecordedAt() != null) {
+                ps.setString(3, record.getRecordedAt());
+            }
             return ps;
         }, keyHolder);
 
-        return keyHolder.getKey().intValue();
+        int id = keyHolder.getKey().intValue();
+        saveDetails(id, record);
+        return id;
+    }
+
+    private void saveDetails(int recordId, SmashRecord record) {
+        MeasurementContext c = record.getContext();
+        if (c != null || record.getNote() != null) {
+            if (c == null) {
+                c = new MeasurementContext();
+            }
+            jdbcTemplate.update(
+                    "INSERT INTO smash_record_details (record_id, distance_m, time_s, angle_deg, kx, model, "
+                  + "contact_height_m, video_name, video_duration_s, contact_time_s, landing_time_s, note) "
+                  + "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                    recordId, c.getDistanceM(), c.getTimeS(), c.getAngleDeg(), c.getKx(), c.getModel(),
+                    c.getContactHeightM(), c.getVideoName(), c.getVideoDurationS(), c.getContactTimeS(),
+                    c.getLandingTimeS(), record.getNote());
+        }
+        for (String tag : record.getTags()) {
+            jdbcTemplate.update("INSERT INTO smash_record_tags (record_id, tag) VALUES (?, ?)", recordId, tag);
+        }
+    }
+
+    private List<String> findTags(int recordId) {
+        return jdbcTemplate.queryForList(
+                "SELECT tag FROM smash_record_tags WHERE record_id = ? ORDER BY tag", String.class, recordId);
     }
 
     /**
      * Find a record by ID.
      */
     public SmashRecord findById(int id) {
-        String sql = "SELECT * FROM smash_records WHERE id = ?";
+        String sql = SELECT_WITH_DETAILS + "WHERE r.id = ?";
         List<SmashRecord> records = jdbcTemplate.query(sql, this::mapRowToRecord, id);
-        return records.isEmpty() ? null : records.get(0);
+        if (records.isEmpty()) {
+            return null;
+        }
+        SmashRecord record = records.get(0);
+        record.setTags(new ArrayList<>(findTags(id)));
+        return record;
+    }
+
+    /**
+     * Find a user's record with exactly this timestamp and speed, or null.
+     */
+    public SmashRecord findByUserTimeAndSpeed(int userId, String recordedAt, double speedMps) {
+        String sql = "SELECT id FROM smash_records WHERE user_id = ? AND recorded_at = ? AND speed_mps = ?";
+        List<Integer> ids = jdbcTemplate.queryForList(sql, Integer.class, userId, recordedAt, speedMps);
+        return ids.isEmpty() ? null : findById(ids.get(0));
+    }
+
+    /**
+     * Delete every record a user owns, with its details and tags. Returns how many records went.
+     * The leaderboard is computed from these rows, so the user drops off it too.
+     */
+    public int deleteByUserId(int userId) {
+        String owned = "SELECT id FROM smash_records WHERE user_id = ?";
+        jdbcTemplate.update("DELETE FROM smash_record_tags WHERE record_id IN (" + owned + ")", userId);
+        jdbcTemplate.update("DELETE FROM smash_record_details WHERE record_id IN (" + owned + ")", userId);
+        return jdbcTemplate.update("DELETE FROM smash_records WHERE user_id = ?", userId);
     }
 
     /**
@@ -2,6 +2,7 @@ package com.smashcalc.repository;
 
 import com.smashcalc.model.RegularUser;
 import com.smashcalc.model.User;
+import com.smashcalc.model.UserProfile;
 import org.springframework.jdbc.core.JdbcTemplate;
 import org.springframework.jdbc.support.GeneratedKeyHolder;
 import org.springframework.jdbc.support.KeyHolder;
@@ -40,11 +41,14 @@ public class UserRepository {
     }
 
     /**
-     * Find a user by their username.
+     * Find a user by their username, ignoring case like existsByUsername. Accounts made before
+     * names were unique regardless of case may differ only in case; an exact match wins, then
+     * the oldest.
      */
     public User findByUsername(String username) {
-        String sql = "SELECT * FROM users WHERE username = ?";
-        List<User> users = jdbcTemplate.query(sql, this::mapRowToUser, username);
+        String sql = "SELECT * FROM users WHERE username = ? COLLATE NOCASE "
+                + "ORDER BY username = ? DESC, id LIMIT 1";
+        List<User> users = jdbcTemplate.query(sql, this::mapRowToUser, username, username);
         return users.isEmpty() ? null : users.get(0);
     }
 
@@ -58,10 +62,10 @@ public class UserRepository {
     }
 
     /**
-     * Check if a username already exists.
+     * Check if a username already exists, ignoring case.
      */
     public boolean existsByUsername(String username) {
-        String sql = "SELECT COUNT(*) FROM users WHERE username = ?";
+        String sql = "SELECT COUNT(*) FROM users WHERE username = ? COLLATE NOCASE";
         Integer count = jdbcTemplate.queryForObject(sql, Integer.class, username);
         return count != null && count > 0;
     }
@@ -84,4 +88,43 @@ public class UserRepository {
 
         return keyHolder.getKey().intValue();
     }
+
+    public void updateDisplayName(int id, String displayName) {
+        jdbcTemplate.update("UPDATE users SET display_name = ? WHERE id = ?", displayName, id);
+    }
+
+    public void updatePasswordHash(int id, String passwordHash) {
+        jdbcTemplate.update("UPDATE users SET password_hash = ? WHERE id = ?", passwordHash, id);
+    }
+
+    /**
+     * Find a user's profile, or an empty one if they never saved it.
+     */
+    public UserProfile findProfile(int userId) {
+        String sql = "SELECT * FROM user_profiles WHERE user_id = ?";
+        List<UserProfile> profiles = jdbcTemplate.query(sql, (rs, rowNum) -> new UserProfile(
+                rs.getInt("user_id"),
+                rs.getString("handedness"),
+                rs.getString("level"),
+                rs.getString("club")), userId);
+        return profiles.isEmpty() ? new UserProfile(userId, null, null, null) : profiles.get(0);
+    }
+
+    /**
+     * Insert or replace a user's profile.
+     */
+    public void saveProfile(UserProfile profile) {
+        String sql = "INSERT INTO user_profiles (user_id, handedness, level, club) VALUES (?, ?, ?, ?) "
+                   + "ON CONFLICT(user_id) DO UPDATE SET handedness = excluded.handedness, "
+                   + "level = excluded.level, club = excluded.club";
+        jdbcTemplate.update(sql, profile.getUserId(), profile.getHandedness(), profile.getLevel(), profile.getClub());
+    }
+
+    /**
+     * Delete a user and their profile. Records and sessions must be deleted first.
+     */
+    public void deleteById(int id) {
+        jdbcTemplate.update("DELETE FROM user_profiles WHERE user_id = ?", id);
+        jdbcTemplate.update("DELETE FROM users WHERE id = ?", id);
+    }
 }
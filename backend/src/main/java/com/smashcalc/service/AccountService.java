@@ -0,0 +1,94 @@
+package com.smashcalc.service;
+
+import com.smashcalc.model.SmashRecord;
+import com.smashcalc.model.User;
+import com.smashcalc.model.UserProfile;
+import com.smashcalc.repository.SessionRepository;
+import com.smashcalc.repository.SmashRecordRepository;
+import com.smashcalc.repository.UserRepository;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.util.ArrayList;
+import java.util.Set;
+
+/**
+ * The signed-in user's own account: profile, data export and deletion.
+ * Password checks and changes go through AuthService.
+ */
+@Service
+public class AccountService {
+
+    private static final int MAX_DISPLAY_NAME_LENGTH = 40;
+    private static final int MAX_CLUB_LENGTH = 60;
+    private static final Set<String> HANDEDNESS = Set.of("left", "right");
+    private static final Set<String> LEVELS = Set.of("junior", "club", "elite");
+
+    private final UserRepository userRepository;
+    private final SmashRecordRepository smashRecordRepository;
+    private final SessionRepository sessionRepository;
+    private final AuthService authService;
+
+    public AccountService(UserRepository userRepository, SmashRecordRepository smashRecordRepository,
+                          SessionRepository sessionRepository, AuthService authService) {
+        this.userRepository = userRepository;
+        this.smashRecordRepository = smashRecordRepository;
+        this.sessionRepository = sessionRepository;
+        this.authService = authService;
+    }
+
+    public UserProfile getProfile(int userId) {
+        return userRepository.findProfile(userId);
+    }
+
+    /**
+     * Update the display name and profile. Blank optional fields are cleared.
+     */
+    @Transactional
+    public void updateProfile(User user, String displayName, String handedness, String level, String club) {
+        if (displayName == null || displayName.trim().isEmpty()) {
+            throw new IllegalArgumentException("Display name cannot be empty");
+        }
+        if (displayName.trim().length() > MAX_DISPLAY_NAME_LENGTH) {
+            throw new IllegalArgumentException("Display name must be at most " + MAX_DISPLAY_NAME_LENGTH + " characters");
+        }
+        handedness = blankToNull(handedness);
+        if (handedness != null && !HANDEDNESS.contains(handedness)) {
+            throw new IllegalArgumentException("handedness must be left or right");
+        }
+        level = blankToNull(level);
+        if (level != null && !LEVELS.contains(level)) {
+            throw new IllegalArgumentException("level must be junior, club or elite");
+        }
+        club = blankToNull(club);
+        if (club != null && club.length() > MAX_CLUB_LENGTH) {
+            throw new IllegalArgumentException("Club must be at most " + MAX_CLUB_LENGTH + " characters");
+        }
+
+        userRepository.updateDisplayName(user.getId(), displayName.trim());
+        userRepository.saveProfile(new UserProfile(user.getId(), handedness, level, club));
+    }
+
+    /**
+     * Every record the user has saved, oldest first, with its measurement context.
+     */
+    public ArrayList<SmashRecord> exportRecords(int userId) {
+        return smashRecordRepository.findByUserId(userId);
+    }
+
+    /**
+     * Permanently delete the account after re-checking the password: records (and with them
+     * the user's leaderboard entry), profile and all sessions.
+     */
+    @Transactional
+    public void deleteAccount(User user, String password) {
+        authService.confirmPassword(user, password);
+        smashRecordRepository.deleteByUserId(user.getId());
+        sessionRepository.deleteByUserId(user.getId(), null);
+        userRepository.deleteById(user.getId());
+    }
+
+    private String blankToNull(String value) {
+        return value == null || value.trim().isEmpty() ? null : value.trim();
+    }
+}
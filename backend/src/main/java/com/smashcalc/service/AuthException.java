@@ -0,0 +1,27 @@
+package com.smashcalc.service;
+
+/**
+ * A rejected login, registration or password change, with a stable code the frontend turns
+ * into a translated message (e.g. "username_taken", "account_locked"). Still an
+ * IllegalArgumentException, so callers that only know about those answer 400 as before.
+ */
+public class AuthException extends IllegalArgumentException {
+    private final String code;
+    private final int status;
+    private final long retryAfterSeconds;   // 0 when retrying later won't help
+
+    public AuthException(String code, String message) {
+        this(code, message, 400, 0);
+    }
+
+    public AuthException(String code, String message, int status, long retryAfterSeconds) {
+        super(message);
+        this.code = code;
+        this.status = status;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+
+    public String getCode() { return code; }
+    public int getStatus() { return status; }
+    public long getRetryAfterSeconds() { return retryAfterSeconds; }
+}
@@ -1,7 +1,9 @@
 package com.smashcalc.service;
 
 import com.smashcalc.model.RegularUser;
+import com.smashcalc.model.Session;
 import com.smashcalc.model.User;
+import com.smashcalc.repository.SessionRepository;
 import com.smashcalc.repository.UserRepository;
 import org.springframework.stereotype.Service;
 
@@ -9,82 +11,162 @@ import javax.crypto.SecretKeyFactory;
 import javax.crypto.spec.PBEKeySpec;
 import java.security.SecureRandom;
 import java.util.Base64;
-import java.util.HashMap;
 import java.util.UUID;
 
 @Service
 public class AuthService {
 
+    // Idle lifetimes: a session expires this long after it was last used
+    private static final long SESSION_LIFETIME_MS = 2L * 60 * 60 * 1000;           // 2 hours
+    private static final long REMEMBER_LIFETIME_MS = 30L * 24 * 60 * 60 * 1000;    // 30 days
+    // Skip the expiry write when the session was already refreshed this recently
+    private static final long REFRESH_INTERVAL_MS = 60 * 1000;
+
     private final UserRepository userRepository;
-    private final HashMap<String, Integer> activeSessions = new HashMap<>();
+    private final SessionRepository sessionRepository;
+    private final LoginThrottle loginThrottle;
 
-    public AuthService(UserRepository userRepository) {
+    public AuthService(UserRepository userRepository, SessionRepository sessionRepository, LoginThrottle loginThrottle) {
         this.userRepository = userRepository;
+        this.sessionRepository = sessionRepository;
+        this.loginThrottle = loginThrottle;
     }
 
-    public String register(String username, String password, String displayName) {
-        if (username == null || username.trim().isEmpty()) {
-            throw new IllegalArgumentException("Username cannot be empty");
-        }
-        if (password == null || password.length() < 6) {
-            throw new IllegalArgumentException("Password must be at least 6 characters");
+    /**
+     * Create an account and log it in.
+     * @throws AuthException with the code of the first rule the username or password breaks
+     */
+    public Session register(String username, String password, String displayName, boolean remember) {
+        if (username == null || username.trim().isEmpty() || password == null || password.isEmpty()) {
+            throw new AuthException("missing_fields", "Username and password are required");
         }
+        username = username.trim();
+        CredentialPolicy.validateUsername(username);
+        CredentialPolicy.validatePassword(password, username);
         if (displayName == null || displayName.trim().isEmpty()) {
             displayName = username;
         }
 
-        if (userRepository.existsByUsername(username.trim())) {
-            throw new IllegalArgumentException("Username already taken");
+        // Case-insensitive, so nobody can register a look-alike of an existing name
+        if (userRepository.existsByUsername(username)) {
+            throw new AuthException("username_taken", "Username already taken");
         }
 
         String passwordHash = hashPassword(password);
 
-        RegularUser user = new RegularUser(username.trim(), passwordHash, displayName.trim());
+        RegularUser user = new RegularUser(username, passwordHash, displayName.trim());
         int userId = userRepository.save(user);
         user.setId(userId);
 
         // Auto-login: create session
-        return createSession(userId);
+        return createSession(userId, remember);
     }
 
-    public String login(String username, String password) {
-        if (username == null || password == null) {
-            throw new IllegalArgumentException("Username and password are required");
+    /**
+     * Log in, subject to LoginThrottle's limits for the username and the client IP.
+     * @param clientIp - address the attempt came from; null skips the per-IP limit
+     * @throws AuthException missing_fields, invalid_credentials, too_many_attempts or account_locked
+     */
+    public Session login(String username, String password, boolean remember, String clientIp) {
+        if (username == null || username.trim().isEmpty() || password == null || password.isEmpty()) {
+            throw new AuthException("missing_fields", "Username and password are required");
         }
 
+        long now = System.currentTimeMillis();
+        loginThrottle.check(username, clientIp, now);
+
         User user = userRepository.findByUsername(username.trim());
-        if (user == null) {
-            throw new IllegalArgumentException("Invalid username or password");
+        if (user == null || !verifyPassword(password, user.getPasswordHash())) {
+            loginThrottle.recordFailure(username, clientIp, now);
+            throw new AuthException("invalid_credentials", "Invalid username or password");
         }
 
-        if (!verifyPassword(password, user.getPasswordHash())) {
-            throw new IllegalArgumentException("Invalid username or password");
-        }
+        loginThrottle.recordSuccess(username);
+        return createSession(user.getId(), remember);
+    }
+
+    private Session createSession(int userId, boolean remember) {
+        long now = System.currentTimeMillis();
+        // Housekeeping: sessions nobody came back to are only ever removed here
+        sessionRepository.deleteExpired(now);
 
-        return createSession(user.getId());
+        Session session = new Session(UUID.randomUUID().toString(), userId, remember, now + lifetime(remember));
+        sessionRepository.save(session);
+        return session;
     }
 
-    private String createSession(int userId) {
-        String sessionId = UUID.randomUUID().toString();
-        activeSessions.put(sessionId, userId);
-        return sessionId;
+    private long lifetime(boolean remember) {
+        return remember ? REMEMBER_LIFETIME_MS : SESSION_LIFETIME_MS;
     }
 
-    public User getUserFromSession(String sessionId) {
+    /**
+     * Look up a live session and slide its expiry forward, since being asked about it means
+     * it is in use. Returns null for unknown or expired sessions; expired ones are deleted.
+     */
+    public Session getSession(String sessionId) {
         if (sessionId == null || sessionId.isEmpty()) {
             return null;
         }
 
-        Integer userId = activeSessions.get(sessionId);
-        if (userId == null) {
+        Session session = sessionRepository.findById(sessionId);
+        if (session == null) {
+            return null;
+        }
+
+        long now = System.currentTimeMillis();
+        if (session.isExpired(now)) {
+            sessionRepository.deleteById(sessionId);
             return null;
         }
 
-        return userRepository.findById(userId);
+        long refreshed = now + lifetime(session.isRemember());
+        if (refreshed - session.getExpiresAt() >= REFRESH_INTERVAL_MS) {
+            sessionRepository.updateExpiry(sessionId, refreshed);
+            session.setExpiresAt(refreshed);
+        }
+        return session;
+    }
+
+    public User getUserFromSession(String sessionId) {
+        Session session = getSession(sessionId);
+        return session == null ? null : userRepository.findById(session.getUserId());
+    }
+
+    public User getUser(Session session) {
+        return userRepository.findById(session.getUserId());
     }
 
     public void logout(String sessionId) {
-        activeSessions.remove(sessionId);
+        sessionRepository.deleteById(sessionId);
+    }
+
+    /**
+     * Re-authenticate a signed-in user before a sensitive change. Wrong passwords count
+     * towards the same lockout as failed logins, so a stolen session can't be used to guess.
+     * @throws AuthException current_password_incorrect, too_many_attempts or account_locked
+     */
+    public void confirmPassword(User user, String password) {
+        long now = System.currentTimeMillis();
+        loginThrottle.check(user.getUsername(), null, now);
+        if (password == null || !verifyPassword(password, user.getPasswordHash())) {
+            loginThrottle.recordFailure(user.getUsername(), null, now);
+            throw new AuthException("current_password_incorrect", "Current password is incorrect");
+        }
+        loginThrottle.recordSuccess(user.getUsername());
+    }
+
+    /**
+     * Change a user's password after checking the current one. Every other session of the
+     * user is logged out; the one making the change (keepSessionId) stays.
+     */
+    public void changePassword(User user, String currentPassword, String newPassword, String keepSessionId) {
+        confirmPassword(user, currentPassword);
+        CredentialPolicy.validatePassword(newPassword, user.getUsername());
+        if (newPassword.equals(currentPassword)) {
+            throw new AuthException("password_unchanged", "New password must be different from the current one");
+        }
+        userRepository.updatePasswordHash(user.getId(), hashPassword(newPassword));
+        sessionRepository.deleteByUserId(user.getId(), keepSessionId);
     }
 
     /**
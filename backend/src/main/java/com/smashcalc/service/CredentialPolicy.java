@@ -0,0 +1,84 @@
+package com.smashcalc.service;
+
+import java.util.Locale;
+import java.util.Set;
+import java.util.regex.Pattern;
+
+/**
+ * Username format and password strength rules. The frontend mirrors them in authpolicy.js
+ * for live feedback; keep the two in step.
+ */
+public final class CredentialPolicy {
+
+    public static final int USERNAME_MIN_LENGTH = 3;
+    public static final int USERNAME_MAX_LENGTH = 20;
+    public static final int PASSWORD_MIN_LENGTH = 8;
+    public static final int PASSWORD_MAX_LENGTH = 128;
+
+    // Letters, digits, dot, underscore and hyphen; starts with a letter or digit
+    private static final Pattern USERNAME_PATTERN = Pattern.compile("[A-Za-z0-9][A-Za-z0-9._-]*");
+
+    // Names that would pass for staff on a public leaderboard
+    private static final Set<String> RESERVED_USERNAMES = Set.of(
+            "admin", "administrator", "root", "system", "support", "moderator", "smashcalc");
+
+    private static final Set<String> COMMON_PASSWORDS = Set.of(
+            "password", "password1", "password123", "12345678", "123456789", "1234567890",
+            "qwerty123", "qwertyuiop", "11111111", "00000000", "abc12345", "iloveyou",
+            "letmein1", "welcome1", "badminton", "badminton1", "smash123", "shuttlecock",
+            "football", "baseball", "sunshine", "princess", "trustno1", "passw0rd");
+
+    private CredentialPolicy() {}
+
+    /**
+     * @throws AuthException username_format or username_reserved
+     */
+    public static void validateUsername(String username) {
+        if (username.length() < USERNAME_MIN_LENGTH || username.length() > USERNAME_MAX_LENGTH
+                || !USERNAME_PATTERN.matcher(username).matches()) {
+            throw new AuthException("username_format", "Usernames are " + USERNAME_MIN_LENGTH + "–"
+                    + USERNAME_MAX_LENGTH + " letters, numbers, dots, dashes or underscores, starting with a letter or number");
+        }
+        if (RESERVED_USERNAMES.contains(username.toLowerCase(Locale.ROOT))) {
+            throw new AuthException("username_reserved", "That username is reserved");
+        }
+    }
+
+    /**
+     * @param username - the account's username, which the password must not contain
+     * @throws AuthException password_too_short, password_too_long, password_too_simple,
+     *         password_contains_username or password_too_common
+     */
+    public static void validatePassword(String password, String username) {
+        if (password == null || password.length() < PASSWORD_MIN_LENGTH) {
+            throw new AuthException("password_too_short",
+                    "Password must be at least " + PASSWORD_MIN_LENGTH + " characters");
+        }
+        if (password.length() > PASSWORD_MAX_LENGTH) {
+            throw new AuthException("password_too_long",
+                    "Password must be at most " + PASSWORD_MAX_LENGTH + " characters");
+        }
+        if (characterClasses(password) < 2) {
+            throw new AuthException("password_too_simple",
+                    "Use at least two of: lowercase letters, uppercase letters, numbers, symbols");
+        }
+        String lower = password.toLowerCase(Locale.ROOT);
+        if (username != null && !username.isEmpty() && lower.contains(username.toLowerCase(Locale.ROOT))) {
+            throw new AuthException("password_contains_username", "Password must not contain your username");
+        }
+        if (COMMON_PASSWORDS.contains(lower)) {
+            throw new AuthException("password_too_common", "That password is too common");
+        }
+    }
+
+    private static int characterClasses(String password) {
+        boolean lower = false, upper = false, digit = false, other = false;
+        for (char c : password.toCharArray()) {
+            if (Character.isLowerCase(c)) lower = true;
+            else if (Character.isUpperCase(c)) upper = true;
+            else if (Character.isDigit(c)) digit = true;
+            else other = true;
+        }
+        return (lower ? 1 : 0) + (upper ? 1 : 0) + (digit ? 1 : 0) + (other ? 1 : 0);
+    }
+}
@@ -0,0 +1,130 @@
+package com.smashcalc.service;
+
+import org.springframework.stereotype.Component;
+
+import java.util.ArrayDeque;
+import java.util.Deque;
+import java.util.HashMap;
+import java.util.Locale;
+import java.util.Map;
+
+/**
+ * Brute-force protection for logins. Failed attempts are counted per client IP and per
+ * username over a sliding window:
+ *  - an IP with too many failures is refused until the oldest of them ages out
+ *  - a username with a few failures must wait between attempts
+ *  - a username with repeated failures is locked for a while
+ * A successful login clears the username's count, not the IP's.
+ * State is kept in memory, so a backend restart forgets it.
+ */
+@Component
+public class LoginThrottle {
+
+    private static final long WINDOW_MS = 15 * 60 * 1000;
+    private static final int IP_MAX_FAILURES = 20;
+    private static final int SLOWDOWN_AFTER = 3;            // failures before the per-username wait
+    private static final long SLOWDOWN_MS = 10 * 1000;
+    private static final int LOCK_AFTER = 5;                 // failures before the account locks
+    private static final long LOCK_MS = 15 * 60 * 1000;
+    private static final int MAX_TRACKED = 10000;           // keys kept before stale ones are purged
+
+    private final Map<String, Deque<Long>> ipFailures = new HashMap<>();
+    private final Map<String, Deque<Long>> usernameFailures = new HashMap<>();
+    private final Map<String, Long> lockedUntil = new HashMap<>();
+
+    /**
+     * Refuse the attempt if the IP or username is throttled or the account is locked.
+     * @throws AuthException too_many_attempts or account_locked (status 429), with retry time
+     */
+    public synchronized void check(String username, String ip, long now) {
+        Deque<Long> byIp = recent(ipFailures, ip, now);
+        if (byIp.size() >= IP_MAX_FAILURES) {
+            throw tooManyAttempts(byIp.peekFirst() + WINDOW_MS - now);
+        }
+
+        String key = key(username);
+        Long until = lockedUntil.get(key);
+        if (until != null) {
+            if (until > now) {
+                throw accountLocked(until - now);
+            }
+            lockedUntil.remove(key);
+        }
+
+        Deque<Long> byName = recent(usernameFailures, key, now);
+        if (byName.size() >= SLOWDOWN_AFTER && now - byName.peekLast() < SLOWDOWN_MS) {
+            throw tooManyAttempts(byName.peekLast() + SLOWDOWN_MS - now);
+        }
+    }
+
+    /**
+     * Count a failed attempt. Unknown usernames are counted too, so a lockout doesn't reveal
+     * which accounts exist.
+     * @throws AuthException account_locked when this failure locks the account
+     */
+    public synchronized void recordFailure(String username, String ip, long now) {
+        if (ipFailures.size() + usernameFailures.size() > MAX_TRACKED) {
+            purge(now);
+        }
+        if (ip != null) {
+            ipFailures.computeIfAbsent(ip, k -> new ArrayDeque<>()).addLast(now);
+        }
+
+        String key = key(username);
+        Deque<Long> byName = usernameFailures.computeIfAbsent(key, k -> new ArrayDeque<>());
+        byName.addLast(now);
+        if (recent(usernameFailures, key, now).size() >= LOCK_AFTER) {
+            usernameFailures.remove(key);
+            lockedUntil.put(key, now + LOCK_MS);
+            throw accountLocked(LOCK_MS);
+        }
+    }
+
+    public synchronized void recordSuccess(String username) {
+        usernameFailures.remove(key(username));
+    }
+
+    // Failures still inside the window, dropping older ones; an empty deque for unknown keys
+    private Deque<Long> recent(Map<String, Deque<Long>> failures, String key, long now) {
+        Deque<Long> times = key == null ? null : failures.get(key);
+        if (times == null) {
+            return new ArrayDeque<>();
+        }
+        while (!times.isEmpty() && times.peekFirst() <= now - WINDOW_MS) {
+            times.removeFirst();
+        }
+        if (times.isEmpty()) {
+            failures.remove(key);
+        }
+        return times;
+    }
+
+    private void purge(long now) {
+        for (String ip : ipFailures.keySet().toArray(new String[0])) {
+            recent(ipFailures, ip, now);
+        }
+        for (String name : usernameFailures.keySet().toArray(new String[0])) {
+            recent(usernameFailures, name, now);
+        }
+        lockedUntil.values().removeIf(until -> until <= now);
+    }
+
+    private String key(String username) {
+        return username.trim().toLowerCase(Locale.ROOT);
+    }
+
+    private AuthException tooManyAttempts(long waitMs) {
+        return new AuthException("too_many_attempts", "Too many login attempts. Try again later.",
+                429, seconds(waitMs));
+    }
+
+    private AuthException accountLocked(long waitMs) {
+        return new AuthException("account_locked",
+                "This account is temporarily locked after repeated failed logins. Try again later.",
+                429, seconds(waitMs));
+    }
+
+    private long seconds(long ms) {
+        return Math.max(1, (ms + 999) / 1000);
+    }
+}
@@ -1,10 +1,20 @@
 package com.smashcalc.service;
 
+import com.smashcalc.model.MeasurementContext;
 import com.smashcalc.model.SmashRecord;
 import com.smashcalc.repository.SmashRecordRepository;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
 
+import java.time.Duration;
+import java.time.Instant;
+import java.time.ZoneOffset;
+import java.time.format.DateTimeFormatter;
+import java.time.format.DateTimeParseException;
 import java.util.ArrayList;
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Set;
 
 /**
  * Handles saving and retrieving smash speed records.
@@ -12,6 +22,17 @@ import java.util.ArrayList;
 @Service
 public class SmashService {
 
+    // Same layout as SQLite's datetime('now'), which fills recorded_at when no time is given
+    private static final DateTimeFormatter DB_TIME =
+            DateTimeFormatter.ofPattern("yyyy-MM-dd HH:mm:ss").withZone(ZoneOffset.UTC);
+    // Allowance for a client clock that runs slightly fast
+    private static final Duration CLOCK_SKEW = Duration.ofMinutes(5);
+
+    private static final int MAX_NOTE_LENGTH = 500;
+    private static final int MAX_TAGS = 10;
+    private static final int MAX_TAG_LENGTH = 30;
+    private static final int MAX_TEXT_LENGTH = 255;
+
     private final SmashRecordRepository recordRepository;
 
     public SmashService(SmashRecordRepository recordRepository) {
@@ -20,8 +41,16 @@ public class SmashService {
 
     /**
      * Save a new smash record for a user.
+     *
+     * @param recordedAt ISO-8601 instant the smash was measured (from a replayed offline save),
+     *                   or null to stamp it with the current time
+     * @param context    what the speed was calculated from, or null
+     * @param note       free-text note, or null
+     * @param tags       labels such as "jump smash"; trimmed, blank and repeated ones dropped
      */
-    public SmashRecord saveSmash(int userId, double speedMps) {
+    @Transactional
+    public SmashRecord saveSmash(int userId, double speedMps, String recordedAt,
+                                 MeasurementContext context, String note, List<String> tags) {
         // Validate speed
         if (speedMps <= 0) {
             throw new IllegalArgumentException("Speed must be greater than 0");
@@ -30,7 +59,26 @@ public class SmashService {
             throw new IllegalArgumentException("Speed exceeds physically possible range (200 m/s)");
         }
 
+        if (context != null) {
+            validateContext(context);
+        }
+        if (note != null && note.length() > MAX_NOTE_LENGTH) {
+            throw new IllegalArgumentException("Note must be at most " + MAX_NOTE_LENGTH + " characters");
+        }
+
         SmashRecord record = new SmashRecord(userId, speedMps);
+        record.setContext(context == null || context.isEmpty() ? null : context);
+        record.setNote(note == null || note.isBlank() ? null : note.trim());
+        record.setTags(cleanTags(tags));
+        if (recordedAt != null) {
+            record.setRecordedAt(toDbTime(recordedAt));
+
+            // A replay whose first response was lost must not create a second record
+            SmashRecord existing = recordRepository.findByUserTimeAndSpeed(userId, record.getRecordedAt(), speedMps);
+            if (existing != null) {
+                return existing;
+            }
+        }
         int id = recordRepository.save(record);
         record.setId(id);
 
@@ -38,6 +86,62 @@ public class SmashService {
         return recordRepository.findById(id);
     }
 
+    private void validateContext(MeasurementContext c) {
+        requireRange(c.getDistanceM(), 0, 30, "Distance");
+        requireRange(c.getTimeS(), 0, 10, "Time");
+        requireRange(c.getAngleDeg(), 0, 90, "Angle");
+        requireRange(c.getKx(), 0, 10, "Drag constant");
+        requireRange(c.getContactHeightM(), 0, 5, "Contact height");
+        requireRange(c.getVideoDurationS(), 0, 24 * 3600, "Video duration");
+        requireRange(c.getContactTimeS(), 0, 24 * 3600, "Contact time");
+        requireRange(c.getLandingTimeS(), 0, 24 * 3600, "Landing time");
+        if (c.getModel() != null && !c.getModel().equals("closed") && !c.getModel().equals("simulation")) {
+            throw new IllegalArgumentException("Model must be 'closed' or 'simulation'");
+        }
+        if (c.getVideoName() != null && c.getVideoName().length() > MAX_TEXT_LENGTH) {
+            throw new IllegalArgumentException("Video name must be at most " + MAX_TEXT_LENGTH + " characters");
+        }
+    }
+
+    private void requireRange(Double value, double min, double max, String name) {
+        if (value != null && (value.isNaN() || value < min || value > max)) {
+            throw new IllegalArgumentException(name + " must be between " + min + " and " + max);
+        }
+    }
+
+    private List<String> cleanTags(List<String> tags) {
+        Set<String> cleaned = new LinkedHashSet<>();
+        if (tags != null) {
+            for (String tag : tags) {
+                if (tag != null && !tag.isBlank()) {
+                    cleaned.add(tag.trim());
+                }
+            }
+        }
+        if (cleaned.size() > MAX_TAGS) {
+            throw new IllegalArgumentException("At most " + MAX_TAGS + " tags per record");
+        }
+        for (String tag : cleaned) {
+            if (tag.length() > MAX_TAG_LENGTH) {
+                throw new IllegalArgumentException("Tags must be at most " + MAX_TAG_LENGTH + " characters");
+            }
+        }
+        return new ArrayList<>(cleaned);
+    }
+
+    private String toDbTime(String recordedAt) {
+        Instant instant;
+        try {
+            instant = Instant.parse(recordedAt);
+        } catch (DateTimeParseException e) {
+            throw new IllegalArgumentException("Recorded time must be an ISO-8601 timestamp");
+        }
+        if (instant.isAfter(Instant.now().plus(CLOCK_SKEW))) {
+            throw new IllegalArgumentException("Recorded time is in the future");
+        }
+        return DB_TIME.format(instant);
+    }
+
     /**
      * Get a user's smash history ordered by date (for progression chart).
      */
@@ -14,3 +14,46 @@ CREATE TABLE IF NOT EXISTS smash_records (
     recorded_at TEXT    NOT NULL DEFAULT (datetime('now')),
     FOREIGN KEY (user_id) REFERENCES users(id)
 );
+
+-- What a record was calculated from; one optional row per record
+CREATE TABLE IF NOT EXISTS smash_record_details (
+    record_id        INTEGER PRIMARY KEY,
+    distance_m       REAL,
+    time_s           REAL,
+    angle_deg        REAL,
+    kx               REAL,
+    model            TEXT,
+    contact_height_m REAL,
+    video_name       TEXT,
+    video_duration_s REAL,
+    contact_time_s   REAL,
+    landing_time_s   REAL,
+    note             TEXT,
+    FOREIGN KEY (record_id) REFERENCES smash_records(id)
+);
+
+CREATE TABLE IF NOT EXISTS smash_record_tags (
+    record_id INTEGER NOT NULL,
+    tag       TEXT    NOT NULL,
+    PRIMARY KEY (record_id, tag),
+    FOREIGN KEY (record_id) REFERENCES smash_records(id)
+);
+
+-- Login sessions. expires_at is epoch milliseconds and slides forward while the session is used
+CREATE TABLE IF NOT EXISTS sessions (
+    id          TEXT    PRIMARY KEY,
+    user_id     INTEGER NOT NULL,
+    remember    INTEGER NOT NULL DEFAULT 0,
+    created_at  TEXT    NOT NULL DEFAULT (datetime('now')),
+    expires_at  INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Optional profile fields from the account page; one row per user once they save it
+CREATE TABLE IF NOT EXISTS user_profiles (
+    user_id     INTEGER PRIMARY KEY,
+    handedness  TEXT,
+    level       TEXT,
+    club        TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
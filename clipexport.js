@@ -0,0 +1,171 @@
+// ===== CLIP EXPORT MODULE =====
+// Records the measured segment as an annotated slow-motion WebM, entirely in the browser:
+// the clip is played on an offscreen video, drawn to a canvas with the overlays burned in,
+// and the canvas stream is captured with MediaRecorder.
+
+const SmashClipExport = (() => {
+  const OUTPUT_WIDTH = 1200;   // 2× the angle tool canvas, so its overlay scales cleanly
+  const OUTPUT_HEIGHT = 800;
+  const OUTPUT_FPS = 30;
+  const PAD_S = 0.2;           // video seconds shown before contact and after landing
+  const MARKER_HOLD_S = 0.12;  // how long the CONTACT banner stays up (video seconds)
+  const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+  function supportedMimeType() {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  function loadVideo(src) {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      video.src = src;
+      video.addEventListener('loadeddata', () => resolve(video), { once: true });
+      video.addEventListener('error', () => reject(new Error('Could not load the video for export')), { once: true });
+    });
+  }
+
+  function seek(video, time) {
+    return new Promise(resolve => {
+      video.addEventListener('seeked', resolve, { once: true });
+      video.currentTime = time;
+    });
+  }
+
+  // Letterbox the video into the output the same way the angle tool fits it into its canvas
+  function fitRect(video) {
+    const videoAspect = video.videoWidth / video.videoHeight;
+    const outputAspect = OUTPUT_WIDTH / OUTPUT_HEIGHT;
+    if (videoAspect > outputAspect) {
+      const height = OUTPUT_WIDTH / videoAspect;
+      return { x: 0, y: (OUTPUT_HEIGHT - height) / 2, width: OUTPUT_WIDTH, height };
+    }
+    const width = OUTPUT_HEIGHT * videoAspect;
+    return { x: (OUTPUT_WIDTH - width) / 2, y: 0, width, height: OUTPUT_HEIGHT };
+  }
+
+  function label(ctx, text, x, y, { align = 'left', color = '#D4D4D2', size = 28 } = {}) {
+    ctx.font = `700 ${size}px Inter, sans-serif`;
+    ctx.textAlign = align;
+    ctx.textBaseline = 'top';
+    const width = ctx.measureText(text).width;
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(left - 12, y - 8, width + 24, size + 16);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  }
+
+  function drawFrame(ctx, video, rect, opts) {
+    const { from, to, start, end, realTimeScale, overlay, speedText, angleText, slowdown } = opts;
+    const now = video.currentTime;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, OUTPUT_WIDTH, OUTPUT_HEIGHT);
+    ctx.drawImage(video, rect.x, rect.y, rect.width, rect.height);
+    if (overlay) ctx.drawImage(overlay, 0, 0, OUTPUT_WIDTH, OUTPUT_HEIGHT);
+
+    // Real time since contact, held at the flight time once the shuttle has landed
+    const elapsed = (Math.min(now, to) - from) * realTimeScale;
+    label(ctx, `t = ${elapsed < 0 ? '−' : ''}${Math.abs(elapsed).toFixed(3)} s`, 24, 24);
+    label(ctx, speedText, OUTPUT_WIDTH - 24, 24, { align: 'right', color: '#FF9500', size: 40 });
+    if (angleText) label(ctx, angleText, OUTPUT_WIDTH - 24, 96, { align: 'right', color: '#FFB340', size: 24 });
+    label(ctx, `${slowdown}× slow motion`, 24, 84, { size: 18, color: '#B0B0AE' });
+
+    if (now >= from && now < from + MARKER_HOLD_S) {
+      label(ctx, 'CONTACT', OUTPUT_WIDTH / 2, OUTPUT_HEIGHT / 2 - 24, { align: 'center', color: '#FF9500', size: 48 });
+    } else if (now >= to) {
+      label(ctx, 'LANDING', OUTPUT_WIDTH / 2, OUTPUT_HEIGHT / 2 - 24, { align: 'center', color: '#10b981', size: 48 });
+    }
+
+    // Progress bar with contact and landing ticks
+    const barY = OUTPUT_HEIGHT - 28;
+    const toX = time => 24 + (OUTPUT_WIDTH - 48) * (time - start) / (end - start);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.fillRect(24, barY, OUTPUT_WIDTH - 48, 6);
+    ctx.fillStyle = '#FF9500';
+    ctx.fillRect(toX(from), barY, Math.max(0, toX(Math.min(now, to)) - toX(from)), 6);
+    [[from, '#FF9500'], [to, '#10b981']].forEach(([time, color]) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(toX(time) - 2, barY - 10, 4, 26);
+    });
+  }
+
+  /**
+   * Record [from, to] (video seconds) as an annotated WebM.
+   * @param {{src: string, from: number, to: number, slowdown: number, realTimeScale?: number,
+   *          overlay?: HTMLCanvasElement, speedText: string, angleText?: string,
+   *          onProgress?: Function}} options
+   * @returns {Promise<{blob: Blob, mimeType: string} | {error: string}>}
+   */
+  async function record({ src, from, to, slowdown, realTimeScale = 1, overlay, speedText, angleText, onProgress }) {
+    if (!src || !(to > from)) {
+      return { error: 'Load a video and mark the contact and landing first.' };
+    }
+    const mimeType = supportedMimeType();
+    if (!mimeType) {
+      return { error: 'This browser cannot record WebM video — try Chrome, Edge or Firefox.' };
+    }
+
+    let video;
+    try {
+      video = await loadVideo(src);
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    const start = Math.max(0, from - PAD_S);
+    const end = Math.min(video.duration, to + PAD_S);
+    const canvas = document.createElement('canvas');
+    canvas.width = OUTPUT_WIDTH;
+    canvas.height = OUTPUT_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    const rect = fitRect(video);
+    const opts = { from, to, start, end, realTimeScale, overlay, speedText, angleText, slowdown };
+
+    await seek(video, start);
+    drawFrame(ctx, video, rect, opts);
+
+    const chunks = [];
+    const recorder = new MediaRecorder(canvas.captureStream(OUTPUT_FPS), { mimeType });
+    recorder.addEventListener('dataavailable', e => {
+      if (e.data.size > 0) chunks.push(e.data);
+    });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+
+    recorder.start();
+    video.playbackRate = 1 / slowdown;
+    try {
+      await video.play();
+    } catch {
+      recorder.stop();
+      return { error: 'Playback was blocked while recording — try again.' };
+    }
+
+    await new Promise(resolve => {
+      const tick = () => {
+        drawFrame(ctx, video, rect, opts);
+        if (onProgress) onProgress(Math.min(1, (video.currentTime - start) / (end - start)));
+        if (video.currentTime >= end || video.ended) {
+          resolve();
+          return;
+        }
+        requestAnimationFrame(tick);
+      };
+      requestAnimationFrame(tick);
+    });
+
+    video.pause();
+    recorder.stop();
+    await stopped;
+    video.removeAttribute('src');
+    video.load();
+
+    return { blob: new Blob(chunks, { type: 'video/webm' }), mimeType };
+  }
+
+  return { record, isSupported: () => supportedMimeType() !== null };
+})();
@@ -1,10 +1,15 @@
 // ===== DASHBOARD MODULE =====
-// All data fetched from the Spring Boot backend.
-// API_BASE is declared in auth.js which loads first.
+// All data fetched from the Spring Boot backend through SmashApi (api.js loads first).
+// Speeds arrive in km/h and are shown in the units chosen in i18n.js.
+// Saves still waiting in the offline queue (savequeue.js) are drawn alongside, hollow.
 
 let progressionChart = null;
 let allRecords = [];
+let pendingRecords = [];
+let selectedDay = null;     // day whose records are open under the chart
 let activeTimeframe = 'all';
+let leaderboardEntries = [];
+let leaderboardUser = null;
 
 document.addEventListener('DOMContentLoaded', () => {
   initDashboard();
@@ -15,94 +20,127 @@ document.addEventListener('DOMContentLoaded', () => {
     activeTimeframe = btn.dataset.tf;
     document.querySelectorAll('#timeframeButtons [data-tf]').forEach(b => b.classList.remove('active'));
     btn.classList.add('active');
-    const deduped = deduplicateByDay(allRecords);
-    const filtered = filterByTimeframe(deduped, activeTimeframe);
-    if (filtered.length === 0) {
-      document.getElementById('noDataMsg').classList.remove('hidden');
-      if (progressionChart) { progressionChart.destroy(); progressionChart = null; }
-    } else {
-      document.getElementById('noDataMsg').classList.add('hidden');
-      renderChart(filtered, activeTimeframe);
-    }
+    showProgression();
+  });
+
+  // Redraw chart, leaderboard and suggestions in the new language and speed unit
+  document.addEventListener('localechange', () => {
+    if (progressionChart) showProgression();
+    if (selectedDay) showPointDetails(selectedDay);
+    if (leaderboardEntries.length) renderLeaderboard();
+    renderSuggestions();
+  });
+
+  // Queued saves were added or synced — reload so synced ones come back from the server
+  document.addEventListener('savequeuechange', () => {
+    if (SmashApi.session.id()) loadProgression();
   });
 });
 
+// Stored speeds are km/h; SmashI18n converts from m/s
+function displaySpeed(speedKmh) {
+  return SmashI18n.toDisplaySpeed(speedKmh / 3.6);
+}
+
+function showLoginPrompt() {
+  document.getElementById('dashboardLogin').classList.remove('hidden');
+  document.getElementById('dashboardContent').classList.add('hidden');
+}
+
+// Any 401 (the session expired or was logged out elsewhere) puts the login prompt back
+SmashApi.onSessionExpired(showLoginPrompt);
+
+// Logging in or out in another tab shows or hides the dashboard here too
+SmashApi.onSessionChange(user => {
+  if (user) initDashboard();
+  else showLoginPrompt();
+});
+
 /**
  * Initialize the dashboard: verify session then load data.
  */
 async function initDashboard() {
-  const sessionId = localStorage.getItem('sessionId');
-
-  if (!sessionId) {
-    document.getElementById('dashboardLogin').classList.remove('hidden');
-    document.getElementById('dashboardContent').classList.add('hidden');
+  if (!SmashApi.session.id()) {
+    showLoginPrompt();
     return;
   }
 
+  let username = SmashApi.session.username();
   try {
-    const res = await fetch(`${API_BASE}/api/auth/me`, {
-      headers: { 'X-Session-Id': sessionId }
-    });
-    const data = await res.json();
-
-    if (!data.success) {
-      localStorage.removeItem('sessionId');
-      localStorage.removeItem('username');
-      document.getElementById('dashboardLogin').classList.remove('hidden');
-      document.getElementById('dashboardContent').classList.add('hidden');
-      return;
-    }
+    username = (await SmashApi.get('/api/auth/me')).username;
+  } catch (err) {
+    if (err instanceof SmashApi.AuthError) return; // the expiry handler shows the login prompt
+    // Backend unreachable — still show what is queued on this device
+  }
 
-    document.getElementById('dashboardLogin').classList.add('hidden');
-    document.getElementById('dashboardContent').classList.remove('hidden');
+  document.getElementById('dashboardLogin').classList.add('hidden');
+  document.getElementById('dashboardContent').classList.remove('hidden');
 
-    loadProgression(sessionId);
-    loadLeaderboard(data.username);
-  } catch {
-    // Backend unreachable
-    document.getElementById('dashboardLogin').classList.remove('hidden');
-    document.getElementById('dashboardContent').classList.add('hidden');
-  }
+  loadProgression();
+  loadLeaderboard(username);
 }
 
 /**
- * Load and render the progression chart from the backend.
+ * Load the saved records from the backend and the unsynced ones from the offline queue,
+ * then render the progression chart.
  */
-async function loadProgression(sessionId) {
+async function loadProgression() {
   try {
-    const res = await fetch(`${API_BASE}/api/records/progression`, {
-      headers: { 'X-Session-Id': sessionId }
-    });
-    const records = await res.json();
+    const records = await SmashApi.get('/api/records/progression');
+    allRecords = Array.isArray(records) ? records : [];
+  } catch {
+    // Backend unreachable — keep whatever was loaded before
+  }
 
-    if (!Array.isArray(records) || records.length === 0) {
-      document.getElementById('noDataMsg').classList.remove('hidden');
-      return;
-    }
+  const queued = await SmashSaveQueue.list();
+  pendingRecords = queued
+    .filter(entry => !entry.error)
+    .map(entry => ({
+      ...entry.payload,
+      // Same UTC "YYYY-MM-DD HH:MM:SS" layout the backend returns
+      date: entry.payload.recordedAt.slice(0, 19).replace('T', ' '),
+      speedKmh: entry.payload.speedMps * 3.6,
+      pending: true
+    }));
 
-    allRecords = records;
-    const deduped = deduplicateByDay(allRecords);
-    const filtered = filterByTimeframe(deduped, activeTimeframe);
+  showProgression();
+  if (selectedDay) showPointDetails(selectedDay);
+  renderSuggestions();
+}
+
+function progressionRecords() {
+  return allRecords.concat(pendingRecords);
+}
+
+/**
+ * Render the chart for the active timeframe, or the empty message when it has no records.
+ */
+function showProgression() {
+  const filtered = filterByTimeframe(deduplicateByDay(progressionRecords()), activeTimeframe);
+  document.getElementById('pendingNote').classList.toggle('hidden', !filtered.some(r => r.pending));
+  if (filtered.length === 0) {
+    document.getElementById('noDataMsg').classList.remove('hidden');
+    if (progressionChart) { progressionChart.destroy(); progressionChart = null; }
+  } else {
     document.getElementById('noDataMsg').classList.add('hidden');
     renderChart(filtered, activeTimeframe);
-  } catch {
-    document.getElementById('noDataMsg').classList.remove('hidden');
   }
 }
 
 /**
  * Collapse same-day records, keeping the highest speed per day.
- * Returns [{day: 'YYYY-MM-DD', speedKmh: number}] sorted ascending.
+ * Returns [{day: 'YYYY-MM-DD', speedKmh: number, pending: boolean}] sorted ascending;
+ * pending is true when that day's best hasn't been synced yet.
  */
 function deduplicateByDay(records) {
   const byDay = {};
   for (const r of records) {
     const day = r.date.slice(0, 10);
-    if (!byDay[day] || r.speedKmh > byDay[day]) {
-      byDay[day] = r.speedKmh;
+    if (!byDay[day] || r.speedKmh > byDay[day].speedKmh) {
+      byDay[day] = { speedKmh: r.speedKmh, pending: !!r.pending };
     }
   }
-  return Object.keys(byDay).sort().map(day => ({ day, speedKmh: byDay[day] }));
+  return Object.keys(byDay).sort().map(day => ({ day, ...byDay[day] }));
 }
 
 /**
@@ -130,7 +168,12 @@ function renderChart(records, timeframe) {
   // Use {x: Date, y: speed} so Chart.js time scale positions points by real date
   const dataPoints = records.map(r => {
     const [year, month, day] = r.day.split('-').map(Number);
-    return { x: new Date(year, month - 1, day), y: Math.round(r.speedKmh * 100) / 100 };
+    return {
+      x: new Date(year, month - 1, day),
+      y: Math.round(displaySpeed(r.speedKmh) * 100) / 100,
+      day: r.day,
+      pending: r.pending
+    };
   });
 
   if (progressionChart) {
@@ -146,8 +189,9 @@ function renderChart(records, timeframe) {
         backgroundColor: 'transparent',
         fill: false,
         tension: 0,
-        pointBackgroundColor: '#FF9500',
-        pointBorderColor: '#fff',
+        // Unsynced days are hollow
+        pointBackgroundColor: ctx => ctx.raw && ctx.raw.pending ? '#2A2A2A' : '#FF9500',
+        pointBorderColor: ctx => ctx.raw && ctx.raw.pending ? '#FF9500' : '#fff',
         pointBorderWidth: 2,
         pointRadius: 5
       }]
@@ -155,8 +199,18 @@ function renderChart(records, timeframe) {
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      onClick: (event, elements) => {
+        if (elements.length) showPointDetails(dataPoints[elements[0].index].day);
+      },
       plugins: {
-        legend: { display: false }
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: items => SmashI18n.formatDate(new Date(items[0].parsed.x)),
+            label: item => `${SmashI18n.formatNumber(item.parsed.y, 1)} ${SmashI18n.speedUnit()}` +
+              (item.raw.pending ? ` (${SmashI18n.t('chart.pending')})` : '')
+          }
+        }
       },
       scales: {
         x: {
@@ -174,24 +228,106 @@ function renderChart(records, timeframe) {
           grid: { color: 'rgba(58, 58, 58, 0.8)' }
         },
         y: {
-          min: 50,
-          max: 400,
+          min: Math.round(displaySpeed(50)),
+          max: Math.round(displaySpeed(400)),
           ticks: { color: '#808080' },
           grid: { color: 'rgba(58, 58, 58, 0.8)' },
-          title: { display: true, text: 'Speed (km/h)', color: '#808080' }
+          title: { display: true, text: SmashI18n.t('chart.speed', { unit: SmashI18n.speedUnit() }), color: '#808080' }
         }
       }
     }
   });
 }
 
+// Backend timestamps are UTC without a zone marker
+function recordTime(record) {
+  return new Date(record.date.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * List every record saved on a day (the chart only plots the day's best) with the
+ * measurement context it was saved with.
+ * @param {string} day - 'YYYY-MM-DD'
+ */
+function showPointDetails(day) {
+  selectedDay = day;
+  const t = SmashI18n.t;
+  const panel = document.getElementById('pointDetails');
+  const records = progressionRecords()
+    .filter(r => r.date.slice(0, 10) === day)
+    .sort((a, b) => b.speedKmh - a.speedKmh);
+  if (!records.length) {
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const [year, month, date] = day.split('-').map(Number);
+  const rows = records.map(r => {
+    const fields = [];
+    const add = (key, value) => {
+      if (value !== undefined && value !== null && value !== '') fields.push(`<dt>${t(key)}</dt><dd>${value}</dd>`);
+    };
+    add('detail.distance', r.distanceM != null ? SmashI18n.formatLength(r.distanceM) : null);
+    add('detail.time', r.timeS != null ? `${SmashI18n.formatNumber(r.timeS, 3)} s` : null);
+    add('detail.angle', r.angleDeg != null ? `${SmashI18n.formatNumber(r.angleDeg, 1)}°` : null);
+    add('detail.kx', r.kx != null ? SmashI18n.formatNumber(r.kx, 4) : null);
+    add('detail.model', r.model ? t(r.model === 'simulation' ? 'results.simulation' : 'results.closedForm') : null);
+    add('calc.contactHeight', r.contactHeightM != null ? SmashI18n.formatLength(r.contactHeightM) : null);
+    add('detail.video', r.videoName
+      ? escapeHtml(r.videoName) + (r.videoDurationS != null ? ` (${SmashI18n.formatNumber(r.videoDurationS, 1)} s)` : '')
+      : null);
+    add('detail.segment', r.contactTimeS != null && r.landingTimeS != null
+      ? `${SmashI18n.formatNumber(r.contactTimeS, 3)} s → ${SmashI18n.formatNumber(r.landingTimeS, 3)} s`
+      : null);
+    add('detail.note', r.note ? escapeHtml(r.note) : null);
+    add('detail.tags', r.tags && r.tags.length
+      ? r.tags.map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join(' ')
+      : null);
+
+    const time = SmashI18n.formatDate(recordTime(r), { hour: '2-digit', minute: '2-digit' });
+    return `
+      <li class="point-record${r.pending ? ' point-record-pending' : ''}">
+        <div class="point-record-head">
+          <strong>${SmashI18n.formatSpeed(r.speedKmh / 3.6)}</strong>
+          <span>${time}${r.pending ? ` · ${t('chart.pending')}` : ''}</span>
+        </div>
+        ${fields.length ? `<dl class="point-record-fields">${fields.join('')}</dl>` : `<p class="card-description">${t('detail.none')}</p>`}
+      </li>`;
+  });
+
+  panel.innerHTML = `
+    <h4>${t('detail.heading', { date: SmashI18n.formatDate(new Date(year, month - 1, date)), count: records.length })}</h4>
+    <ul class="point-record-list">${rows.join('')}</ul>`;
+  panel.classList.remove('hidden');
+}
+
+// Notes, tags and file names are user text
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Render training suggestions from all saved records, using the player level last chosen
+ * on the calculator page.
+ */
+function renderSuggestions() {
+  const inputs = SmashWorkspace.get('inputs') || {};
+  const suggestions = SmashSuggestions.suggest(null, progressionRecords(), {
+    level: inputs.playerLevel,
+    format: { t: SmashI18n.t, number: SmashI18n.formatNumber, speed: SmashI18n.formatSpeed }
+  });
+  SmashSuggestions.render(document.getElementById('suggestionList'), suggestions, SmashI18n.t);
+  document.getElementById('noSuggestionsMsg').classList.toggle('hidden', suggestions.length > 0);
+}
+
 /**
  * Load and render the global leaderboard from the backend.
  */
 async function loadLeaderboard(currentUsername) {
   try {
-    const res = await fetch(`${API_BASE}/api/leaderboard`);
-    const entries = await res.json();
+    const entries = await SmashApi.get('/api/leaderboard', { auth: false });
 
     if (!Array.isArray(entries) || entries.length === 0) {
       document.getElementById('leaderboardTable').classList.add('hidden');
@@ -202,24 +338,33 @@ async function loadLeaderboard(currentUsername) {
     document.getElementById('leaderboardTable').classList.remove('hidden');
     document.getElementById('emptyLeaderboard').classList.add('hidden');
 
-    const tbody = document.getElementById('leaderboardBody');
-    tbody.innerHTML = '';
-
-    entries.forEach(entry => {
-      const row = document.createElement('tr');
-      const isCurrentUser = entry.username === currentUsername;
-      if (isCurrentUser) row.classList.add('current-user-row');
-
-      row.innerHTML = `
-        <td class="rank-cell">${entry.rank}</td>
-        <td class="player-cell">${entry.username}${isCurrentUser ? ' (you)' : ''}</td>
-        <td class="speed-cell">${entry.bestSpeedKmh} km/h</td>
-        <td class="smashes-cell">${entry.totalSmashes}</td>
-      `;
-      tbody.appendChild(row);
-    });
+    leaderboardEntries = entries;
+    leaderboardUser = currentUsername;
+    renderLeaderboard();
   } catch {
     document.getElementById('leaderboardTable').classList.add('hidden');
     document.getElementById('emptyLeaderboard').classList.remove('hidden');
   }
 }
+
+/**
+ * Render the fetched leaderboard rows in the current language and units.
+ */
+function renderLeaderboard() {
+  const tbody = document.getElementById('leaderboardBody');
+  tbody.innerHTML = '';
+
+  leaderboardEntries.forEach(entry => {
+    const row = document.createElement('tr');
+    const isCurrentUser = entry.username === leaderboardUser;
+    if (isCurrentUser) row.classList.add('current-user-row');
+
+    row.innerHTML = `
+      <td class="rank-cell">${entry.rank}</td>
+      <td class="player-cell">${entry.username}${isCurrentUser ? ` ${SmashI18n.t('dash.you')}` : ''}</td>
+      <td class="speed-cell">${SmashI18n.formatSpeed(entry.bestSpeedKmh / 3.6)}</td>
+      <td class="smashes-cell">${entry.totalSmashes}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
@@ -0,0 +1,299 @@
+// ===== COURT GEOMETRY MODULE =====
+// Perspective correction for clips filmed off-axis. Four clicked floor points with
+// known court coordinates give an image→floor homography; assuming square pixels and
+// a centred principal point, the same homography also yields the camera pose, so points
+// in the air can be placed on the vertical plane the shuttle flies in.
+// Court coordinates are metres: X along the court from the net, Y across it, Z up.
+// Errors and warnings carry a `code` (and `params`) alongside the English message so pages
+// can show them in the reader's language.
+
+const CourtGeometry = (() => {
+  // Reference rectangles on the floor, listed in the order the user clicks them; `id` names
+  // a point for translation
+  const COURT_REFERENCES = {
+    serviceBox: {
+      label: 'Net to short service line (doubles width)',
+      points: [
+        { id: 'netLeft', name: 'Net, left sideline', X: 0, Y: 0 },
+        { id: 'netRight', name: 'Net, right sideline', X: 0, Y: 6.10 },
+        { id: 'shortServiceRight', name: 'Short service line, right sideline', X: 1.98, Y: 6.10 },
+        { id: 'shortServiceLeft', name: 'Short service line, left sideline', X: 1.98, Y: 0 }
+      ]
+    },
+    halfCourt: {
+      label: 'Net to baseline (doubles width)',
+      points: [
+        { id: 'netLeft', name: 'Net, left sideline', X: 0, Y: 0 },
+        { id: 'netRight', name: 'Net, right sideline', X: 0, Y: 6.10 },
+        { id: 'baselineRight', name: 'Baseline, right sideline', X: 6.64, Y: 6.10 },
+        { id: 'baselineLeft', name: 'Baseline, left sideline', X: 6.64, Y: 0 }
+      ]
+    }
+  };
+
+  const OBLIQUE_WARN_DEG = 55;   // camera this far off perpendicular to the flight plane
+  const GRAZING_WARN_DEG = 6;    // rays this shallow to the floor make distances unstable
+
+  // Solve A · x = b (Gaussian elimination, partial pivoting); null when singular
+  function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+      }
+      if (Math.abs(M[pivot][col]) < 1e-12) return null;
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const f = M[r][col] / M[col][col];
+        for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+      }
+    }
+    return M.map((row, i) => row[n] / row[i]);
+  }
+
+  /**
+   * Homography mapping src points onto dst points (4 correspondences, h₃₃ = 1).
+   * @param {Array<{x: number, y: number}>} src
+   * @param {Array<{x: number, y: number}>} dst
+   * @returns {number[][] | null} 3×3 matrix, or null for degenerate input
+   */
+  function computeHomography(src, dst) {
+    const A = [];
+    const b = [];
+    for (let i = 0; i < 4; i++) {
+      const { x, y } = src[i];
+      const { x: u, y: v } = dst[i];
+      A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+      b.push(u);
+      A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+      b.push(v);
+    }
+    const h = solveLinear(A, b);
+    if (!h) return null;
+    return [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+  }
+
+  function applyHomography(H, { x, y }) {
+    const w = H[2][0] * x + H[2][1] * y + H[2][2];
+    return {
+      x: (H[0][0] * x + H[0][1] * y + H[0][2]) / w,
+      y: (H[1][0] * x + H[1][1] * y + H[1][2]) / w
+    };
+  }
+
+  // Smallest triangle area among the four points — near zero means three are collinear
+  function minTriangleArea(points) {
+    const area = (a, b, c) => Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+    const [p, q, r, s] = points;
+    return Math.min(area(p, q, r), area(p, q, s), area(p, r, s), area(q, r, s));
+  }
+
+  const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const norm = a => Math.sqrt(dot(a, a));
+  const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+  /**
+   * Recover focal length and pose from a floor→image homography (Zhang's planar method
+   * with one view, so only f is estimated). Image coordinates are relative to (cx, cy).
+   * @returns {{f: number, R: number[][], C: number[]} | null}
+   */
+  function recoverCamera(floorToImage, cx, cy) {
+    // Shift the principal point to the origin
+    const H = floorToImage.map(row => [...row]);
+    for (let c = 0; c < 3; c++) {
+      H[0][c] -= cx * H[2][c];
+      H[1][c] -= cy * H[2][c];
+    }
+    const [h11, h12, h13] = H[0];
+    const [h21, h22, h23] = H[1];
+    const [h31, h32, h33] = H[2];
+
+    // r₁ ⟂ r₂ and |r₁| = |r₂| each give an estimate of f²
+    const estimates = [];
+    if (Math.abs(h31 * h32) > 1e-12) estimates.push(-(h11 * h12 + h21 * h22) / (h31 * h32));
+    if (Math.abs(h32 * h32 - h31 * h31) > 1e-12) {
+      estimates.push((h11 * h11 + h21 * h21 - h12 * h12 - h22 * h22) / (h32 * h32 - h31 * h31));
+    }
+    const valid = estimates.filter(f2 => isFinite(f2) && f2 > 0);
+    if (valid.length === 0) return null;
+    const f = Math.sqrt(valid.reduce((a, b) => a + b, 0) / valid.length);
+
+    const kinv = col => [col[0] / f, col[1] / f, col[2]];
+    const g1 = kinv([h11, h21, h31]);
+    const g2 = kinv([h12, h22, h32]);
+    const g3 = kinv([h13, h23, h33]);
+    let lambda = 2 / (norm(g1) + norm(g2));
+    // The floor must lie in front of the camera
+    if (g3[2] * lambda < 0) lambda = -lambda;
+
+    const r1 = scale(g1, lambda);
+    const r1n = scale(r1, 1 / norm(r1));
+    // Gram–Schmidt so R stays a rotation despite click noise
+    let r2 = scale(g2, lambda);
+    r2 = sub(r2, scale(r1n, dot(r2, r1n)));
+    const r2n = scale(r2, 1 / norm(r2));
+    let r3 = cross(r1n, r2n);
+    const t = scale(g3, lambda);
+
+    // R holds the columns of the world→camera rotation; camera centre C = −Rᵀ t
+    let R = [r1n, r2n, r3];
+    const centre = R.map(col => -dot(col, t));
+    if (centre[2] < 0) {
+      // Z came out pointing into the floor — flip it so the camera sits above the court
+      r3 = scale(r3, -1);
+      R = [r1n, r2n, r3];
+      centre[2] = -centre[2];
+    }
+
+    return { f, R, C: centre, cx, cy };
+  }
+
+  // World-space direction of the ray through image point p
+  function rayDirection(camera, p) {
+    const d = [(p.x - camera.cx) / camera.f, (p.y - camera.cy) / camera.f, 1];
+    return camera.R.map(col => dot(col, d));
+  }
+
+  /**
+   * Build a perspective correction from four clicked image points.
+   * @param {string} referenceKey - key of COURT_REFERENCES
+   * @param {Array<{x: number, y: number}>} imagePoints - in the reference's click order
+   * @param {{width: number, height: number}} frame - canvas size (principal point at its centre)
+   * @returns {{imageToFloor: number[][], camera: object | null, warnings: Array<{code: string, message: string}>} |
+   *          {error: string, code: string}}
+   */
+  function calibrate(referenceKey, imagePoints, frame) {
+    const reference = COURT_REFERENCES[referenceKey];
+    if (!reference) return { error: `Unknown court reference "${referenceKey}".`, code: 'unknownReference' };
+    if (!Array.isArray(imagePoints) || imagePoints.length !== 4) {
+      return { error: 'Click all four court points.', code: 'missingPoints' };
+    }
+
+    const diag = Math.hypot(frame.width, frame.height);
+    if (minTriangleArea(imagePoints) < 0.002 * diag * diag) {
+      return {
+        error: 'Three of the court points are almost in a line — pick corners that are further apart.',
+        code: 'collinear'
+      };
+    }
+
+    const floorPoints = reference.points.map(p => ({ x: p.X, y: p.Y }));
+    const imageToFloor = computeHomography(imagePoints, floorPoints);
+    const floorToImage = computeHomography(floorPoints, imagePoints);
+    if (!imageToFloor || !floorToImage) {
+      return { error: 'Could not compute a homography from those points.', code: 'noHomography' };
+    }
+
+    const warnings = [];
+    const camera = recoverCamera(floorToImage, frame.width / 2, frame.height / 2);
+    if (!camera) {
+      warnings.push({
+        code: 'noCamera',
+        message: 'Camera geometry could not be recovered, so angles are not corrected. Floor distances still are.'
+      });
+    }
+
+    return { imageToFloor, camera, warnings };
+  }
+
+  function imageToFloor(correction, p) {
+    const q = applyHomography(correction.imageToFloor, p);
+    return { X: q.x, Y: q.y };
+  }
+
+  /**
+   * Horizontal distance between two clicked floor points, plus a warning when the
+   * camera sees the floor at a grazing angle there.
+   */
+  function floorDistance(correction, a, b) {
+    const A = imageToFloor(correction, a);
+    const B = imageToFloor(correction, b);
+    const warnings = [];
+    if (correction.camera) {
+      const grazing = [a, b].some(p => {
+        const d = rayDirection(correction.camera, p);
+        return Math.asin(Math.abs(d[2]) / norm(d)) * 180 / Math.PI < GRAZING_WARN_DEG;
+      });
+      if (grazing) {
+        warnings.push({
+          code: 'grazing',
+          message: 'The camera sees the floor almost edge-on here, so small click errors change the distance a lot.'
+        });
+      }
+    }
+    return { distance: Math.hypot(B.X - A.X, B.Y - A.Y), from: A, to: B, warnings };
+  }
+
+  /**
+   * Descent angle of the segment B→C measured in the vertical flight plane.
+   * The plane runs through floor points planeA→planeB (contact foot → landing), or along the
+   * court's length through the centre line when those are unknown.
+   * @returns {{angle: number, warnings: Array<{code: string, message: string, params?: object}>} |
+   *          {error: string, code: string}}
+   */
+  function planeAngle(correction, imageB, imageC, planeA, planeB) {
+    const camera = correction.camera;
+    if (!camera) return { error: 'Camera geometry unavailable — angle cannot be corrected.', code: 'noCamera' };
+
+    let origin = [0, 3.05, 0];
+    let along = [1, 0, 0];
+    if (planeA && planeB) {
+      const A = imageToFloor(correction, planeA);
+      const B = imageToFloor(correction, planeB);
+      const len = Math.hypot(B.X - A.X, B.Y - A.Y);
+      if (len > 0.1) {
+        origin = [A.X, A.Y, 0];
+        along = [(B.X - A.X) / len, (B.Y - A.Y) / len, 0];
+      }
+    }
+    const normal = [-along[1], along[0], 0];
+
+    const toPlane = p => {
+      const d = rayDirection(camera, p);
+      const denom = dot(normal, d);
+      if (Math.abs(denom) < 1e-9) return null;
+      const s = dot(normal, sub(origin, camera.C)) / denom;
+      return s > 0 ? [camera.C[0] + s * d[0], camera.C[1] + s * d[1], camera.C[2] + s * d[2]] : null;
+    };
+
+    const B3 = toPlane(imageB);
+    const C3 = toPlane(imageC);
+    if (!B3 || !C3) return { error: 'The flight plane is behind or parallel to the camera view.', code: 'planeHidden' };
+
+    const v = sub(C3, B3);
+    const horizontal = Math.abs(dot(v, along));
+    const angle = Math.atan2(Math.abs(v[2]), horizontal) * 180 / Math.PI;
+
+    const warnings = [];
+    const viewAxis = camera.R.map(col => col[2]); // camera optical axis in world space
+    const obliquity = Math.acos(Math.min(1, Math.abs(dot(viewAxis, normal)) / norm(viewAxis))) * 180 / Math.PI;
+    if (obliquity > OBLIQUE_WARN_DEG) {
+      warnings.push({
+        code: 'oblique',
+        message: `The camera views the flight plane ${obliquity.toFixed(0)}° off square-on — the corrected angle is unreliable.`,
+        params: { degrees: obliquity.toFixed(0) }
+      });
+    }
+
+    return { angle, obliquity, warnings };
+  }
+
+  return {
+    COURT_REFERENCES,
+    computeHomography,
+    applyHomography,
+    calibrate,
+    imageToFloor,
+    floorDistance,
+    planeAngle
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CourtGeometry;
+}
@@ -0,0 +1,72 @@
+// ===== GUEST HISTORY =====
+// Smashes saved while nobody is logged in stay in this browser's IndexedDB, so a player can
+// try the calculator and still see their progress before creating an account. Records have
+// the same shape as a save to /api/records, including `recordedAt`, so they can be uploaded
+// unchanged once the player logs in.
+// Changes are announced with a `guesthistorychange` event on document.
+
+const SmashGuestHistory = (() => {
+  const DB_NAME = 'smash-guest-history';
+  const STORE = 'records';
+  const withStore = SmashIdbStore.create(DB_NAME, STORE, { keyPath: 'id', autoIncrement: true });
+
+  function notify() {
+    document.dispatchEvent(new CustomEvent('guesthistorychange'));
+  }
+
+  /**
+   * Keep a record on this device.
+   * @param {{speedMps: number, recordedAt: string}} record - a /api/records payload
+   * @returns {Promise<boolean>} false when IndexedDB is unavailable and nothing was kept
+   */
+  async function add(record) {
+    try {
+      await withStore('readwrite', store => store.add({ ...record }));
+    } catch (err) {
+      console.warn('Guest record not kept:', err);
+      return false;
+    }
+    notify();
+    return true;
+  }
+
+  /**
+   * Every record kept on this device, oldest first.
+   * @returns {Promise<Array<{id: number, speedMps: number, recordedAt: string}>>}
+   */
+  async function list() {
+    try {
+      const records = await withStore('readonly', store => store.getAll());
+      return records.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+    } catch {
+      return [];
+    }
+  }
+
+  async function clear() {
+    try {
+      await withStore('readwrite', store => store.clear());
+    } catch {
+      // Nothing to clear
+    }
+    notify();
+  }
+
+  /**
+   * The records as /api/records payloads, without their local IDs and with repeats removed:
+   * the same speed saved at the same second (the precision the server keeps) counts once.
+   */
+  function uploadable(records) {
+    const seen = new Set();
+    return records
+      .map(({ id, ...payload }) => payload)
+      .filter(payload => {
+        const key = `${payload.recordedAt.slice(0, 19)}|${payload.speedMps}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  return { add, list, clear, uploadable };
+})();
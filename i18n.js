@@ -0,0 +1,2121 @@
+// ===== INTERNATIONALISATION & UNITS =====
+// Translations for the calculator and its video and angle tools, the dashboard and the login
+// modal, plus the unit-system setting.
+// Lengths and speeds are always stored and calculated in SI; this module only converts at
+// the edges — parsing what the user types and formatting what the page shows.
+// Static markup opts in with data-i18n="key" (text), data-i18n-html (trusted markup),
+// data-i18n-placeholder / -title / -aria-label (attributes) and data-unit="length" |
+// "length-long" | "speed" (unit labels that follow the unit setting).
+
+const SmashI18n = (() => {
+  const LANGUAGE_KEY = 'smashLanguage';
+  const UNITS_KEY = 'smashUnits';
+  const METRES_PER_FOOT = 0.3048;
+  const MPS_TO_KMH = 3.6;
+  const MPS_TO_MPH = 2.2369362920544;
+
+  const LANGUAGES = { en: 'English', zh: '中文', ms: 'Bahasa Melayu', id: 'Bahasa Indonesia' };
+  const LOCALES = { en: 'en', zh: 'zh-CN', ms: 'ms-MY', id: 'id-ID' };
+  const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+  // Keys missing from a language fall back to English, then to the key itself
+  const STRINGS = {
+    en: {
+      'header.title': 'Badminton Smash Calculator',
+      'header.subtitle': 'Precise smash speed analysis using physics-based modeling',
+      'nav.calculator': 'Calculator',
+      'nav.methodology': 'Methodology',
+      'nav.dashboard': 'Dashboard',
+      'nav.login': 'Login',
+      'nav.logout': 'Logout',
+      'settings.language': 'Language',
+      'settings.units': 'Units',
+      'units.metric': 'Metric (m, km/h)',
+      'units.imperial': 'Imperial (ft, mph)',
+      'unit.metres': 'meters',
+      'unit.feet': 'feet (e.g. 19\' 8")',
+      'unit.seconds': 'seconds',
+      'unit.degrees': 'degrees',
+      'punct.comma': ', ',
+      'punct.period': '.',
+
+      'tutorial.title': 'Navigation Bar',
+      'tutorial.step1': 'Find <strong>time</strong> using video tool',
+      'tutorial.step2': 'Find <strong>distance</strong> estimate using court dimension',
+      'tutorial.step3': 'Find <strong>angle</strong> using video angle tool',
+      'tutorial.step4': 'Calculate your <strong>smash velocity</strong>',
+
+      'video.title': 'Video Analysis for Time',
+      'video.description': 'Upload your smash video, precisely mark the start and end time by adjusting sliders to find total time taken.',
+      'video.upload': 'Click to upload video',
+      'video.uploadHint': 'MP4, MOV, AVI up to 500MB',
+      'video.change': 'Change video',
+      'video.range': 'Select Time Range',
+      'video.start': 'Start',
+      'video.end': 'End',
+      'video.useTime': 'Use This Time',
+      'video.fileFps': 'File frame rate',
+      'video.captureFps': 'Capture frame rate',
+      'video.captureFpsSame': 'Same',
+      'video.detectFps': 'Detect',
+      'video.fpsInitial': 'Assuming 30 fps until detected',
+      'video.fpsDetected': 'Detected {fps} fps',
+      'video.fpsAssumed': 'Assuming {fps} fps',
+      'video.fpsCaptured': 'captured at {fps} fps, times scaled ×{scale}',
+      'video.fpsDetecting': 'Detecting frame rate…',
+      'video.fpsUndetected': 'Could not detect the frame rate in this browser — assuming {fps} fps, edit if needed',
+      'video.autoDetect': 'Auto-detect Contact & Landing',
+      'video.autoDetectIntro': 'Analyses the selected range in your browser — the video is never uploaded.',
+      'video.analysing': 'Analysing frames…',
+      'video.analysingProgress': 'Analysing frames… {percent}%',
+      'video.proposed': 'Proposed contact {start} ({contactSource}) and landing {end} ({landingSource}) — fine-tune with the sliders or arrow keys.',
+      'video.source.audio': 'sound',
+      'video.source.motion': 'motion',
+      'autodetect.noRange': 'Load a video and select a range to analyse.',
+      'autodetect.unreadable': 'Could not read the video for analysis.',
+      'autodetect.rangeTooShort': 'Selected range is too short to analyse.',
+      'autodetect.noContact': 'No clear contact found in the selected range.',
+      'autodetect.noLanding': 'No landing found after the contact — extend the selected range.',
+      'autodetect.failed': 'Auto-detect failed: {message}',
+      'court.title': 'Court Reference (Side View)',
+      'court.description': 'Use court dimensions to estimate the distance your smash travelled.',
+      'court.serviceToNet': 'Doubles service line to net (Average smash position to net):',
+      'court.baselineToNet': 'Baseline to net:',
+      'court.serviceToOpponent': 'Doubles service line to estimated opponent position:',
+      'court.useDistance': 'Use this distance',
+      'court.moreDetails': 'More details about horizontal distance can be found in research paper linked in Methodology section',
+      'angle.title': 'Angle Measurement Tool',
+      'angle.description': 'Freeze on a frame of your smash. Using the angle tool, measure the angle between your starting point (point B) and where your shuttle currently is (point C).',
+      'angle.canvasLabel': 'Angle measurement canvas. Press A, B or C to select a handle and the arrow keys to move it.',
+      'angle.canvasHint': 'Pinch or Ctrl + scroll to zoom a frozen frame and drag to pan. Keys: A/B/C select a handle, arrows nudge it (Shift ×10), +/− zoom, 0 resets.',
+      'angle.freeze': 'Freeze Frame',
+      'angle.unfreeze': 'Unfreeze',
+      'angle.flip': 'Flip',
+      'angle.measured': 'Measured Angle:',
+      'angle.use': 'Use This Angle',
+      'angle.uncorrected': 'Showing the on-screen angle.',
+      'angle.correctedMeasured': 'On screen {angle} · corrected into the measured flight plane',
+      'angle.correctedCourt': 'On screen {angle} · corrected into the court-length flight plane',
+      'perspective.title': 'Perspective Correction',
+      'perspective.description': 'Filmed at an angle? On a frozen frame, click four court corners in the order shown. Distances are then measured on the court floor and the angle is corrected into the flight plane.',
+      'perspective.reference': 'Court reference',
+      'perspective.serviceBox': 'Net to short service line (doubles width)',
+      'perspective.halfCourt': 'Net to baseline (doubles width)',
+      'perspective.setPoints': 'Set Court Points',
+      'perspective.on': 'Perspective correction on',
+      'perspective.off': 'Perspective correction off',
+      'perspective.clickPoint': 'Click point {n} of 4: {point}',
+      'perspective.point.netLeft': 'Net, left sideline',
+      'perspective.point.netRight': 'Net, right sideline',
+      'perspective.point.shortServiceRight': 'Short service line, right sideline',
+      'perspective.point.shortServiceLeft': 'Short service line, left sideline',
+      'perspective.point.baselineRight': 'Baseline, right sideline',
+      'perspective.point.baselineLeft': 'Baseline, left sideline',
+      'perspective.error.unknownReference': 'Unknown court reference.',
+      'perspective.error.missingPoints': 'Click all four court points.',
+      'perspective.error.collinear': 'Three of the court points are almost in a line — pick corners that are further apart.',
+      'perspective.error.noHomography': 'Could not compute a homography from those points.',
+      'perspective.error.noCamera': 'Camera geometry unavailable — angle cannot be corrected.',
+      'perspective.error.planeHidden': 'The flight plane is behind or parallel to the camera view.',
+      'perspective.warning.noCamera': 'Camera geometry could not be recovered, so angles are not corrected. Floor distances still are.',
+      'perspective.warning.grazing': 'The camera sees the floor almost edge-on here, so small click errors change the distance a lot.',
+      'perspective.warning.oblique': 'The camera views the flight plane {degrees}° off square-on — the corrected angle is unreliable.',
+      'calib.title': 'Calibration & Distance',
+      'calib.description': 'On a frozen frame, click both ends of a known court length to set the scale. Then click the contact point and the landing point to measure the horizontal distance.',
+      'calib.knownLength': 'Known length',
+      'calib.presetShortService': 'Short service line to net ({length})',
+      'calib.presetDoublesService': 'Doubles service line to net ({length})',
+      'calib.presetBaseline': 'Baseline to net ({length})',
+      'calib.presetNetPost': 'Net post height ({length})',
+      'calib.presetOther': 'Other…',
+      'calib.length': 'Length',
+      'calib.setScale': 'Set Scale',
+      'calib.measure': 'Measure Distance',
+      'calib.measured': 'Measured Distance:',
+      'calib.use': 'Use This Distance',
+      'calib.noScale': 'No scale set',
+      'calib.scale': 'Scale {value}',
+      'calib.onFloor': 'Measuring on the court floor',
+      'calib.clickScale': 'Click point {n} of 2 on the reference length',
+      'calib.clickContact': 'Click the contact point',
+      'calib.clickFloorContact': 'Click the floor below the contact point',
+      'calib.clickLanding': 'Click the landing point',
+      'calib.scaleNotSet': 'Scale not set: enter a reference length and click two distinct points',
+      'calib.needScale': 'Set the scale or the court points before measuring a distance',
+      'calib.contact': 'Contact',
+      'calib.landing': 'Landing',
+      'track.title': 'Multi-point Shuttle Tracking',
+      'track.description': 'Set the scale above, freeze on the contact frame, then click the shuttle on each frame — the tool steps forward one frame after every click.',
+      'track.start': 'Track Shuttle',
+      'track.stop': 'Stop Tracking',
+      'track.fitKx': 'Fit kₓ too',
+      'track.fit': 'Fit Track',
+      'track.speed': 'Speed at first point',
+      'track.angle': 'Angle θ',
+      'track.useAngle': 'Use Fitted Angle',
+      'track.useKx': 'Use Fitted kₓ',
+      'track.count': '{count} points tracked',
+      'track.clickShuttle': 'Click the shuttle — the video steps one frame per click',
+      'track.freezeFirst': 'Freeze a frame first',
+      'track.needScale': 'Set the scale before fitting',
+      'track.needPoints': 'Track the shuttle on a few consecutive frames first',
+      'track.error.tooFewPoints': 'Track at least {count} shuttle positions.',
+      'track.error.tooFewPointsKx': 'Track at least {count} shuttle positions to fit kₓ as well.',
+      'track.error.sameFrame': 'Tracked positions must come from different frames.',
+      'track.kxFitted': 'fitted kₓ = {kx}',
+      'track.kxFixed': 'kₓ fixed at {kx}',
+      'track.summary': '{count} points, {kx}, RMS residual {rms}',
+      'track.point': 'Point {n}',
+      'tool.undo': 'Undo',
+      'tool.clear': 'Clear',
+
+      'calc.title': 'Calculate Smash Speed',
+      'calc.description': 'Enter your measurements to determine initial velocity (v₀)',
+      'calc.time': 'Time',
+      'calc.distance': 'Distance',
+      'calc.angle': 'Angle',
+      'calc.timeHelp': 'Time interval from hit to landing',
+      'calc.distanceHelp': 'Horizontal distance the shuttle traveled',
+      'calc.angleHelp': 'Launch angle relative to horizontal',
+      'calc.example': 'e.g. {value}',
+      'calc.model': 'Model',
+      'calc.contactHeight': 'Contact height',
+      'calc.tolerances': 'Measurement tolerances (±)',
+      'calc.calculate': 'Calculate Speed',
+      'calc.reset': 'Reset',
+
+      'results.title': 'Results',
+      'results.initialVelocity': 'Initial Velocity',
+      'results.speed': 'Speed',
+      'results.closedForm': 'Closed-form',
+      'results.simulation': 'Full simulation',
+      'results.trajectory': 'Trajectory (height vs distance)',
+      'results.speedVsTime': 'Speed vs time',
+      'results.confidence': 'Confidence band',
+      'results.save': 'Save Result',
+      'results.saveLocal': 'Save on This Device',
+      'results.share': 'Copy Share Link',
+      'results.exportImage': 'Export Image',
+      'results.exportClip': 'Export Slow-mo Clip',
+      'results.kxInfo': 'Calculated with kₓ = {kx} m⁻¹ ({label})',
+      'kx.paperDefault': 'paper default',
+      'kx.customValue': 'custom value',
+      'kx.feather': 'Feather',
+      'kx.nylon': 'Nylon',
+      'kx.conditions': '{shuttle} {grade}, {altitude}, {temperature}',
+      'kx.label': 'Drag constant',
+      'kx.presetPaper': 'Paper default (standard conditions)',
+      'kx.presetFeather': 'Feather shuttle — set conditions',
+      'kx.presetNylon': 'Nylon shuttle — set conditions',
+      'kx.presetCustom': 'Custom kₓ value',
+      'kx.grade': 'Speed grade',
+      'kx.gradeSlow': '75 (slow)',
+      'kx.gradeStandard': '77 (standard)',
+      'kx.gradeFast': '79 (fast)',
+      'kx.altitude': 'Altitude',
+      'kx.temperature': 'Hall temperature',
+      'kx.help': 'Derived from air density and shuttle mass/drag area — heavier shuttles and thinner air travel further',
+
+      'error.fillAll': 'Please fill in all three fields.',
+      'error.invalidNumbers': 'Please enter valid numeric values for all fields.',
+      'error.distancePositive': 'Distance must be greater than 0.',
+      'error.timePositive': 'Time must be greater than 0.',
+      'error.angleRange': 'Angle must be between 0° and 90° (exclusive).',
+      'error.customKx': 'Custom drag constant kₓ must be a number greater than 0.',
+      'error.unexpected': 'Unexpected error — see console for details.',
+      'error.fatalInit': 'Fatal initialization error — check console.',
+
+      'warn.heading': '⚠ Unusual inputs detected:',
+      'warn.infoHeading': 'ℹ Worth a second look:',
+      'error.blocked': 'These inputs can\'t all be right:',
+      'level.label': 'Player level',
+      'level.junior': 'Junior',
+      'level.club': 'Club',
+      'level.elite': 'Elite',
+      'level.help': 'Plausibility warnings use the thresholds for this level',
+      'rule.distanceBeyondCourt': 'Distance {distance} is longer than the court diagonal ({diagonal}) — a smash can\'t land that far away.',
+      'rule.averageAboveV0': 'Covering {chord} in {time} s needs an average of {average}, faster than the calculated launch speed of {speed} — the time is too short or the distance too long.',
+      'rule.speedRecord': 'Calculated speed {speed} exceeds the world record (~{record}). Check your inputs.',
+      'rule.timeLong': 'Time {time} s exceeds {limit} s — smashes at this level land well within that.',
+      'rule.distanceLong': 'Distance {distance} is unusually long — the full court is only {court} end-to-end.',
+      'rule.angleSteep': 'Angle {angle}° is very steep — badminton smashes are typically 10°–30° downward.',
+      'rule.speedHigh': 'Calculated speed {speed} is above {limit}, rare at this level — double-check the time.',
+      'rule.speedLow': 'Calculated speed {speed} is unrealistically slow for a badminton smash.',
+      'rule.presetMismatch': 'Distance {distance} doesn\'t match the preset you picked ({preset}: {presetDistance}) — pick the preset again or measure the distance.',
+      'rule.beyondStraightLine': 'From {height} at {angle}° a straight line meets the floor after {reach}; gravity and drag only bend the flight down, so {distance} is too far — check the angle or contact height.',
+      'rule.speedAtypical': 'Calculated speed {speed} is outside the usual {min}–{max} for this level.',
+
+      'suggest.title': 'Training suggestions',
+      'suggest.why': 'Why:',
+      'suggest.kind.drill': 'Drill',
+      'suggest.kind.cue': 'Technique cue',
+      'suggest.recovery.title': 'Take a lighter week',
+      'suggest.recovery.detail': 'Cut smash volume by about half for a week, keep footwork and technique work, and check for shoulder or elbow soreness before building back up.',
+      'suggest.recovery.why': 'Your best speed per day has dropped about {rate}% a week over the last {days} days — usually fatigue, not lost technique.',
+      'suggest.kineticChain.title': 'Kinetic-chain shadow smashes',
+      'suggest.kineticChain.detail': '3 × 15 shadow smashes: turn side-on, push off the back leg, rotate hips then shoulders, and finish with forearm pronation. Add a shuttle only once the order feels automatic.',
+      'suggest.kineticChain.why': '{speed} is below the usual {min} for {level} players; most missing speed comes from the body not rotating before the arm swings.',
+      'suggest.contactInFront.title': 'Hit higher and further in front',
+      'suggest.contactInFront.detail': 'Multi-shuttle feeding to the rear court: get behind the shuttle early and strike at full reach, slightly in front of the hitting shoulder. 4 × 10 shuttles.',
+      'suggest.contactInFront.why': 'At {angle}° the smash is almost flat — it is easier to block and travels deep into the court instead of down.',
+      'suggest.repeatability.title': 'Repeatable power',
+      'suggest.repeatability.detail': 'From the same feed, play 10 smashes at about 80% effort aiming at one target zone; only count the ones that feel identical. Raise the effort once 8 of 10 match.',
+      'suggest.repeatability.why': 'Your last {count} saved smashes vary by ±{spread} ({percent}%) — speed you can\'t repeat rarely shows up in a match.',
+      'suggest.warmUp.title': 'Warm up before measuring',
+      'suggest.warmUp.detail': 'Do 5 minutes of light movement and 10 progressive smashes before recording, and measure fresh rather than at the end of a session.',
+      'suggest.warmUp.why': 'This smash is {percent}% of your saved best ({best}) — a gap that large usually means cold or tired muscles.',
+      'suggest.gripSqueeze.title': 'Relaxed grip, squeeze at contact',
+      'suggest.gripSqueeze.detail': 'Hold the racket loosely through the backswing and tighten the fingers only at impact. Try 20 half-pace smashes feeling the late squeeze.',
+      'suggest.gripSqueeze.why': '{speed} is in the lower half of the usual range for {level} players; a tight grip through the swing slows the racket head.',
+      'suggest.behindShuttle.title': 'Get behind the shuttle, not under it',
+      'suggest.behindShuttle.detail': 'Move back one extra step so the shuttle drops in front of you, and let the swing go through rather than chopping down.',
+      'suggest.behindShuttle.why': 'At {angle}° the smash is very steep — that usually comes from being under the shuttle, which costs pace and reach.',
+      'suggest.overload.title': 'Add an overload block',
+      'suggest.overload.detail': 'Twice a week: 3 × 8 jump smashes or shadow swings with a racket cover on, then 5 normal smashes straight after to carry over the speed.',
+      'suggest.overload.why': 'Your speed has held around {speed} for {days} days — the current routine has stopped adding pace.',
+      'suggest.placement.title': 'Turn speed into winners',
+      'suggest.placement.detail': 'Keep the pace but aim: alternate smashes to the body, the sideline and the centre line, with a cone or towel as the target.',
+      'suggest.placement.why': '{speed} is above the usual {max} for {level} players — placement now wins more points than extra speed.',
+      'suggest.keepGoing.title': 'Keep the current routine',
+      'suggest.keepGoing.detail': 'What you are doing works — keep the volume steady and add recovery days rather than more smashes.',
+      'suggest.keepGoing.why': 'Your best speed per day is rising about {rate}% a week over the last {days} days.',
+      'suggest.saveMore.title': 'Save a few more smashes',
+      'suggest.saveMore.detail': 'Log in and save your measurements to get suggestions on consistency and progress over time.',
+      'suggest.saveMore.why': 'Only {count} saved smashes so far; consistency and trend need at least {needed}.',
+
+      'model.diff': 'Simulation differs from the closed-form result by {diff}%.',
+      'model.heightMismatch': 'At t the simulated shuttle is {height} from the floor — the angle, contact height, distance and time don\'t quite agree.',
+      'model.simError': 'Simulation: {error}',
+      'model.closed': 'Closed-form (research paper)',
+      'model.simulation': 'Full simulation (drag + gravity)',
+      'model.help': 'The simulation integrates the 2D flight from the contact height; both results are shown side by side',
+
+      'flight.leaves': 'Leaves the racket at {speed}',
+      'flight.belowTape': 'reaches the net {height} up — below the tape',
+      'flight.crossesNet': 'crosses the net at {speed}',
+      'flight.lands': 'lands at {speed} after {time} s',
+
+      'chart.trajectory': 'Trajectory',
+      'chart.net': 'Net',
+      'chart.measuredLanding': 'Measured landing',
+      'chart.fullSimulation': 'Full simulation',
+      'chart.closedForm': 'Closed-form',
+      'chart.overNet': 'Over the net',
+      'chart.landing': 'Landing',
+      'chart.distance': 'Distance ({unit})',
+      'chart.height': 'Height ({unit})',
+      'chart.time': 'Time (s)',
+      'chart.speed': 'Speed ({unit})',
+      'chart.pending': 'not yet synced',
+
+      'tolerance.t': 'Time',
+      'tolerance.x': 'Distance',
+      'tolerance.theta': 'Angle',
+      'tolerance.timeHelp': 'Time defaults to one frame at {fps} fps; distance and angle to the accuracy recommended in the Methodology',
+      'uncertainty.hint': '{input} accounts for {share}% of the uncertainty — measure it more precisely first to tighten the result.',
+
+      'share.copied': 'Link copied!',
+      'share.prompt': 'Copy this link to share the calculation:',
+      'share.opened': ' · opened from a shared link',
+      'share.mismatch': 'The shared link recorded {shared}, but recalculating gives {current} — the calculator has changed since it was shared.',
+
+      'card.time': 'Time t',
+      'card.distance': 'Distance x',
+      'card.angle': 'Angle θ',
+      'card.drag': 'Drag kₓ',
+      'card.model': 'Model',
+      'card.measuredAngle': 'Measured angle {angle}°',
+      'card.noFrame': 'No video frame',
+
+      'clip.markFirst': 'Load a video and mark the contact and landing with the sliders first.',
+      'clip.recording': 'Recording… keep this tab visible.',
+      'clip.progress': 'Recording… {percent}% — keep this tab visible.',
+      'clip.done': 'Clip exported ({size} MB).',
+      'clip.unsupported': 'This browser cannot record WebM video',
+      'clip.slowdown': 'Slow-motion factor',
+      'clip.slower2': '2× slower',
+      'clip.slower4': '4× slower',
+      'clip.slower8': '8× slower',
+
+      'segments.title': 'Segments',
+      'segments.intro': 'Several smashes in one clip? Mark each with the sliders and add it as a segment — the calculator\'s angle and distance are copied in and can be edited in the segment table.',
+      'segments.segment': 'Segment',
+      'segments.add': 'Add as Segment',
+      'segments.calcAll': 'Calculate All Segments',
+      'segments.statusOne': '1 segment marked — calculate them together in the segment table.',
+      'segments.statusMany': '{count} segments marked — calculate them together in the segment table.',
+      'segments.markFirst': 'Move the sliders to mark the contact and landing first.',
+      'segments.missingInputs': 'Enter an angle and a distance for this segment.',
+      'segments.average': 'Average of {count}',
+      'segments.best': 'Best: {name} at {speed}',
+      'segments.error': 'Error',
+      'segments.save': 'Save',
+      'segments.remove': 'Remove segment',
+      'segments.removeNamed': 'Remove {name}',
+      'segments.showInVideo': 'Show this segment in the video',
+      'segments.defaultName': 'Smash {n}',
+
+      'auth.login': 'Login',
+      'auth.createAccount': 'Create Account',
+      'auth.haveAccount': 'Already have an account?',
+      'auth.noAccount': 'Don\'t have an account?',
+      'auth.register': 'Register',
+      'auth.username': 'Username',
+      'auth.password': 'Password',
+      'auth.remember': 'Keep me logged in for 30 days',
+      'authError.usernameFormat': 'Usernames are {usernameMin}–{usernameMax} characters: letters, numbers, dots, underscores or hyphens, starting with a letter or number.',
+      'authError.usernameReserved': 'That username is reserved. Please choose another.',
+      'authError.usernameTaken': 'That username is already taken.',
+      'authError.passwordTooShort': 'Passwords need at least {passwordMin} characters.',
+      'authError.passwordTooLong': 'Passwords can be at most {passwordMax} characters.',
+      'authError.passwordTooSimple': 'Mix at least two kinds of character: lowercase, uppercase, numbers or symbols.',
+      'authError.passwordContainsUsername': 'Your password must not contain your username.',
+      'authError.passwordTooCommon': 'That password is too common. Please choose another.',
+      'authError.passwordUnchanged': 'The new password must be different from the current one.',
+      'authError.currentPasswordIncorrect': 'The current password is incorrect.',
+      'authError.tooManyAttempts': 'Too many login attempts. Try again in {minutes} min.',
+      'authError.accountLocked': 'This account is locked after repeated failed logins. Try again in {minutes} min.',
+      'policy.usernameLength': 'Username: {usernameMin}–{usernameMax} characters',
+      'policy.usernameCharacters': 'Letters, numbers, . _ - only, starting with a letter or number',
+      'policy.usernameReserved': 'Not a reserved name',
+      'policy.passwordLength': 'Password: at least {passwordMin} characters',
+      'policy.passwordVariety': 'Two or more of lowercase, uppercase, numbers, symbols',
+      'policy.passwordNotUsername': 'Does not contain the username',
+      'policy.passwordNotCommon': 'Not a common password',
+      'policy.strength': 'Strength: {level}',
+      'policy.strength0': 'too weak',
+      'policy.strength1': 'fair',
+      'policy.strength2': 'good',
+      'policy.strength3': 'strong',
+      'policy.strength4': 'very strong',
+      'account.loginTitle': 'Log in to manage your account',
+      'account.title': 'Your Account',
+      'account.description': 'Edit your profile, change your password, or download or delete your data',
+      'account.profile': 'Profile',
+      'account.profileDesc': 'Your display name appears in the navigation bar; your level sets the calculator\'s plausibility thresholds',
+      'account.displayName': 'Display name',
+      'account.handedness': 'Playing hand',
+      'account.notSet': 'Not set',
+      'account.right': 'Right-handed',
+      'account.left': 'Left-handed',
+      'account.club': 'Club',
+      'account.clubPlaceholder': 'e.g. City Badminton Club',
+      'account.save': 'Save profile',
+      'account.saved': 'Profile saved',
+      'account.saveFailed': 'Could not save the profile',
+      'account.loadFailed': 'Could not load your account',
+      'account.password': 'Password',
+      'account.passwordDesc': 'Enter your current password to confirm it\'s you. Your other devices will be logged out.',
+      'account.currentPassword': 'Current password',
+      'account.newPassword': 'New password',
+      'account.confirmPassword': 'Repeat new password',
+      'account.changePassword': 'Change password',
+      'account.passwordMismatch': 'The new passwords do not match',
+      'account.passwordChanged': 'Password changed. Your other devices have been logged out.',
+      'account.passwordFailed': 'Could not change the password',
+      'account.data': 'Your data',
+      'account.exportDesc': 'Download every smash you have saved, with how it was measured, as a JSON file.',
+      'account.exportBtn': 'Download my records (JSON)',
+      'account.exported': 'Downloaded {count} record(s)',
+      'account.exportFailed': 'Could not export your records',
+      'account.delete': 'Delete account',
+      'account.deleteDesc': 'Permanently removes your account, every saved smash and your leaderboard entry. This cannot be undone.',
+      'account.deleteBtn': 'Delete my account',
+      'account.deleteConfirm': 'Delete your account and all of your records? This cannot be undone.',
+      'account.deleteFailed': 'Could not delete the account',
+      'account.deleted': 'Your account has been deleted.',
+      'nav.account': 'Account settings',
+      'auth.close': 'Close',
+      'auth.missingFields': 'Please enter both username and password',
+      'auth.registerFailed': 'Registration failed',
+      'auth.invalidLogin': 'Invalid username or password',
+      'auth.serverDown': 'Cannot connect to server. Make sure the backend is running.',
+      'save.saved': 'Saved!',
+      'save.error': 'Error saving',
+      'save.offline': 'Server offline',
+      'save.queued': 'Saved offline — will sync',
+      'save.savedLocal': 'Saved on this device',
+      'guest.title': 'Your smashes on this device',
+      'guest.summary': '{count} smash(es) · best {best} · latest {latest}',
+      'guest.hint': 'Kept only in this browser. <a href="#" onclick="openLoginModal(); return false;">Log in or register</a> to add them to an account and the leaderboard.',
+      'guest.clear': 'Clear history',
+      'guest.clearConfirm': 'Delete the smashes saved on this device? This cannot be undone.',
+      'guest.importSummary': 'You have {count} smash(es) saved on this device from before you logged in. Add them to your account?',
+      'guest.upload': 'Upload to my account',
+      'guest.notNow': 'Not now',
+      'save.notePlaceholder': 'Note (optional)',
+      'save.tagsPlaceholder': 'Tags, comma-separated — e.g. jump smash, tired',
+      'queue.summary': '{count} saved result(s) waiting to sync',
+      'queue.syncNow': 'Sync now',
+      'queue.rejected': 'not accepted: {reason}',
+      'queue.discard': 'Discard',
+
+      'dash.loginTitle': 'Log in to view your dashboard',
+      'dash.loginText': 'Go to the <a href="index.html">Calculator</a> page to log in or register, then come back here.',
+      'dash.title': 'Your Dashboard',
+      'dash.description': 'Track your smash speed progress and see how you rank globally',
+      'dash.progression': 'Speed Progression',
+      'dash.progressionDesc': 'Your smash speed over time',
+      'dash.week': 'Week',
+      'dash.month': 'Month',
+      'dash.year': 'Year',
+      'dash.all': 'All',
+      'dash.noData': 'No smash records yet. Use the Calculator to measure and save your smash speeds.',
+      'dash.pendingNote': 'Hollow points are saved on this device and not yet synced.',
+      'dash.detailsHint': 'Click a point to see how that day\'s smashes were measured.',
+      'detail.heading': '{date}: {count} saved smash(es)',
+      'detail.distance': 'Distance',
+      'detail.time': 'Time',
+      'detail.angle': 'Angle',
+      'detail.kx': 'Drag constant kₓ',
+      'detail.model': 'Model',
+      'detail.video': 'Video',
+      'detail.segment': 'Contact → landing',
+      'detail.note': 'Note',
+      'detail.tags': 'Tags',
+      'detail.none': 'Saved without measurement details.',
+      'dash.leaderboard': 'Leaderboard',
+      'dash.leaderboardDesc': 'Top smash speeds from all users',
+      'dash.rank': 'Rank',
+      'dash.player': 'Player',
+      'dash.bestSpeed': 'Best Speed',
+      'dash.smashes': 'Smashes',
+      'dash.emptyLeaderboard': 'No entries yet. Be the first to save a smash record!',
+      'dash.you': '(you)',
+      'dash.suggestions': 'Training Suggestions',
+      'dash.suggestionsDesc': 'Drills and cues picked from your recent smashes',
+      'dash.noSuggestions': 'Save some smashes to get suggestions.'
+    },
+
+    zh: {
+      'header.title': '羽毛球杀球速度计算器',
+      'header.subtitle': '基于物理模型的精确杀球速度分析',
+      'nav.calculator': '计算器',
+      'nav.methodology': '方法说明',
+      'nav.dashboard': '数据面板',
+      'nav.login': '登录',
+      'nav.logout': '退出登录',
+      'settings.language': '语言',
+      'settings.units': '单位',
+      'units.metric': '公制（米，km/h）',
+      'units.imperial': '英制（英尺，mph）',
+      'unit.metres': '米',
+      'unit.feet': '英尺（如 19\' 8"）',
+      'unit.seconds': '秒',
+      'unit.degrees': '度',
+      'punct.comma': '，',
+      'punct.period': '。',
+
+      'tutorial.title': '导航',
+      'tutorial.step1': '用视频工具测出<strong>时间</strong>',
+      'tutorial.step2': '用场地尺寸估算<strong>距离</strong>',
+      'tutorial.step3': '用视频角度工具测出<strong>角度</strong>',
+      'tutorial.step4': '计算你的<strong>杀球速度</strong>',
+
+      'video.title': '视频测时',
+      'video.description': '上传你的杀球视频，调整滑块精确标记起止时刻，求出所用的总时间。',
+      'video.upload': '点击上传视频',
+      'video.uploadHint': 'MP4、MOV、AVI，最大 500MB',
+      'video.change': '更换视频',
+      'video.range': '选择时间范围',
+      'video.start': '开始',
+      'video.end': '结束',
+      'video.useTime': '使用此时间',
+      'video.fileFps': '文件帧率',
+      'video.captureFps': '拍摄帧率',
+      'video.captureFpsSame': '相同',
+      'video.detectFps': '检测',
+      'video.fpsInitial': '检测前按 30 fps 计算',
+      'video.fpsDetected': '检测到 {fps} fps',
+      'video.fpsAssumed': '按 {fps} fps 计算',
+      'video.fpsCaptured': '以 {fps} fps 拍摄，时间按 ×{scale} 换算',
+      'video.fpsDetecting': '正在检测帧率…',
+      'video.fpsUndetected': '此浏览器无法检测帧率——按 {fps} fps 计算，如有需要请修改',
+      'video.autoDetect': '自动检测击球与落地',
+      'video.autoDetectIntro': '在浏览器中分析所选范围——视频不会被上传。',
+      'video.analysing': '正在分析画面…',
+      'video.analysingProgress': '正在分析画面… {percent}%',
+      'video.proposed': '建议击球时刻 {start}（{contactSource}），落地时刻 {end}（{landingSource}）——可用滑块或方向键微调。',
+      'video.source.audio': '声音',
+      'video.source.motion': '动作',
+      'autodetect.noRange': '请先加载视频并选择要分析的范围。',
+      'autodetect.unreadable': '无法读取视频进行分析。',
+      'autodetect.rangeTooShort': '所选范围太短，无法分析。',
+      'autodetect.noContact': '所选范围内没有找到明显的击球。',
+      'autodetect.noLanding': '击球后没有找到落地——请扩大所选范围。',
+      'autodetect.failed': '自动检测失败：{message}',
+      'court.title': '场地参考（侧视图）',
+      'court.description': '利用场地尺寸估算杀球飞行的距离。',
+      'court.serviceToNet': '双打后发球线到网（平均杀球位置到网）：',
+      'court.baselineToNet': '底线到网：',
+      'court.serviceToOpponent': '双打后发球线到对手估计位置：',
+      'court.useDistance': '使用此距离',
+      'court.moreDetails': '有关水平距离的更多细节，请参阅“方法”部分链接的研究论文',
+      'angle.title': '角度测量工具',
+      'angle.description': '定格到杀球的某一帧，用角度工具测量起点（B 点）与球当前位置（C 点）之间的角度。',
+      'angle.canvasLabel': '角度测量画布。按 A、B 或 C 选择控制点，用方向键移动。',
+      'angle.canvasHint': '双指捏合或 Ctrl + 滚轮缩放定格画面，拖动可平移。按键：A/B/C 选择控制点，方向键微调（Shift ×10），+/− 缩放，0 复位。',
+      'angle.freeze': '定格画面',
+      'angle.unfreeze': '取消定格',
+      'angle.flip': '翻转',
+      'angle.measured': '测得角度：',
+      'angle.use': '使用此角度',
+      'angle.uncorrected': '显示屏幕上的角度。',
+      'angle.correctedMeasured': '屏幕上 {angle} · 已校正到测得的飞行平面',
+      'angle.correctedCourt': '屏幕上 {angle} · 已校正到沿场地长度方向的飞行平面',
+      'perspective.title': '透视校正',
+      'perspective.description': '斜着拍摄的？在定格画面上按所示顺序点击场地的四个角。之后距离将在场地地面上测量，角度也会校正到飞行平面。',
+      'perspective.reference': '场地参考',
+      'perspective.serviceBox': '网到前发球线（双打宽度）',
+      'perspective.halfCourt': '网到底线（双打宽度）',
+      'perspective.setPoints': '设置场地点',
+      'perspective.on': '透视校正已开启',
+      'perspective.off': '透视校正已关闭',
+      'perspective.clickPoint': '点击第 {n} 个点（共 4 个）：{point}',
+      'perspective.point.netLeft': '网，左边线',
+      'perspective.point.netRight': '网，右边线',
+      'perspective.point.shortServiceRight': '前发球线，右边线',
+      'perspective.point.shortServiceLeft': '前发球线，左边线',
+      'perspective.point.baselineRight': '底线，右边线',
+      'perspective.point.baselineLeft': '底线，左边线',
+      'perspective.error.unknownReference': '未知的场地参考。',
+      'perspective.error.missingPoints': '请点击全部四个场地点。',
+      'perspective.error.collinear': '有三个场地点几乎在一条直线上——请选择相距更远的角。',
+      'perspective.error.noHomography': '无法根据这些点计算单应矩阵。',
+      'perspective.error.noCamera': '无法获得相机几何——角度无法校正。',
+      'perspective.error.planeHidden': '飞行平面位于相机后方或与视线平行。',
+      'perspective.warning.noCamera': '无法恢复相机几何，因此角度不会被校正；地面距离仍会校正。',
+      'perspective.warning.grazing': '此处相机几乎贴着地面观看，点击的小误差会使距离变化很大。',
+      'perspective.warning.oblique': '相机与飞行平面的正对方向偏离 {degrees}°——校正后的角度不可靠。',
+      'calib.title': '标定与距离',
+      'calib.description': '在定格画面上点击已知场地长度的两端以设置比例，然后点击击球点和落地点来测量水平距离。',
+      'calib.knownLength': '已知长度',
+      'calib.presetShortService': '前发球线到网（{length}）',
+      'calib.presetDoublesService': '双打后发球线到网（{length}）',
+      'calib.presetBaseline': '底线到网（{length}）',
+      'calib.presetNetPost': '网柱高度（{length}）',
+      'calib.presetOther': '其他…',
+      'calib.length': '长度',
+      'calib.setScale': '设置比例',
+      'calib.measure': '测量距离',
+      'calib.measured': '测得距离：',
+      'calib.use': '使用此距离',
+      'calib.noScale': '未设置比例',
+      'calib.scale': '比例 {value}',
+      'calib.onFloor': '在场地地面上测量',
+      'calib.clickScale': '在参考长度上点击第 {n} 个点（共 2 个）',
+      'calib.clickContact': '点击击球点',
+      'calib.clickFloorContact': '点击击球点正下方的地面',
+      'calib.clickLanding': '点击落地点',
+      'calib.scaleNotSet': '未设置比例：请输入参考长度并点击两个不同的点',
+      'calib.needScale': '测量距离前请先设置比例或场地点',
+      'calib.contact': '击球',
+      'calib.landing': '落地',
+      'track.title': '多点追踪羽毛球',
+      'track.description': '先在上方设置比例，定格到击球帧，然后在每一帧点击羽毛球——每次点击后工具会前进一帧。',
+      'track.start': '追踪羽毛球',
+      'track.stop': '停止追踪',
+      'track.fitKx': '同时拟合 kₓ',
+      'track.fit': '拟合轨迹',
+      'track.speed': '第一个点的速度',
+      'track.angle': '角度 θ',
+      'track.useAngle': '使用拟合角度',
+      'track.useKx': '使用拟合 kₓ',
+      'track.count': '已追踪 {count} 个点',
+      'track.clickShuttle': '点击羽毛球——每次点击视频前进一帧',
+      'track.freezeFirst': '请先定格画面',
+      'track.needScale': '拟合前请先设置比例',
+      'track.needPoints': '请先在几帧连续画面上追踪羽毛球',
+      'track.error.tooFewPoints': '请至少追踪 {count} 个羽毛球位置。',
+      'track.error.tooFewPointsKx': '要同时拟合 kₓ，请至少追踪 {count} 个羽毛球位置。',
+      'track.error.sameFrame': '追踪的位置必须来自不同的帧。',
+      'track.kxFitted': '拟合 kₓ = {kx}',
+      'track.kxFixed': 'kₓ 固定为 {kx}',
+      'track.summary': '{count} 个点，{kx}，RMS 残差 {rms}',
+      'track.point': '第 {n} 点',
+      'tool.undo': '撤销',
+      'tool.clear': '清除',
+
+      'calc.title': '计算杀球速度',
+      'calc.description': '输入测量值以求出初速度 (v₀)',
+      'calc.time': '时间',
+      'calc.distance': '距离',
+      'calc.angle': '角度',
+      'calc.timeHelp': '从击球到落地的时间间隔',
+      'calc.distanceHelp': '羽毛球飞行的水平距离',
+      'calc.angleHelp': '相对水平面的出球角度',
+      'calc.example': '例如 {value}',
+      'calc.model': '模型',
+      'calc.contactHeight': '击球高度',
+      'calc.tolerances': '测量误差 (±)',
+      'calc.calculate': '计算速度',
+      'calc.reset': '重置',
+
+      'results.title': '结果',
+      'results.initialVelocity': '初速度',
+      'results.speed': '速度',
+      'results.closedForm': '解析公式',
+      'results.simulation': '完整模拟',
+      'results.trajectory': '飞行轨迹（高度-距离）',
+      'results.speedVsTime': '速度-时间',
+      'results.confidence': '置信区间',
+      'results.save': '保存结果',
+      'results.saveLocal': '保存到本设备',
+      'results.share': '复制分享链接',
+      'results.exportImage': '导出图片',
+      'results.exportClip': '导出慢动作视频',
+      'results.kxInfo': '计算所用 kₓ = {kx} m⁻¹（{label}）',
+      'kx.paperDefault': '论文默认值',
+      'kx.customValue': '自定义值',
+      'kx.feather': '羽毛',
+      'kx.nylon': '尼龙',
+      'kx.conditions': '{shuttle} {grade}，{altitude}，{temperature}',
+      'kx.label': '阻力常数',
+      'kx.presetPaper': '论文默认值（标准条件）',
+      'kx.presetFeather': '羽毛球（羽毛）——设置条件',
+      'kx.presetNylon': '尼龙球——设置条件',
+      'kx.presetCustom': '自定义 kₓ 值',
+      'kx.grade': '速度等级',
+      'kx.gradeSlow': '75（慢）',
+      'kx.gradeStandard': '77（标准）',
+      'kx.gradeFast': '79（快）',
+      'kx.altitude': '海拔',
+      'kx.temperature': '场馆温度',
+      'kx.help': '由空气密度和球的质量/阻力面积推算——球越重、空气越稀薄，飞得越远',
+
+      'error.fillAll': '请填写全部三个字段。',
+      'error.invalidNumbers': '请为所有字段输入有效数字。',
+      'error.distancePositive': '距离必须大于 0。',
+      'error.timePositive': '时间必须大于 0。',
+      'error.angleRange': '角度必须在 0° 到 90° 之间（不含端点）。',
+      'error.customKx': '自定义阻力常数 kₓ 必须是大于 0 的数字。',
+      'error.unexpected': '发生意外错误——详情请查看控制台。',
+      'error.fatalInit': '初始化出现严重错误——请查看控制台。',
+
+      'warn.heading': '⚠ 检测到异常输入：',
+      'warn.infoHeading': 'ℹ 值得再确认一下：',
+      'error.blocked': '这些输入不可能同时成立：',
+      'level.label': '球员水平',
+      'level.junior': '青少年',
+      'level.club': '俱乐部',
+      'level.elite': '精英',
+      'level.help': '合理性提示按此水平的阈值判断',
+      'rule.distanceBeyondCourt': '距离 {distance} 超过球场对角线（{diagonal}）——杀球不可能落到那么远。',
+      'rule.averageAboveV0': '在 {time} 秒内飞过 {chord} 需要平均 {average}，比计算出的出球速度 {speed} 还快——时间太短或距离太长。',
+      'rule.speedRecord': '计算速度 {speed} 超过世界纪录（约 {record}），请检查输入。',
+      'rule.timeLong': '时间 {time} 秒超过 {limit} 秒——这个水平的杀球通常远在此之前落地。',
+      'rule.distanceLong': '距离 {distance} 异常偏长——整片球场全长仅 {court}。',
+      'rule.angleSteep': '角度 {angle}° 过陡——杀球通常向下 10°–30°。',
+      'rule.speedHigh': '计算速度 {speed} 高于 {limit}，在这个水平很少见——请再核对时间。',
+      'rule.speedLow': '计算速度 {speed} 对杀球而言慢得不现实。',
+      'rule.presetMismatch': '距离 {distance} 与你选择的预设（{preset}：{presetDistance}）不符——请重新选择预设或实际测量距离。',
+      'rule.beyondStraightLine': '从 {height} 高度以 {angle}° 出球，直线在 {reach} 处触地；重力和空气阻力只会让轨迹更向下弯，所以 {distance} 太远了——请检查角度或击球高度。',
+      'rule.speedAtypical': '计算速度 {speed} 不在这个水平常见的 {min}–{max} 范围内。',
+
+      'suggest.title': '训练建议',
+      'suggest.why': '原因：',
+      'suggest.kind.drill': '训练',
+      'suggest.kind.cue': '技术要点',
+      'suggest.recovery.title': '安排一周轻量训练',
+      'suggest.recovery.detail': '一周内把杀球量减半左右，保留步法和技术练习，恢复加量前先确认肩部或肘部没有酸痛。',
+      'suggest.recovery.why': '过去 {days} 天里你每天的最快速度每周下降约 {rate}% —— 这通常是疲劳，而不是技术退步。',
+      'suggest.kineticChain.title': '动力链挥拍模仿',
+      'suggest.kineticChain.detail': '3 组 × 15 次空挥杀球：侧身、后脚蹬地、先转髋再转肩，最后前臂内旋。顺序成为习惯后再加上球。',
+      'suggest.kineticChain.why': '{speed} 低于{level}水平常见的 {min}；缺少的速度大多来自手臂挥动前身体没有转动。',
+      'suggest.contactInFront.title': '击球点更高、更靠前',
+      'suggest.contactInFront.detail': '后场多球喂球：提前移动到球后方，在最高点、略靠击球肩前方击球。4 组 × 10 球。',
+      'suggest.contactInFront.why': '{angle}° 的杀球几乎是平的 —— 更容易被挡回，而且会飞向后场而不是向下。',
+      'suggest.repeatability.title': '可重复的力量',
+      'suggest.repeatability.detail': '同样的喂球，用约 80% 的力量连续杀 10 个球打同一目标区，只算感觉完全一致的球。10 个中有 8 个一致后再加力。',
+      'suggest.repeatability.why': '你最近 {count} 次保存的杀球相差 ±{spread}（{percent}%）—— 无法重复的速度在比赛中很少出现。',
+      'suggest.warmUp.title': '测量前先热身',
+      'suggest.warmUp.detail': '录制前做 5 分钟轻松移动和 10 次逐渐加力的杀球，并在体力充足时测量，而不是训练结束时。',
+      'suggest.warmUp.why': '这一拍是你保存的最好成绩（{best}）的 {percent}% —— 差距这么大通常说明肌肉没热开或已疲劳。',
+      'suggest.gripSqueeze.title': '放松握拍，击球瞬间握紧',
+      'suggest.gripSqueeze.detail': '引拍时轻握球拍，只在击球瞬间收紧手指。用半速杀球练习 20 次，体会最后的发力。',
+      'suggest.gripSqueeze.why': '{speed} 处于{level}水平常见范围的下半部分；整个挥拍过程握得太紧会降低拍头速度。',
+      'suggest.behindShuttle.title': '到球后方，而不是球下方',
+      'suggest.behindShuttle.detail': '多退一步，让球落在身体前方，挥拍要打透，而不是向下砍。',
+      'suggest.behindShuttle.why': '{angle}° 的杀球非常陡 —— 这通常是站在球下方造成的，会损失速度和击球高度。',
+      'suggest.overload.title': '加入超负荷训练',
+      'suggest.overload.detail': '每周两次：3 组 × 8 次跳杀，或套着拍套空挥，随后立刻正常杀 5 个球，把速度带过来。',
+      'suggest.overload.why': '你的速度在 {days} 天里一直保持在 {speed} 左右 —— 目前的训练已不再提升速度。',
+      'suggest.placement.title': '把速度变成得分',
+      'suggest.placement.detail': '保持速度，同时瞄准：轮流杀追身、边线和中线，用锥桶或毛巾作为目标。',
+      'suggest.placement.why': '{speed} 高于{level}水平常见的 {max} —— 现在落点比更快的速度更能得分。',
+      'suggest.keepGoing.title': '保持目前的训练',
+      'suggest.keepGoing.detail': '现在的方法有效 —— 保持训练量稳定，增加恢复日，而不是更多杀球。',
+      'suggest.keepGoing.why': '过去 {days} 天里你每天的最快速度每周提升约 {rate}%。',
+      'suggest.saveMore.title': '再多保存几次杀球',
+      'suggest.saveMore.detail': '登录并保存测量结果，即可获得关于稳定性和长期进步的建议。',
+      'suggest.saveMore.why': '目前只保存了 {count} 次杀球；稳定性和趋势至少需要 {needed} 次。',
+
+      'model.diff': '模拟结果与解析公式相差 {diff}%。',
+      'model.heightMismatch': '在 t 时刻，模拟的球距地面 {height}——角度、击球高度、距离和时间不太吻合。',
+      'model.simError': '模拟：{error}',
+      'model.closed': '解析公式（研究论文）',
+      'model.simulation': '完整模拟（阻力 + 重力）',
+      'model.help': '模拟从击球高度起对二维飞行轨迹进行积分；两种结果并排显示',
+
+      'flight.leaves': '离拍速度 {speed}',
+      'flight.belowTape': '到网时高度仅 {height}——低于网带',
+      'flight.crossesNet': '过网速度 {speed}',
+      'flight.lands': '{time} 秒后以 {speed} 落地',
+
+      'chart.trajectory': '轨迹',
+      'chart.net': '球网',
+      'chart.measuredLanding': '实测落点',
+      'chart.fullSimulation': '完整模拟',
+      'chart.closedForm': '解析公式',
+      'chart.overNet': '过网',
+      'chart.landing': '落地',
+      'chart.distance': '距离（{unit}）',
+      'chart.height': '高度（{unit}）',
+      'chart.time': '时间（秒）',
+      'chart.speed': '速度（{unit}）',
+      'chart.pending': '尚未同步',
+
+      'tolerance.t': '时间',
+      'tolerance.x': '距离',
+      'tolerance.theta': '角度',
+      'tolerance.timeHelp': '时间默认取 {fps} fps 下的一帧；距离和角度默认取“方法”页建议的精度',
+      'uncertainty.hint': '{input}占不确定度的 {share}%——优先提高它的测量精度可以缩小误差范围。',
+
+      'share.copied': '链接已复制！',
+      'share.prompt': '复制此链接以分享计算结果：',
+      'share.opened': ' · 来自分享链接',
+      'share.mismatch': '分享链接记录的是 {shared}，但重新计算得到 {current}——计算器在分享后已有更新。',
+
+      'card.time': '时间 t',
+      'card.distance': '距离 x',
+      'card.angle': '角度 θ',
+      'card.drag': '阻力 kₓ',
+      'card.model': '模型',
+      'card.measuredAngle': '实测角度 {angle}°',
+      'card.noFrame': '无视频画面',
+
+      'clip.markFirst': '请先加载视频，并用滑块标记击球和落地时刻。',
+      'clip.recording': '录制中……请保持此标签页可见。',
+      'clip.progress': '录制中……{percent}%——请保持此标签页可见。',
+      'clip.done': '视频已导出（{size} MB）。',
+      'clip.unsupported': '此浏览器无法录制 WebM 视频',
+      'clip.slowdown': '慢动作倍数',
+      'clip.slower2': '慢 2 倍',
+      'clip.slower4': '慢 4 倍',
+      'clip.slower8': '慢 8 倍',
+
+      'segments.title': '片段',
+      'segments.intro': '一个视频里有多次杀球？用滑块逐一标记并添加为片段——计算器的角度和距离会一并复制，可在片段表中修改。',
+      'segments.segment': '片段',
+      'segments.add': '添加为片段',
+      'segments.calcAll': '计算全部片段',
+      'segments.statusOne': '已标记 1 个片段——可在片段表中一起计算。',
+      'segments.statusMany': '已标记 {count} 个片段——可在片段表中一起计算。',
+      'segments.markFirst': '请先移动滑块标记击球和落地时刻。',
+      'segments.missingInputs': '请为此片段输入角度和距离。',
+      'segments.average': '{count} 个的平均值',
+      'segments.best': '最佳：{name}，{speed}',
+      'segments.error': '错误',
+      'segments.save': '保存',
+      'segments.remove': '删除片段',
+      'segments.removeNamed': '删除 {name}',
+      'segments.showInVideo': '在视频中显示此片段',
+      'segments.defaultName': '杀球 {n}',
+
+      'auth.login': '登录',
+      'auth.createAccount': '创建账户',
+      'auth.haveAccount': '已有账户？',
+      'auth.noAccount': '还没有账户？',
+      'auth.register': '注册',
+      'auth.username': '用户名',
+      'auth.password': '密码',
+      'auth.remember': '30 天内保持登录',
+      'authError.usernameFormat': '用户名需为 {usernameMin}–{usernameMax} 个字符：字母、数字、点、下划线或连字符，且以字母或数字开头。',
+      'authError.usernameReserved': '该用户名为保留名称，请换一个。',
+      'authError.usernameTaken': '该用户名已被占用。',
+      'authError.passwordTooShort': '密码至少需要 {passwordMin} 个字符。',
+      'authError.passwordTooLong': '密码最多 {passwordMax} 个字符。',
+      'authError.passwordTooSimple': '请至少混合两类字符：小写、大写、数字或符号。',
+      'authError.passwordContainsUsername': '密码不能包含用户名。',
+      'authError.passwordTooCommon': '该密码过于常见，请换一个。',
+      'authError.passwordUnchanged': '新密码必须与当前密码不同。',
+      'authError.currentPasswordIncorrect': '当前密码不正确。',
+      'authError.tooManyAttempts': '登录尝试次数过多，请在 {minutes} 分钟后重试。',
+      'authError.accountLocked': '多次登录失败，该账户已被暂时锁定，请在 {minutes} 分钟后重试。',
+      'policy.usernameLength': '用户名：{usernameMin}–{usernameMax} 个字符',
+      'policy.usernameCharacters': '仅限字母、数字及 . _ -，以字母或数字开头',
+      'policy.usernameReserved': '不是保留名称',
+      'policy.passwordLength': '密码：至少 {passwordMin} 个字符',
+      'policy.passwordVariety': '包含小写、大写、数字、符号中的两类或以上',
+      'policy.passwordNotUsername': '不包含用户名',
+      'policy.passwordNotCommon': '不是常见密码',
+      'policy.strength': '强度：{level}',
+      'policy.strength0': '太弱',
+      'policy.strength1': '一般',
+      'policy.strength2': '良好',
+      'policy.strength3': '强',
+      'policy.strength4': '非常强',
+      'account.loginTitle': '登录以管理您的账户',
+      'account.title': '我的账户',
+      'account.description': '编辑个人资料、修改密码，或下载、删除您的数据',
+      'account.profile': '个人资料',
+      'account.profileDesc': '显示名称会出现在导航栏中；水平决定计算器的合理性检查阈值',
+      'account.displayName': '显示名称',
+      'account.handedness': '惯用手',
+      'account.notSet': '未设置',
+      'account.right': '右手',
+      'account.left': '左手',
+      'account.club': '俱乐部',
+      'account.clubPlaceholder': '例如：城市羽毛球俱乐部',
+      'account.save': '保存资料',
+      'account.saved': '资料已保存',
+      'account.saveFailed': '无法保存资料',
+      'account.loadFailed': '无法加载您的账户',
+      'account.password': '密码',
+      'account.passwordDesc': '请输入当前密码以确认身份。您在其他设备上的登录将被注销。',
+      'account.currentPassword': '当前密码',
+      'account.newPassword': '新密码',
+      'account.confirmPassword': '再次输入新密码',
+      'account.changePassword': '修改密码',
+      'account.passwordMismatch': '两次输入的新密码不一致',
+      'account.passwordChanged': '密码已修改，其他设备已退出登录。',
+      'account.passwordFailed': '无法修改密码',
+      'account.data': '我的数据',
+      'account.exportDesc': '将您保存的所有扣杀记录及其测量方式下载为 JSON 文件。',
+      'account.exportBtn': '下载我的记录（JSON）',
+      'account.exported': '已下载 {count} 条记录',
+      'account.exportFailed': '无法导出您的记录',
+      'account.delete': '删除账户',
+      'account.deleteDesc': '永久删除您的账户、所有已保存的扣杀记录以及排行榜条目。此操作无法撤销。',
+      'account.deleteBtn': '删除我的账户',
+      'account.deleteConfirm': '确定删除您的账户及全部记录吗？此操作无法撤销。',
+      'account.deleteFailed': '无法删除账户',
+      'account.deleted': '您的账户已删除。',
+      'nav.account': '账户设置',
+      'auth.close': '关闭',
+      'auth.missingFields': '请输入用户名和密码',
+      'auth.registerFailed': '注册失败',
+      'auth.invalidLogin': '用户名或密码错误',
+      'auth.serverDown': '无法连接服务器，请确认后端正在运行。',
+      'save.saved': '已保存！',
+      'save.error': '保存出错',
+      'save.offline': '服务器离线',
+      'save.queued': '已离线保存，稍后同步',
+      'save.savedLocal': '已保存到本设备',
+      'guest.title': '本设备上的扣杀记录',
+      'guest.summary': '{count} 次扣杀 · 最快 {best} · 最近 {latest}',
+      'guest.hint': '仅保存在此浏览器中。<a href="#" onclick="openLoginModal(); return false;">登录或注册</a>即可将其加入账户和排行榜。',
+      'guest.clear': '清除记录',
+      'guest.clearConfirm': '删除本设备上保存的扣杀记录吗？此操作无法撤销。',
+      'guest.importSummary': '本设备上有 {count} 条您登录前保存的扣杀记录。要添加到您的账户吗？',
+      'guest.upload': '上传到我的账户',
+      'guest.notNow': '暂不',
+      'save.notePlaceholder': '备注（可选）',
+      'save.tagsPlaceholder': '标签，用逗号分隔 —— 例如 跳杀, 疲劳',
+      'queue.summary': '{count} 条保存的结果等待同步',
+      'queue.syncNow': '立即同步',
+      'queue.rejected': '未被接受：{reason}',
+      'queue.discard': '丢弃',
+
+      'dash.loginTitle': '登录后查看你的数据面板',
+      'dash.loginText': '请前往<a href="index.html">计算器</a>页面登录或注册，然后再回到这里。',
+      'dash.title': '我的数据面板',
+      'dash.description': '跟踪你的杀球速度进步并查看全球排名',
+      'dash.progression': '速度进步',
+      'dash.progressionDesc': '你的杀球速度变化',
+      'dash.week': '周',
+      'dash.month': '月',
+      'dash.year': '年',
+      'dash.all': '全部',
+      'dash.noData': '还没有杀球记录。使用计算器测量并保存你的杀球速度。',
+      'dash.pendingNote': '空心点已保存在本设备上，尚未同步。',
+      'dash.detailsHint': '点击某个点，查看当天杀球的测量方式。',
+      'detail.heading': '{date}：已保存 {count} 次杀球',
+      'detail.distance': '距离',
+      'detail.time': '时间',
+      'detail.angle': '角度',
+      'detail.kx': '阻力常数 kₓ',
+      'detail.model': '模型',
+      'detail.video': '视频',
+      'detail.segment': '击球 → 落地',
+      'detail.note': '备注',
+      'detail.tags': '标签',
+      'detail.none': '保存时没有测量详情。',
+      'dash.leaderboard': '排行榜',
+      'dash.leaderboardDesc': '所有用户的最快杀球',
+      'dash.rank': '排名',
+      'dash.player': '选手',
+      'dash.bestSpeed': '最快速度',
+      'dash.smashes': '杀球次数',
+      'dash.emptyLeaderboard': '暂无记录，快来保存第一条杀球记录吧！',
+      'dash.you': '（你）',
+      'dash.suggestions': '训练建议',
+      'dash.suggestionsDesc': '根据你最近的杀球挑选的训练和技术要点',
+      'dash.noSuggestions': '保存一些杀球记录即可获得建议。'
+    },
+
+    ms: {
+      'header.title': 'Kalkulator Smash Badminton',
+      'header.subtitle': 'Analisis kelajuan smash yang tepat berasaskan model fizik',
+      'nav.calculator': 'Kalkulator',
+      'nav.methodology': 'Metodologi',
+      'nav.dashboard': 'Papan Pemuka',
+      'nav.login': 'Log Masuk',
+      'nav.logout': 'Log Keluar',
+      'settings.language': 'Bahasa',
+      'settings.units': 'Unit',
+      'units.metric': 'Metrik (m, km/j)',
+      'units.imperial': 'Imperial (kaki, mph)',
+      'unit.metres': 'meter',
+      'unit.feet': 'kaki (cth. 19\' 8")',
+      'unit.seconds': 'saat',
+      'unit.degrees': 'darjah',
+      'punct.comma': ', ',
+      'punct.period': '.',
+
+      'tutorial.title': 'Navigasi',
+      'tutorial.step1': 'Cari <strong>masa</strong> dengan alat video',
+      'tutorial.step2': 'Anggarkan <strong>jarak</strong> dengan ukuran gelanggang',
+      'tutorial.step3': 'Cari <strong>sudut</strong> dengan alat sudut video',
+      'tutorial.step4': 'Kira <strong>kelajuan smash</strong> anda',
+
+      'video.title': 'Analisis Video untuk Masa',
+      'video.description': 'Muat naik video smash anda, tandakan masa mula dan tamat dengan tepat menggunakan peluncur untuk mendapatkan jumlah masa yang diambil.',
+      'video.upload': 'Klik untuk memuat naik video',
+      'video.uploadHint': 'MP4, MOV, AVI sehingga 500MB',
+      'video.change': 'Tukar video',
+      'video.range': 'Pilih Julat Masa',
+      'video.start': 'Mula',
+      'video.end': 'Tamat',
+      'video.useTime': 'Guna Masa Ini',
+      'video.fileFps': 'Kadar bingkai fail',
+      'video.captureFps': 'Kadar bingkai rakaman',
+      'video.captureFpsSame': 'Sama',
+      'video.detectFps': 'Kesan',
+      'video.fpsInitial': 'Menganggap 30 fps sehingga dikesan',
+      'video.fpsDetected': '{fps} fps dikesan',
+      'video.fpsAssumed': 'Menganggap {fps} fps',
+      'video.fpsCaptured': 'dirakam pada {fps} fps, masa diskalakan ×{scale}',
+      'video.fpsDetecting': 'Mengesan kadar bingkai…',
+      'video.fpsUndetected': 'Kadar bingkai tidak dapat dikesan dalam pelayar ini — menganggap {fps} fps, sunting jika perlu',
+      'video.autoDetect': 'Kesan Pukulan & Pendaratan Secara Automatik',
+      'video.autoDetectIntro': 'Menganalisis julat yang dipilih dalam pelayar anda — video tidak pernah dimuat naik.',
+      'video.analysing': 'Menganalisis bingkai…',
+      'video.analysingProgress': 'Menganalisis bingkai… {percent}%',
+      'video.proposed': 'Cadangan pukulan {start} ({contactSource}) dan pendaratan {end} ({landingSource}) — perhalusi dengan peluncur atau kekunci anak panah.',
+      'video.source.audio': 'bunyi',
+      'video.source.motion': 'gerakan',
+      'autodetect.noRange': 'Muatkan video dan pilih julat untuk dianalisis.',
+      'autodetect.unreadable': 'Video tidak dapat dibaca untuk analisis.',
+      'autodetect.rangeTooShort': 'Julat yang dipilih terlalu pendek untuk dianalisis.',
+      'autodetect.noContact': 'Tiada pukulan yang jelas ditemui dalam julat yang dipilih.',
+      'autodetect.noLanding': 'Tiada pendaratan ditemui selepas pukulan — panjangkan julat yang dipilih.',
+      'autodetect.failed': 'Pengesanan automatik gagal: {message}',
+      'court.title': 'Rujukan Gelanggang (Pandangan Sisi)',
+      'court.description': 'Gunakan ukuran gelanggang untuk menganggar jarak yang dilalui smash anda.',
+      'court.serviceToNet': 'Garisan servis beregu ke jaring (purata kedudukan smash ke jaring):',
+      'court.baselineToNet': 'Garisan belakang ke jaring:',
+      'court.serviceToOpponent': 'Garisan servis beregu ke anggaran kedudukan lawan:',
+      'court.useDistance': 'Guna jarak ini',
+      'court.moreDetails': 'Butiran lanjut tentang jarak mendatar terdapat dalam kertas kajian yang dipautkan di bahagian Metodologi',
+      'angle.title': 'Alat Pengukur Sudut',
+      'angle.description': 'Bekukan satu bingkai smash anda. Dengan alat sudut, ukur sudut antara titik permulaan (titik B) dan kedudukan semasa bulu tangkis (titik C).',
+      'angle.canvasLabel': 'Kanvas pengukuran sudut. Tekan A, B atau C untuk memilih pemegang dan kekunci anak panah untuk menggerakkannya.',
+      'angle.canvasHint': 'Cubit atau Ctrl + tatal untuk mengezum bingkai beku dan seret untuk menggerakkan. Kekunci: A/B/C pilih pemegang, anak panah menolaknya (Shift ×10), +/− zum, 0 set semula.',
+      'angle.freeze': 'Bekukan Bingkai',
+      'angle.unfreeze': 'Nyahbeku',
+      'angle.flip': 'Balikkan',
+      'angle.measured': 'Sudut Diukur:',
+      'angle.use': 'Guna Sudut Ini',
+      'angle.uncorrected': 'Menunjukkan sudut pada skrin.',
+      'angle.correctedMeasured': 'Pada skrin {angle} · diperbetulkan ke satah penerbangan yang diukur',
+      'angle.correctedCourt': 'Pada skrin {angle} · diperbetulkan ke satah penerbangan sepanjang gelanggang',
+      'perspective.title': 'Pembetulan Perspektif',
+      'perspective.description': 'Dirakam dari sudut serong? Pada bingkai beku, klik empat penjuru gelanggang mengikut urutan yang ditunjukkan. Jarak kemudian diukur pada lantai gelanggang dan sudut diperbetulkan ke satah penerbangan.',
+      'perspective.reference': 'Rujukan gelanggang',
+      'perspective.serviceBox': 'Jaring ke garisan servis pendek (lebar beregu)',
+      'perspective.halfCourt': 'Jaring ke garisan belakang (lebar beregu)',
+      'perspective.setPoints': 'Tetapkan Titik Gelanggang',
+      'perspective.on': 'Pembetulan perspektif hidup',
+      'perspective.off': 'Pembetulan perspektif mati',
+      'perspective.clickPoint': 'Klik titik {n} daripada 4: {point}',
+      'perspective.point.netLeft': 'Jaring, garisan tepi kiri',
+      'perspective.point.netRight': 'Jaring, garisan tepi kanan',
+      'perspective.point.shortServiceRight': 'Garisan servis pendek, garisan tepi kanan',
+      'perspective.point.shortServiceLeft': 'Garisan servis pendek, garisan tepi kiri',
+      'perspective.point.baselineRight': 'Garisan belakang, garisan tepi kanan',
+      'perspective.point.baselineLeft': 'Garisan belakang, garisan tepi kiri',
+      'perspective.error.unknownReference': 'Rujukan gelanggang tidak dikenali.',
+      'perspective.error.missingPoints': 'Klik kesemua empat titik gelanggang.',
+      'perspective.error.collinear': 'Tiga titik gelanggang hampir segaris — pilih penjuru yang lebih berjauhan.',
+      'perspective.error.noHomography': 'Homografi tidak dapat dikira daripada titik-titik itu.',
+      'perspective.error.noCamera': 'Geometri kamera tidak tersedia — sudut tidak dapat diperbetulkan.',
+      'perspective.error.planeHidden': 'Satah penerbangan berada di belakang atau selari dengan pandangan kamera.',
+      'perspective.warning.noCamera': 'Geometri kamera tidak dapat dipulihkan, jadi sudut tidak diperbetulkan. Jarak lantai masih diperbetulkan.',
+      'perspective.warning.grazing': 'Kamera melihat lantai hampir dari sisi di sini, jadi ralat klik yang kecil banyak mengubah jarak.',
+      'perspective.warning.oblique': 'Kamera melihat satah penerbangan {degrees}° dari pandangan tegak — sudut yang diperbetulkan tidak boleh dipercayai.',
+      'calib.title': 'Penentukuran & Jarak',
+      'calib.description': 'Pada bingkai beku, klik kedua-dua hujung panjang gelanggang yang diketahui untuk menetapkan skala. Kemudian klik titik pukulan dan titik pendaratan untuk mengukur jarak mendatar.',
+      'calib.knownLength': 'Panjang diketahui',
+      'calib.presetShortService': 'Garisan servis pendek ke jaring ({length})',
+      'calib.presetDoublesService': 'Garisan servis beregu ke jaring ({length})',
+      'calib.presetBaseline': 'Garisan belakang ke jaring ({length})',
+      'calib.presetNetPost': 'Ketinggian tiang jaring ({length})',
+      'calib.presetOther': 'Lain-lain…',
+      'calib.length': 'Panjang',
+      'calib.setScale': 'Tetapkan Skala',
+      'calib.measure': 'Ukur Jarak',
+      'calib.measured': 'Jarak Diukur:',
+      'calib.use': 'Guna Jarak Ini',
+      'calib.noScale': 'Skala belum ditetapkan',
+      'calib.scale': 'Skala {value}',
+      'calib.onFloor': 'Mengukur pada lantai gelanggang',
+      'calib.clickScale': 'Klik titik {n} daripada 2 pada panjang rujukan',
+      'calib.clickContact': 'Klik titik pukulan',
+      'calib.clickFloorContact': 'Klik lantai di bawah titik pukulan',
+      'calib.clickLanding': 'Klik titik pendaratan',
+      'calib.scaleNotSet': 'Skala tidak ditetapkan: masukkan panjang rujukan dan klik dua titik berbeza',
+      'calib.needScale': 'Tetapkan skala atau titik gelanggang sebelum mengukur jarak',
+      'calib.contact': 'Pukulan',
+      'calib.landing': 'Pendaratan',
+      'track.title': 'Penjejakan Bulu Tangkis Berbilang Titik',
+      'track.description': 'Tetapkan skala di atas, bekukan pada bingkai pukulan, kemudian klik bulu tangkis pada setiap bingkai — alat akan maju satu bingkai selepas setiap klik.',
+      'track.start': 'Jejak Bulu Tangkis',
+      'track.stop': 'Henti Menjejak',
+      'track.fitKx': 'Padankan kₓ juga',
+      'track.fit': 'Padankan Jejak',
+      'track.speed': 'Kelajuan pada titik pertama',
+      'track.angle': 'Sudut θ',
+      'track.useAngle': 'Guna Sudut Dipadankan',
+      'track.useKx': 'Guna kₓ Dipadankan',
+      'track.count': '{count} titik dijejak',
+      'track.clickShuttle': 'Klik bulu tangkis — video maju satu bingkai setiap klik',
+      'track.freezeFirst': 'Bekukan satu bingkai dahulu',
+      'track.needScale': 'Tetapkan skala sebelum memadankan',
+      'track.needPoints': 'Jejak bulu tangkis pada beberapa bingkai berturut-turut dahulu',
+      'track.error.tooFewPoints': 'Jejak sekurang-kurangnya {count} kedudukan bulu tangkis.',
+      'track.error.tooFewPointsKx': 'Jejak sekurang-kurangnya {count} kedudukan bulu tangkis untuk memadankan kₓ juga.',
+      'track.error.sameFrame': 'Kedudukan yang dijejak mesti daripada bingkai yang berbeza.',
+      'track.kxFitted': 'kₓ dipadankan = {kx}',
+      'track.kxFixed': 'kₓ ditetapkan pada {kx}',
+      'track.summary': '{count} titik, {kx}, baki RMS {rms}',
+      'track.point': 'Titik {n}',
+      'tool.undo': 'Buat asal',
+      'tool.clear': 'Kosongkan',
+
+      'calc.title': 'Kira Kelajuan Smash',
+      'calc.description': 'Masukkan ukuran anda untuk menentukan halaju awal (v₀)',
+      'calc.time': 'Masa',
+      'calc.distance': 'Jarak',
+      'calc.angle': 'Sudut',
+      'calc.timeHelp': 'Selang masa dari pukulan hingga mendarat',
+      'calc.distanceHelp': 'Jarak mendatar yang dilalui bulu tangkis',
+      'calc.angleHelp': 'Sudut lancaran relatif kepada garis mendatar',
+      'calc.example': 'cth. {value}',
+      'calc.model': 'Model',
+      'calc.contactHeight': 'Ketinggian pukulan',
+      'calc.tolerances': 'Toleransi ukuran (±)',
+      'calc.calculate': 'Kira Kelajuan',
+      'calc.reset': 'Set Semula',
+
+      'results.title': 'Keputusan',
+      'results.initialVelocity': 'Halaju Awal',
+      'results.speed': 'Kelajuan',
+      'results.closedForm': 'Formula tertutup',
+      'results.simulation': 'Simulasi penuh',
+      'results.trajectory': 'Trajektori (tinggi lwn jarak)',
+      'results.speedVsTime': 'Kelajuan lwn masa',
+      'results.confidence': 'Julat keyakinan',
+      'results.save': 'Simpan Keputusan',
+      'results.saveLocal': 'Simpan pada Peranti Ini',
+      'results.share': 'Salin Pautan Kongsi',
+      'results.exportImage': 'Eksport Imej',
+      'results.exportClip': 'Eksport Klip Gerak Perlahan',
+      'results.kxInfo': 'Dikira dengan kₓ = {kx} m⁻¹ ({label})',
+      'kx.paperDefault': 'nilai lalai kertas kajian',
+      'kx.customValue': 'nilai tersuai',
+      'kx.feather': 'Bulu',
+      'kx.nylon': 'Nilon',
+      'kx.conditions': '{shuttle} {grade}, {altitude}, {temperature}',
+      'kx.label': 'Pemalar seretan',
+      'kx.presetPaper': 'Nilai lalai kertas kajian (keadaan standard)',
+      'kx.presetFeather': 'Bulu tangkis bulu — tetapkan keadaan',
+      'kx.presetNylon': 'Bulu tangkis nilon — tetapkan keadaan',
+      'kx.presetCustom': 'Nilai kₓ tersuai',
+      'kx.grade': 'Gred kelajuan',
+      'kx.gradeSlow': '75 (perlahan)',
+      'kx.gradeStandard': '77 (standard)',
+      'kx.gradeFast': '79 (laju)',
+      'kx.altitude': 'Ketinggian dari aras laut',
+      'kx.temperature': 'Suhu dewan',
+      'kx.help': 'Diperoleh daripada ketumpatan udara dan jisim/luas seretan bulu tangkis — bulu tangkis lebih berat dan udara lebih nipis terbang lebih jauh',
+
+      'error.fillAll': 'Sila isi ketiga-tiga medan.',
+      'error.invalidNumbers': 'Sila masukkan nilai angka yang sah untuk semua medan.',
+      'error.distancePositive': 'Jarak mesti lebih besar daripada 0.',
+      'error.timePositive': 'Masa mesti lebih besar daripada 0.',
+      'error.angleRange': 'Sudut mesti antara 0° dan 90° (eksklusif).',
+      'error.customKx': 'Pemalar seretan tersuai kₓ mesti nombor yang lebih besar daripada 0.',
+      'error.unexpected': 'Ralat tidak dijangka — lihat konsol untuk butiran.',
+      'error.fatalInit': 'Ralat permulaan yang serius — semak konsol.',
+
+      'warn.heading': '⚠ Input luar biasa dikesan:',
+      'warn.infoHeading': 'ℹ Wajar disemak semula:',
+      'error.blocked': 'Input ini tidak mungkin semuanya betul:',
+      'level.label': 'Tahap pemain',
+      'level.junior': 'Junior',
+      'level.club': 'Kelab',
+      'level.elite': 'Elit',
+      'level.help': 'Amaran kebolehpercayaan menggunakan ambang bagi tahap ini',
+      'rule.distanceBeyondCourt': 'Jarak {distance} lebih panjang daripada pepenjuru gelanggang ({diagonal}) — smash tidak boleh mendarat sejauh itu.',
+      'rule.averageAboveV0': 'Menempuh {chord} dalam {time} s memerlukan purata {average}, lebih laju daripada kelajuan lancaran dikira {speed} — masa terlalu singkat atau jarak terlalu panjang.',
+      'rule.speedRecord': 'Kelajuan dikira {speed} melebihi rekod dunia (~{record}). Semak input anda.',
+      'rule.timeLong': 'Masa {time} s melebihi {limit} s — smash pada tahap ini mendarat jauh lebih awal.',
+      'rule.distanceLong': 'Jarak {distance} luar biasa panjang — panjang gelanggang penuh hanya {court}.',
+      'rule.angleSteep': 'Sudut {angle}° sangat curam — smash badminton biasanya 10°–30° ke bawah.',
+      'rule.speedHigh': 'Kelajuan dikira {speed} melebihi {limit}, jarang pada tahap ini — semak semula masa.',
+      'rule.speedLow': 'Kelajuan dikira {speed} terlalu perlahan untuk smash badminton.',
+      'rule.presetMismatch': 'Jarak {distance} tidak sepadan dengan pratetap yang dipilih ({preset}: {presetDistance}) — pilih pratetap semula atau ukur jarak.',
+      'rule.beyondStraightLine': 'Dari {height} pada {angle}°, garis lurus menyentuh lantai selepas {reach}; graviti dan seretan hanya melengkungkan penerbangan ke bawah, jadi {distance} terlalu jauh — semak sudut atau ketinggian pukulan.',
+      'rule.speedAtypical': 'Kelajuan dikira {speed} di luar julat biasa {min}–{max} untuk tahap ini.',
+
+      'suggest.title': 'Cadangan latihan',
+      'suggest.why': 'Sebab:',
+      'suggest.kind.drill': 'Latihan',
+      'suggest.kind.cue': 'Petua teknik',
+      'suggest.recovery.title': 'Ambil minggu yang lebih ringan',
+      'suggest.recovery.detail': 'Kurangkan jumlah smash kira-kira separuh selama seminggu, teruskan latihan gerak kaki dan teknik, dan pastikan bahu atau siku tidak sakit sebelum menambah semula.',
+      'suggest.recovery.why': 'Kelajuan terbaik harian anda menurun kira-kira {rate}% seminggu dalam {days} hari lepas — biasanya keletihan, bukan teknik yang hilang.',
+      'suggest.kineticChain.title': 'Smash bayang rantai kinetik',
+      'suggest.kineticChain.detail': '3 × 15 smash bayang: pusing ke sisi, tolak dengan kaki belakang, putar pinggul kemudian bahu, dan akhiri dengan pronasi lengan bawah. Tambah bulu tangkis hanya apabila urutan itu sudah automatik.',
+      'suggest.kineticChain.why': '{speed} di bawah {min} yang biasa bagi pemain {level}; kebanyakan kelajuan yang hilang datang daripada badan yang tidak berputar sebelum lengan dihayun.',
+      'suggest.contactInFront.title': 'Pukul lebih tinggi dan lebih ke hadapan',
+      'suggest.contactInFront.detail': 'Suapan banyak bulu ke gelanggang belakang: bergerak ke belakang bulu lebih awal dan pukul pada capaian penuh, sedikit di hadapan bahu memukul. 4 × 10 bulu.',
+      'suggest.contactInFront.why': 'Pada {angle}° smash hampir mendatar — lebih mudah diblok dan bergerak jauh ke dalam gelanggang dan bukannya ke bawah.',
+      'suggest.repeatability.title': 'Kuasa yang boleh diulang',
+      'suggest.repeatability.detail': 'Daripada suapan yang sama, buat 10 smash pada kira-kira 80% usaha ke satu zon sasaran; kira hanya yang terasa sama. Naikkan usaha apabila 8 daripada 10 sepadan.',
+      'suggest.repeatability.why': '{count} smash terakhir yang disimpan berbeza ±{spread} ({percent}%) — kelajuan yang tidak boleh diulang jarang muncul dalam perlawanan.',
+      'suggest.warmUp.title': 'Memanaskan badan sebelum mengukur',
+      'suggest.warmUp.detail': 'Buat 5 minit pergerakan ringan dan 10 smash yang makin kuat sebelum merakam, dan ukur semasa masih segar, bukan di hujung sesi.',
+      'suggest.warmUp.why': 'Smash ini {percent}% daripada rekod terbaik anda ({best}) — jurang sebesar itu biasanya bermaksud otot belum panas atau sudah letih.',
+      'suggest.gripSqueeze.title': 'Genggaman longgar, genggam pada sentuhan',
+      'suggest.gripSqueeze.detail': 'Pegang raket dengan longgar semasa hayunan ke belakang dan ketatkan jari hanya semasa hentakan. Cuba 20 smash separuh laju sambil merasai genggaman lewat itu.',
+      'suggest.gripSqueeze.why': '{speed} berada di separuh bawah julat biasa bagi pemain {level}; genggaman ketat sepanjang hayunan melambatkan kepala raket.',
+      'suggest.behindShuttle.title': 'Berada di belakang bulu, bukan di bawahnya',
+      'suggest.behindShuttle.detail': 'Undur satu langkah lagi supaya bulu jatuh di hadapan anda, dan biarkan hayunan berterusan dan bukannya memotong ke bawah.',
+      'suggest.behindShuttle.why': 'Pada {angle}° smash sangat curam — biasanya kerana berada di bawah bulu, yang mengurangkan kelajuan dan capaian.',
+      'suggest.overload.title': 'Tambah blok beban lampau',
+      'suggest.overload.detail': 'Dua kali seminggu: 3 × 8 smash lompat atau hayunan bayang dengan sarung raket, kemudian terus 5 smash biasa untuk membawa kelajuan itu.',
+      'suggest.overload.why': 'Kelajuan anda kekal sekitar {speed} selama {days} hari — rutin sekarang tidak lagi menambah kelajuan.',
+      'suggest.placement.title': 'Jadikan kelajuan mata',
+      'suggest.placement.detail': 'Kekalkan kelajuan tetapi bidik: selang-seli smash ke badan, garisan tepi dan garisan tengah, dengan kon atau tuala sebagai sasaran.',
+      'suggest.placement.why': '{speed} melebihi {max} yang biasa bagi pemain {level} — penempatan kini memenangi lebih banyak mata daripada kelajuan tambahan.',
+      'suggest.keepGoing.title': 'Teruskan rutin sekarang',
+      'suggest.keepGoing.detail': 'Cara anda berkesan — kekalkan jumlah latihan dan tambah hari rehat dan bukannya lebih banyak smash.',
+      'suggest.keepGoing.why': 'Kelajuan terbaik harian anda meningkat kira-kira {rate}% seminggu dalam {days} hari lepas.',
+      'suggest.saveMore.title': 'Simpan beberapa smash lagi',
+      'suggest.saveMore.detail': 'Log masuk dan simpan ukuran anda untuk mendapat cadangan tentang konsistensi dan kemajuan dari semasa ke semasa.',
+      'suggest.saveMore.why': 'Baru {count} smash disimpan; konsistensi dan trend memerlukan sekurang-kurangnya {needed}.',
+
+      'model.diff': 'Simulasi berbeza daripada formula tertutup sebanyak {diff}%.',
+      'model.heightMismatch': 'Pada masa t, bulu tangkis simulasi berada {height} dari lantai — sudut, ketinggian pukulan, jarak dan masa tidak begitu sepadan.',
+      'model.simError': 'Simulasi: {error}',
+      'model.closed': 'Formula tertutup (kertas kajian)',
+      'model.simulation': 'Simulasi penuh (seretan + graviti)',
+      'model.help': 'Simulasi mengamirkan penerbangan 2D dari ketinggian pukulan; kedua-dua keputusan ditunjukkan bersebelahan',
+
+      'flight.leaves': 'Meninggalkan raket pada {speed}',
+      'flight.belowTape': 'sampai ke jaring pada ketinggian {height} — di bawah pita',
+      'flight.crossesNet': 'melintasi jaring pada {speed}',
+      'flight.lands': 'mendarat pada {speed} selepas {time} s',
+
+      'chart.trajectory': 'Trajektori',
+      'chart.net': 'Jaring',
+      'chart.measuredLanding': 'Pendaratan diukur',
+      'chart.fullSimulation': 'Simulasi penuh',
+      'chart.closedForm': 'Formula tertutup',
+      'chart.overNet': 'Atas jaring',
+      'chart.landing': 'Pendaratan',
+      'chart.distance': 'Jarak ({unit})',
+      'chart.height': 'Ketinggian ({unit})',
+      'chart.time': 'Masa (s)',
+      'chart.speed': 'Kelajuan ({unit})',
+      'chart.pending': 'belum disegerakkan',
+
+      'tolerance.t': 'Masa',
+      'tolerance.x': 'Jarak',
+      'tolerance.theta': 'Sudut',
+      'tolerance.timeHelp': 'Masa lalai ialah satu bingkai pada {fps} fps; jarak dan sudut mengikut ketepatan yang disyorkan dalam Metodologi',
+      'uncertainty.hint': '{input} menyumbang {share}% daripada ketidakpastian — ukur dengan lebih tepat dahulu untuk mengecilkan julat.',
+
+      'share.copied': 'Pautan disalin!',
+      'share.prompt': 'Salin pautan ini untuk berkongsi pengiraan:',
+      'share.opened': ' · dibuka daripada pautan kongsi',
+      'share.mismatch': 'Pautan kongsi merekodkan {shared}, tetapi pengiraan semula memberi {current} — kalkulator telah berubah sejak dikongsi.',
+
+      'card.time': 'Masa t',
+      'card.distance': 'Jarak x',
+      'card.angle': 'Sudut θ',
+      'card.drag': 'Seretan kₓ',
+      'card.model': 'Model',
+      'card.measuredAngle': 'Sudut diukur {angle}°',
+      'card.noFrame': 'Tiada bingkai video',
+
+      'clip.markFirst': 'Muatkan video dan tandakan pukulan serta pendaratan dengan peluncur dahulu.',
+      'clip.recording': 'Merakam… pastikan tab ini kelihatan.',
+      'clip.progress': 'Merakam… {percent}% — pastikan tab ini kelihatan.',
+      'clip.done': 'Klip dieksport ({size} MB).',
+      'clip.unsupported': 'Pelayar ini tidak dapat merakam video WebM',
+      'clip.slowdown': 'Faktor gerak perlahan',
+      'clip.slower2': '2× lebih perlahan',
+      'clip.slower4': '4× lebih perlahan',
+      'clip.slower8': '8× lebih perlahan',
+
+      'segments.title': 'Segmen',
+      'segments.intro': 'Beberapa smash dalam satu klip? Tandakan setiap satu dengan peluncur dan tambahkannya sebagai segmen — sudut dan jarak kalkulator disalin masuk dan boleh disunting dalam jadual segmen.',
+      'segments.segment': 'Segmen',
+      'segments.add': 'Tambah sebagai Segmen',
+      'segments.calcAll': 'Kira Semua Segmen',
+      'segments.statusOne': '1 segmen ditanda — kira semuanya bersama dalam jadual segmen.',
+      'segments.statusMany': '{count} segmen ditanda — kira semuanya bersama dalam jadual segmen.',
+      'segments.markFirst': 'Gerakkan peluncur untuk menanda pukulan dan pendaratan dahulu.',
+      'segments.missingInputs': 'Masukkan sudut dan jarak untuk segmen ini.',
+      'segments.average': 'Purata {count}',
+      'segments.best': 'Terbaik: {name} pada {speed}',
+      'segments.error': 'Ralat',
+      'segments.save': 'Simpan',
+      'segments.remove': 'Buang segmen',
+      'segments.removeNamed': 'Buang {name}',
+      'segments.showInVideo': 'Tunjukkan segmen ini dalam video',
+      'segments.defaultName': 'Smash {n}',
+
+      'auth.login': 'Log Masuk',
+      'auth.createAccount': 'Cipta Akaun',
+      'auth.haveAccount': 'Sudah ada akaun?',
+      'auth.noAccount': 'Belum ada akaun?',
+      'auth.register': 'Daftar',
+      'auth.username': 'Nama pengguna',
+      'auth.password': 'Kata laluan',
+      'auth.remember': 'Kekalkan log masuk selama 30 hari',
+      'authError.usernameFormat': 'Nama pengguna mesti {usernameMin}–{usernameMax} aksara: huruf, nombor, titik, garis bawah atau sempang, bermula dengan huruf atau nombor.',
+      'authError.usernameReserved': 'Nama pengguna itu dikhaskan. Sila pilih yang lain.',
+      'authError.usernameTaken': 'Nama pengguna itu sudah diambil.',
+      'authError.passwordTooShort': 'Kata laluan memerlukan sekurang-kurangnya {passwordMin} aksara.',
+      'authError.passwordTooLong': 'Kata laluan paling panjang {passwordMax} aksara.',
+      'authError.passwordTooSimple': 'Campurkan sekurang-kurangnya dua jenis aksara: huruf kecil, huruf besar, nombor atau simbol.',
+      'authError.passwordContainsUsername': 'Kata laluan tidak boleh mengandungi nama pengguna anda.',
+      'authError.passwordTooCommon': 'Kata laluan itu terlalu biasa. Sila pilih yang lain.',
+      'authError.passwordUnchanged': 'Kata laluan baharu mesti berbeza daripada yang semasa.',
+      'authError.currentPasswordIncorrect': 'Kata laluan semasa tidak betul.',
+      'authError.tooManyAttempts': 'Terlalu banyak cubaan log masuk. Cuba lagi dalam {minutes} min.',
+      'authError.accountLocked': 'Akaun ini dikunci selepas log masuk gagal berulang kali. Cuba lagi dalam {minutes} min.',
+      'policy.usernameLength': 'Nama pengguna: {usernameMin}–{usernameMax} aksara',
+      'policy.usernameCharacters': 'Huruf, nombor, . _ - sahaja, bermula dengan huruf atau nombor',
+      'policy.usernameReserved': 'Bukan nama yang dikhaskan',
+      'policy.passwordLength': 'Kata laluan: sekurang-kurangnya {passwordMin} aksara',
+      'policy.passwordVariety': 'Dua atau lebih daripada huruf kecil, huruf besar, nombor, simbol',
+      'policy.passwordNotUsername': 'Tidak mengandungi nama pengguna',
+      'policy.passwordNotCommon': 'Bukan kata laluan biasa',
+      'policy.strength': 'Kekuatan: {level}',
+      'policy.strength0': 'terlalu lemah',
+      'policy.strength1': 'sederhana',
+      'policy.strength2': 'baik',
+      'policy.strength3': 'kuat',
+      'policy.strength4': 'sangat kuat',
+      'account.loginTitle': 'Log masuk untuk mengurus akaun anda',
+      'account.title': 'Akaun Anda',
+      'account.description': 'Sunting profil, tukar kata laluan, atau muat turun atau padam data anda',
+      'account.profile': 'Profil',
+      'account.profileDesc': 'Nama paparan anda dipaparkan di bar navigasi; tahap anda menetapkan ambang semakan kemunasabahan kalkulator',
+      'account.displayName': 'Nama paparan',
+      'account.handedness': 'Tangan bermain',
+      'account.notSet': 'Tidak ditetapkan',
+      'account.right': 'Tangan kanan',
+      'account.left': 'Tangan kiri',
+      'account.club': 'Kelab',
+      'account.clubPlaceholder': 'cth. Kelab Badminton Bandar',
+      'account.save': 'Simpan profil',
+      'account.saved': 'Profil disimpan',
+      'account.saveFailed': 'Tidak dapat menyimpan profil',
+      'account.loadFailed': 'Tidak dapat memuatkan akaun anda',
+      'account.password': 'Kata laluan',
+      'account.passwordDesc': 'Masukkan kata laluan semasa untuk mengesahkan identiti anda. Peranti anda yang lain akan dilog keluar.',
+      'account.currentPassword': 'Kata laluan semasa',
+      'account.newPassword': 'Kata laluan baharu',
+      'account.confirmPassword': 'Ulang kata laluan baharu',
+      'account.changePassword': 'Tukar kata laluan',
+      'account.passwordMismatch': 'Kata laluan baharu tidak sepadan',
+      'account.passwordChanged': 'Kata laluan ditukar. Peranti anda yang lain telah dilog keluar.',
+      'account.passwordFailed': 'Tidak dapat menukar kata laluan',
+      'account.data': 'Data anda',
+      'account.exportDesc': 'Muat turun setiap smash yang telah anda simpan, bersama cara ia diukur, sebagai fail JSON.',
+      'account.exportBtn': 'Muat turun rekod saya (JSON)',
+      'account.exported': '{count} rekod dimuat turun',
+      'account.exportFailed': 'Tidak dapat mengeksport rekod anda',
+      'account.delete': 'Padam akaun',
+      'account.deleteDesc': 'Memadam akaun anda, setiap smash yang disimpan dan entri papan pendahulu anda secara kekal. Tindakan ini tidak boleh dibatalkan.',
+      'account.deleteBtn': 'Padam akaun saya',
+      'account.deleteConfirm': 'Padam akaun anda dan semua rekod anda? Tindakan ini tidak boleh dibatalkan.',
+      'account.deleteFailed': 'Tidak dapat memadam akaun',
+      'account.deleted': 'Akaun anda telah dipadam.',
+      'nav.account': 'Tetapan akaun',
+      'auth.close': 'Tutup',
+      'auth.missingFields': 'Sila masukkan nama pengguna dan kata laluan',
+      'auth.registerFailed': 'Pendaftaran gagal',
+      'auth.invalidLogin': 'Nama pengguna atau kata laluan tidak sah',
+      'auth.serverDown': 'Tidak dapat menyambung ke pelayan. Pastikan backend sedang berjalan.',
+      'save.saved': 'Disimpan!',
+      'save.error': 'Ralat menyimpan',
+      'save.offline': 'Pelayan luar talian',
+      'save.queued': 'Disimpan luar talian — akan disegerakkan',
+      'save.savedLocal': 'Disimpan pada peranti ini',
+      'guest.title': 'Smash anda pada peranti ini',
+      'guest.summary': '{count} smash · terbaik {best} · terkini {latest}',
+      'guest.hint': 'Disimpan dalam pelayar ini sahaja. <a href="#" onclick="openLoginModal(); return false;">Log masuk atau daftar</a> untuk menambahkannya ke akaun dan papan pendahulu.',
+      'guest.clear': 'Kosongkan sejarah',
+      'guest.clearConfirm': 'Padam smash yang disimpan pada peranti ini? Tindakan ini tidak boleh dibatalkan.',
+      'guest.importSummary': 'Anda ada {count} smash yang disimpan pada peranti ini sebelum log masuk. Tambahkan ke akaun anda?',
+      'guest.upload': 'Muat naik ke akaun saya',
+      'guest.notNow': 'Bukan sekarang',
+      'save.notePlaceholder': 'Nota (pilihan)',
+      'save.tagsPlaceholder': 'Tag, dipisahkan koma — cth. smash lompat, letih',
+      'queue.summary': '{count} keputusan disimpan menunggu penyegerakan',
+      'queue.syncNow': 'Segerakkan sekarang',
+      'queue.rejected': 'tidak diterima: {reason}',
+      'queue.discard': 'Buang',
+
+      'dash.loginTitle': 'Log masuk untuk melihat papan pemuka anda',
+      'dash.loginText': 'Pergi ke halaman <a href="index.html">Kalkulator</a> untuk log masuk atau mendaftar, kemudian kembali ke sini.',
+      'dash.title': 'Papan Pemuka Anda',
+      'dash.description': 'Jejaki kemajuan kelajuan smash anda dan lihat kedudukan global anda',
+      'dash.progression': 'Kemajuan Kelajuan',
+      'dash.progressionDesc': 'Kelajuan smash anda dari semasa ke semasa',
+      'dash.week': 'Minggu',
+      'dash.month': 'Bulan',
+      'dash.year': 'Tahun',
+      'dash.all': 'Semua',
+      'dash.noData': 'Belum ada rekod smash. Gunakan Kalkulator untuk mengukur dan menyimpan kelajuan smash anda.',
+      'dash.pendingNote': 'Titik berongga disimpan pada peranti ini dan belum disegerakkan.',
+      'dash.detailsHint': 'Klik satu titik untuk melihat cara smash pada hari itu diukur.',
+      'detail.heading': '{date}: {count} smash disimpan',
+      'detail.distance': 'Jarak',
+      'detail.time': 'Masa',
+      'detail.angle': 'Sudut',
+      'detail.kx': 'Pemalar seretan kₓ',
+      'detail.model': 'Model',
+      'detail.video': 'Video',
+      'detail.segment': 'Sentuhan → mendarat',
+      'detail.note': 'Nota',
+      'detail.tags': 'Tag',
+      'detail.none': 'Disimpan tanpa butiran ukuran.',
+      'dash.leaderboard': 'Papan Pendahulu',
+      'dash.leaderboardDesc': 'Kelajuan smash tertinggi daripada semua pengguna',
+      'dash.rank': 'Kedudukan',
+      'dash.player': 'Pemain',
+      'dash.bestSpeed': 'Kelajuan Terbaik',
+      'dash.smashes': 'Smash',
+      'dash.emptyLeaderboard': 'Belum ada entri. Jadilah yang pertama menyimpan rekod smash!',
+      'dash.you': '(anda)',
+      'dash.suggestions': 'Cadangan Latihan',
+      'dash.suggestionsDesc': 'Latihan dan petua dipilih daripada smash terbaru anda',
+      'dash.noSuggestions': 'Simpan beberapa smash untuk mendapat cadangan.'
+    },
+
+    id: {
+      'header.title': 'Kalkulator Smash Bulu Tangkis',
+      'header.subtitle': 'Analisis kecepatan smash yang presisi berbasis model fisika',
+      'nav.calculator': 'Kalkulator',
+      'nav.methodology': 'Metodologi',
+      'nav.dashboard': 'Dasbor',
+      'nav.login': 'Masuk',
+      'nav.logout': 'Keluar',
+      'settings.language': 'Bahasa',
+      'settings.units': 'Satuan',
+      'units.metric': 'Metrik (m, km/jam)',
+      'units.imperial': 'Imperial (kaki, mph)',
+      'unit.metres': 'meter',
+      'unit.feet': 'kaki (mis. 19\' 8")',
+      'unit.seconds': 'detik',
+      'unit.degrees': 'derajat',
+      'punct.comma': ', ',
+      'punct.period': '.',
+
+      'tutorial.title': 'Navigasi',
+      'tutorial.step1': 'Cari <strong>waktu</strong> dengan alat video',
+      'tutorial.step2': 'Perkirakan <strong>jarak</strong> dengan ukuran lapangan',
+      'tutorial.step3': 'Cari <strong>sudut</strong> dengan alat sudut video',
+      'tutorial.step4': 'Hitung <strong>kecepatan smash</strong> Anda',
+
+      'video.title': 'Analisis Video untuk Waktu',
+      'video.description': 'Unggah video smash Anda, tandai waktu mulai dan selesai dengan tepat menggunakan slider untuk mendapatkan total waktu tempuh.',
+      'video.upload': 'Klik untuk mengunggah video',
+      'video.uploadHint': 'MP4, MOV, AVI hingga 500MB',
+      'video.change': 'Ganti video',
+      'video.range': 'Pilih Rentang Waktu',
+      'video.start': 'Mulai',
+      'video.end': 'Selesai',
+      'video.useTime': 'Gunakan Waktu Ini',
+      'video.fileFps': 'Frame rate file',
+      'video.captureFps': 'Frame rate perekaman',
+      'video.captureFpsSame': 'Sama',
+      'video.detectFps': 'Deteksi',
+      'video.fpsInitial': 'Mengasumsikan 30 fps sampai terdeteksi',
+      'video.fpsDetected': 'Terdeteksi {fps} fps',
+      'video.fpsAssumed': 'Mengasumsikan {fps} fps',
+      'video.fpsCaptured': 'direkam pada {fps} fps, waktu diskalakan ×{scale}',
+      'video.fpsDetecting': 'Mendeteksi frame rate…',
+      'video.fpsUndetected': 'Frame rate tidak dapat dideteksi di browser ini — mengasumsikan {fps} fps, ubah bila perlu',
+      'video.autoDetect': 'Deteksi Otomatis Pukulan & Pendaratan',
+      'video.autoDetectIntro': 'Menganalisis rentang yang dipilih di browser Anda — video tidak pernah diunggah.',
+      'video.analysing': 'Menganalisis frame…',
+      'video.analysingProgress': 'Menganalisis frame… {percent}%',
+      'video.proposed': 'Usulan pukulan {start} ({contactSource}) dan pendaratan {end} ({landingSource}) — sesuaikan dengan slider atau tombol panah.',
+      'video.source.audio': 'suara',
+      'video.source.motion': 'gerakan',
+      'autodetect.noRange': 'Muat video dan pilih rentang untuk dianalisis.',
+      'autodetect.unreadable': 'Video tidak dapat dibaca untuk dianalisis.',
+      'autodetect.rangeTooShort': 'Rentang yang dipilih terlalu pendek untuk dianalisis.',
+      'autodetect.noContact': 'Tidak ada pukulan yang jelas dalam rentang yang dipilih.',
+      'autodetect.noLanding': 'Tidak ada pendaratan setelah pukulan — perpanjang rentang yang dipilih.',
+      'autodetect.failed': 'Deteksi otomatis gagal: {message}',
+      'court.title': 'Referensi Lapangan (Tampak Samping)',
+      'court.description': 'Gunakan ukuran lapangan untuk memperkirakan jarak yang ditempuh smash Anda.',
+      'court.serviceToNet': 'Garis servis ganda ke net (rata-rata posisi smash ke net):',
+      'court.baselineToNet': 'Garis belakang ke net:',
+      'court.serviceToOpponent': 'Garis servis ganda ke perkiraan posisi lawan:',
+      'court.useDistance': 'Gunakan jarak ini',
+      'court.moreDetails': 'Detail lebih lanjut tentang jarak horizontal ada di makalah penelitian yang ditautkan di bagian Metodologi',
+      'angle.title': 'Alat Pengukur Sudut',
+      'angle.description': 'Bekukan satu frame smash Anda. Dengan alat sudut, ukur sudut antara titik awal (titik B) dan posisi kok saat ini (titik C).',
+      'angle.canvasLabel': 'Kanvas pengukuran sudut. Tekan A, B, atau C untuk memilih titik pegangan dan tombol panah untuk memindahkannya.',
+      'angle.canvasHint': 'Cubit atau Ctrl + gulir untuk memperbesar frame beku dan seret untuk menggeser. Tombol: A/B/C pilih titik pegangan, panah menggesernya (Shift ×10), +/− zoom, 0 mengatur ulang.',
+      'angle.freeze': 'Bekukan Frame',
+      'angle.unfreeze': 'Lanjutkan',
+      'angle.flip': 'Balik',
+      'angle.measured': 'Sudut Terukur:',
+      'angle.use': 'Gunakan Sudut Ini',
+      'angle.uncorrected': 'Menampilkan sudut di layar.',
+      'angle.correctedMeasured': 'Di layar {angle} · dikoreksi ke bidang lintasan yang diukur',
+      'angle.correctedCourt': 'Di layar {angle} · dikoreksi ke bidang lintasan sepanjang lapangan',
+      'perspective.title': 'Koreksi Perspektif',
+      'perspective.description': 'Direkam dari sudut miring? Pada frame beku, klik empat sudut lapangan sesuai urutan yang ditampilkan. Jarak lalu diukur di lantai lapangan dan sudut dikoreksi ke bidang lintasan.',
+      'perspective.reference': 'Referensi lapangan',
+      'perspective.serviceBox': 'Net ke garis servis pendek (lebar ganda)',
+      'perspective.halfCourt': 'Net ke garis belakang (lebar ganda)',
+      'perspective.setPoints': 'Atur Titik Lapangan',
+      'perspective.on': 'Koreksi perspektif aktif',
+      'perspective.off': 'Koreksi perspektif nonaktif',
+      'perspective.clickPoint': 'Klik titik {n} dari 4: {point}',
+      'perspective.point.netLeft': 'Net, garis samping kiri',
+      'perspective.point.netRight': 'Net, garis samping kanan',
+      'perspective.point.shortServiceRight': 'Garis servis pendek, garis samping kanan',
+      'perspective.point.shortServiceLeft': 'Garis servis pendek, garis samping kiri',
+      'perspective.point.baselineRight': 'Garis belakang, garis samping kanan',
+      'perspective.point.baselineLeft': 'Garis belakang, garis samping kiri',
+      'perspective.error.unknownReference': 'Referensi lapangan tidak dikenal.',
+      'perspective.error.missingPoints': 'Klik keempat titik lapangan.',
+      'perspective.error.collinear': 'Tiga titik lapangan hampir segaris — pilih sudut yang lebih berjauhan.',
+      'perspective.error.noHomography': 'Homografi tidak dapat dihitung dari titik-titik tersebut.',
+      'perspective.error.noCamera': 'Geometri kamera tidak tersedia — sudut tidak dapat dikoreksi.',
+      'perspective.error.planeHidden': 'Bidang lintasan berada di belakang atau sejajar dengan pandangan kamera.',
+      'perspective.warning.noCamera': 'Geometri kamera tidak dapat dipulihkan, jadi sudut tidak dikoreksi. Jarak lantai tetap dikoreksi.',
+      'perspective.warning.grazing': 'Kamera melihat lantai hampir sejajar di sini, sehingga kesalahan klik kecil banyak mengubah jarak.',
+      'perspective.warning.oblique': 'Kamera melihat bidang lintasan {degrees}° dari posisi tegak lurus — sudut hasil koreksi tidak dapat diandalkan.',
+      'calib.title': 'Kalibrasi & Jarak',
+      'calib.description': 'Pada frame beku, klik kedua ujung panjang lapangan yang diketahui untuk mengatur skala. Lalu klik titik pukulan dan titik pendaratan untuk mengukur jarak horizontal.',
+      'calib.knownLength': 'Panjang yang diketahui',
+      'calib.presetShortService': 'Garis servis pendek ke net ({length})',
+      'calib.presetDoublesService': 'Garis servis ganda ke net ({length})',
+      'calib.presetBaseline': 'Garis belakang ke net ({length})',
+      'calib.presetNetPost': 'Tinggi tiang net ({length})',
+      'calib.presetOther': 'Lainnya…',
+      'calib.length': 'Panjang',
+      'calib.setScale': 'Atur Skala',
+      'calib.measure': 'Ukur Jarak',
+      'calib.measured': 'Jarak Terukur:',
+      'calib.use': 'Gunakan Jarak Ini',
+      'calib.noScale': 'Skala belum diatur',
+      'calib.scale': 'Skala {value}',
+      'calib.onFloor': 'Mengukur di lantai lapangan',
+      'calib.clickScale': 'Klik titik {n} dari 2 pada panjang referensi',
+      'calib.clickContact': 'Klik titik pukulan',
+      'calib.clickFloorContact': 'Klik lantai di bawah titik pukulan',
+      'calib.clickLanding': 'Klik titik pendaratan',
+      'calib.scaleNotSet': 'Skala belum diatur: masukkan panjang referensi dan klik dua titik berbeda',
+      'calib.needScale': 'Atur skala atau titik lapangan sebelum mengukur jarak',
+      'calib.contact': 'Pukulan',
+      'calib.landing': 'Pendaratan',
+      'track.title': 'Pelacakan Kok Multi-titik',
+      'track.description': 'Atur skala di atas, bekukan pada frame pukulan, lalu klik kok di setiap frame — alat maju satu frame setelah setiap klik.',
+      'track.start': 'Lacak Kok',
+      'track.stop': 'Berhenti Melacak',
+      'track.fitKx': 'Sesuaikan kₓ juga',
+      'track.fit': 'Sesuaikan Lintasan',
+      'track.speed': 'Kecepatan di titik pertama',
+      'track.angle': 'Sudut θ',
+      'track.useAngle': 'Gunakan Sudut Hasil Penyesuaian',
+      'track.useKx': 'Gunakan kₓ Hasil Penyesuaian',
+      'track.count': '{count} titik terlacak',
+      'track.clickShuttle': 'Klik kok — video maju satu frame setiap klik',
+      'track.freezeFirst': 'Bekukan satu frame terlebih dahulu',
+      'track.needScale': 'Atur skala sebelum menyesuaikan',
+      'track.needPoints': 'Lacak kok pada beberapa frame berturut-turut terlebih dahulu',
+      'track.error.tooFewPoints': 'Lacak setidaknya {count} posisi kok.',
+      'track.error.tooFewPointsKx': 'Lacak setidaknya {count} posisi kok untuk menyesuaikan kₓ juga.',
+      'track.error.sameFrame': 'Posisi yang dilacak harus berasal dari frame yang berbeda.',
+      'track.kxFitted': 'kₓ hasil penyesuaian = {kx}',
+      'track.kxFixed': 'kₓ tetap pada {kx}',
+      'track.summary': '{count} titik, {kx}, residu RMS {rms}',
+      'track.point': 'Titik {n}',
+      'tool.undo': 'Urungkan',
+      'tool.clear': 'Hapus',
+
+      'calc.title': 'Hitung Kecepatan Smash',
+      'calc.description': 'Masukkan hasil pengukuran untuk menentukan kecepatan awal (v₀)',
+      'calc.time': 'Waktu',
+      'calc.distance': 'Jarak',
+      'calc.angle': 'Sudut',
+      'calc.timeHelp': 'Selang waktu dari pukulan hingga mendarat',
+      'calc.distanceHelp': 'Jarak horizontal yang ditempuh kok',
+      'calc.angleHelp': 'Sudut luncur relatif terhadap horizontal',
+      'calc.example': 'mis. {value}',
+      'calc.model': 'Model',
+      'calc.contactHeight': 'Tinggi pukulan',
+      'calc.tolerances': 'Toleransi pengukuran (±)',
+      'calc.calculate': 'Hitung Kecepatan',
+      'calc.reset': 'Atur Ulang',
+
+      'results.title': 'Hasil',
+      'results.initialVelocity': 'Kecepatan Awal',
+      'results.speed': 'Kecepatan',
+      'results.closedForm': 'Rumus tertutup',
+      'results.simulation': 'Simulasi penuh',
+      'results.trajectory': 'Lintasan (tinggi vs jarak)',
+      'results.speedVsTime': 'Kecepatan vs waktu',
+      'results.confidence': 'Rentang keyakinan',
+      'results.save': 'Simpan Hasil',
+      'results.saveLocal': 'Simpan di Perangkat Ini',
+      'results.share': 'Salin Tautan Berbagi',
+      'results.exportImage': 'Ekspor Gambar',
+      'results.exportClip': 'Ekspor Klip Gerak Lambat',
+      'results.kxInfo': 'Dihitung dengan kₓ = {kx} m⁻¹ ({label})',
+      'kx.paperDefault': 'nilai bawaan makalah',
+      'kx.customValue': 'nilai kustom',
+      'kx.feather': 'Bulu',
+      'kx.nylon': 'Nilon',
+      'kx.conditions': '{shuttle} {grade}, {altitude}, {temperature}',
+      'kx.label': 'Konstanta hambatan',
+      'kx.presetPaper': 'Bawaan makalah (kondisi standar)',
+      'kx.presetFeather': 'Kok bulu — atur kondisi',
+      'kx.presetNylon': 'Kok nilon — atur kondisi',
+      'kx.presetCustom': 'Nilai kₓ kustom',
+      'kx.grade': 'Tingkat kecepatan',
+      'kx.gradeSlow': '75 (lambat)',
+      'kx.gradeStandard': '77 (standar)',
+      'kx.gradeFast': '79 (cepat)',
+      'kx.altitude': 'Ketinggian',
+      'kx.temperature': 'Suhu gedung',
+      'kx.help': 'Diturunkan dari kerapatan udara dan massa/luas hambatan kok — kok yang lebih berat dan udara yang lebih tipis melaju lebih jauh',
+
+      'error.fillAll': 'Harap isi ketiga kolom.',
+      'error.invalidNumbers': 'Masukkan nilai angka yang valid untuk semua kolom.',
+      'error.distancePositive': 'Jarak harus lebih dari 0.',
+      'error.timePositive': 'Waktu harus lebih dari 0.',
+      'error.angleRange': 'Sudut harus antara 0° dan 90° (eksklusif).',
+      'error.customKx': 'Konstanta hambatan kustom kₓ harus berupa angka lebih dari 0.',
+      'error.unexpected': 'Terjadi kesalahan tak terduga — lihat konsol untuk detailnya.',
+      'error.fatalInit': 'Kesalahan inisialisasi fatal — periksa konsol.',
+
+      'warn.heading': '⚠ Input tidak biasa terdeteksi:',
+      'warn.infoHeading': 'ℹ Perlu dicek ulang:',
+      'error.blocked': 'Input ini tidak mungkin benar semuanya:',
+      'level.label': 'Level pemain',
+      'level.junior': 'Junior',
+      'level.club': 'Klub',
+      'level.elite': 'Elite',
+      'level.help': 'Peringatan kewajaran memakai ambang untuk level ini',
+      'rule.distanceBeyondCourt': 'Jarak {distance} lebih panjang dari diagonal lapangan ({diagonal}) — smash tidak mungkin mendarat sejauh itu.',
+      'rule.averageAboveV0': 'Menempuh {chord} dalam {time} s butuh rata-rata {average}, lebih cepat dari kecepatan luncur hasil hitung {speed} — waktunya terlalu singkat atau jaraknya terlalu jauh.',
+      'rule.speedRecord': 'Kecepatan hasil hitung {speed} melebihi rekor dunia (~{record}). Periksa input Anda.',
+      'rule.timeLong': 'Waktu {time} s melebihi {limit} s — smash di level ini mendarat jauh sebelum itu.',
+      'rule.distanceLong': 'Jarak {distance} terlalu jauh — panjang lapangan penuh hanya {court}.',
+      'rule.angleSteep': 'Sudut {angle}° sangat curam — smash bulu tangkis biasanya 10°–30° ke bawah.',
+      'rule.speedHigh': 'Kecepatan hasil hitung {speed} di atas {limit}, jarang di level ini — cek ulang waktunya.',
+      'rule.speedLow': 'Kecepatan hasil hitung {speed} terlalu lambat untuk sebuah smash.',
+      'rule.presetMismatch': 'Jarak {distance} tidak cocok dengan preset yang dipilih ({preset}: {presetDistance}) — pilih ulang preset atau ukur jaraknya.',
+      'rule.beyondStraightLine': 'Dari {height} dengan sudut {angle}°, garis lurus menyentuh lantai setelah {reach}; gravitasi dan hambatan hanya membelokkan lintasan ke bawah, jadi {distance} terlalu jauh — cek sudut atau tinggi pukulan.',
+      'rule.speedAtypical': 'Kecepatan hasil hitung {speed} di luar kisaran umum {min}–{max} untuk level ini.',
+
+      'suggest.title': 'Saran latihan',
+      'suggest.why': 'Alasan:',
+      'suggest.kind.drill': 'Latihan',
+      'suggest.kind.cue': 'Tips teknik',
+      'suggest.recovery.title': 'Ambil minggu yang lebih ringan',
+      'suggest.recovery.detail': 'Kurangi jumlah smash sekitar setengahnya selama seminggu, tetap latih footwork dan teknik, dan pastikan bahu atau siku tidak nyeri sebelum menambah lagi.',
+      'suggest.recovery.why': 'Kecepatan terbaik harian Anda turun sekitar {rate}% per minggu dalam {days} hari terakhir — biasanya karena lelah, bukan teknik yang hilang.',
+      'suggest.kineticChain.title': 'Smash bayangan rantai kinetik',
+      'suggest.kineticChain.detail': '3 × 15 smash bayangan: posisi menyamping, dorong dengan kaki belakang, putar pinggul lalu bahu, dan akhiri dengan pronasi lengan bawah. Tambahkan kok hanya setelah urutannya terasa otomatis.',
+      'suggest.kineticChain.why': '{speed} di bawah {min} yang biasa untuk pemain {level}; sebagian besar kecepatan yang hilang berasal dari tubuh yang tidak berputar sebelum lengan mengayun.',
+      'suggest.contactInFront.title': 'Pukul lebih tinggi dan lebih ke depan',
+      'suggest.contactInFront.detail': 'Drill banyak kok ke lapangan belakang: bergerak ke belakang kok lebih awal dan pukul pada jangkauan penuh, sedikit di depan bahu pemukul. 4 × 10 kok.',
+      'suggest.contactInFront.why': 'Pada {angle}° smash hampir datar — lebih mudah diblok dan melaju jauh ke dalam lapangan, bukan ke bawah.',
+      'suggest.repeatability.title': 'Tenaga yang bisa diulang',
+      'suggest.repeatability.detail': 'Dari umpan yang sama, lakukan 10 smash dengan sekitar 80% tenaga ke satu zona sasaran; hitung hanya yang terasa sama. Tambah tenaga setelah 8 dari 10 sama.',
+      'suggest.repeatability.why': '{count} smash terakhir yang disimpan berbeda ±{spread} ({percent}%) — kecepatan yang tidak bisa diulang jarang muncul saat bertanding.',
+      'suggest.warmUp.title': 'Pemanasan sebelum mengukur',
+      'suggest.warmUp.detail': 'Lakukan 5 menit gerakan ringan dan 10 smash yang makin kuat sebelum merekam, dan ukur saat masih segar, bukan di akhir sesi.',
+      'suggest.warmUp.why': 'Smash ini {percent}% dari rekor terbaik Anda ({best}) — selisih sebesar itu biasanya berarti otot belum panas atau sudah lelah.',
+      'suggest.gripSqueeze.title': 'Genggaman rileks, kencangkan saat kontak',
+      'suggest.gripSqueeze.detail': 'Pegang raket dengan longgar selama ayunan ke belakang dan kencangkan jari hanya saat benturan. Coba 20 smash setengah kecepatan sambil merasakan genggaman di akhir.',
+      'suggest.gripSqueeze.why': '{speed} berada di separuh bawah rentang biasa untuk pemain {level}; genggaman kencang sepanjang ayunan memperlambat kepala raket.',
+      'suggest.behindShuttle.title': 'Berada di belakang kok, bukan di bawahnya',
+      'suggest.behindShuttle.detail': 'Mundur satu langkah lagi agar kok jatuh di depan Anda, dan biarkan ayunan berlanjut, bukan memotong ke bawah.',
+      'suggest.behindShuttle.why': 'Pada {angle}° smash sangat curam — biasanya karena berada di bawah kok, yang mengurangi kecepatan dan jangkauan.',
+      'suggest.overload.title': 'Tambahkan blok beban lebih',
+      'suggest.overload.detail': 'Dua kali seminggu: 3 × 8 jumping smash atau ayunan bayangan dengan sarung raket terpasang, lalu langsung 5 smash biasa untuk membawa kecepatannya.',
+      'suggest.overload.why': 'Kecepatan Anda bertahan di sekitar {speed} selama {days} hari — rutinitas saat ini tidak lagi menambah kecepatan.',
+      'suggest.placement.title': 'Ubah kecepatan menjadi poin',
+      'suggest.placement.detail': 'Pertahankan kecepatan tetapi bidik: bergantian smash ke badan, garis samping, dan garis tengah, dengan kerucut atau handuk sebagai sasaran.',
+      'suggest.placement.why': '{speed} di atas {max} yang biasa untuk pemain {level} — penempatan kini memenangkan lebih banyak poin daripada kecepatan tambahan.',
+      'suggest.keepGoing.title': 'Pertahankan rutinitas saat ini',
+      'suggest.keepGoing.detail': 'Cara Anda berhasil — jaga volume latihan tetap stabil dan tambah hari pemulihan, bukan lebih banyak smash.',
+      'suggest.keepGoing.why': 'Kecepatan terbaik harian Anda naik sekitar {rate}% per minggu dalam {days} hari terakhir.',
+      'suggest.saveMore.title': 'Simpan beberapa smash lagi',
+      'suggest.saveMore.detail': 'Masuk dan simpan hasil pengukuran Anda untuk mendapat saran tentang konsistensi dan kemajuan dari waktu ke waktu.',
+      'suggest.saveMore.why': 'Baru {count} smash tersimpan; konsistensi dan tren memerlukan setidaknya {needed}.',
+
+      'model.diff': 'Simulasi berbeda dari rumus tertutup sebesar {diff}%.',
+      'model.heightMismatch': 'Pada waktu t, kok simulasi berada {height} dari lantai — sudut, tinggi pukulan, jarak, dan waktu kurang cocok.',
+      'model.simError': 'Simulasi: {error}',
+      'model.closed': 'Rumus tertutup (makalah penelitian)',
+      'model.simulation': 'Simulasi penuh (hambatan + gravitasi)',
+      'model.help': 'Simulasi mengintegrasikan lintasan 2D dari tinggi pukulan; kedua hasil ditampilkan berdampingan',
+
+      'flight.leaves': 'Meninggalkan raket pada {speed}',
+      'flight.belowTape': 'mencapai net setinggi {height} — di bawah pita',
+      'flight.crossesNet': 'melewati net pada {speed}',
+      'flight.lands': 'mendarat pada {speed} setelah {time} s',
+
+      'chart.trajectory': 'Lintasan',
+      'chart.net': 'Net',
+      'chart.measuredLanding': 'Titik jatuh terukur',
+      'chart.fullSimulation': 'Simulasi penuh',
+      'chart.closedForm': 'Rumus tertutup',
+      'chart.overNet': 'Di atas net',
+      'chart.landing': 'Mendarat',
+      'chart.distance': 'Jarak ({unit})',
+      'chart.height': 'Tinggi ({unit})',
+      'chart.time': 'Waktu (s)',
+      'chart.speed': 'Kecepatan ({unit})',
+      'chart.pending': 'belum disinkronkan',
+
+      'tolerance.t': 'Waktu',
+      'tolerance.x': 'Jarak',
+      'tolerance.theta': 'Sudut',
+      'tolerance.timeHelp': 'Waktu bawaan adalah satu frame pada {fps} fps; jarak dan sudut mengikuti akurasi yang disarankan di Metodologi',
+      'uncertainty.hint': '{input} menyumbang {share}% dari ketidakpastian — ukur lebih teliti dulu untuk mempersempit hasil.',
+
+      'share.copied': 'Tautan disalin!',
+      'share.prompt': 'Salin tautan ini untuk membagikan perhitungan:',
+      'share.opened': ' · dibuka dari tautan berbagi',
+      'share.mismatch': 'Tautan berbagi mencatat {shared}, tetapi perhitungan ulang memberi {current} — kalkulator telah berubah sejak dibagikan.',
+
+      'card.time': 'Waktu t',
+      'card.distance': 'Jarak x',
+      'card.angle': 'Sudut θ',
+      'card.drag': 'Hambatan kₓ',
+      'card.model': 'Model',
+      'card.measuredAngle': 'Sudut terukur {angle}°',
+      'card.noFrame': 'Tidak ada bingkai video',
+
+      'clip.markFirst': 'Muat video dan tandai pukulan serta pendaratan dengan slider terlebih dahulu.',
+      'clip.recording': 'Merekam… biarkan tab ini tetap terlihat.',
+      'clip.progress': 'Merekam… {percent}% — biarkan tab ini tetap terlihat.',
+      'clip.done': 'Klip diekspor ({size} MB).',
+      'clip.unsupported': 'Browser ini tidak dapat merekam video WebM',
+      'clip.slowdown': 'Faktor gerak lambat',
+      'clip.slower2': '2× lebih lambat',
+      'clip.slower4': '4× lebih lambat',
+      'clip.slower8': '8× lebih lambat',
+
+      'segments.title': 'Segmen',
+      'segments.intro': 'Beberapa smash dalam satu klip? Tandai masing-masing dengan slider dan tambahkan sebagai segmen — sudut dan jarak kalkulator ikut disalin dan dapat diedit di tabel segmen.',
+      'segments.segment': 'Segmen',
+      'segments.add': 'Tambah sebagai Segmen',
+      'segments.calcAll': 'Hitung Semua Segmen',
+      'segments.statusOne': '1 segmen ditandai — hitung semuanya bersama di tabel segmen.',
+      'segments.statusMany': '{count} segmen ditandai — hitung semuanya bersama di tabel segmen.',
+      'segments.markFirst': 'Geser slider untuk menandai pukulan dan pendaratan terlebih dahulu.',
+      'segments.missingInputs': 'Masukkan sudut dan jarak untuk segmen ini.',
+      'segments.average': 'Rata-rata {count}',
+      'segments.best': 'Terbaik: {name} pada {speed}',
+      'segments.error': 'Galat',
+      'segments.save': 'Simpan',
+      'segments.remove': 'Hapus segmen',
+      'segments.removeNamed': 'Hapus {name}',
+      'segments.showInVideo': 'Tampilkan segmen ini di video',
+      'segments.defaultName': 'Smash {n}',
+
+      'auth.login': 'Masuk',
+      'auth.createAccount': 'Buat Akun',
+      'auth.haveAccount': 'Sudah punya akun?',
+      'auth.noAccount': 'Belum punya akun?',
+      'auth.register': 'Daftar',
+      'auth.username': 'Nama pengguna',
+      'auth.password': 'Kata sandi',
+      'auth.remember': 'Tetap masuk selama 30 hari',
+      'authError.usernameFormat': 'Nama pengguna harus {usernameMin}–{usernameMax} karakter: huruf, angka, titik, garis bawah, atau tanda hubung, diawali huruf atau angka.',
+      'authError.usernameReserved': 'Nama pengguna itu dicadangkan. Silakan pilih yang lain.',
+      'authError.usernameTaken': 'Nama pengguna itu sudah dipakai.',
+      'authError.passwordTooShort': 'Kata sandi minimal {passwordMin} karakter.',
+      'authError.passwordTooLong': 'Kata sandi maksimal {passwordMax} karakter.',
+      'authError.passwordTooSimple': 'Gabungkan setidaknya dua jenis karakter: huruf kecil, huruf besar, angka, atau simbol.',
+      'authError.passwordContainsUsername': 'Kata sandi tidak boleh memuat nama pengguna Anda.',
+      'authError.passwordTooCommon': 'Kata sandi itu terlalu umum. Silakan pilih yang lain.',
+      'authError.passwordUnchanged': 'Kata sandi baru harus berbeda dari yang sekarang.',
+      'authError.currentPasswordIncorrect': 'Kata sandi saat ini salah.',
+      'authError.tooManyAttempts': 'Terlalu banyak percobaan masuk. Coba lagi dalam {minutes} menit.',
+      'authError.accountLocked': 'Akun ini dikunci setelah gagal masuk berulang kali. Coba lagi dalam {minutes} menit.',
+      'policy.usernameLength': 'Nama pengguna: {usernameMin}–{usernameMax} karakter',
+      'policy.usernameCharacters': 'Hanya huruf, angka, . _ -, diawali huruf atau angka',
+      'policy.usernameReserved': 'Bukan nama yang dicadangkan',
+      'policy.passwordLength': 'Kata sandi: minimal {passwordMin} karakter',
+      'policy.passwordVariety': 'Dua atau lebih dari huruf kecil, huruf besar, angka, simbol',
+      'policy.passwordNotUsername': 'Tidak memuat nama pengguna',
+      'policy.passwordNotCommon': 'Bukan kata sandi umum',
+      'policy.strength': 'Kekuatan: {level}',
+      'policy.strength0': 'terlalu lemah',
+      'policy.strength1': 'cukup',
+      'policy.strength2': 'baik',
+      'policy.strength3': 'kuat',
+      'policy.strength4': 'sangat kuat',
+      'account.loginTitle': 'Masuk untuk mengelola akun Anda',
+      'account.title': 'Akun Anda',
+      'account.description': 'Ubah profil, ganti kata sandi, atau unduh atau hapus data Anda',
+      'account.profile': 'Profil',
+      'account.profileDesc': 'Nama tampilan Anda muncul di bilah navigasi; level Anda menentukan ambang pemeriksaan kewajaran kalkulator',
+      'account.displayName': 'Nama tampilan',
+      'account.handedness': 'Tangan bermain',
+      'account.notSet': 'Belum diatur',
+      'account.right': 'Tangan kanan',
+      'account.left': 'Tangan kiri',
+      'account.club': 'Klub',
+      'account.clubPlaceholder': 'mis. Klub Bulu Tangkis Kota',
+      'account.save': 'Simpan profil',
+      'account.saved': 'Profil disimpan',
+      'account.saveFailed': 'Tidak dapat menyimpan profil',
+      'account.loadFailed': 'Tidak dapat memuat akun Anda',
+      'account.password': 'Kata sandi',
+      'account.passwordDesc': 'Masukkan kata sandi saat ini untuk memastikan ini Anda. Perangkat Anda yang lain akan dikeluarkan.',
+      'account.currentPassword': 'Kata sandi saat ini',
+      'account.newPassword': 'Kata sandi baru',
+      'account.confirmPassword': 'Ulangi kata sandi baru',
+      'account.changePassword': 'Ganti kata sandi',
+      'account.passwordMismatch': 'Kata sandi baru tidak cocok',
+      'account.passwordChanged': 'Kata sandi diganti. Perangkat Anda yang lain telah dikeluarkan.',
+      'account.passwordFailed': 'Tidak dapat mengganti kata sandi',
+      'account.data': 'Data Anda',
+      'account.exportDesc': 'Unduh setiap smash yang telah Anda simpan, beserta cara pengukurannya, sebagai file JSON.',
+      'account.exportBtn': 'Unduh rekaman saya (JSON)',
+      'account.exported': '{count} rekaman diunduh',
+      'account.exportFailed': 'Tidak dapat mengekspor rekaman Anda',
+      'account.delete': 'Hapus akun',
+      'account.deleteDesc': 'Menghapus akun Anda, setiap smash yang tersimpan, dan entri papan peringkat Anda secara permanen. Tindakan ini tidak dapat dibatalkan.',
+      'account.deleteBtn': 'Hapus akun saya',
+      'account.deleteConfirm': 'Hapus akun Anda dan semua rekaman Anda? Tindakan ini tidak dapat dibatalkan.',
+      'account.deleteFailed': 'Tidak dapat menghapus akun',
+      'account.deleted': 'Akun Anda telah dihapus.',
+      'nav.account': 'Pengaturan akun',
+      'auth.close': 'Tutup',
+      'auth.missingFields': 'Masukkan nama pengguna dan kata sandi',
+      'auth.registerFailed': 'Pendaftaran gagal',
+      'auth.invalidLogin': 'Nama pengguna atau kata sandi salah',
+      'auth.serverDown': 'Tidak dapat terhubung ke server. Pastikan backend berjalan.',
+      'save.saved': 'Tersimpan!',
+      'save.error': 'Gagal menyimpan',
+      'save.offline': 'Server offline',
+      'save.queued': 'Disimpan offline — akan disinkronkan',
+      'save.savedLocal': 'Tersimpan di perangkat ini',
+      'guest.title': 'Smash Anda di perangkat ini',
+      'guest.summary': '{count} smash · terbaik {best} · terbaru {latest}',
+      'guest.hint': 'Hanya disimpan di browser ini. <a href="#" onclick="openLoginModal(); return false;">Masuk atau daftar</a> untuk menambahkannya ke akun dan papan peringkat.',
+      'guest.clear': 'Hapus riwayat',
+      'guest.clearConfirm': 'Hapus smash yang tersimpan di perangkat ini? Tindakan ini tidak dapat dibatalkan.',
+      'guest.importSummary': 'Anda memiliki {count} smash yang tersimpan di perangkat ini sebelum masuk. Tambahkan ke akun Anda?',
+      'guest.upload': 'Unggah ke akun saya',
+      'guest.notNow': 'Nanti saja',
+      'save.notePlaceholder': 'Catatan (opsional)',
+      'save.tagsPlaceholder': 'Tag, dipisahkan koma — mis. jumping smash, lelah',
+      'queue.summary': '{count} hasil tersimpan menunggu sinkronisasi',
+      'queue.syncNow': 'Sinkronkan sekarang',
+      'queue.rejected': 'tidak diterima: {reason}',
+      'queue.discard': 'Buang',
+
+      'dash.loginTitle': 'Masuk untuk melihat dasbor Anda',
+      'dash.loginText': 'Buka halaman <a href="index.html">Kalkulator</a> untuk masuk atau mendaftar, lalu kembali ke sini.',
+      'dash.title': 'Dasbor Anda',
+      'dash.description': 'Pantau perkembangan kecepatan smash Anda dan lihat peringkat global Anda',
+      'dash.progression': 'Perkembangan Kecepatan',
+      'dash.progressionDesc': 'Kecepatan smash Anda dari waktu ke waktu',
+      'dash.week': 'Minggu',
+      'dash.month': 'Bulan',
+      'dash.year': 'Tahun',
+      'dash.all': 'Semua',
+      'dash.noData': 'Belum ada catatan smash. Gunakan Kalkulator untuk mengukur dan menyimpan kecepatan smash Anda.',
+      'dash.pendingNote': 'Titik berongga tersimpan di perangkat ini dan belum disinkronkan.',
+      'dash.detailsHint': 'Klik sebuah titik untuk melihat cara smash hari itu diukur.',
+      'detail.heading': '{date}: {count} smash tersimpan',
+      'detail.distance': 'Jarak',
+      'detail.time': 'Waktu',
+      'detail.angle': 'Sudut',
+      'detail.kx': 'Konstanta hambat kₓ',
+      'detail.model': 'Model',
+      'detail.video': 'Video',
+      'detail.segment': 'Kontak → mendarat',
+      'detail.note': 'Catatan',
+      'detail.tags': 'Tag',
+      'detail.none': 'Disimpan tanpa detail pengukuran.',
+      'dash.leaderboard': 'Papan Peringkat',
+      'dash.leaderboardDesc': 'Kecepatan smash tertinggi dari semua pengguna',
+      'dash.rank': 'Peringkat',
+      'dash.player': 'Pemain',
+      'dash.bestSpeed': 'Kecepatan Terbaik',
+      'dash.smashes': 'Smash',
+      'dash.emptyLeaderboard': 'Belum ada entri. Jadilah yang pertama menyimpan catatan smash!',
+      'dash.you': '(Anda)',
+      'dash.suggestions': 'Saran Latihan',
+      'dash.suggestionsDesc': 'Latihan dan tips yang dipilih dari smash terbaru Anda',
+      'dash.noSuggestions': 'Simpan beberapa smash untuk mendapatkan saran.'
+    }
+  };
+
+  function storedSetting(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  }
+
+  function storeSetting(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch {
+      // Private browsing — the choice just won't survive a reload
+    }
+  }
+
+  // Saved choice, else the first browser language we have, else English
+  function initialLanguage() {
+    const saved = storedSetting(LANGUAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+    const preferred = (typeof navigator !== 'undefined' && (navigator.languages || [navigator.language])) || [];
+    const match = preferred.map(tag => String(tag).slice(0, 2).toLowerCase()).find(code => LANGUAGES[code]);
+    return match || 'en';
+  }
+
+  function initialUnits() {
+    const saved = storedSetting(UNITS_KEY);
+    if (UNIT_SYSTEMS.includes(saved)) return saved;
+    return typeof navigator !== 'undefined' && navigator.language === 'en-US' ? 'imperial' : 'metric';
+  }
+
+  let language = initialLanguage();
+  let units = initialUnits();
+
+  /**
+   * Translate a key, filling {placeholders} from params.
+   * @param {string} key
+   * @param {Object<string, string|number>} [params]
+   */
+  function t(key, params = {}) {
+    const template = (STRINGS[language] && STRINGS[language][key]) ?? STRINGS.en[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  function locale() {
+    return LOCALES[language];
+  }
+
+  function formatNumber(n, dp = 3) {
+    if (!isFinite(n)) return '—';
+    return new Intl.NumberFormat(locale(), {
+      minimumFractionDigits: dp,
+      maximumFractionDigits: dp,
+      useGrouping: false
+    }).format(n);
+  }
+
+  function formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+    return new Intl.DateTimeFormat(locale(), options).format(date);
+  }
+
+  // ----- Lengths -----
+  function lengthUnit(system = units) {
+    return system === 'imperial' ? 'ft' : 'm';
+  }
+
+  function toDisplayLength(metres) {
+    return units === 'imperial' ? metres / METRES_PER_FOOT : metres;
+  }
+
+  function formatLength(metres, dp = 2) {
+    return `${formatNumber(toDisplayLength(metres), dp)} ${lengthUnit()}`;
+  }
+
+  /**
+   * Parse a typed length into metres. Metric accepts "6.1", "6,1" or "6.1 m"; imperial
+   * accepts decimal feet ("19.7") and feet/inches ("19' 8\"", "19ft 8in", "8 in").
+   * @returns {number} metres, or NaN when the text isn't a length
+   */
+  function parseLength(text, system = units) {
+    const s = String(text).trim().toLowerCase().replace(/,/g, '.');
+    if (s === '') return NaN;
+
+    if (system !== 'imperial') {
+      const m = s.match(/^(-?\d*\.?\d+)\s*(m|cm)?$/);
+      if (!m) return NaN;
+      return m[2] === 'cm' ? Number(m[1]) / 100 : Number(m[1]);
+    }
+
+    if (/^-?\d*\.?\d+$/.test(s)) return Number(s) * METRES_PER_FOOT;
+    const m = s.match(/^(?:(\d*\.?\d+)\s*(?:'|′|ft|feet|foot))?\s*(?:(\d*\.?\d+)\s*(?:"|″|''|in|inch|inches)?)?$/);
+    if (!m || (m[1] === undefined && m[2] === undefined)) return NaN;
+    const feet = Number(m[1] || 0) + Number(m[2] || 0) / 12;
+    return feet * METRES_PER_FOOT;
+  }
+
+  /**
+   * Text to put in a length input for a value in metres: "5.94" in metric,
+   * feet and inches ("19' 5.9\"") in imperial. Always a plain '.' decimal so it parses back.
+   */
+  function lengthInputValue(metres, system = units) {
+    if (!isFinite(metres)) return '';
+    if (system !== 'imperial') return String(Number(metres.toFixed(2)));
+
+    let feet = Math.floor(metres / METRES_PER_FOOT);
+    let inches = Math.round((metres / METRES_PER_FOOT - feet) * 12 * 10) / 10;
+    if (inches >= 12) {
+      feet += 1;
+      inches -= 12;
+    }
+    return feet > 0 ? `${feet}' ${inches}"` : `${inches}"`;
+  }
+
+  // Re-express typed text from one unit system in another; unparseable text is left alone
+  function convertLengthInput(text, fromSystem, toSystem = units) {
+    const metres = parseLength(text, fromSystem);
+    return isFinite(metres) ? lengthInputValue(metres, toSystem) : text;
+  }
+
+  // ----- Speeds -----
+  function speedUnit() {
+    return units === 'imperial' ? 'mph' : 'km/h';
+  }
+
+  function toDisplaySpeed(mps) {
+    return units === 'imperial' ? mps * MPS_TO_MPH : mps * MPS_TO_KMH;
+  }
+
+  function formatSpeed(mps, dp = 1) {
+    return `${formatNumber(toDisplaySpeed(mps), dp)} ${speedUnit()}`;
+  }
+
+  // ----- Page wiring -----
+  function unitLabel(kind) {
+    if (kind === 'length') return lengthUnit();
+    if (kind === 'length-long') return t(units === 'imperial' ? 'unit.feet' : 'unit.metres');
+    if (kind === 'speed') return speedUnit();
+    return '';
+  }
+
+  function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(node => { node.textContent = t(node.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-html]').forEach(node => { node.innerHTML = t(node.dataset.i18nHtml); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(node => { node.placeholder = t(node.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(node => { node.title = t(node.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(node => {
+      node.setAttribute('aria-label', t(node.dataset.i18nAriaLabel));
+    });
+    root.querySelectorAll('[data-unit]').forEach(node => { node.textContent = unitLabel(node.dataset.unit); });
+    if (root === document) document.documentElement.lang = locale();
+  }
+
+  // Pages re-render their dynamic text on this event; detail.previousUnits lets them convert inputs
+  function notify(previousUnits) {
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent('localechange', {
+      detail: { language, units, previousUnits }
+    }));
+  }
+
+  function getLanguage() {
+    return language;
+  }
+
+  function setLanguage(code) {
+    if (!LANGUAGES[code] || code === language) return;
+    language = code;
+    storeSetting(LANGUAGE_KEY, code);
+    notify(units);
+  }
+
+  function getUnits() {
+    return units;
+  }
+
+  function setUnits(system) {
+    if (!UNIT_SYSTEMS.includes(system) || system === units) return;
+    const previousUnits = units;
+    units = system;
+    storeSetting(UNITS_KEY, system);
+    notify(previousUnits);
+  }
+
+  function bindControls() {
+    const languageSelect = document.getElementById('languageSelect');
+    if (languageSelect) {
+      languageSelect.innerHTML = '';
+      Object.entries(LANGUAGES).forEach(([code, name]) => languageSelect.add(new Option(name, code)));
+      languageSelect.value = language;
+      languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+    }
+    const unitSelect = document.getElementById('unitSelect');
+    if (unitSelect) {
+      unitSelect.value = units;
+      unitSelect.addEventListener('change', () => setUnits(unitSelect.value));
+    }
+    applyTranslations();
+  }
+
+  if (typeof document !== 'undefined') {
+    // Registered before any page script, so static text is translated before they render
+    document.addEventListener('DOMContentLoaded', bindControls);
+  }
+
+  return {
+    LANGUAGES,
+    t,
+    locale,
+    getLanguage,
+    setLanguage,
+    getUnits,
+    setUnits,
+    formatNumber,
+    formatDate,
+    lengthUnit,
+    toDisplayLength,
+    formatLength,
+    parseLength,
+    lengthInputValue,
+    convertLengthInput,
+    speedUnit,
+    toDisplaySpeed,
+    formatSpeed,
+    applyTranslations
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmashI18n;
+}
@@ -0,0 +1,49 @@
+// ===== INDEXEDDB STORE =====
+// The one-database, one-object-store access the workspace, the offline save queue and the
+// guest history each need. The database is opened for each transaction and closed after it,
+// so a long-lived tab never blocks another from upgrading it.
+// Loaded as a plain <script> (global SmashIdbStore) before the modules that use it.
+
+const SmashIdbStore = (() => {
+  /**
+   * Access to one object store of a database, created on first use.
+   * @param {string} dbName
+   * @param {string} storeName
+   * @param {IDBObjectStoreParameters} [storeOptions] - e.g. { keyPath: 'id', autoIncrement: true };
+   *        omitted for stores with out-of-line keys
+   * @returns {function(IDBTransactionMode, function(IDBObjectStore): IDBRequest): Promise<*>}
+   *          runs `action` in a transaction and resolves with its request's result once the
+   *          transaction completes; rejects when IndexedDB is unavailable or the transaction fails
+   */
+  function create(dbName, storeName, storeOptions) {
+    function openDb() {
+      return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName, storeOptions);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+
+    return async function withStore(mode, action) {
+      const db = await openDb();
+      try {
+        return await new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, mode);
+          const req = action(tx.objectStore(storeName));
+          tx.oncomplete = () => resolve(req.result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+      } finally {
+        db.close();
+      }
+    };
+  }
+
+  return { create };
+})();
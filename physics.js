@@ -0,0 +1,555 @@
+// ===== SMASH PHYSICS MODULE =====
+// Closed-form exponential drag model from the research paper:
+//   dx/dt = v₀ · cos θ · e^(−kₓ · x)   ⇒   x(t) = ln(1 + kₓ · v₀ · cos θ · t) / kₓ
+// Loaded as a plain <script> (global SmashPhysics) or required from Node.
+// A second, numerical model integrates the full 2D motion (quadratic drag + gravity).
+// Solvers return { error } instead of throwing, matching the calculator's handling.
+
+const SmashPhysics = (() => {
+  const DEFAULT_KX = 0.20324632; // Default drag constant (1/m)
+  const MPS_TO_KMH = 3.6;
+  const MPS_TO_MPH = 2.236936;
+
+  // Speed-grade number → typical shuttle mass (g). Heavier shuttles fly further.
+  const SPEED_GRADES = { 75: 4.77, 76: 4.84, 77: 4.90, 78: 4.97, 79: 5.04 };
+  const REFERENCE_GRADE = 77;
+  const REFERENCE_ALTITUDE_M = 0;
+  const REFERENCE_TEMPERATURE_C = 20;
+
+  const GRAVITY = 9.81; // m/s²
+  const DEFAULT_CONTACT_HEIGHT_M = 2.5; // racket contact height for an overhead smash
+  const SIM_STEP_S = 0.0005;
+
+  function toRadians(thetaDegrees) {
+    return (Number(thetaDegrees) || 0) * Math.PI / 180;
+  }
+
+  /**
+   * Initial velocity from a measured distance, flight time and launch angle.
+   * v₀ = (e^(kₓ · x) − 1) / (kₓ · t · cos θ)
+   */
+  function calculateV0(x, t, thetaDegrees, kx = DEFAULT_KX) {
+    const thetaRad = toRadians(thetaDegrees);
+    const numerator = Math.exp(kx * x) - 1;
+    const cosTheta = Math.cos(thetaRad);
+    const denominator = kx * t * cosTheta;
+
+    if (!isFinite(numerator) || !isFinite(denominator)) {
+      return { error: 'Non-finite intermediate result; check inputs.' };
+    }
+    if (Math.abs(denominator) < 1e-12) {
+      return { error: 'Denominator too small (near zero). Check t and θ.' };
+    }
+
+    return { v0: numerator / denominator, numerator, denominator, cosTheta, thetaRad };
+  }
+
+  /**
+   * Flight time needed to cover distance x when leaving at v₀.
+   * t = (e^(kₓ · x) − 1) / (kₓ · v₀ · cos θ)
+   */
+  function calculateTime(x, v0, thetaDegrees, kx = DEFAULT_KX) {
+    const thetaRad = toRadians(thetaDegrees);
+    const numerator = Math.exp(kx * x) - 1;
+    const denominator = kx * v0 * Math.cos(thetaRad);
+
+    if (!isFinite(numerator) || !isFinite(denominator)) {
+      return { error: 'Non-finite intermediate result; check inputs.' };
+    }
+    if (Math.abs(denominator) < 1e-12) {
+      return { error: 'Denominator too small (near zero). Check v₀ and θ.' };
+    }
+
+    return { t: numerator / denominator, thetaRad };
+  }
+
+  /**
+   * Horizontal distance covered after time t when leaving at v₀.
+   * x = ln(1 + kₓ · v₀ · cos θ · t) / kₓ
+   */
+  function calculateDistance(t, v0, thetaDegrees, kx = DEFAULT_KX) {
+    const thetaRad = toRadians(thetaDegrees);
+    const growth = kx * v0 * Math.cos(thetaRad) * t;
+
+    if (!isFinite(growth) || growth <= -1) {
+      return { error: 'Non-finite intermediate result; check inputs.' };
+    }
+    if (Math.abs(kx) < 1e-12) {
+      // No drag: plain uniform horizontal motion
+      return { x: v0 * Math.cos(thetaRad) * t, thetaRad };
+    }
+
+    return { x: Math.log1p(growth) / kx, thetaRad };
+  }
+
+  /**
+   * Drag constant implied by a measured distance, time and a known v₀.
+   * Solves e^(kₓ · x) − 1 = kₓ · v₀ · cos θ · t for kₓ > 0 by bisection.
+   * A positive root only exists when v₀ · cos θ · t > x, i.e. the shuttle slowed down.
+   */
+  function calculateKx(x, t, v0, thetaDegrees) {
+    const thetaRad = toRadians(thetaDegrees);
+    const reach = v0 * Math.cos(thetaRad) * t; // distance with no drag at all
+
+    if (![x, t, v0].every(v => isFinite(v) && v > 0) || !isFinite(reach)) {
+      return { error: 'Distance, time and v₀ must all be positive numbers.' };
+    }
+    if (reach <= x) {
+      return { error: 'v₀ · cos θ · t must exceed x — otherwise no positive drag constant fits.' };
+    }
+
+    const f = k => Math.expm1(k * x) - k * reach;
+
+    // f(0) = 0 and f'(0) < 0, so f dips below zero then grows; bracket the crossing
+    let lo = 1e-9;
+    let hi = 1;
+    while (f(hi) < 0) {
+      hi *= 2;
+      if (hi > 1e6) return { error: 'Could not bracket a drag constant for these inputs.' };
+    }
+
+    for (let i = 0; i < 200; i++) {
+      const mid = (lo + hi) / 2;
+      if (f(mid) < 0) lo = mid; else hi = mid;
+      if (hi - lo < 1e-12) break;
+    }
+
+    return { kx: (lo + hi) / 2, thetaRad };
+  }
+
+  /**
+   * Horizontal velocity component after time t.
+   * vₓ(t) = v₀ · cos θ / (1 + kₓ · v₀ · cos θ · t)
+   */
+  function horizontalVelocityAt(t, v0, thetaDegrees, kx = DEFAULT_KX) {
+    const vx0 = v0 * Math.cos(toRadians(thetaDegrees));
+    return vx0 / (1 + kx * vx0 * t);
+  }
+
+  /**
+   * Propagate measurement tolerances through a v₀ solver.
+   * Each input is nudged by ± its tolerance and half the spread in v₀ is taken as
+   * that input's contribution; contributions are independent, so they add in quadrature.
+   * @param {{x: number, t: number, theta: number, kx: number}} inputs
+   * @param {Object<string, number>} tolerances - ± half-width per input name, e.g. { t: 0.033 }
+   * @param {Function} [solve] - (x, t, theta, kx) => { v0 } or { error }
+   * @returns {{v0: number, sigma: number, relative: number,
+   *            contributions: Array<{input: string, tolerance: number, sigma: number, share: number}>}}
+   */
+  function estimateUncertainty(inputs, tolerances, solve = calculateV0) {
+    const run = vals => {
+      if (!(vals.x > 0) || !(vals.t > 0)) return null;
+      const res = solve(vals.x, vals.t, vals.theta, vals.kx);
+      return res.error || !isFinite(res.v0) ? null : res.v0;
+    };
+
+    const v0 = run(inputs);
+    if (v0 === null) {
+      return { error: 'Cannot estimate uncertainty: the central calculation failed.' };
+    }
+
+    const contributions = [];
+    for (const [input, tolerance] of Object.entries(tolerances)) {
+      if (!(tolerance > 0) || !(input in inputs)) continue;
+
+      const up = run({ ...inputs, [input]: inputs[input] + tolerance });
+      const down = run({ ...inputs, [input]: inputs[input] - tolerance });
+
+      // Fall back to a one-sided difference when one side leaves the valid domain
+      let sigma;
+      if (up !== null && down !== null) sigma = Math.abs(up - down) / 2;
+      else if (up !== null) sigma = Math.abs(up - v0);
+      else if (down !== null) sigma = Math.abs(down - v0);
+      else continue;
+
+      contributions.push({ input, tolerance, sigma, share: 0 });
+    }
+
+    const sigma = Math.sqrt(contributions.reduce((sum, c) => sum + c.sigma * c.sigma, 0));
+    for (const c of contributions) {
+      c.share = sigma > 0 ? (c.sigma * c.sigma) / (sigma * sigma) : 0;
+    }
+    contributions.sort((a, b) => b.sigma - a.sigma);
+
+    return { v0, sigma, relative: sigma / v0, contributions };
+  }
+
+  // ----- Full 2D simulation -----
+  // dvₓ/dt = −kₓ · |v| · vₓ,   dv_y/dt = −g − kₓ · |v| · v_y
+  // The shuttle leaves θ below horizontal from the contact height; y = 0 is the floor.
+
+  function derivative(state, kx, gravity) {
+    const speed = Math.hypot(state.vx, state.vy);
+    return {
+      x: state.vx,
+      y: state.vy,
+      vx: -kx * speed * state.vx,
+      vy: -gravity - kx * speed * state.vy
+    };
+  }
+
+  function rk4Step(state, h, kx, gravity) {
+    const add = (s, d, f) => ({ x: s.x + d.x * f, y: s.y + d.y * f, vx: s.vx + d.vx * f, vy: s.vy + d.vy * f });
+    const k1 = derivative(state, kx, gravity);
+    const k2 = derivative(add(state, k1, h / 2), kx, gravity);
+    const k3 = derivative(add(state, k2, h / 2), kx, gravity);
+    const k4 = derivative(add(state, k3, h), kx, gravity);
+    return {
+      x: state.x + h / 6 * (k1.x + 2 * k2.x + 2 * k3.x + k4.x),
+      y: state.y + h / 6 * (k1.y + 2 * k2.y + 2 * k3.y + k4.y),
+      vx: state.vx + h / 6 * (k1.vx + 2 * k2.vx + 2 * k3.vx + k4.vx),
+      vy: state.vy + h / 6 * (k1.vy + 2 * k2.vy + 2 * k3.vy + k4.vy)
+    };
+  }
+
+  function launchState(v0, thetaDegrees, contactHeight) {
+    const thetaRad = toRadians(thetaDegrees);
+    return { x: 0, y: contactHeight, vx: v0 * Math.cos(thetaRad), vy: -v0 * Math.sin(thetaRad) };
+  }
+
+  // State after exactly tEnd seconds (ignores the floor, so it can report y < 0)
+  function stateAt(tEnd, v0, thetaDegrees, kx, contactHeight, gravity) {
+    let state = launchState(v0, thetaDegrees, contactHeight);
+    let t = 0;
+    while (t < tEnd - 1e-12) {
+      const h = Math.min(SIM_STEP_S, tEnd - t);
+      state = rk4Step(state, h, kx, gravity);
+      t += h;
+    }
+    return state;
+  }
+
+  /**
+   * Integrate the trajectory until the shuttle reaches the floor (or tMax).
+   * @param {number} v0 - launch speed (m/s)
+   * @param {number} thetaDegrees - launch angle below horizontal
+   * @param {number} [kx]
+   * @param {{contactHeight?: number, gravity?: number, tMax?: number, sampleEvery?: number}} [options]
+   * @returns {{samples: Array<{t: number, x: number, y: number, vx: number, vy: number, speed: number}>,
+   *            landing: {t: number, x: number, speed: number} | null}}
+   */
+  function simulateTrajectory(v0, thetaDegrees, kx = DEFAULT_KX, options = {}) {
+    const {
+      contactHeight = DEFAULT_CONTACT_HEIGHT_M,
+      gravity = GRAVITY,
+      tMax = 3,
+      sampleEvery = 0.005
+    } = options;
+
+    const sample = (t, s) => ({ t, x: s.x, y: s.y, vx: s.vx, vy: s.vy, speed: Math.hypot(s.vx, s.vy) });
+
+    let state = launchState(v0, thetaDegrees, contactHeight);
+    let t = 0;
+    let nextSample = sampleEvery;
+    const samples = [sample(0, state)];
+    let landing = null;
+
+    while (t < tMax) {
+      const next = rk4Step(state, SIM_STEP_S, kx, gravity);
+
+      if (next.y <= 0) {
+        // Interpolate the floor crossing inside this step
+        const f = state.y / (state.y - next.y);
+        const lerp = key => state[key] + f * (next[key] - state[key]);
+        const touch = { x: lerp('x'), y: 0, vx: lerp('vx'), vy: lerp('vy') };
+        const last = sample(t + f * SIM_STEP_S, touch);
+        samples.push(last);
+        landing = { t: last.t, x: last.x, speed: last.speed };
+        break;
+      }
+
+      state = next;
+      t += SIM_STEP_S;
+      if (t >= nextSample - 1e-12) {
+        samples.push(sample(t, state));
+        nextSample += sampleEvery;
+      }
+    }
+
+    return { samples, landing };
+  }
+
+  /**
+   * Launch speed for which the simulated shuttle covers horizontal distance x in time t.
+   * Also reports the simulated height at t: if it is far from 0, the measured angle,
+   * contact height, distance and time are not mutually consistent.
+   * @returns {{v0: number, heightAtT: number, speedAtT: number, thetaRad: number} | {error: string}}
+   */
+  function calculateV0Simulated(x, t, thetaDegrees, kx = DEFAULT_KX, options = {}) {
+    const { contactHeight = DEFAULT_CONTACT_HEIGHT_M, gravity = GRAVITY } = options;
+
+    if (![x, t].every(v => isFinite(v) && v > 0)) {
+      return { error: 'Distance and time must be positive numbers.' };
+    }
+    if (!isFinite(contactHeight) || contactHeight < 0) {
+      return { error: 'Contact height must be 0 m or more.' };
+    }
+
+    const reach = v0 => stateAt(t, v0, thetaDegrees, kx, contactHeight, gravity).x;
+
+    // x(t) grows monotonically with v₀: bracket the target, then bisect
+    let lo = 0;
+    let hi = 10;
+    while (reach(hi) < x) {
+      hi *= 2;
+      if (hi > 2000) return { error: 'No launch speed covers that distance in that time under the simulation.' };
+    }
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (reach(mid) < x) lo = mid; else hi = mid;
+      if (hi - lo < 1e-6) break;
+    }
+
+    const v0 = (lo + hi) / 2;
+    const end = stateAt(t, v0, thetaDegrees, kx, contactHeight, gravity);
+    return { v0, heightAtT: end.y, speedAtT: Math.hypot(end.vx, end.vy), thetaRad: toRadians(thetaDegrees) };
+  }
+
+  // ----- Multi-point track fitting -----
+
+  // Positions of a launched shuttle at each (ascending) time, integrated in one pass
+  function positionsAt(times, { x0, y0, v0, thetaDegrees, kx }, gravity) {
+    let state = { ...launchState(v0, thetaDegrees, y0), x: x0 };
+    let t = 0;
+    return times.map(target => {
+      while (t < target - 1e-12) {
+        const h = Math.min(SIM_STEP_S, target - t);
+        state = rk4Step(state, h, kx, gravity);
+        t += h;
+      }
+      return { x: state.x, y: state.y };
+    });
+  }
+
+  // Solve A · δ = b for a small dense system (Gaussian elimination, partial pivoting)
+  function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+      }
+      if (Math.abs(M[pivot][col]) < 1e-18) return null;
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const f = M[r][col] / M[col][col];
+        for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+      }
+    }
+    return M.map((row, i) => row[n] / row[i]);
+  }
+
+  /**
+   * Fit launch speed, angle and (optionally) kₓ to tracked shuttle positions by
+   * Levenberg–Marquardt least squares on the full 2D simulation.
+   * Points are in metres with y up; the shuttle must travel towards +x.
+   * v₀ is the speed at the first tracked position, so start tracking on the contact frame.
+   * @param {Array<{t: number, x: number, y: number}>} points - at least 3 (4 when fitting kₓ)
+   * @param {{fitKx?: boolean, kx?: number, gravity?: number}} [options]
+   * @returns {{x0: number, y0: number, v0: number, thetaDegrees: number, kx: number, sigmaV0: number, sigmaTheta: number,
+   *            sigmaKx: number, rms: number, residuals: Array<{t: number, dx: number, dy: number, distance: number}>,
+   *            iterations: number} | {error: string, code: string, params?: object}}
+   */
+  function fitTrack(points, options = {}) {
+    const { fitKx = false, kx = DEFAULT_KX, gravity = GRAVITY } = options;
+    const minPoints = fitKx ? 4 : 3;
+
+    if (!Array.isArray(points) || points.length < minPoints) {
+      return {
+        error: `Track at least ${minPoints} shuttle positions${fitKx ? ' to fit kₓ as well' : ''}.`,
+        code: fitKx ? 'tooFewPointsKx' : 'tooFewPoints',
+        params: { count: minPoints }
+      };
+    }
+
+    const sorted = [...points].sort((a, b) => a.t - b.t);
+    const t0 = sorted[0].t;
+    const times = sorted.map(p => p.t - t0);
+    if (times[times.length - 1] <= 0) {
+      return { error: 'Tracked positions must come from different frames.', code: 'sameFrame' };
+    }
+
+    // Parameter vector: [x0, y0, v0, θ, kₓ?]
+    const unpack = p => ({ x0: p[0], y0: p[1], v0: p[2], thetaDegrees: p[3], kx: fitKx ? p[4] : kx });
+    const residualsFor = p => {
+      const predicted = positionsAt(times, unpack(p), gravity);
+      const r = [];
+      predicted.forEach((q, i) => r.push(q.x - sorted[i].x, q.y - sorted[i].y));
+      return r;
+    };
+    const sumSq = r => r.reduce((sum, v) => sum + v * v, 0);
+
+    // Initial guess from the first and last positions
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const span = times[times.length - 1];
+    const guessSpeed = Math.hypot(last.x - first.x, last.y - first.y) / span;
+    const guessTheta = Math.atan2(first.y - last.y, last.x - first.x) * 180 / Math.PI;
+    let p = [first.x, first.y, Math.max(guessSpeed * 1.5, 1), guessTheta];
+    if (fitKx) p.push(kx);
+
+    let r = residualsFor(p);
+    let cost = sumSq(r);
+    let lambda = 1e-3;
+    let iterations = 0;
+    let JtJ = null;
+
+    for (; iterations < 100; iterations++) {
+      // Forward-difference Jacobian
+      const J = r.map(() => new Array(p.length).fill(0));
+      p.forEach((value, j) => {
+        const h = 1e-6 * Math.max(1, Math.abs(value));
+        const shifted = [...p];
+        shifted[j] += h;
+        const rs = residualsFor(shifted);
+        rs.forEach((v, i) => { J[i][j] = (v - r[i]) / h; });
+      });
+
+      JtJ = p.map((_, a) => p.map((__, b) => J.reduce((sum, row) => sum + row[a] * row[b], 0)));
+      const Jtr = p.map((_, a) => J.reduce((sum, row, i) => sum + row[a] * r[i], 0));
+
+      let improved = false;
+      while (lambda < 1e10) {
+        const damped = JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) : v)));
+        const delta = solveLinear(damped, Jtr.map(v => -v));
+        if (!delta) { lambda *= 10; continue; }
+
+        const candidate = p.map((v, j) => v + delta[j]);
+        if (candidate[2] <= 0 || (fitKx && candidate[4] <= 0)) { lambda *= 10; continue; }
+
+        const rc = residualsFor(candidate);
+        const costC = sumSq(rc);
+        if (costC < cost) {
+          const converged = cost - costC < 1e-12 * Math.max(1, cost);
+          p = candidate;
+          r = rc;
+          cost = costC;
+          lambda = Math.max(lambda / 10, 1e-9);
+          improved = !converged;
+          break;
+        }
+        lambda *= 10;
+      }
+      if (!improved) break;
+    }
+
+    // Parameter standard errors from the covariance s² · (JᵀJ)⁻¹
+    const dof = r.length - p.length;
+    const s2 = dof > 0 ? cost / dof : NaN;
+    const sigmaOf = j => {
+      const unit = p.map((_, i) => (i === j ? 1 : 0));
+      const column = solveLinear(JtJ, unit);
+      return column && column[j] > 0 ? Math.sqrt(s2 * column[j]) : NaN;
+    };
+
+    const residuals = sorted.map((pt, i) => ({
+      t: pt.t,
+      dx: r[2 * i],
+      dy: r[2 * i + 1],
+      distance: Math.hypot(r[2 * i], r[2 * i + 1])
+    }));
+
+    return {
+      x0: p[0],
+      y0: p[1],
+      v0: p[2],
+      thetaDegrees: p[3],
+      kx: fitKx ? p[4] : kx,
+      sigmaV0: sigmaOf(2),
+      sigmaTheta: sigmaOf(3),
+      sigmaKx: fitKx ? sigmaOf(4) : 0,
+      rms: Math.sqrt(cost / sorted.length),
+      residuals,
+      iterations
+    };
+  }
+
+  /**
+   * Air density (kg/m³) from altitude and hall temperature.
+   * Pressure follows the standard-atmosphere barometric formula; humidity is ignored.
+   */
+  function airDensity(altitudeM = REFERENCE_ALTITUDE_M, temperatureC = REFERENCE_TEMPERATURE_C) {
+    const pressure = 101325 * Math.pow(1 - 2.25577e-5 * altitudeM, 5.25588); // Pa
+    const kelvin = temperatureC + 273.15;
+    return pressure / (287.05 * kelvin);
+  }
+
+  /**
+   * Drag constant for quadratic drag, where dv/dx = −kₓ · v.
+   * kₓ = ρ · (C_d · A) / (2m)
+   * @param {number} density - air density (kg/m³)
+   * @param {number} dragArea - drag coefficient × frontal area, C_d · A (m²)
+   * @param {number} massG - shuttle mass (g)
+   */
+  function deriveKx(density, dragArea, massG) {
+    return density * dragArea / (2 * massG / 1000);
+  }
+
+  // Feather drag area is back-solved so a grade-77 feather shuttle at sea level and 20 °C
+  // reproduces DEFAULT_KX. Nylon skirts fold in at smash speed, so they present less area.
+  const FEATHER_DRAG_AREA = 2 * (SPEED_GRADES[REFERENCE_GRADE] / 1000) * DEFAULT_KX
+    / airDensity(REFERENCE_ALTITUDE_M, REFERENCE_TEMPERATURE_C);
+  const SHUTTLE_TYPES = {
+    feather: { label: 'Feather', dragArea: FEATHER_DRAG_AREA },
+    nylon: { label: 'Nylon', dragArea: FEATHER_DRAG_AREA * 0.93 }
+  };
+
+  /**
+   * Drag constant for a named shuttle type and speed grade under given hall conditions.
+   * @param {{shuttle: string, grade: number, altitudeM?: number, temperatureC?: number}} conditions
+   * @returns {{kx: number, density: number, massG: number, dragArea: number} | {error: string}}
+   */
+  function kxForConditions({ shuttle, grade, altitudeM = REFERENCE_ALTITUDE_M, temperatureC = REFERENCE_TEMPERATURE_C }) {
+    const type = SHUTTLE_TYPES[shuttle];
+    const massG = SPEED_GRADES[grade];
+    if (!type) return { error: `Unknown shuttle type "${shuttle}".` };
+    if (!massG) return { error: `Unknown speed grade "${grade}".` };
+    if (!isFinite(altitudeM) || altitudeM < -500 || altitudeM > 5000) {
+      return { error: 'Altitude must be between −500 m and 5000 m.' };
+    }
+    if (!isFinite(temperatureC) || temperatureC < -20 || temperatureC > 50) {
+      return { error: 'Temperature must be between −20 °C and 50 °C.' };
+    }
+
+    const density = airDensity(altitudeM, temperatureC);
+    return { kx: deriveKx(density, type.dragArea, massG), density, massG, dragArea: type.dragArea };
+  }
+
+  function toKmh(mps) {
+    return mps * MPS_TO_KMH;
+  }
+
+  function toMph(mps) {
+    return mps * MPS_TO_MPH;
+  }
+
+  return {
+    DEFAULT_KX,
+    MPS_TO_KMH,
+    MPS_TO_MPH,
+    calculateV0,
+    calculateTime,
+    calculateDistance,
+    calculateKx,
+    horizontalVelocityAt,
+    GRAVITY,
+    DEFAULT_CONTACT_HEIGHT_M,
+    simulateTrajectory,
+    calculateV0Simulated,
+    fitTrack,
+    estimateUncertainty,
+    SPEED_GRADES,
+    SHUTTLE_TYPES,
+    airDensity,
+    deriveKx,
+    kxForConditions,
+    toKmh,
+    toMph
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmashPhysics;
+}
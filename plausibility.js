@@ -0,0 +1,195 @@
+// ===== PLAUSIBILITY RULES MODULE =====
+// Soft checks run after a speed has been calculated. Each rule is declarative: a severity,
+// a condition over the calculation context and the player level's limits, and a message.
+//   info  — worth a second look, result shown
+//   warn  — probably a measurement mistake, result shown with the warning
+//   block — the inputs can't all be right, result withheld
+// Loaded as a plain <script> (global SmashPlausibility) or required from Node.
+
+const SmashPlausibility = (() => {
+  const MPS_TO_KMH = 3.6;
+  const COURT_LENGTH_M = 13.4;
+  const COURT_DIAGONAL_M = Math.hypot(13.4, 6.1);
+  const WORLD_RECORD_KMH = 565;
+  const DEFAULT_CONTACT_HEIGHT_M = 2.5;
+
+  // Thresholds per player level; speeds in km/h
+  const LEVELS = {
+    junior: {
+      maxTime: 2.5,
+      maxAngle: 45,
+      minSpeed: 10,
+      maxSpeed: 350,
+      typicalSpeed: [60, 250]
+    },
+    club: {
+      maxTime: 2,
+      maxAngle: 45,
+      minSpeed: 10,
+      maxSpeed: 500,
+      typicalSpeed: [100, 330]
+    },
+    elite: {
+      maxTime: 1.2,
+      maxAngle: 40,
+      minSpeed: 80,
+      maxSpeed: WORLD_RECORD_KMH,
+      typicalSpeed: [250, 480]
+    }
+  };
+  const DEFAULT_LEVEL = 'club';
+
+  const SEVERITY_ORDER = { block: 0, warn: 1, info: 2 };
+
+  // How far the typed distance may stray from a picked court preset before it stops matching
+  const PRESET_TOLERANCE_M = 0.25;
+  const PRESET_TOLERANCE_RATIO = 0.05;
+  // Slack on the straight-line reach for a curved, imperfectly measured flight
+  const REACH_SLACK = 1.15;
+
+  const kmh = c => c.v0 * MPS_TO_KMH;
+  const contactHeight = c => (isFinite(c.contactHeight) && c.contactHeight >= 0
+    ? c.contactHeight
+    : DEFAULT_CONTACT_HEIGHT_M);
+  // Straight distance from the contact point to the landing spot
+  const chord = c => Math.hypot(c.x, contactHeight(c));
+  // Where a straight line at θ from the contact height meets the floor
+  const straightReach = c => contactHeight(c) / Math.tan(c.theta * Math.PI / 180);
+
+  /**
+   * Rule set. `when(c, L)` decides whether the rule fires for context c and level limits L;
+   * `message(c, L, f)` builds the text through the formatter f (see evaluate).
+   */
+  const RULES = [
+    {
+      id: 'distanceBeyondCourt',
+      severity: 'block',
+      when: c => c.x > COURT_DIAGONAL_M,
+      message: (c, L, f) => f.t('rule.distanceBeyondCourt', {
+        distance: f.length(c.x),
+        diagonal: f.length(COURT_DIAGONAL_M, 1)
+      })
+    },
+    {
+      id: 'averageAboveV0',
+      severity: 'block',
+      when: c => chord(c) / c.t > c.v0 * 1.001,
+      message: (c, L, f) => f.t('rule.averageAboveV0', {
+        chord: f.length(chord(c)),
+        time: f.number(c.t, 3),
+        average: f.speed(chord(c) / c.t),
+        speed: f.speed(c.v0)
+      })
+    },
+    {
+      id: 'speedRecord',
+      severity: 'block',
+      when: c => kmh(c) > WORLD_RECORD_KMH,
+      message: (c, L, f) => f.t('rule.speedRecord', {
+        speed: f.speed(c.v0),
+        record: f.speed(WORLD_RECORD_KMH / MPS_TO_KMH, 0)
+      })
+    },
+    {
+      id: 'timeLong',
+      severity: 'warn',
+      when: (c, L) => c.t > L.maxTime,
+      message: (c, L, f) => f.t('rule.timeLong', { time: f.number(c.t, 3), limit: f.number(L.maxTime, 1) })
+    },
+    {
+      id: 'distanceLong',
+      severity: 'warn',
+      when: c => c.x >= 10 && c.x <= COURT_DIAGONAL_M,
+      message: (c, L, f) => f.t('rule.distanceLong', {
+        distance: f.length(c.x),
+        court: f.length(COURT_LENGTH_M, 1)
+      })
+    },
+    {
+      id: 'angleSteep',
+      severity: 'warn',
+      when: (c, L) => c.theta > L.maxAngle,
+      message: (c, L, f) => f.t('rule.angleSteep', { angle: f.number(c.theta, 1) })
+    },
+    {
+      id: 'speedHigh',
+      severity: 'warn',
+      when: (c, L) => kmh(c) > L.maxSpeed && kmh(c) <= WORLD_RECORD_KMH,
+      message: (c, L, f) => f.t('rule.speedHigh', {
+        speed: f.speed(c.v0),
+        limit: f.speed(L.maxSpeed / MPS_TO_KMH, 0)
+      })
+    },
+    {
+      id: 'speedLow',
+      severity: 'warn',
+      when: (c, L) => kmh(c) < L.minSpeed,
+      message: (c, L, f) => f.t('rule.speedLow', { speed: f.speed(c.v0) })
+    },
+    {
+      id: 'presetMismatch',
+      severity: 'warn',
+      when: c => !!c.preset &&
+        Math.abs(c.x - c.preset.distance) > Math.max(PRESET_TOLERANCE_M, PRESET_TOLERANCE_RATIO * c.preset.distance),
+      message: (c, L, f) => f.t('rule.presetMismatch', {
+        distance: f.length(c.x),
+        preset: c.preset.label,
+        presetDistance: f.length(c.preset.distance)
+      })
+    },
+    {
+      id: 'beyondStraightLine',
+      severity: 'info',
+      when: c => c.theta > 0 && c.x > straightReach(c) * REACH_SLACK,
+      message: (c, L, f) => f.t('rule.beyondStraightLine', {
+        height: f.length(contactHeight(c)),
+        angle: f.number(c.theta, 1),
+        reach: f.length(straightReach(c)),
+        distance: f.length(c.x)
+      })
+    },
+    {
+      id: 'speedAtypical',
+      severity: 'info',
+      when: (c, L) => kmh(c) >= L.minSpeed && kmh(c) <= L.maxSpeed &&
+        (kmh(c) < L.typicalSpeed[0] || kmh(c) > L.typicalSpeed[1]),
+      message: (c, L, f) => f.t('rule.speedAtypical', {
+        speed: f.speed(c.v0),
+        min: f.speed(L.typicalSpeed[0] / MPS_TO_KMH, 0),
+        max: f.speed(L.typicalSpeed[1] / MPS_TO_KMH, 0)
+      })
+    }
+  ];
+
+  // Plain formatter for Node and tests; the page passes one built on SmashI18n
+  const PLAIN_FORMAT = {
+    t: (key, params) => `${key} ${JSON.stringify(params)}`,
+    number: (n, dp = 3) => Number(n).toFixed(dp),
+    length: (m, dp = 2) => `${Number(m).toFixed(dp)} m`,
+    speed: (mps, dp = 1) => `${(mps * MPS_TO_KMH).toFixed(dp)} km/h`
+  };
+
+  /**
+   * Run every rule against a calculation.
+   * @param {{x: number, t: number, theta: number, v0: number, contactHeight?: number,
+   *          preset?: {distance: number, label: string} | null}} context - SI units, θ in degrees
+   * @param {{level?: string, limits?: object, format?: object}} [options] - limits override the
+   *        level's thresholds key by key
+   * @returns {Array<{id: string, severity: 'block'|'warn'|'info', message: string}>} most severe first
+   */
+  function evaluate(context, { level = DEFAULT_LEVEL, limits = {}, format = PLAIN_FORMAT } = {}) {
+    if (!['x', 't', 'theta', 'v0'].every(key => isFinite(context[key]))) return [];
+    const L = { ...(LEVELS[level] || LEVELS[DEFAULT_LEVEL]), ...limits };
+
+    return RULES
+      .filter(rule => rule.when(context, L))
+      .map(rule => ({ id: rule.id, severity: rule.severity, message: rule.message(context, L, format) }))
+      .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  }
+
+  return { LEVELS, DEFAULT_LEVEL, RULES, evaluate };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmashPlausibility;
+}
@@ -0,0 +1,129 @@
+// ===== OFFLINE SAVE QUEUE =====
+// Saves that can't reach the backend (no Wi-Fi in the hall, server down) are kept in
+// IndexedDB with the time they were made and replayed once the connection is back: on the
+// browser's `online` event, when the tab becomes visible, on a timer while anything is
+// waiting, and whenever someone logs in. Each entry belongs to the user who made it and is
+// only ever sent under that user's session.
+// Changes are announced with a `savequeuechange` event on document.
+
+const SmashSaveQueue = (() => {
+  const DB_NAME = 'smash-save-queue';
+  const STORE = 'pending';
+  const RETRY_INTERVAL_MS = 30000;
+  const withStore = SmashIdbStore.create(DB_NAME, STORE, { keyPath: 'id', autoIncrement: true });
+
+  let flushing = null;
+  let retryTimer = null;
+
+  function notify() {
+    document.dispatchEvent(new CustomEvent('savequeuechange'));
+  }
+
+  /**
+   * Queue a record for later. The payload is posted to /api/records as-is, so it must
+   * already carry its `recordedAt` timestamp.
+   * @param {string} username - owner; the entry is only sent under this user's session
+   * @param {{speedMps: number, recordedAt: string}} payload
+   * @returns {Promise<boolean>} false when IndexedDB is unavailable and nothing was kept
+   */
+  async function enqueue(username, payload) {
+    try {
+      await withStore('readwrite', store => store.add({ username, payload, queuedAt: Date.now(), error: null }));
+    } catch (err) {
+      console.warn('Save not queued:', err);
+      return false;
+    }
+    notify();
+    scheduleRetry();
+    return true;
+  }
+
+  /**
+   * Entries waiting for a user, oldest first.
+   * @returns {Promise<Array<{id: number, username: string, payload: object, queuedAt: number,
+   *          error: string|null}>>} error is set when the server refused the record
+   */
+  async function list(username = SmashApi.session.username()) {
+    try {
+      const entries = await withStore('readonly', store => store.getAll());
+      return entries.filter(entry => entry.username === username);
+    } catch {
+      return [];
+    }
+  }
+
+  async function remove(id) {
+    try {
+      await withStore('readwrite', store => store.delete(id));
+    } catch {
+      // Already gone
+    }
+    notify();
+  }
+
+  async function markRejected(entry, message) {
+    try {
+      await withStore('readwrite', store => store.put({ ...entry, error: message }));
+    } catch (err) {
+      console.warn('Refused save not marked:', err);
+    }
+  }
+
+  /**
+   * Send the signed-in user's waiting entries in order. Stops at the first network failure
+   * (still offline); an entry the server refuses is kept with the reason so the user can
+   * see it and discard it, and isn't retried.
+   * @returns {Promise<number>} how many entries were synced
+   */
+  function flush() {
+    if (!flushing) {
+      flushing = sendPending().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  async function sendPending() {
+    if (!SmashApi.session.id()) return 0;
+    const entries = (await list()).filter(entry => !entry.error);
+    let synced = 0;
+    for (const entry of entries) {
+      try {
+        await SmashApi.post('/api/records', entry.payload);
+      } catch (err) {
+        const refused = err instanceof SmashApi.HttpError && err.status < 500 &&
+          err.status !== 429 && !(err instanceof SmashApi.AuthError);
+        if (refused) {
+          await markRejected(entry, err.message);
+          continue;
+        }
+        break;
+      }
+      try {
+        await withStore('readwrite', store => store.delete(entry.id));
+      } catch (err) {
+        console.warn('Synced save left in the queue:', err);
+      }
+      synced++;
+    }
+    if (entries.length) notify();
+    scheduleRetry();
+    return synced;
+  }
+
+  // Keep retrying in the background while anything is still waiting
+  async function scheduleRetry() {
+    clearTimeout(retryTimer);
+    const waiting = (await list()).some(entry => !entry.error);
+    if (waiting) retryTimer = setTimeout(flush, RETRY_INTERVAL_MS);
+  }
+
+  window.addEventListener('online', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') flush();
+  });
+  document.addEventListener('DOMContentLoaded', flush);
+
+  return { enqueue, list, remove, flush };
+})();
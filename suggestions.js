@@ -0,0 +1,241 @@
+// ===== TRAINING SUGGESTIONS MODULE =====
+// Picks drills and technique cues from a calculated smash and the player's saved history.
+// Four signals feed the rules: speed against the player level's usual range, the steepness
+// of the angle, consistency across recent saved records and the trend over the last weeks.
+// Every suggestion carries a short "why" so the player can see what triggered it.
+// Loaded as a plain <script> (global SmashSuggestions) or required from Node.
+
+const SmashSuggestions = (() => {
+  const MPS_TO_KMH = 3.6;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Player levels and their usual speed range (km/h) are shared with the plausibility rules
+  const Plausibility = typeof SmashPlausibility !== 'undefined' ? SmashPlausibility : require('./plausibility.js');
+  const { LEVELS, DEFAULT_LEVEL } = Plausibility;
+
+  const FLAT_ANGLE_DEG = 8;
+  const STEEP_ANGLE_DEG = 30;
+  const RECENT_COUNT = 10;          // saved records considered for consistency
+  const MIN_RECORDS = 5;            // before consistency and trend are judged
+  const MIN_TREND_DAYS = 3;         // distinct days with a saved smash
+  const SPREAD_LIMIT = 0.12;        // coefficient of variation above which speed is inconsistent
+  const TREND_WINDOW_DAYS = 42;
+  const MIN_TREND_SPAN_DAYS = 7;
+  const PLATEAU_SPAN_DAYS = 21;
+  const DECLINE_RATE = -0.02;       // fraction of the mean per week
+  const IMPROVE_RATE = 0.01;
+  const PLATEAU_RATE = 0.005;
+  const BELOW_BEST_RATIO = 0.85;
+  const MAX_SUGGESTIONS = 4;
+
+  // SQLite timestamps ("2025-03-01 18:20:00") and ISO strings both parse once the space is a T
+  const parseDate = value => new Date(String(value).replace(' ', 'T')).getTime();
+
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  function standardDeviation(values) {
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length);
+  }
+
+  /**
+   * Least-squares slope of speed against time over the trend window, using each day's best.
+   * @returns {{rate: number, days: number, mean: number, count: number} | null} rate as a
+   *          fraction of the mean per week; null when there are too few days to judge
+   */
+  function trend(records, now) {
+    const byDay = {};
+    records.forEach(r => {
+      const day = Math.floor(r.time / DAY_MS);
+      if (now - r.time <= TREND_WINDOW_DAYS * DAY_MS && (!(day in byDay) || r.speedKmh > byDay[day])) {
+        byDay[day] = r.speedKmh;
+      }
+    });
+    const days = Object.keys(byDay).map(Number).sort((a, b) => a - b);
+    if (days.length < MIN_TREND_DAYS || days[days.length - 1] - days[0] < MIN_TREND_SPAN_DAYS) return null;
+
+    const speeds = days.map(d => byDay[d]);
+    const dayMean = mean(days);
+    const speedMean = mean(speeds);
+    let covariance = 0;
+    let variance = 0;
+    days.forEach((d, i) => {
+      covariance += (d - dayMean) * (speeds[i] - speedMean);
+      variance += (d - dayMean) ** 2;
+    });
+    return {
+      rate: (covariance / variance) * 7 / speedMean,
+      days: days[days.length - 1] - days[0],
+      mean: speedMean,
+      count: days.length
+    };
+  }
+
+  /**
+   * Rule set, in the order ties are broken. `when(s)` decides whether the rule fires for the
+   * derived signals s; `params(s, f)` fills the title, detail and why strings through the
+   * formatter f. Priority 1 is the most urgent.
+   */
+  const RULES = [
+    {
+      id: 'recovery',
+      kind: 'cue',
+      priority: 1,
+      when: s => s.trend && s.trend.rate <= DECLINE_RATE,
+      params: (s, f) => ({ rate: f.number(-s.trend.rate * 100, 1), days: s.trend.days })
+    },
+    {
+      id: 'kineticChain',
+      kind: 'drill',
+      priority: 1,
+      when: s => s.speedKmh < s.typical[0],
+      params: (s, f) => ({ speed: f.speed(s.speedKmh / MPS_TO_KMH), min: f.speed(s.typical[0] / MPS_TO_KMH, 0), level: s.levelName })
+    },
+    {
+      id: 'contactInFront',
+      kind: 'drill',
+      priority: 1,
+      when: s => s.theta !== null && s.theta < FLAT_ANGLE_DEG,
+      params: (s, f) => ({ angle: f.number(s.theta, 1) })
+    },
+    {
+      id: 'repeatability',
+      kind: 'drill',
+      priority: 2,
+      when: s => s.spread !== null && s.spread.cv > SPREAD_LIMIT,
+      params: (s, f) => ({
+        count: s.spread.count,
+        spread: f.speed(s.spread.sd / MPS_TO_KMH),
+        percent: f.number(s.spread.cv * 100, 0)
+      })
+    },
+    {
+      id: 'warmUp',
+      kind: 'cue',
+      priority: 2,
+      when: s => s.current && s.bestKmh > 0 && s.speedKmh < s.bestKmh * BELOW_BEST_RATIO,
+      params: (s, f) => ({ percent: f.number(100 * s.speedKmh / s.bestKmh, 0), best: f.speed(s.bestKmh / MPS_TO_KMH) })
+    },
+    {
+      id: 'gripSqueeze',
+      kind: 'cue',
+      priority: 2,
+      when: s => s.speedKmh >= s.typical[0] && s.speedKmh < (s.typical[0] + s.typical[1]) / 2,
+      params: (s, f) => ({ speed: f.speed(s.speedKmh / MPS_TO_KMH), level: s.levelName })
+    },
+    {
+      id: 'behindShuttle',
+      kind: 'cue',
+      priority: 2,
+      when: s => s.theta !== null && s.theta > STEEP_ANGLE_DEG,
+      params: (s, f) => ({ angle: f.number(s.theta, 1) })
+    },
+    {
+      id: 'overload',
+      kind: 'drill',
+      priority: 2,
+      when: s => s.trend && Math.abs(s.trend.rate) < PLATEAU_RATE && s.trend.days >= PLATEAU_SPAN_DAYS,
+      params: (s, f) => ({ days: s.trend.days, speed: f.speed(s.trend.mean / MPS_TO_KMH) })
+    },
+    {
+      id: 'placement',
+      kind: 'drill',
+      priority: 3,
+      when: s => s.speedKmh > s.typical[1],
+      params: (s, f) => ({ speed: f.speed(s.speedKmh / MPS_TO_KMH), max: f.speed(s.typical[1] / MPS_TO_KMH, 0), level: s.levelName })
+    },
+    {
+      id: 'keepGoing',
+      kind: 'cue',
+      priority: 3,
+      when: s => s.trend && s.trend.rate >= IMPROVE_RATE,
+      params: (s, f) => ({ rate: f.number(s.trend.rate * 100, 1), days: s.trend.days })
+    },
+    {
+      id: 'saveMore',
+      kind: 'cue',
+      priority: 3,
+      when: s => s.historyCount < MIN_RECORDS,
+      params: s => ({ count: s.historyCount, needed: MIN_RECORDS })
+    }
+  ];
+
+  // Plain formatter for Node and tests; the page passes one built on SmashI18n
+  const PLAIN_FORMAT = {
+    t: (key, params) => params ? `${key} ${JSON.stringify(params)}` : key,
+    number: (n, dp = 3) => Number(n).toFixed(dp),
+    speed: (mps, dp = 1) => `${(mps * MPS_TO_KMH).toFixed(dp)} km/h`
+  };
+
+  /**
+   * Pick the most useful suggestions for a smash and the saved history.
+   * @param {{v0: number, theta?: number} | null} current - the calculation on screen (m/s, degrees);
+   *        null on the dashboard, where the recent average stands in for the speed
+   * @param {Array<{date: string, speedKmh: number}>} history - saved records, any order
+   * @param {{level?: string, now?: number, limit?: number, format?: object}} [options]
+   * @returns {Array<{id: string, kind: 'drill'|'cue', priority: number, title: string,
+   *          detail: string, why: string}>} most urgent first
+   */
+  function suggest(current, history = [], { level = DEFAULT_LEVEL, now = Date.now(), limit = MAX_SUGGESTIONS, format = PLAIN_FORMAT } = {}) {
+    const records = history
+      .map(r => ({ time: parseDate(r.date), speedKmh: Number(r.speedKmh) }))
+      .filter(r => isFinite(r.time) && isFinite(r.speedKmh) && r.speedKmh > 0)
+      .sort((a, b) => a.time - b.time);
+    const recent = records.slice(-RECENT_COUNT).map(r => r.speedKmh);
+    const hasCurrent = !!current && isFinite(current.v0) && current.v0 > 0;
+    if (!hasCurrent && recent.length === 0) return [];
+
+    const levelKey = LEVELS[level] ? level : DEFAULT_LEVEL;
+    const spread = recent.length >= MIN_RECORDS
+      ? { count: recent.length, sd: standardDeviation(recent), cv: standardDeviation(recent) / mean(recent) }
+      : null;
+    const signals = {
+      current: hasCurrent,
+      speedKmh: hasCurrent ? current.v0 * MPS_TO_KMH : mean(recent.slice(-MIN_RECORDS)),
+      theta: hasCurrent && isFinite(current.theta) ? current.theta : null,
+      typical: LEVELS[levelKey].typicalSpeed,
+      levelName: format.t(`level.${levelKey}`),
+      historyCount: records.length,
+      bestKmh: records.reduce((best, r) => Math.max(best, r.speedKmh), 0),
+      spread,
+      trend: records.length >= MIN_RECORDS ? trend(records, now) : null
+    };
+
+    return RULES
+      .filter(rule => rule.when(signals))
+      .sort((a, b) => a.priority - b.priority)
+      .slice(0, limit)
+      .map(rule => {
+        const params = rule.params(signals, format);
+        return {
+          id: rule.id,
+          kind: rule.kind,
+          priority: rule.priority,
+          title: format.t(`suggest.${rule.id}.title`, params),
+          detail: format.t(`suggest.${rule.id}.detail`, params),
+          why: format.t(`suggest.${rule.id}.why`, params)
+        };
+      });
+  }
+
+  /**
+   * Fill a list element with suggestions; t translates the kind and "why" labels.
+   */
+  function render(list, suggestions, t) {
+    list.innerHTML = suggestions.map(s => `
+      <li class="suggestion-item priority-${s.priority}">
+        <div class="suggestion-head">
+          <span class="suggestion-kind">${t(`suggest.kind.${s.kind}`)}</span>
+          <strong>${s.title}</strong>
+        </div>
+        <p class="suggestion-detail">${s.detail}</p>
+        <p class="suggestion-why"><em>${t('suggest.why')}</em> ${s.why}</p>
+      </li>`).join('');
+  }
+
+  return { RULES, suggest, render };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmashSuggestions;
+}
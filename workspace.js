@@ -0,0 +1,121 @@
+// ===== WORKSPACE PERSISTENCE =====
+// Keeps the analysis workspace across reloads: form values, slider positions, angle-tool
+// handles and segments go to localStorage, the uploaded clip to IndexedDB (far too big
+// for localStorage). Also encodes a single calculation into a shareable URL.
+
+const SmashWorkspace = (() => {
+  const STORAGE_KEY = 'smashWorkspace';
+  const DB_NAME = 'smash-calculator';
+  const VIDEO_STORE = 'videos';
+  const VIDEO_KEY = 'current';
+  const withVideoStore = SmashIdbStore.create(DB_NAME, VIDEO_STORE);
+  const SAVE_DELAY_MS = 300;
+
+  // Calculation fields carried in a share link, and the query parameter for each
+  const SHARE_PARAMS = { x: 'x', t: 't', theta: 'a', kx: 'kx', model: 'm', contactHeight: 'h', v0: 'v' };
+
+  let state = read();
+  let saveTimer = null;
+  let dirty = false;  // pages that only read the workspace (the dashboard) never write it back
+
+  function read() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function flush() {
+    clearTimeout(saveTimer);
+    if (!dirty) return;
+    dirty = false;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (err) {
+      console.warn('Workspace not saved:', err);
+    }
+  }
+
+  function get(section) {
+    return state[section];
+  }
+
+  // Debounced so dragging a handle or slider doesn't write on every move
+  function set(section, value) {
+    state[section] = value;
+    dirty = true;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+  }
+
+  window.addEventListener('pagehide', flush);
+
+  /**
+   * Keep the clip for the next session. Best-effort: resolves false when storage is
+   * unavailable or full (private browsing, quota) rather than throwing.
+   * @param {File} file
+   * @returns {Promise<boolean>}
+   */
+  async function storeVideo(file) {
+    try {
+      await withVideoStore('readwrite', store =>
+        store.put({ blob: file, name: file.name, type: file.type, savedAt: Date.now() }, VIDEO_KEY));
+      return true;
+    } catch (err) {
+      console.warn('Video not kept for the next session:', err);
+      return false;
+    }
+  }
+
+  /** @returns {Promise<File | null>} the stored clip, or null when there is none */
+  async function loadVideo() {
+    try {
+      const record = await withVideoStore('readonly', store => store.get(VIDEO_KEY));
+      if (!record || !record.blob) return null;
+      return new File([record.blob], record.name, { type: record.type });
+    } catch {
+      return null;
+    }
+  }
+
+  async function clearVideo() {
+    try {
+      await withVideoStore('readwrite', store => store.delete(VIDEO_KEY));
+    } catch {
+      // Nothing was stored
+    }
+  }
+
+  /**
+   * Link that reopens a calculation without the video.
+   * @param {{x: number, t: number, theta: number, kx: number, model: string,
+   *          contactHeight: number, v0: number}} calc
+   */
+  function shareUrl(calc, base = location.href) {
+    const url = new URL(base);
+    url.search = '';
+    url.hash = '';
+    Object.entries(SHARE_PARAMS).forEach(([key, param]) => {
+      if (calc[key] !== undefined && calc[key] !== null) url.searchParams.set(param, calc[key]);
+    });
+    return url.toString();
+  }
+
+  /** @returns {object | null} the calculation encoded in the page URL, if any */
+  function readShared(search = location.search) {
+    const params = new URLSearchParams(search);
+    if (!params.has(SHARE_PARAMS.x) || !params.has(SHARE_PARAMS.t) || !params.has(SHARE_PARAMS.theta)) {
+      return null;
+    }
+    const calc = {};
+    Object.entries(SHARE_PARAMS).forEach(([key, param]) => {
+      if (!params.has(param)) return;
+      calc[key] = key === 'model' ? params.get(param) : Number(params.get(param));
+    });
+    return calc;
+  }
+
+  return { get, set, flush, storeVideo, loadVideo, clearVideo, shareUrl, readShared };
+})();